@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+const core = require('@actions/core');
+const { removeRunHome } = require('./utils/run-home');
+const { SessionStore } = require('./utils/session-store');
+
+/**
+ * Remove the per-run config home created by init and the session directory
+ * (already saved to the workflow cache at this point)
+ * Runs with always() so agent configuration never outlives the job,
+ * including failed and cancelled runs on persistent self-hosted runners
+ */
+async function run() {
+  const sessionStore = SessionStore.fromEnv();
+  if (sessionStore) {
+    try {
+      sessionStore.remove();
+    } catch (error) {
+      core.warning(`Failed to remove session directory ${sessionStore.sessionDir}: ${error.message}`);
+    }
+  }
+
+  const configHome = process.env.AWSAPM_HOME;
+  if (!configHome) {
+    core.info('No per-run config home to clean up');
+    return;
+  }
+
+  try {
+    if (removeRunHome(configHome)) {
+      core.info(`Removed per-run config home ${configHome}`);
+    }
+  } catch (error) {
+    core.warning(`Failed to remove per-run config home ${configHome}: ${error.message}`);
+  }
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { run };
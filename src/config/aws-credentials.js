@@ -0,0 +1,150 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CREDENTIAL_CHECK_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Credential sources of the standard AWS provider chain, in the order the SDKs try them
+ */
+const CREDENTIAL_SOURCE = {
+  ENVIRONMENT: 'environment',
+  PROFILE: 'profile',
+  WEB_IDENTITY: 'web_identity',
+  CONTAINER: 'container',
+  INSTANCE_METADATA: 'instance_metadata'
+};
+
+const SOURCE_LABELS = {
+  [CREDENTIAL_SOURCE.ENVIRONMENT]: 'environment variables',
+  [CREDENTIAL_SOURCE.PROFILE]: 'shared config profile',
+  [CREDENTIAL_SOURCE.WEB_IDENTITY]: 'web identity token',
+  [CREDENTIAL_SOURCE.CONTAINER]: 'ECS/EKS container credentials',
+  [CREDENTIAL_SOURCE.INSTANCE_METADATA]: 'EC2 instance role'
+};
+
+/**
+ * Find the credential source the provider chain will use, without network calls
+ * EC2 instance roles can only be found by asking the metadata service, so they
+ * are not reported here (see resolveAWSCredentials)
+ * @param {object} [env] Environment to inspect
+ * @returns {string|null} One of CREDENTIAL_SOURCE, or null when none is configured
+ */
+function detectCredentialSource(env = process.env) {
+  if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+    return CREDENTIAL_SOURCE.ENVIRONMENT;
+  }
+
+  const credentialsFile = env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+  if (env.AWS_PROFILE || fs.existsSync(credentialsFile)) {
+    return CREDENTIAL_SOURCE.PROFILE;
+  }
+  if (env.AWS_WEB_IDENTITY_TOKEN_FILE && env.AWS_ROLE_ARN) {
+    return CREDENTIAL_SOURCE.WEB_IDENTITY;
+  }
+  // ECS task roles use the relative URI, EKS Pod Identity the full URI
+  if (env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI || env.AWS_CONTAINER_CREDENTIALS_FULL_URI) {
+    return CREDENTIAL_SOURCE.CONTAINER;
+  }
+  return null;
+}
+
+/**
+ * Describe a credential source for logs
+ * @param {string} source One of CREDENTIAL_SOURCE
+ * @returns {string} Description
+ */
+function describeCredentialSource(source) {
+  return SOURCE_LABELS[source] || source;
+}
+
+/**
+ * Check whether an STS error means there are no usable credentials, as opposed
+ * to STS being unreachable
+ * @param {Error} error Error from GetCallerIdentity
+ * @returns {boolean} True when the credentials are missing or were rejected
+ */
+function isCredentialError(error) {
+  if (error.name === 'CredentialsProviderError' || /Could not load credentials/i.test(error.message)) {
+    return true;
+  }
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  return Number.isInteger(status) && status >= 400 && status < 500;
+}
+
+/**
+ * Create the STS client used for GetCallerIdentity and the aws_targets roles
+ * @param {object} config STS client configuration
+ * @returns {object} STS client
+ */
+function createSTSClient(config) {
+  const { STSClient } = require('@aws-sdk/client-sts');
+  return new STSClient(config);
+}
+
+/**
+ * Resolve the runner's AWS credentials through the standard provider chain and
+ * validate them with STS GetCallerIdentity
+ *
+ * The identity is logged. Credentials STS rejects count as missing; when STS
+ * cannot be reached (e.g. a VPC without an STS endpoint, see sts_endpoint) the
+ * detected source is kept unvalidated so the MCP servers still get a chance.
+ *
+ * @param {object} [options] Resolution options
+ * @param {object} [options.env] Environment to read the configuration from
+ * @param {number} [options.timeoutMs] Time allowed for the STS call
+ * @param {Function} [options.createClient] (config) => STS client
+ * @returns {Promise<{source: string, validated: boolean, account: string|null, arn: string|null}|null>}
+ *   Resolved credentials, or null when there are none
+ */
+async function resolveAWSCredentials({ env = process.env, timeoutMs = CREDENTIAL_CHECK_TIMEOUT_MS, createClient = createSTSClient } = {}) {
+  const detected = detectCredentialSource(env);
+  const source = detected || (env.AWS_EC2_METADATA_DISABLED === 'true' ? null : CREDENTIAL_SOURCE.INSTANCE_METADATA);
+  if (!source) {
+    return null;
+  }
+
+  const config = { region: env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1' };
+  if (env.STS_ENDPOINT) {
+    config.endpoint = env.STS_ENDPOINT;
+  }
+
+  let client = null;
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+  });
+
+  try {
+    const { GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+    client = createClient(config);
+    const identity = await Promise.race([client.send(new GetCallerIdentityCommand({})), timeout]);
+    core.info(`AWS credentials from ${describeCredentialSource(source)}: ${identity.Arn} (account ${identity.Account})`);
+    return { source, validated: true, account: identity.Account, arn: identity.Arn };
+  } catch (error) {
+    // Without a configured source, the metadata service was only a guess
+    if (!detected) {
+      return null;
+    }
+    if (isCredentialError(error)) {
+      core.warning(`AWS credentials from ${describeCredentialSource(source)} were rejected by STS: ${error.message}`);
+      return null;
+    }
+    core.warning(`Could not validate AWS credentials from ${describeCredentialSource(source)} with STS: ${error.message}`);
+    return { source, validated: false, account: null, arn: null };
+  } finally {
+    clearTimeout(timer);
+    if (client && typeof client.destroy === 'function') {
+      client.destroy();
+    }
+  }
+}
+
+module.exports = {
+  CREDENTIAL_SOURCE,
+  detectCredentialSource,
+  describeCredentialSource,
+  createSTSClient,
+  resolveAWSCredentials
+};
@@ -0,0 +1,332 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createSTSClient } = require('./aws-credentials');
+
+const TARGET_FIELDS = ['alias', 'region', 'role_arn', 'profile'];
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+const ROLE_ARN_PATTERN = /^arn:aws[a-z-]*:iam::(\d{12}):role\/.+$/;
+const TARGET_CREDENTIALS_FILE = 'awsapm-aws-target-credentials';
+const TARGET_PROFILE_PREFIX = 'awsapm-';
+// STS sessions last 15 minutes to 12 hours; every role allows one hour, longer needs a raised MaxSessionDuration
+const MIN_TARGET_SESSION_SECONDS = 15 * 60;
+const MAX_TARGET_SESSION_SECONDS = 12 * 60 * 60;
+const DEFAULT_TARGET_SESSION_SECONDS = 60 * 60;
+// Covers the CLI install and MCP server start-up between the init step and the investigation
+const TARGET_SESSION_MARGIN_SECONDS = 15 * 60;
+
+/**
+ * Validate one target and collect its problems
+ * @param {*} target Target entry
+ * @param {number} index Position in the list, for messages
+ * @returns {Array<string>} Problems, empty when the target is valid
+ */
+function validateTarget(target, index) {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    return [`target ${index + 1} must be an object`];
+  }
+
+  const name = typeof target.alias === 'string' && target.alias ? `"${target.alias}"` : `target ${index + 1}`;
+  const errors = [];
+  for (const field of Object.keys(target)) {
+    if (!TARGET_FIELDS.includes(field)) {
+      errors.push(`${name}.${field} is not supported (use ${TARGET_FIELDS.join(', ')})`);
+    }
+  }
+
+  if (typeof target.alias !== 'string' || !ALIAS_PATTERN.test(target.alias)) {
+    errors.push(`${name}.alias is required and may only contain letters, digits, "_" and "-"`);
+  }
+  if (typeof target.region !== 'string' || !REGION_PATTERN.test(target.region)) {
+    errors.push(`${name}.region must be an AWS region such as us-east-1`);
+  }
+  if (target.role_arn !== undefined && (typeof target.role_arn !== 'string' || !ROLE_ARN_PATTERN.test(target.role_arn))) {
+    errors.push(`${name}.role_arn must be an IAM role ARN`);
+  }
+  if (target.profile !== undefined && (typeof target.profile !== 'string' || !target.profile.trim())) {
+    errors.push(`${name}.profile must be a non-empty string`);
+  }
+  if (target.role_arn !== undefined && target.profile !== undefined) {
+    errors.push(`${name} sets both role_arn and profile; use one`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate the aws_targets input
+ *
+ * Accepts a list of targets as JSON or YAML:
+ *   - alias: prod-us
+ *     region: us-east-1
+ *     role_arn: arn:aws:iam::111111111111:role/awsapm-readonly
+ *   - alias: prod-eu
+ *     region: eu-west-1
+ *     profile: prod-eu
+ *
+ * @param {string} value Input value
+ * @returns {Array<{alias: string, region: string, roleArn: string|null, profile: string|null}>} Targets (empty when the input is empty)
+ * @throws {Error} When the input cannot be parsed or does not match the schema
+ */
+function parseAWSTargets(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(value);
+  } catch (error) {
+    throw new Error(`Invalid aws_targets: ${error.message.split('\n')[0]}`);
+  }
+  if (parsed === null || parsed === undefined) {
+    return [];
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Invalid aws_targets: expected a list of targets with alias, region and role_arn or profile');
+  }
+
+  const errors = parsed.flatMap(validateTarget);
+  const aliases = parsed.map(target => target && target.alias).filter(Boolean);
+  for (const alias of new Set(aliases.filter((alias, i) => aliases.indexOf(alias) !== i))) {
+    errors.push(`alias "${alias}" is used more than once`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid aws_targets: ${errors.join('; ')}`);
+  }
+
+  return parsed.map(target => ({
+    alias: target.alias,
+    region: target.region,
+    roleArn: target.role_arn || null,
+    profile: target.profile || null
+  }));
+}
+
+/**
+ * Get the name of the Application Signals MCP server of a target
+ * @param {object} target Target from parseAWSTargets
+ * @returns {string} Server name
+ */
+function getTargetServerName(target) {
+  return `applicationsignals-${target.alias}`;
+}
+
+/**
+ * Get the AWS account of a target when its role ARN names it
+ * @param {object} target Target from parseAWSTargets
+ * @returns {string|null} Account ID
+ */
+function getTargetAccount(target) {
+  const match = target.roleArn && target.roleArn.match(ROLE_ARN_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether a target runs with credentials of its own instead of the runner's
+ * @param {object} target Target from parseAWSTargets
+ * @returns {boolean} True for role and profile targets
+ */
+function hasOwnCredentials(target) {
+  return Boolean(target.roleArn || target.profile);
+}
+
+/**
+ * Get the profile a target's MCP server reads its credentials from
+ * @param {object} target Target from parseAWSTargets
+ * @returns {string} Profile name in the target credentials file
+ */
+function getTargetProfile(target) {
+  return `${TARGET_PROFILE_PREFIX}${target.alias}`;
+}
+
+/**
+ * Get how long assumed role sessions must last to cover the investigation
+ * @param {number} timeoutMinutes investigation_timeout in minutes (0 disables it)
+ * @returns {number} Session duration in seconds
+ */
+function getTargetSessionSeconds(timeoutMinutes) {
+  if (!(timeoutMinutes > 0)) {
+    return MAX_TARGET_SESSION_SECONDS;
+  }
+  const seconds = Math.ceil(timeoutMinutes * 60) + TARGET_SESSION_MARGIN_SECONDS;
+  return Math.min(MAX_TARGET_SESSION_SECONDS, Math.max(MIN_TARGET_SESSION_SECONDS, seconds));
+}
+
+/**
+ * Assume a target's role, falling back to a one-hour session when the role
+ * (or role chaining from the runner's own assumed role) does not allow the requested one
+ * @param {object} client STS client
+ * @param {object} target Target from parseAWSTargets
+ * @param {number} sessionSeconds Requested session duration
+ * @returns {Promise<object>} STS credentials
+ */
+async function assumeTargetRole(client, target, sessionSeconds) {
+  const { AssumeRoleCommand } = require('@aws-sdk/client-sts');
+  const assume = async (seconds) => (await client.send(new AssumeRoleCommand({
+    RoleArn: target.roleArn,
+    RoleSessionName: `awsapm-${target.alias}`,
+    DurationSeconds: seconds
+  }))).Credentials;
+
+  try {
+    return await assume(sessionSeconds);
+  } catch (error) {
+    if (sessionSeconds <= DEFAULT_TARGET_SESSION_SECONDS || !/DurationSeconds/.test(error.message)) {
+      throw error;
+    }
+    core.warning(`AWS environment ${target.alias}: role ${target.roleArn} does not allow ${Math.round(sessionSeconds / 60)}-minute sessions (${error.message}) - using one hour, so its credentials can expire before investigation_timeout; raise the role's maximum session duration to cover it`);
+    return assume(DEFAULT_TARGET_SESSION_SECONDS);
+  }
+}
+
+/**
+ * Get temporary credentials for one target
+ * Role targets assume their role with the runner's credentials; profile targets
+ * resolve their profile, so neither depends on what the MCP server would pick
+ * from an environment that also holds the runner's keys
+ * @param {object} target Target from parseAWSTargets
+ * @param {object} options Resolution options
+ * @param {object} options.env Environment holding the STS endpoint
+ * @param {Function} options.createClient (config) => STS client
+ * @param {number} options.sessionSeconds Duration of assumed role sessions
+ * @returns {Promise<{accessKeyId: string, secretAccessKey: string, sessionToken: string|null, expiration: string|null}>} Credentials
+ */
+async function getTargetCredentials(target, { env, createClient, sessionSeconds }) {
+  const config = { region: target.region };
+  if (target.profile) {
+    config.profile = target.profile;
+  }
+  if (env.STS_ENDPOINT) {
+    config.endpoint = env.STS_ENDPOINT;
+  }
+
+  const client = createClient(config);
+  try {
+    if (target.roleArn) {
+      const Credentials = await assumeTargetRole(client, target, sessionSeconds);
+      return {
+        accessKeyId: Credentials.AccessKeyId,
+        secretAccessKey: Credentials.SecretAccessKey,
+        sessionToken: Credentials.SessionToken || null,
+        expiration: Credentials.Expiration ? new Date(Credentials.Expiration).toISOString() : null
+      };
+    }
+
+    const credentials = await client.config.credentials();
+    return {
+      accessKeyId: credentials.accessKeyId,
+      secretAccessKey: credentials.secretAccessKey,
+      sessionToken: credentials.sessionToken || null,
+      expiration: credentials.expiration ? new Date(credentials.expiration).toISOString() : null
+    };
+  } finally {
+    if (typeof client.destroy === 'function') {
+      client.destroy();
+    }
+  }
+}
+
+/**
+ * Format credentials as a profile of an AWS shared credentials file
+ * @param {string} profile Profile name
+ * @param {object} credentials Credentials from getTargetCredentials
+ * @returns {string} Profile section
+ */
+function formatCredentialsProfile(profile, credentials) {
+  const lines = [
+    `[${profile}]`,
+    `aws_access_key_id = ${credentials.accessKeyId}`,
+    `aws_secret_access_key = ${credentials.secretAccessKey}`
+  ];
+  if (credentials.sessionToken) {
+    lines.push(`aws_session_token = ${credentials.sessionToken}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Resolve the credentials of every role and profile target and write them into the per-run home
+ *
+ * The keys go into an AWS shared credentials file, one awsapm-<alias> profile
+ * per target, readable by the runner user only and removed by the cleanup
+ * step. MCP server configurations only name the file and the profile, so no
+ * key is written into them. A target whose credentials cannot be resolved is
+ * left out with a warning.
+ *
+ * @param {Array<object>} targets Targets from parseAWSTargets
+ * @param {string} dir Directory to write to
+ * @param {object} [options] Resolution options
+ * @param {number} [options.timeoutMinutes] investigation_timeout the assumed role sessions must cover
+ * @param {object} [options.env] Environment holding the STS endpoint
+ * @param {Function} [options.createClient] (config) => STS client
+ * @returns {Promise<string|null>} Credentials file path, or null when no target has credentials of its own
+ */
+async function writeTargetCredentials(targets, dir, { timeoutMinutes = 0, env = process.env, createClient = createSTSClient } = {}) {
+  const sessionSeconds = getTargetSessionSeconds(timeoutMinutes);
+  const profiles = [];
+  for (const target of targets.filter(hasOwnCredentials)) {
+    try {
+      const credentials = await getTargetCredentials(target, { env, createClient, sessionSeconds });
+      core.setSecret(credentials.secretAccessKey);
+      if (credentials.sessionToken) {
+        core.setSecret(credentials.sessionToken);
+      }
+      profiles.push(formatCredentialsProfile(getTargetProfile(target), credentials));
+      core.info(`AWS environment ${target.alias}: credentials from ${target.roleArn ? `role ${target.roleArn}` : `profile ${target.profile}`}${credentials.expiration ? `, valid until ${credentials.expiration}` : ''}`);
+    } catch (error) {
+      core.warning(`AWS environment ${target.alias}: could not get credentials from ${target.roleArn ? `role ${target.roleArn}` : `profile ${target.profile}`} (${error.message}) - its Application Signals MCP server is disabled`);
+    }
+  }
+
+  if (profiles.length === 0) {
+    return null;
+  }
+  const credentialsPath = path.join(dir, TARGET_CREDENTIALS_FILE);
+  fs.writeFileSync(credentialsPath, `${profiles.join('\n\n')}\n`, { mode: 0o600 });
+  return credentialsPath;
+}
+
+/**
+ * List the profiles of the credentials file written by writeTargetCredentials
+ * @param {string} filePath Credentials file
+ * @returns {Array<string>} Profile names (empty when the file is missing)
+ */
+function readTargetProfiles(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => line.match(/^\[([^\]]+)\]\s*$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+/**
+ * Describe which MCP server covers which environment, for the prompt
+ * @param {Array<object>} targets Targets from parseAWSTargets
+ * @returns {string} One line per target
+ */
+function describeAWSTargets(targets) {
+  return targets.map(target => {
+    const account = getTargetAccount(target);
+    const where = [account ? `account ${account}` : null, target.profile ? `profile ${target.profile}` : null, `region ${target.region}`]
+      .filter(Boolean)
+      .join(', ');
+    return `- ${target.alias}: server "${getTargetServerName(target)}" (tools mcp__${getTargetServerName(target)}__*) - ${where}`;
+  }).join('\n');
+}
+
+module.exports = {
+  parseAWSTargets,
+  getTargetServerName,
+  getTargetProfile,
+  hasOwnCredentials,
+  getTargetSessionSeconds,
+  writeTargetCredentials,
+  readTargetProfiles,
+  describeAWSTargets
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const SERVER_FIELDS = ['command', 'args', 'env', 'autoApprove', 'disabled'];
+const CONFIG_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+/**
+ * Qualify a tool name the way the agents name MCP tools (mcp__<server>__<tool>)
+ * @param {string} serverName MCP server name
+ * @param {string} tool Tool name, bare or already qualified
+ * @returns {string} Qualified tool name
+ */
+function qualifyToolName(serverName, tool) {
+  if (tool.startsWith('mcp__')) {
+    return tool;
+  }
+  return `mcp__${serverName.replace(/[^a-zA-Z0-9_-]/g, '_')}__${tool}`;
+}
+
+/**
+ * Read the mcp_servers input, inline or from a file in the repository
+ * A single-line value ending in .json, .yaml or .yml is a path relative to the workspace
+ * @param {string} value Input value
+ * @param {string} [workspace] Directory relative paths resolve against
+ * @returns {string} JSON or YAML text
+ */
+function readMCPServersSource(value, workspace = process.env.GITHUB_WORKSPACE || process.cwd()) {
+  const trimmed = value.trim();
+  if (trimmed.includes('\n') || !CONFIG_FILE_PATTERN.test(trimmed)) {
+    return trimmed;
+  }
+
+  const filePath = path.resolve(workspace, trimmed);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`mcp_servers file not found: ${trimmed}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Validate one server entry and collect its problems
+ * @param {string} name Server name
+ * @param {*} entry Server entry
+ * @param {boolean} isBuiltIn Whether the entry overrides a built-in server (which supplies the command)
+ * @returns {Array<string>} Problems, empty when the entry is valid
+ */
+function validateServerEntry(name, entry, isBuiltIn) {
+  if (!SERVER_NAME_PATTERN.test(name)) {
+    return [`server name "${name}" may only contain letters, digits, ".", "_" and "-"`];
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`"${name}" must be an object`];
+  }
+
+  const errors = [];
+  for (const field of Object.keys(entry)) {
+    if (!SERVER_FIELDS.includes(field)) {
+      errors.push(`"${name}.${field}" is not supported (use ${SERVER_FIELDS.join(', ')})`);
+    }
+  }
+
+  if (entry.command !== undefined && (typeof entry.command !== 'string' || !entry.command.trim())) {
+    errors.push(`"${name}.command" must be a non-empty string`);
+  }
+  if (entry.command === undefined && !isBuiltIn && entry.disabled !== true) {
+    errors.push(`"${name}.command" is required`);
+  }
+  for (const field of ['args', 'autoApprove']) {
+    if (entry[field] !== undefined && (!Array.isArray(entry[field]) || entry[field].some(item => typeof item !== 'string'))) {
+      errors.push(`"${name}.${field}" must be a list of strings`);
+    }
+  }
+  if (entry.env !== undefined) {
+    const validEnv = entry.env && typeof entry.env === 'object' && !Array.isArray(entry.env) &&
+      Object.values(entry.env).every(v => ['string', 'number', 'boolean'].includes(typeof v));
+    if (!validEnv) {
+      errors.push(`"${name}.env" must map variable names to strings`);
+    }
+  }
+  if (entry.disabled !== undefined && typeof entry.disabled !== 'boolean') {
+    errors.push(`"${name}.disabled" must be true or false`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate the mcp_servers input
+ *
+ * Accepts a map of server name to entry, optionally wrapped in "mcpServers":
+ *   runbooks:
+ *     command: uvx
+ *     args: [acme.runbook-mcp-server@1.2.0]
+ *     autoApprove: [search_runbooks]
+ *   github:
+ *     disabled: true
+ *
+ * @param {string} value Input value (JSON or YAML, inline or a repository file path)
+ * @param {Array<string>} builtInNames Names of the built-in servers, which entries may override without a command
+ * @param {string} [workspace] Directory relative paths resolve against
+ * @returns {object} Validated entries by server name (empty when the input is empty)
+ * @throws {Error} When the input cannot be read, parsed or does not match the schema
+ */
+function parseMCPServers(value, builtInNames = [], workspace) {
+  if (!value || !value.trim()) {
+    return {};
+  }
+
+  const source = readMCPServersSource(value, workspace);
+  let parsed;
+  try {
+    parsed = yaml.load(source);
+  } catch (error) {
+    throw new Error(`Invalid mcp_servers: ${error.message.split('\n')[0]}`);
+  }
+
+  const servers = parsed && parsed.mcpServers !== undefined ? parsed.mcpServers : parsed;
+  if (servers === null || servers === undefined) {
+    return {};
+  }
+  if (typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new Error('Invalid mcp_servers: expected a map of server names to server entries');
+  }
+
+  const errors = Object.entries(servers)
+    .flatMap(([name, entry]) => validateServerEntry(name, entry, builtInNames.includes(name)));
+  if (errors.length > 0) {
+    throw new Error(`Invalid mcp_servers: ${errors.join('; ')}`);
+  }
+
+  const validated = {};
+  for (const [name, entry] of Object.entries(servers)) {
+    validated[name] = { ...entry };
+    if (entry.env) {
+      validated[name].env = Object.fromEntries(Object.entries(entry.env).map(([k, v]) => [k, String(v)]));
+    }
+    if (entry.autoApprove) {
+      validated[name].autoApprove = entry.autoApprove.map(tool => qualifyToolName(name, tool));
+    }
+  }
+  return validated;
+}
+
+/**
+ * Merge user entries into the built-in servers
+ * An entry for a built-in server overrides its fields (env is merged), so
+ * `disabled: true` turns it off and an entry without a command keeps the
+ * built-in command; other entries add new stdio servers
+ * @param {object} servers Active built-in servers by name
+ * @param {object} builtInDefinitions Every built-in server definition by name, active or not
+ * @param {object} customServers Validated entries from parseMCPServers
+ * @returns {object} Merged servers by name
+ */
+function mergeMCPServers(servers, builtInDefinitions, customServers) {
+  const merged = { ...servers };
+
+  for (const [name, entry] of Object.entries(customServers)) {
+    const base = merged[name] || builtInDefinitions[name] || {
+      args: [],
+      env: {},
+      autoApprove: [],
+      transportType: 'stdio'
+    };
+    merged[name] = {
+      ...base,
+      ...entry,
+      env: { ...(base.env || {}), ...(entry.env || {}) },
+      disabled: entry.disabled === true
+    };
+  }
+
+  return merged;
+}
+
+module.exports = {
+  parseMCPServers,
+  mergeMCPServers,
+  qualifyToolName
+};
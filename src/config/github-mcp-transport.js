@@ -0,0 +1,314 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const DOCKER_CHECK_TIMEOUT_MS = 15 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const REMOTE_CHECK_TIMEOUT_MS = 15 * 1000;
+const BINARY_NAME = 'github-mcp-server';
+const DEFAULT_BINARY_VERSION = 'v0.13.0';
+
+/**
+ * Ways to run the GitHub MCP server, in the order `auto` tries them
+ */
+const GITHUB_MCP_TRANSPORT = {
+  DOCKER: 'docker',
+  BINARY: 'binary',
+  REMOTE: 'remote'
+};
+
+const TRANSPORT_ORDER = [GITHUB_MCP_TRANSPORT.DOCKER, GITHUB_MCP_TRANSPORT.BINARY, GITHUB_MCP_TRANSPORT.REMOTE];
+
+const TRANSPORT_LABELS = {
+  [GITHUB_MCP_TRANSPORT.DOCKER]: 'Docker image',
+  [GITHUB_MCP_TRANSPORT.BINARY]: 'github-mcp-server binary',
+  [GITHUB_MCP_TRANSPORT.REMOTE]: 'remote endpoint'
+};
+
+/**
+ * Release asset names use Go's OS names and goreleaser's architecture names
+ */
+const RELEASE_PLATFORMS = { linux: 'Linux', darwin: 'Darwin' };
+const RELEASE_ARCHITECTURES = { x64: 'x86_64', arm64: 'arm64' };
+
+/**
+ * SHA-256 of the release archives the action pins, keyed by release tag and
+ * asset name, copied from the release's checksums.txt, with one digest per
+ * supported platform. Releases not listed are downloaded only with the
+ * github_mcp_binary_sha256 input
+ */
+const RELEASE_CHECKSUMS = {};
+
+/**
+ * Find an executable on PATH
+ * @param {string} name Executable name
+ * @param {object} [env] Environment holding PATH
+ * @returns {string|null} Absolute path, or null when it is not on PATH
+ */
+function findOnPath(name, env = process.env) {
+  for (const dir of (env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this directory
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that Docker is installed and its daemon answers
+ * Rootless containers and some ARC runner pods have the client but no daemon
+ * @returns {Promise<{ok: boolean, reason?: string}>} Check result
+ */
+async function checkDocker() {
+  const execFileAsync = promisify(require('child_process').execFile);
+
+  try {
+    await execFileAsync('docker', ['info', '--format', '{{.ServerVersion}}'], { timeout: DOCKER_CHECK_TIMEOUT_MS });
+    return { ok: true };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { ok: false, reason: 'docker is not installed' };
+    }
+    const detail = (error.stderr || error.message || '').trim().split('\n')[0];
+    return { ok: false, reason: `the Docker daemon is not reachable (${detail})` };
+  }
+}
+
+/**
+ * Get the release archive name for a platform
+ * @param {string} [nodePlatform] Node.js platform, this runner's by default
+ * @param {string} [nodeArch] Node.js architecture, this runner's by default
+ * @returns {string} Asset name, e.g. github-mcp-server_Linux_x86_64.tar.gz
+ * @throws {Error} When the platform has no release asset
+ */
+function getReleaseAssetName(nodePlatform = process.platform, nodeArch = process.arch) {
+  const platform = RELEASE_PLATFORMS[nodePlatform];
+  const arch = RELEASE_ARCHITECTURES[nodeArch];
+  if (!platform || !arch) {
+    throw new Error(`no release binary for ${nodePlatform}/${nodeArch}`);
+  }
+  return `${BINARY_NAME}_${platform}_${arch}.tar.gz`;
+}
+
+/**
+ * Get the SHA-256 a release archive must have
+ * @param {string} version Release tag
+ * @param {string} asset Asset name
+ * @param {string} [sha256] github_mcp_binary_sha256 input, used instead of the pinned checksum
+ * @param {object} [checksums] Pinned checksums by release tag and asset name
+ * @returns {string} Lowercase hex digest
+ * @throws {Error} When the input is not a SHA-256 or no checksum is known
+ */
+function getExpectedChecksum(version, asset, sha256, checksums = RELEASE_CHECKSUMS) {
+  const configured = (sha256 || '').trim().toLowerCase();
+  if (configured) {
+    if (!/^[0-9a-f]{64}$/.test(configured)) {
+      throw new Error('github_mcp_binary_sha256 is not a SHA-256 hex digest');
+    }
+    return configured;
+  }
+
+  const pinned = (checksums[version] || {})[asset];
+  if (!pinned) {
+    throw new Error(`no SHA-256 is pinned for ${asset} of ${version} - set github_mcp_binary_sha256 to download it`);
+  }
+  return pinned;
+}
+
+/**
+ * Download a github-mcp-server release binary and verify its checksum before extracting it
+ * @param {string} version Release tag, e.g. v0.13.0
+ * @param {string} installDir Directory to install into
+ * @param {object} [options] Download options
+ * @param {string} [options.sha256] Expected SHA-256 of the archive, instead of the pinned one
+ * @param {object} [options.checksums] Pinned checksums by release tag and asset name
+ * @returns {Promise<string>} Path of the binary
+ * @throws {Error} When the platform has no release asset, no checksum is known, or the download fails or does not match
+ */
+async function downloadBinary(version, installDir, { sha256, checksums = RELEASE_CHECKSUMS } = {}) {
+  const asset = getReleaseAssetName();
+  // Refuse before downloading anything that could not be verified
+  const expected = getExpectedChecksum(version, asset, sha256, checksums);
+
+  const execFileAsync = promisify(require('child_process').execFile);
+  const url = `https://github.com/github/github-mcp-server/releases/download/${version}/${asset}`;
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  } catch (error) {
+    // fetch reports network failures as "fetch failed" with the reason in cause
+    throw new Error(`download of ${url} failed: ${error.cause ? error.cause.message : error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`download of ${url} failed with HTTP ${response.status}`);
+  }
+
+  const content = Buffer.from(await response.arrayBuffer());
+  const actual = crypto.createHash('sha256').update(content).digest('hex');
+  if (actual !== expected) {
+    throw new Error(`${url} has SHA-256 ${actual}, expected ${expected}`);
+  }
+
+  fs.mkdirSync(installDir, { recursive: true });
+  const archive = path.join(installDir, asset);
+  fs.writeFileSync(archive, content);
+  try {
+    await execFileAsync('tar', ['-xzf', archive, '-C', installDir, BINARY_NAME], { timeout: DOWNLOAD_TIMEOUT_MS });
+  } finally {
+    fs.rmSync(archive, { force: true });
+  }
+
+  const binary = path.join(installDir, BINARY_NAME);
+  fs.chmodSync(binary, 0o755);
+  return binary;
+}
+
+/**
+ * Find github-mcp-server on PATH, or download the release binary
+ * @param {object} options Check options
+ * @param {string} [options.binaryVersion] Release tag to download
+ * @param {string} [options.binarySha256] Expected SHA-256 of the release archive
+ * @param {string} options.installDir Directory to download into
+ * @returns {Promise<{ok: boolean, command?: string, reason?: string}>} Check result with the binary path
+ */
+async function checkBinary({ binaryVersion, binarySha256, installDir }) {
+  const onPath = findOnPath(BINARY_NAME);
+  if (onPath) {
+    return { ok: true, command: onPath };
+  }
+
+  try {
+    return { ok: true, command: await downloadBinary(binaryVersion || DEFAULT_BINARY_VERSION, installDir, { sha256: binarySha256 }) };
+  } catch (error) {
+    return { ok: false, reason: `${BINARY_NAME} is not on PATH and could not be downloaded: ${error.message}` };
+  }
+}
+
+/**
+ * Check that the remote endpoint answers an MCP initialize request with the GitHub token
+ * An unreachable endpoint or a rejected token would otherwise only show up when the agent calls a tool
+ * @param {object} options Check options
+ * @param {string} options.remoteUrl Remote MCP endpoint
+ * @param {string} [options.token] GitHub token sent as the bearer token
+ * @returns {Promise<{ok: boolean, reason?: string}>} Check result
+ */
+async function checkRemote({ remoteUrl, token }) {
+  if (!remoteUrl) {
+    return { ok: false, reason: 'github_mcp_remote_url is empty' };
+  }
+  if (!findOnPath('npx')) {
+    return { ok: false, reason: 'npx is not on PATH' };
+  }
+
+  let response;
+  try {
+    response = await fetch(remoteUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'awsapm-transport-check', version: '1.0.0' } }
+      }),
+      signal: AbortSignal.timeout(REMOTE_CHECK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return { ok: false, reason: `${remoteUrl} is not reachable (${error.cause ? error.cause.message : error.message})` };
+  }
+  // Only the status matters; drop the body so the connection is released
+  await response.body?.cancel().catch(() => {});
+
+  if (response.status === 401 || response.status === 403) {
+    return { ok: false, reason: `${remoteUrl} rejected the GitHub token with HTTP ${response.status}` };
+  }
+  if (!response.ok) {
+    return { ok: false, reason: `${remoteUrl} answered HTTP ${response.status}` };
+  }
+  return { ok: true };
+}
+
+const TRANSPORT_CHECKS = {
+  [GITHUB_MCP_TRANSPORT.DOCKER]: checkDocker,
+  [GITHUB_MCP_TRANSPORT.BINARY]: checkBinary,
+  [GITHUB_MCP_TRANSPORT.REMOTE]: checkRemote
+};
+
+/**
+ * Validate the github_mcp_transport input
+ * @param {string} [preference] github_mcp_transport input
+ * @returns {string} auto, docker, binary or remote
+ * @throws {Error} When the value is not a supported transport
+ */
+function parseGitHubMCPTransport(preference) {
+  const wanted = (preference || 'auto').trim().toLowerCase();
+  if (wanted !== 'auto' && !TRANSPORT_ORDER.includes(wanted)) {
+    throw new Error(`Unknown github_mcp_transport "${preference}". Supported values: auto, ${TRANSPORT_ORDER.join(', ')}`);
+  }
+  return wanted;
+}
+
+/**
+ * Choose how the GitHub MCP server runs on this runner
+ *
+ * `auto` tries Docker, then the github-mcp-server binary (on PATH or
+ * downloaded), then the remote endpoint through mcp-remote, and logs every
+ * fallback. A named transport is used only if it works. When nothing works
+ * the GitHub MCP server is left out with a warning, instead of failing
+ * silently when the agent tries to open a pull request.
+ *
+ * @param {object} options Resolution options
+ * @param {string} [options.preference] github_mcp_transport input: auto, docker, binary or remote
+ * @param {string} [options.binaryVersion] Release tag of the binary to download
+ * @param {string} [options.binarySha256] Expected SHA-256 of the binary's release archive
+ * @param {string} [options.remoteUrl] Remote MCP endpoint
+ * @param {string} [options.token] GitHub token for the remote endpoint check
+ * @param {string} options.installDir Directory to download the binary into
+ * @param {object} [options.checks] Check function per transport
+ * @returns {Promise<{transport: string, command: string|null}|null>} Chosen transport (with the binary path), or null
+ */
+async function resolveGitHubMCPTransport({ preference = 'auto', binaryVersion, binarySha256, remoteUrl, token, installDir, checks = TRANSPORT_CHECKS }) {
+  const wanted = parseGitHubMCPTransport(preference);
+  const candidates = wanted === 'auto' ? TRANSPORT_ORDER : [wanted];
+  const failures = [];
+  for (const transport of candidates) {
+    const result = await checks[transport]({ binaryVersion, binarySha256, remoteUrl, token, installDir });
+    if (result.ok) {
+      const detail = result.command || (transport === GITHUB_MCP_TRANSPORT.REMOTE ? remoteUrl : null);
+      core.info(`GitHub MCP server transport: ${TRANSPORT_LABELS[transport]}${detail ? ` (${detail})` : ''}`);
+      return { transport, command: result.command || null };
+    }
+
+    failures.push(`${transport}: ${result.reason}`);
+    const next = candidates[candidates.indexOf(transport) + 1];
+    if (next) {
+      core.warning(`GitHub MCP server: cannot use the ${TRANSPORT_LABELS[transport]} (${result.reason}) - falling back to the ${TRANSPORT_LABELS[next]}`);
+    }
+  }
+
+  core.warning(`GitHub MCP server disabled - no usable transport (${failures.join('; ')}). The agent cannot read the repository through GitHub or create pull requests; set github_mcp_transport to pick one`);
+  return null;
+}
+
+module.exports = {
+  GITHUB_MCP_TRANSPORT,
+  RELEASE_CHECKSUMS,
+  findOnPath,
+  getReleaseAssetName,
+  checkDocker,
+  downloadBinary,
+  checkBinary,
+  checkRemote,
+  parseGitHubMCPTransport,
+  resolveGitHubMCPTransport
+};
@@ -1,3 +1,38 @@
+const core = require('@actions/core');
+const { parseMCPServers, mergeMCPServers, qualifyToolName } = require('./custom-mcp-servers');
+const { detectCredentialSource } = require('./aws-credentials');
+const { parseAWSTargets, getTargetServerName, getTargetProfile, hasOwnCredentials, readTargetProfiles } = require('./aws-targets');
+const { GITHUB_MCP_TRANSPORT } = require('./github-mcp-transport');
+
+/**
+ * Built-in MCP server versions the action is tested with
+ * Pinned so an upstream release cannot change tool names mid-incident; the
+ * auto-approve lists below are written for these versions
+ */
+const DEFAULT_MCP_SERVER_VERSIONS = {
+  applicationsignals: '0.1.21',
+  'awslabs.cloudwatch-mcp-server': '0.0.13',
+  github: 'sha-efef8ae'
+};
+
+/**
+ * Environment variable holding the version input of each built-in server
+ */
+const MCP_SERVER_VERSION_ENV = {
+  applicationsignals: 'APPLICATIONSIGNALS_MCP_VERSION',
+  'awslabs.cloudwatch-mcp-server': 'CLOUDWATCH_MCP_VERSION',
+  github: 'GITHUB_MCP_VERSION'
+};
+
+const VERSION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._+!-]*$/;
+
+/**
+ * mcp-remote release that bridges the remote GitHub MCP endpoint to stdio
+ */
+const MCP_REMOTE_VERSION = '0.14.3';
+
+const DEFAULT_GITHUB_MCP_REMOTE_URL = 'https://api.githubcopilot.com/mcp/';
+
 /**
  * Centralized MCP configuration management for Amazon Q CLI
  * Provides a single source of truth for MCP configurations
@@ -6,13 +41,31 @@ class MCPConfigManager {
   constructor() {
   }
 
+  /**
+   * Get the version of a built-in MCP server from its version input
+   * @param {string} serverName Built-in server name
+   * @returns {string} Version (package version for uvx servers, image tag for GitHub)
+   */
+  getServerVersion(serverName) {
+    const envName = MCP_SERVER_VERSION_ENV[serverName];
+    const value = (process.env[envName] || '').trim();
+    if (!value) {
+      return DEFAULT_MCP_SERVER_VERSIONS[serverName];
+    }
+    if (!VERSION_PATTERN.test(value)) {
+      core.warning(`Invalid ${envName.toLowerCase()} "${value}", using ${DEFAULT_MCP_SERVER_VERSIONS[serverName]}`);
+      return DEFAULT_MCP_SERVER_VERSIONS[serverName];
+    }
+    return value;
+  }
+
   /**
    * Get AWS CloudWatch Application Signals MCP server configuration
    */
   getApplicationSignalsServerConfig() {
     return {
       command: "uvx",
-      args: ["awslabs.cloudwatch-applicationsignals-mcp-server@latest"],
+      args: [`awslabs.cloudwatch-applicationsignals-mcp-server@${this.getServerVersion("applicationsignals")}`],
       env: {
         MCP_RUN_FROM: "awsapm-gh"
       },
@@ -20,13 +73,64 @@ class MCPConfigManager {
     };
   }
 
+  /**
+   * Get the AWS environments from the aws_targets input
+   * @returns {Array<object>} Targets from parseAWSTargets (empty when the input is not set)
+   * @throws {Error} When the input is invalid
+   */
+  getAWSTargets() {
+    return parseAWSTargets(process.env.AWS_TARGETS || '');
+  }
+
+  /**
+   * Get the credentials file the init step wrote for the role and profile targets
+   * @returns {string} File path (AWSAPM_AWS_TARGET_CREDENTIALS_FILE), empty when there is none
+   */
+  getTargetCredentialsFile() {
+    return process.env.AWSAPM_AWS_TARGET_CREDENTIALS_FILE || '';
+  }
+
+  /**
+   * Get the Application Signals MCP server of one aws_targets environment
+   * Role and profile targets read their awsapm-<alias> profile from the target
+   * credentials file, so the configuration names no key. The runner's keys and
+   * web identity the server process inherits are blanked: boto3 prefers them to
+   * AWS_PROFILE
+   * @param {object} target Target from parseAWSTargets
+   * @param {string|null} [credentialsFile] Target credentials file from the init step
+   * @returns {object} Server entry in Amazon Q CLI format
+   */
+  getTargetServerConfig(target, credentialsFile = null) {
+    const serverName = getTargetServerName(target);
+    const server = this.getApplicationSignalsServerConfig();
+    const env = { ...server.env, AWS_REGION: target.region };
+    if (credentialsFile) {
+      Object.assign(env, {
+        AWS_PROFILE: getTargetProfile(target),
+        AWS_SHARED_CREDENTIALS_FILE: credentialsFile,
+        AWS_ACCESS_KEY_ID: '',
+        AWS_SECRET_ACCESS_KEY: '',
+        AWS_SESSION_TOKEN: '',
+        AWS_ROLE_ARN: '',
+        AWS_WEB_IDENTITY_TOKEN_FILE: ''
+      });
+    }
+
+    return {
+      ...server,
+      env,
+      autoApprove: this.getApplicationSignalsToolsList().map(tool => qualifyToolName(serverName, tool.split('__').pop())),
+      disabled: false
+    };
+  }
+
   /**
    * Get AWS CloudWatch MCP server configuration
    */
   getCloudWatchServerConfig() {
     return {
       command: "uvx",
-      args: ["awslabs.cloudwatch-mcp-server@latest"],
+      args: [`awslabs.cloudwatch-mcp-server@${this.getServerVersion("awslabs.cloudwatch-mcp-server")}`],
       env: {
         MCP_RUN_FROM: "awsapm-gh"
       },
@@ -35,9 +139,66 @@ class MCPConfigManager {
   }
 
   /**
-   * Get GitHub MCP server configuration (Docker-based)
+   * Check whether the investigation runs in read-only mode
+   * READ_ONLY is resolved by the init step from the read_only input and the request
+   * @returns {boolean} True when GitHub write tools must not be available
+   */
+  isReadOnly() {
+    return process.env.READ_ONLY === 'true';
+  }
+
+  /**
+   * Get how the GitHub MCP server runs
+   * AWSAPM_GITHUB_MCP_TRANSPORT is resolved by the init step (docker, binary,
+   * remote, or empty when none works); Docker is assumed outside the action
+   * @returns {string} Transport, empty when the server is unavailable
+   */
+  getGitHubTransport() {
+    const transport = process.env.AWSAPM_GITHUB_MCP_TRANSPORT;
+    return transport === undefined ? GITHUB_MCP_TRANSPORT.DOCKER : transport;
+  }
+
+  /**
+   * Get GitHub MCP server configuration for the chosen transport
+   * The token is deliberately not part of the config: `-e GITHUB_PERSONAL_ACCESS_TOKEN`
+   * forwards it from the agent's process env, so it is never written to disk;
+   * the binary reads the same variable and mcp-remote expands it into the header
+   * In read-only mode the server itself also drops its write tools (GITHUB_READ_ONLY)
    */
-  getGitHubServerConfig(token) {
+  getGitHubServerConfig() {
+    const env = {
+      GITHUB_HOST: process.env.GITHUB_SERVER_URL || "https://github.com"
+    };
+    if (this.isReadOnly()) {
+      env.GITHUB_READ_ONLY = "1";
+    }
+
+    const transport = this.getGitHubTransport();
+    if (transport === GITHUB_MCP_TRANSPORT.BINARY) {
+      return {
+        command: process.env.AWSAPM_GITHUB_MCP_COMMAND || "github-mcp-server",
+        args: ["stdio"],
+        env,
+        transportType: "stdio"
+      };
+    }
+
+    if (transport === GITHUB_MCP_TRANSPORT.REMOTE) {
+      return {
+        command: "npx",
+        args: [
+          "-y",
+          `mcp-remote@${MCP_REMOTE_VERSION}`,
+          process.env.GITHUB_MCP_REMOTE_URL || DEFAULT_GITHUB_MCP_REMOTE_URL,
+          "--header",
+          "Authorization:Bearer ${GITHUB_PERSONAL_ACCESS_TOKEN}",
+          ...(this.isReadOnly() ? ["--header", "X-MCP-Readonly:true"] : [])
+        ],
+        env: {},
+        transportType: "stdio"
+      };
+    }
+
     return {
       command: "docker",
       args: [
@@ -46,14 +207,10 @@ class MCPConfigManager {
         "--rm",
         "-e",
         "GITHUB_PERSONAL_ACCESS_TOKEN",
-        "-e",
-        "GITHUB_HOST",
-        "ghcr.io/github/github-mcp-server:sha-efef8ae"
+        ...Object.keys(env).flatMap(name => ["-e", name]),
+        `ghcr.io/github/github-mcp-server:${this.getServerVersion("github")}`
       ],
-      env: {
-        GITHUB_PERSONAL_ACCESS_TOKEN: token,
-        GITHUB_HOST: process.env.GITHUB_SERVER_URL || "https://github.com"
-      },
+      env,
       transportType: "stdio"
     };
   }
@@ -101,68 +258,112 @@ class MCPConfigManager {
 
   /**
    * Get list of GitHub MCP tools for auto-approval
+   * Read-only mode leaves out the tools that create branches, commits and pull requests
    */
   getGitHubToolsList() {
+    const readTools = [
+      "mcp__github__get_file",
+      "mcp__github__list_files",
+      "mcp__github__get_file_contents"
+    ];
+    if (this.isReadOnly()) {
+      return readTools;
+    }
+
     return [
       "mcp__github__create_pull_request",
       "mcp__github__create_or_update_file",
       "mcp__github__push_files",
-      "mcp__github__get_file",
       "mcp__github__create_branch",
-      "mcp__github__list_files",
-      "mcp__github__get_file_contents"
+      ...readTools
     ];
   }
 
+  /**
+   * Get every built-in MCP server in Amazon Q CLI format, whether or not it is enabled
+   * @returns {object} Server entries by name
+   */
+  getBuiltInServers() {
+    return {
+      applicationsignals: {
+        ...this.getApplicationSignalsServerConfig(),
+        autoApprove: this.getApplicationSignalsToolsList(),
+        disabled: false
+      },
+      "awslabs.cloudwatch-mcp-server": {
+        ...this.getCloudWatchServerConfig(),
+        autoApprove: this.getCloudWatchToolsList(),
+        disabled: false
+      },
+      github: {
+        ...this.getGitHubServerConfig(),
+        autoApprove: this.getGitHubToolsList(),
+        disabled: false
+      }
+    };
+  }
+
+  /**
+   * Get the servers from the mcp_servers input
+   * @returns {object} Validated server entries by name
+   * @throws {Error} When the input is invalid
+   */
+  getCustomServers() {
+    return parseMCPServers(process.env.MCP_SERVERS || '', Object.keys(this.getBuiltInServers()));
+  }
+
   /**
    * Build complete MCP configuration for Amazon Q CLI
    * @returns {object} MCP configuration object
    */
   buildMCPConfig() {
     const config = { mcpServers: {} };
+    const builtInServers = this.getBuiltInServers();
 
-    // Add AWS CloudWatch Application Signals MCP server if credentials available
+    // Add AWS CloudWatch Application Signals MCP server if credentials available,
+    // one per environment when aws_targets is set
     if (this.hasAWSCredentials()) {
-      const applicationSignalsConfig = this.getApplicationSignalsServerConfig();
-
-      // Amazon Q CLI format
-      config.mcpServers["applicationsignals"] = {
-        ...applicationSignalsConfig,
-        autoApprove: this.getApplicationSignalsToolsList(),
-        disabled: false
-      };
+      const targets = this.getAWSTargets();
+      if (targets.length === 0) {
+        config.mcpServers["applicationsignals"] = builtInServers.applicationsignals;
+      }
+      const credentialsFile = this.getTargetCredentialsFile();
+      const profiles = targets.some(hasOwnCredentials) ? readTargetProfiles(credentialsFile) : [];
+      for (const target of targets) {
+        // Never let a role or profile target run with the runner's credentials
+        if (hasOwnCredentials(target) && !profiles.includes(getTargetProfile(target))) {
+          continue;
+        }
+        config.mcpServers[getTargetServerName(target)] = this.getTargetServerConfig(target, hasOwnCredentials(target) ? credentialsFile : null);
+      }
     }
 
     // Add AWS CloudWatch MCP server if explicitly enabled and credentials available
     if (this.hasCloudWatchAccess()) {
-      const cloudwatchConfig = this.getCloudWatchServerConfig();
-
-      config.mcpServers["awslabs.cloudwatch-mcp-server"] = {
-        ...cloudwatchConfig,
-        autoApprove: this.getCloudWatchToolsList(),
-        disabled: false
-      };
+      config.mcpServers["awslabs.cloudwatch-mcp-server"] = builtInServers["awslabs.cloudwatch-mcp-server"];
     }
 
-    // Add GitHub MCP server if token available
-    if (this.hasGitHubToken()) {
-      const githubConfig = this.getGitHubServerConfig(process.env.GITHUB_TOKEN);
-
-      config.mcpServers.github = {
-        ...githubConfig,
-        autoApprove: this.getGitHubToolsList(),
-        disabled: false
-      };
+    // Add GitHub MCP server if token available and the init step found a way to run it
+    if (this.hasGitHubToken() && this.getGitHubTransport()) {
+      config.mcpServers.github = builtInServers.github;
     }
 
+    // Add, override or disable servers from the mcp_servers input
+    config.mcpServers = mergeMCPServers(config.mcpServers, builtInServers, this.getCustomServers());
+
     return config;
   }
 
   /**
-   * Check if AWS credentials are available
+   * Check if AWS credentials are available from any source of the provider chain
+   * (environment, profile, web identity, ECS/EKS container or EC2 instance role)
    */
   hasAWSCredentials() {
-    return !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+    // Resolved and validated with STS by the init step
+    if (process.env.AWSAPM_CREDENTIAL_SOURCE !== undefined) {
+      return process.env.AWSAPM_CREDENTIAL_SOURCE !== '';
+    }
+    return detectCredentialSource() !== null;
   }
 
   /**
@@ -191,4 +392,4 @@ class MCPConfigManager {
   }
 }
 
-module.exports = { MCPConfigManager };
+module.exports = { MCPConfigManager, DEFAULT_MCP_SERVER_VERSIONS, DEFAULT_GITHUB_MCP_REMOTE_URL };
@@ -0,0 +1,128 @@
+const core = require('@actions/core');
+const { MCPConfigManager, DEFAULT_MCP_SERVER_VERSIONS } = require('./mcp-config');
+const { qualifyToolName } = require('./custom-mcp-servers');
+const { createClient, createStdioTransport } = require('../utils/mcp-client');
+
+const TOOL_CHECK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Get the built-in definition of a server when the configuration still uses it unchanged
+ * Servers overridden through mcp_servers are the user's to keep in sync
+ * @param {string} name Server name
+ * @param {object} server Server entry from MCPConfigManager.buildMCPConfig()
+ * @param {MCPConfigManager} manager Config manager
+ * @returns {object|null} Built-in definition, or null for custom and overridden servers
+ */
+function getUnchangedBuiltIn(name, server, manager) {
+  const builtIn = manager.getBuiltInServers()[name];
+  if (!builtIn || server.disabled) {
+    return null;
+  }
+  const same = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+  return builtIn.command === server.command && same(builtIn.args, server.args) && same(builtIn.autoApprove, server.autoApprove)
+    ? builtIn
+    : null;
+}
+
+/**
+ * Compare a server's auto-approve list with the tools it exposes
+ * @param {string} serverName Server name
+ * @param {Array<string>} approvedTools Auto-approved tools (mcp__<server>__<tool>)
+ * @param {Array<string>} exposedTools Tool names reported by the server
+ * @returns {{missing: Array<string>, unapproved: Array<string>}} Approved tools the server lacks, and exposed tools nobody approved
+ */
+function findToolMismatches(serverName, approvedTools, exposedTools) {
+  const exposed = exposedTools.map(tool => qualifyToolName(serverName, tool));
+  return {
+    missing: approvedTools.filter(tool => !exposed.includes(tool)),
+    unapproved: exposed.filter(tool => !approvedTools.includes(tool))
+  };
+}
+
+/**
+ * Log a warning when a built-in server's hardcoded tool list does not match the tools it exposes
+ * @param {string} name Server name
+ * @param {object} server Server entry from MCPConfigManager.buildMCPConfig()
+ * @param {Array<string>} exposedTools Tool names reported by the server
+ * @param {MCPConfigManager} [manager] Config manager
+ * @returns {object|null} Mismatches, or null when the server is not an unchanged built-in
+ */
+function warnOnToolMismatches(name, server, exposedTools, manager = new MCPConfigManager()) {
+  const builtIn = getUnchangedBuiltIn(name, server, manager);
+  if (!builtIn) {
+    return null;
+  }
+
+  const version = manager.getServerVersion(name);
+  const mismatches = findToolMismatches(name, builtIn.autoApprove, exposedTools);
+  if (mismatches.missing.length > 0) {
+    core.warning(`${name} MCP server ${version} does not expose auto-approved tools ${mismatches.missing.join(', ')} - the agent will not be able to use them; pin a version the tool list was written for`);
+  }
+  if (mismatches.unapproved.length > 0) {
+    core.warning(`${name} MCP server ${version} exposes tools that are not auto-approved: ${mismatches.unapproved.join(', ')}`);
+  }
+  if (mismatches.missing.length === 0 && mismatches.unapproved.length === 0) {
+    core.info(`${name} MCP server ${version} exposes all ${builtIn.autoApprove.length} auto-approved tools`);
+  }
+  return mismatches;
+}
+
+/**
+ * Start a server just long enough to list its tools
+ * @param {object} server Server entry
+ * @param {string} cwd Working directory of the server process
+ * @param {number} timeoutMs Time allowed for start-up and listing
+ * @returns {Promise<Array<string>>} Tool names
+ */
+async function listServerTools(server, cwd, timeoutMs) {
+  const client = createClient('awsapm-tool-check');
+  const transport = createStdioTransport(server, cwd);
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+  });
+
+  try {
+    const { tools } = await Promise.race([
+      client.connect(transport).then(() => client.listTools()),
+      timeout
+    ]);
+    return tools.map(tool => tool.name);
+  } finally {
+    clearTimeout(timer);
+    // Stops the server process, also when it is still starting
+    await transport.close().catch(() => {});
+  }
+}
+
+/**
+ * Check every unchanged built-in server of an MCP configuration against its hardcoded tool list
+ * Servers are started in parallel; a server that fails to start only skips its check
+ * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+ * @param {object} [options] Check options
+ * @param {string} [options.cwd] Working directory of the server processes
+ * @param {number} [options.timeoutMs] Time allowed per server
+ * @param {Function} [options.listTools] (server, cwd, timeoutMs) => Promise<Array<string>>
+ * @param {boolean} [options.changedOnly] Check only servers whose version input differs from the pinned version
+ * @returns {Promise<void>}
+ */
+async function checkBuiltInServerTools(mcpConfig, { cwd = process.cwd(), timeoutMs = TOOL_CHECK_TIMEOUT_MS, listTools = listServerTools, changedOnly = false } = {}) {
+  const manager = new MCPConfigManager();
+  const servers = Object.entries(mcpConfig.mcpServers || {})
+    .filter(([name, server]) => getUnchangedBuiltIn(name, server, manager))
+    .filter(([name]) => !changedOnly || manager.getServerVersion(name) !== DEFAULT_MCP_SERVER_VERSIONS[name]);
+
+  await Promise.all(servers.map(async ([name, server]) => {
+    try {
+      warnOnToolMismatches(name, server, await listTools(server, cwd, timeoutMs), manager);
+    } catch (error) {
+      core.info(`Skipped the tool check of the ${name} MCP server: ${error.message}`);
+    }
+  }));
+}
+
+module.exports = {
+  findToolMismatches,
+  warnOnToolMismatches,
+  checkBuiltInServerTools
+};
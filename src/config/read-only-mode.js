@@ -0,0 +1,51 @@
+/**
+ * Explicit read-only directives of a request: a --read-only flag anywhere, or a
+ * leading phrase set off by punctuation, e.g. "@awsapm analysis only: why is checkout slow?"
+ * Phrases elsewhere in the text ("the read-only replica", "investigate only the
+ * payment service") describe the problem and do not count
+ */
+const READ_ONLY_FLAG_PATTERN = /(?:^|\s)(--read-only)(?=\s|$)/i;
+const READ_ONLY_LEADING_PATTERN = /^\s*(analysis[ -]only|analy[sz]e only|investigate only|read[ -]only)\s*(?:[:,.!]|-\s|$)/i;
+
+/**
+ * Find the directive that asks for analysis only
+ * @param {string} text Trigger comment or issue body, without the bot name
+ * @returns {string|null} The directive as written, or null when the request has none
+ */
+function findReadOnlyDirective(text) {
+  const match = (text || '').match(READ_ONLY_FLAG_PATTERN) || (text || '').match(READ_ONLY_LEADING_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check whether the user's request asks for analysis only
+ * @param {string} text Trigger comment or issue body, without the bot name
+ * @returns {boolean} True when the request opts into read-only mode
+ */
+function isReadOnlyRequest(text) {
+  return findReadOnlyDirective(text) !== null;
+}
+
+/**
+ * Decide whether the investigation runs in read-only mode
+ * The read_only input turns it on for every request; a request can opt in, never out
+ * @param {string} inputValue read_only input
+ * @param {string} requestText Trigger comment or issue body, without the bot name
+ * @returns {{readOnly: boolean, source: string|null, directive: string|null}} Mode, what enabled it ('input' or 'request') and the request's directive
+ */
+function resolveReadOnlyMode(inputValue, requestText) {
+  if (String(inputValue).trim().toLowerCase() === 'true') {
+    return { readOnly: true, source: 'input', directive: null };
+  }
+  const directive = findReadOnlyDirective(requestText);
+  if (directive) {
+    return { readOnly: true, source: 'request', directive };
+  }
+  return { readOnly: false, source: null, directive: null };
+}
+
+module.exports = {
+  findReadOnlyDirective,
+  isReadOnlyRequest,
+  resolveReadOnlyMode
+};
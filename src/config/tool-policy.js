@@ -0,0 +1,92 @@
+const { qualifyToolName } = require('./custom-mcp-servers');
+
+/**
+ * Split an allowed_tools / disallowed_tools input into tool names
+ * Names are separated by commas or newlines (not spaces, which Claude Code
+ * permission rules such as "Bash(git diff:*)" may contain)
+ * @param {string} value Input value
+ * @returns {Array<string>} Tool names
+ */
+function parseToolList(value) {
+  return (value || '')
+    .split(/[,\n]/)
+    .map(tool => tool.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Decides which tools the agent is trusted to run without approval
+ *
+ * The allowlist is the executor's built-in tools, the auto-approve lists of the
+ * enabled MCP servers (MCPConfigManager) and the allowed_tools input, minus every
+ * tool matching disallowed_tools. MCP tools are named mcp__<server>__<tool>; a
+ * disallowed_tools entry ending in "*" matches every tool with that prefix,
+ * e.g. "mcp__github__*".
+ */
+class ToolPolicy {
+  /**
+   * @param {object} [lists] Tool lists
+   * @param {Array<string>} [lists.allowed] Tools trusted in addition to the curated lists
+   * @param {Array<string>} [lists.disallowed] Tools or prefix patterns never trusted
+   */
+  constructor({ allowed = [], disallowed = [] } = {}) {
+    this.allowed = allowed;
+    this.disallowed = disallowed;
+  }
+
+  /**
+   * Create a policy from the allowed_tools and disallowed_tools inputs
+   * @returns {ToolPolicy} Tool policy
+   */
+  static fromEnv() {
+    return new ToolPolicy({
+      allowed: parseToolList(process.env.ALLOWED_TOOLS),
+      disallowed: parseToolList(process.env.DISALLOWED_TOOLS)
+    });
+  }
+
+  /**
+   * Check a tool against disallowed_tools
+   * @param {string} tool Tool name
+   * @returns {boolean} True when the tool must not be trusted
+   */
+  isDisallowed(tool) {
+    return this.disallowed.some(pattern => (pattern.endsWith('*')
+      ? tool.startsWith(pattern.slice(0, -1))
+      : tool === pattern));
+  }
+
+  /**
+   * Build the tools an executor trusts
+   * @param {Array<string>} builtInTools Built-in agent tools trusted by default
+   * @param {object} [mcpConfig] Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {Array<string>} Trusted tool names, without duplicates
+   */
+  buildAllowlist(builtInTools, mcpConfig = null) {
+    const tools = [...builtInTools];
+
+    for (const server of Object.values((mcpConfig && mcpConfig.mcpServers) || {})) {
+      if (!server.disabled) {
+        tools.push(...(server.autoApprove || []));
+      }
+    }
+    tools.push(...this.allowed);
+
+    return [...new Set(tools)].filter(tool => !this.isDisallowed(tool));
+  }
+
+  /**
+   * Find the tool calls of a transcript that were not on the allowlist
+   * @param {Array<object>} transcript Tool calls from TranscriptParser
+   * @param {Array<string>} allowlist Trusted tool names
+   * @returns {Array<string>} Blocked tool names, once each in call order
+   */
+  findBlockedCalls(transcript, allowlist) {
+    const blocked = transcript
+      .map(call => (call.server ? qualifyToolName(call.server, call.name) : call.name))
+      .filter(tool => !allowlist.includes(tool));
+    return [...new Set(blocked)];
+  }
+}
+
+module.exports = { ToolPolicy, parseToolList };
@@ -4,8 +4,94 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const fs = require('fs');
 const path = require('path');
-const { AmazonQCLIExecutor } = require('./executors/amazonq-cli-executor');
+const {
+  AUTO_DETECT,
+  REPLAY_EXECUTOR,
+  createExecutor,
+  getExecutorDisplayName,
+  normalizeExecutorName,
+  resolveExecutorName
+} = require('./executors/executor-registry');
+const { InvestigationTimeoutError, BudgetExceededError, parseTimeoutMinutes } = require('./executors/base-cli-executor');
+const { EXECUTION_STATUS, createExecutionResult } = require('./utils/execution-result');
+const { InvestigationBudget } = require('./utils/investigation-budget');
 const { OutputCleaner } = require('./utils/output-cleaner');
+const { ProgressReporter } = require('./utils/progress-reporter');
+const { RetryPolicy } = require('./utils/retry-policy');
+const { parsePriceTable, summarizeUsage } = require('./utils/usage-report');
+
+/**
+ * Create a reporter that keeps the tracking comment updated while the agent runs
+ * @param {object} context GitHub context
+ * @returns {ProgressReporter|null} Reporter, or null when there is no tracking comment or updates are disabled
+ */
+function createProgressReporter(context) {
+  const commentId = process.env.AWSAPM_COMMENT_ID;
+  const githubToken = process.env.GITHUB_TOKEN;
+  const intervalSeconds = ProgressReporter.parseInterval(process.env.PROGRESS_UPDATE_INTERVAL);
+
+  if (!commentId || !githubToken || intervalSeconds === 0) {
+    return null;
+  }
+
+  const octokit = github.getOctokit(githubToken);
+  const repositoryUrl = context.payload.repository && context.payload.repository.html_url;
+
+  return new ProgressReporter({
+    intervalSeconds,
+    workflowUrl: repositoryUrl ? `${repositoryUrl}/actions/runs/${context.runId}` : '',
+    updateComment: body => octokit.rest.issues.updateComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      comment_id: commentId,
+      body
+    })
+  });
+}
+
+/**
+ * Build the execution result for an error thrown without one (e.g. while creating the executor)
+ * @param {Error} error Error that ended the investigation
+ * @returns {object} Execution result
+ */
+function createErrorResult(error) {
+  if (error instanceof InvestigationTimeoutError) {
+    return createExecutionResult({ status: EXECUTION_STATUS.TIMED_OUT, markdown: error.partialResult || '', timeoutMinutes: error.timeoutMinutes });
+  }
+  if (error instanceof BudgetExceededError) {
+    const { budget, limit, used } = error;
+    return createExecutionResult({ status: EXECUTION_STATUS.BUDGET_EXCEEDED, markdown: error.partialResult || '', budget: { budget, limit, used } });
+  }
+  return createExecutionResult({ status: EXECUTION_STATUS.FAILED, error: error.message });
+}
+
+/**
+ * Pick the response text for the execution result of the investigation
+ * @param {object} result Execution result
+ * @param {string} displayName Display name of the agent CLI
+ * @param {string} promptContent Prompt the investigation ran with
+ * @returns {string} Response text
+ */
+function getResponseContent(result, displayName, promptContent) {
+  switch (result.status) {
+    case EXECUTION_STATUS.EMPTY:
+      return 'Investigation completed, but no output was generated.';
+    case EXECUTION_STATUS.TIMED_OUT:
+      return result.markdown || 'No investigation output was captured before the timeout.';
+    case EXECUTION_STATUS.BUDGET_EXCEEDED:
+      return result.markdown || 'No investigation output was captured before the budget was exceeded.';
+    case EXECUTION_STATUS.FAILED:
+      return `❌ **${displayName} Investigation Failed**
+
+**Error:** ${result.error}
+
+**User Request:** ${promptContent}
+
+Please check the workflow logs for more details and ensure proper authentication is configured.`;
+    default:
+      return result.markdown;
+  }
+}
 
 /**
  * Main entry point for Application observability for AWS investigation
@@ -33,39 +119,127 @@ async function run() {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    // Run Amazon Q Developer CLI investigation
-    let investigationResult = '';
-
-    try {
-      core.info('Running Amazon Q Developer CLI investigation...');
-      const executor = new AmazonQCLIExecutor(null);
-      investigationResult = await executor.execute(promptContent);
-      core.info('Amazon Q Developer CLI investigation completed');
-    } catch (error) {
-      core.error(`Amazon Q Developer CLI failed: ${error.message}`);
+    // Unique run ID avoids conflicts between runs on self-hosted runners
+    const runId = process.env.GITHUB_RUN_ID || Date.now();
 
-      // Return the actual error message
-      investigationResult = `❌ **Amazon Q Investigation Failed**
+    // Record mode saves the raw stream of the run so it can be replayed later
+    const recordFile = (process.env.AWSAPM_RECORD_FILE || '').trim();
+    const recordPath = recordFile ? path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), recordFile) : null;
 
-**Error:** ${error.message}
+    // Run the investigation with the executor selected by the agent_cli input
+    const agentCli = resolveExecutorName(process.env.AGENT_CLI);
+    const displayName = getExecutorDisplayName(agentCli);
+    if (normalizeExecutorName(process.env.AGENT_CLI) === AUTO_DETECT) {
+      core.info(`Auto-detected agent CLI: ${agentCli}`);
+    }
+    let result = null;
+    const progressReporter = createProgressReporter(context);
+    let executor = null;
+    // Token usage of every attempt, failed ones included, since all of them are billed
+    const usageRecords = [];
 
-**User Request:** ${promptContent}
+    // One investigation_timeout covers every attempt, retries included
+    const timeoutMinutes = parseTimeoutMinutes(process.env.INVESTIGATION_TIMEOUT);
+    const deadline = timeoutMinutes > 0 ? Date.now() + timeoutMinutes * 60 * 1000 : null;
+    // A replay reproduces one recorded run, so its failures are never retried
+    const retryPolicy = agentCli === REPLAY_EXECUTOR ? new RetryPolicy({ maxRetries: 0, deadline }) : RetryPolicy.fromEnv({ deadline });
+    // Tool call, Logs Insights query and token budgets are shared by all attempts as well
+    const budget = InvestigationBudget.fromEnv();
 
-Please check the workflow logs for more details and ensure proper authentication is configured.`;
+    try {
+      core.info(`Running ${displayName} investigation...`);
+      if (progressReporter) {
+        progressReporter.start();
+      }
+      result = await retryPolicy.run(async (attempt) => {
+        if (attempt > 1) {
+          core.info(`Retrying ${displayName} investigation (attempt ${attempt})...`);
+        }
+        // Fresh executor per attempt so no state leaks from a failed run
+        executor = createExecutor(agentCli);
+        executor.deadline = deadline;
+        budget.startAttempt();
+        executor.budget = budget;
+        // Full raw output is spilled here; only its tail is kept in memory
+        executor.rawOutputPath = path.join(outputDir, `awsapm-raw-output-${runId}-${attempt}.log`);
+        // Each attempt overwrites the recording, so it holds the last attempt
+        executor.recordPath = recordPath;
+        if (progressReporter) {
+          executor.addOutputListener(text => progressReporter.handleOutput(text));
+        }
+        try {
+          return await executor.execute(promptContent);
+        } catch (error) {
+          // Failures after the agent's first tool call are not retried
+          error.toolCalls = executor.getTranscript().length;
+          throw error;
+        } finally {
+          usageRecords.push(...(executor.getUsage() || []));
+        }
+      });
+      core.info(`${displayName} investigation completed`);
+    } catch (error) {
+      // Stopped runs keep their partial result so post-result can show what was found
+      if (error instanceof InvestigationTimeoutError || error instanceof BudgetExceededError) {
+        core.warning(`${displayName} ${error.message}`);
+      } else {
+        core.error(`${displayName} failed: ${error.message}`);
+      }
+      result = error.result || createErrorResult(error);
+    } finally {
+      if (progressReporter) {
+        await progressReporter.stop();
+      }
     }
 
     // Clean the output to ensure proper markdown formatting for GitHub
     const cleaner = new OutputCleaner();
-    const cleanedResult = cleaner.clean(investigationResult);
+    const cleanedResult = cleaner.clean(getResponseContent(result, displayName, promptContent));
 
     // Save the cleaned response with unique run ID to avoid conflicts on self-hosted runners
-    const runId = process.env.GITHUB_RUN_ID || Date.now();
     const responseFile = path.join(outputDir, `awsapm-response-${runId}.txt`);
     fs.writeFileSync(responseFile, cleanedResult);
 
+    // Save the execution result so post-result can pick the comment for its status
+    const resultFile = path.join(outputDir, `awsapm-result-${runId}.json`);
+    fs.writeFileSync(resultFile, JSON.stringify(result, null, 2));
+    core.info(`${displayName} investigation status: ${result.status}`);
+
+    // Save the tool-call transcript next to the response for auditing and downstream steps
+    const transcript = executor ? executor.getTranscript() : [];
+    const transcriptFile = path.join(outputDir, `awsapm-transcript-${runId}.json`);
+    fs.writeFileSync(transcriptFile, JSON.stringify(transcript, null, 2));
+    core.info(`Recorded ${transcript.length} tool calls in ${transcriptFile}`);
+
+    // Estimate the cost of the investigation from the reported token usage
+    const usage = summarizeUsage(usageRecords, parsePriceTable(process.env.TOKEN_PRICES));
+    if (usage) {
+      const cost = usage.estimatedCostUsd !== null ? `, estimated cost $${usage.estimatedCostUsd}` : '';
+      core.info(`Token usage: ${usage.requests} requests, ${usage.inputTokens} input tokens, ${usage.outputTokens} output tokens${cost}`);
+      if (usage.unpricedModels.length > 0) {
+        core.warning(`No token price configured for ${usage.unpricedModels.join(', ')} - add it to token_prices to include it in the cost estimate`);
+      }
+    } else {
+      core.info(`${displayName} does not report token usage`);
+    }
+
     // Set outputs
     core.setOutput('execution_file', responseFile);
+    core.setOutput('transcript_file', transcriptFile);
+    core.setOutput('result_file', resultFile);
+    if (result.rawOutputPath) {
+      core.setOutput('raw_output_file', result.rawOutputPath);
+    }
     core.setOutput('conclusion', 'success');
+    core.setOutput('status', result.status);
+    core.setOutput('timed_out', (result.status === EXECUTION_STATUS.TIMED_OUT).toString());
+    core.setOutput('budget_exceeded', result.budget ? result.budget.budget : '');
+    core.setOutput('session_resumed', executor && executor.sessionResumed ? 'true' : 'false');
+    core.setOutput('session_saved', executor && executor.sessionSaved ? 'true' : 'false');
+    core.setOutput('attempts', JSON.stringify(retryPolicy.attempts));
+    core.setOutput('usage', usage ? JSON.stringify(usage) : '');
+    core.setOutput('total_tokens', usage ? String(usage.totalTokens) : '');
+    core.setOutput('estimated_cost_usd', usage && usage.estimatedCostUsd !== null ? String(usage.estimatedCostUsd) : '');
 
     core.info('Investigation completed');
 
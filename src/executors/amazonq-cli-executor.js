@@ -2,10 +2,18 @@ const core = require('@actions/core');
 const { BaseCLIExecutor } = require('./base-cli-executor');
 const { MCPConfigManager } = require('../config/mcp-config');
 const { OutputCleaner } = require('../utils/output-cleaner');
-const { promisify } = require('util');
+const { TranscriptParser } = require('../utils/transcript-parser');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+
+/**
+ * Amazon Q / Kiro built-in tools the agent may use without approval
+ * (reading the checked out repository); fs_write, execute_bash and use_aws
+ * are only trusted through allowed_tools
+ */
+const AMAZONQ_BUILTIN_TOOLS = [
+  'fs_read'
+];
 
 /**
  * Amazon Q Developer CLI executor
@@ -15,6 +23,8 @@ class AmazonQCLIExecutor extends BaseCLIExecutor {
   constructor() {
     super();
     this.outputCleaner = new OutputCleaner();
+    this.allowedTools = this.toolPolicy.buildAllowlist(AMAZONQ_BUILTIN_TOOLS);
+    this.trustedTools = this.formatTrustedTools(this.allowedTools);
   }
 
   getCommandName() {
@@ -25,10 +35,54 @@ class AmazonQCLIExecutor extends BaseCLIExecutor {
     return [
       'chat',
       '--no-interactive',
-      '--trust-all-tools'
+      `--trust-tools=${this.trustedTools.join(',')}`
     ];
   }
 
+  /**
+   * Convert allowlist names into the CLI's tool names: MCP tools
+   * (mcp__<server>__<tool>) become @<server>/<tool>, built-in tools are kept
+   * @param {Array<string>} tools Allowlist from ToolPolicy.buildAllowlist
+   * @param {object} [mcpConfig] Configuration from MCPConfigManager.buildMCPConfig(), for the server names
+   * @returns {Array<string>} Trusted tool names
+   */
+  formatTrustedTools(tools, mcpConfig = null) {
+    const servers = Object.keys((mcpConfig && mcpConfig.mcpServers) || {});
+
+    return tools.map(tool => {
+      const match = tool.match(/^mcp__(.+?)__(.+)$/);
+      if (!match) {
+        return tool;
+      }
+      // Qualified names replace "." in server names with "_"
+      const server = servers.find(name => name.replace(/[^a-zA-Z0-9_-]/g, '_') === match[1]) || match[1];
+      return `@${server}/${match[2]}`;
+    });
+  }
+
+  /**
+   * Trust the built-in tools and the auto-approved tools of the enabled MCP servers
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   */
+  applyToolPolicy(mcpConfig) {
+    this.allowedTools = this.toolPolicy.buildAllowlist(AMAZONQ_BUILTIN_TOOLS, mcpConfig);
+    this.trustedTools = this.formatTrustedTools(this.allowedTools, mcpConfig);
+  }
+
+  /**
+   * Amazon Q keeps conversations per working directory in its data directory
+   */
+  getSessionStatePaths() {
+    return [path.join('.local', 'share', 'amazon-q')];
+  }
+
+  /**
+   * --resume continues the last conversation in the working directory
+   */
+  getResumeArgs() {
+    return ['--resume'];
+  }
+
   getEnvironmentVariables() {
     return {
       ...process.env,
@@ -40,26 +94,18 @@ class AmazonQCLIExecutor extends BaseCLIExecutor {
   /**
    * Setup MCP configuration for Amazon Q CLI
    * Uses centralized MCPConfigManager
-   * Config is written to ~/.aws/amazonq/mcp.json (not temp dir)
+   * Config is written to <config home>/.aws/amazonq/mcp.json; the GitHub token
+   * is not part of it and reaches the MCP server through the process env
    */
   async setupConfiguration() {
-    const execAsync = promisify(require('child_process').exec);
-
     try {
       // Ensure uvx is installed for Amazon Q CLI
-      try {
-        await execAsync('uvx --version', { timeout: 10000 });
-      } catch (uvxError) {
-        try {
-          await execAsync('pip install uvx', { timeout: 60000 });
-        } catch (installError) {
-          core.warning(`Failed to install uvx: ${installError.message}`);
-          return null;
-        }
+      if (!await this.ensureUvxAvailable()) {
+        return null;
       }
 
       // Create MCP configuration directory
-      const homeDir = os.homedir();
+      const homeDir = this.getConfigHome();
       const mcpConfigDir = path.join(homeDir, '.aws', 'amazonq');
 
       if (!fs.existsSync(mcpConfigDir)) {
@@ -72,19 +118,20 @@ class AmazonQCLIExecutor extends BaseCLIExecutor {
 
       // Create MCP configuration file
       const mcpConfigPath = path.join(mcpConfigDir, 'mcp.json');
-      fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
+      fs.writeFileSync(mcpConfigPath, JSON.stringify(mcpConfig, null, 2), { mode: 0o600 });
+      this.applyToolPolicy(mcpConfig);
+      await this.checkMCPTools(mcpConfig);
 
       // Log critical configuration status
-      if (!mcpConfigManager.hasGitHubToken()) {
-        core.warning('GitHub token not available - PR creation will not work');
-      }
+      this.checkGitHubServer(mcpConfigManager);
 
-      // Don't return the config path for cleanup since it's in home directory
+      // Not returned for cleanup: the per-run home is kept across retries
+      // and removed by the action's cleanup step
       return null;
 
     } catch (error) {
-      core.warning(`Failed to setup Amazon Q MCP configuration: ${error.message}`);
-      core.warning('Amazon Q CLI will run without MCP tools');
+      this.addWarning(`Failed to setup Amazon Q MCP configuration: ${error.message}`);
+      this.addWarning('Amazon Q CLI will run without MCP tools');
       return null;
     }
   }
@@ -103,6 +150,13 @@ class AmazonQCLIExecutor extends BaseCLIExecutor {
 
     return cleanOutput;
   }
+
+  /**
+   * Extract the tool calls Amazon Q printed before the result
+   */
+  parseTranscript(output) {
+    return new TranscriptParser().parseAmazonQOutput(output);
+  }
 }
 
-module.exports = { AmazonQCLIExecutor };
+module.exports = { AmazonQCLIExecutor, AMAZONQ_BUILTIN_TOOLS };
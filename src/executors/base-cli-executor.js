@@ -3,16 +3,167 @@ const { spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
+const { getConfigHome, getRunHomeEnvironment } = require('../utils/run-home');
+const { BoundedOutputBuffer, readLines } = require('../utils/bounded-output');
+const { SessionRecorder } = require('../utils/session-recording');
+const { InvestigationBudget, BudgetExceededError, describeExceededBudget } = require('../utils/investigation-budget');
+const { SessionStore } = require('../utils/session-store');
+const { checkBuiltInServerTools } = require('../config/mcp-tool-check');
+const { ToolPolicy } = require('../config/tool-policy');
+const { EXECUTION_STATUS, EXECUTION_PHASE, createExecutionResult, getCompletedStatus } = require('../utils/execution-result');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+const KILL_GRACE_PERIOD_MS = 10000;
+const STDERR_TAIL_CHARS = 4000;
+const PROMPT_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Parse the investigation timeout input
+ * @param {string} value Timeout in minutes ('0' disables the timeout)
+ * @returns {number} Timeout in minutes
+ */
+function parseTimeoutMinutes(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_TIMEOUT_MINUTES;
+  }
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    core.warning(`Invalid investigation_timeout "${value}", using ${DEFAULT_TIMEOUT_MINUTES} minutes`);
+    return DEFAULT_TIMEOUT_MINUTES;
+  }
+
+  return minutes;
+}
+
+/**
+ * Raised when the CLI is stopped because the investigation timeout elapsed
+ * Carries whatever result could be parsed from the output captured so far,
+ * and the execution result of the attempt
+ */
+class InvestigationTimeoutError extends Error {
+  constructor(timeoutMinutes, partialResult, result = null) {
+    super(`Investigation timed out after ${timeoutMinutes} minutes`);
+    this.name = 'InvestigationTimeoutError';
+    this.timeoutMinutes = timeoutMinutes;
+    this.partialResult = partialResult;
+    this.result = result;
+  }
+}
+
+/**
+ * Raised when the CLI fails to run or exits with a non-zero code
+ * Carries the exit code and the end of stderr so the failure can be classified,
+ * and the execution result of the failed attempt when the executor built one
+ */
+class CLIExecutionError extends Error {
+  constructor(message, { exitCode = null, stderr = '', result = null } = {}) {
+    super(message);
+    this.name = 'CLIExecutionError';
+    this.exitCode = exitCode;
+    this.stderr = stderr.slice(-STDERR_TAIL_CHARS);
+    this.result = result;
+  }
+}
 
 /**
  * Base class for CLI executors
- * Implements common logic for running AI CLI tools with named pipes
+ * Implements common logic for running AI CLI tools with the prompt streamed to them
  * Uses template method pattern - subclasses override specific methods
  */
 class BaseCLIExecutor {
   constructor() {
     this.tempDir = process.env.RUNNER_TEMP || '/tmp';
     this.targetRepoDir = process.env.GITHUB_WORKSPACE || process.cwd();
+    this.timeoutMinutes = this.parseTimeoutMinutes(process.env.INVESTIGATION_TIMEOUT);
+    // End of the investigation timeout across retries (ms since epoch), set by execute
+    this.deadline = null;
+    this.timedOut = false;
+    this.outputListeners = [];
+    this.transcript = [];
+    // Where the full raw stdout is kept; defaults to a file in the run directory
+    this.rawOutputPath = null;
+    // When set, the raw stream and exit code are also saved for replay (record mode)
+    this.recordPath = null;
+    // Registry name of this executor, stored in recordings
+    this.executorName = null;
+    this.tokenUsage = null;
+    // Tool call, Logs Insights query and token budgets enforced while the agent runs
+    this.budget = InvestigationBudget.fromEnv();
+    this.budgetExceeded = null;
+    // Conversation state carried between runs on the same issue (null when resume is disabled)
+    this.sessionStore = SessionStore.fromEnv();
+    this.sessionResumed = false;
+    this.sessionSaved = false;
+    // Problems that did not stop the run, reported in the execution result
+    this.warnings = [];
+    this.startTime = null;
+    // Phase the attempt is in, reported with failures so they point at the right fix
+    this.phase = null;
+    // allowed_tools / disallowed_tools inputs; executors that restrict tools set allowedTools
+    this.toolPolicy = ToolPolicy.fromEnv();
+    this.allowedTools = null;
+    this.blockedTools = [];
+  }
+
+  /**
+   * Log a warning and keep it for the execution result
+   * @param {string} message Warning message
+   */
+  addWarning(message) {
+    core.warning(message);
+    this.warnings.push(message);
+  }
+
+  /**
+   * Get how the answer was located in the output by the last parseOutput call (can be overridden)
+   * @returns {string|null} Filter method reported by the output cleaner
+   */
+  getFilterMethod() {
+    return this.outputCleaner ? this.outputCleaner.filterMethod : null;
+  }
+
+  /**
+   * Build the execution result of this attempt
+   * @param {string} status One of EXECUTION_STATUS
+   * @param {object} [fields] Other result fields (markdown, exitCode, stderrTail, error, budget)
+   * @returns {object} Execution result
+   */
+  createResult(status, fields = {}) {
+    return createExecutionResult({
+      status,
+      rawOutputPath: this.rawOutputPath && fs.existsSync(this.rawOutputPath) ? this.rawOutputPath : null,
+      durationMs: this.startTime ? Date.now() - this.startTime : 0,
+      filterMethod: this.getFilterMethod(),
+      warnings: this.warnings,
+      phase: this.phase,
+      blockedTools: this.blockedTools,
+      timeoutMinutes: this.timeoutMinutes,
+      ...fields
+    });
+  }
+
+  /**
+   * Parse the investigation timeout input
+   * @param {string} value Timeout in minutes ('0' disables the timeout)
+   * @returns {number} Timeout in minutes
+   */
+  parseTimeoutMinutes(value) {
+    return parseTimeoutMinutes(value);
+  }
+
+  /**
+   * Get the wall-clock timeout for the CLI process
+   * Retried attempts share one deadline, so they only get the time that is left
+   * @returns {number} Timeout in milliseconds (0 when disabled)
+   */
+  getTimeoutMs() {
+    const timeoutMs = Math.round(this.timeoutMinutes * 60 * 1000);
+    if (!timeoutMs || this.deadline === null) {
+      return timeoutMs;
+    }
+    return Math.max(1, this.deadline - Date.now());
   }
 
   /**
@@ -39,6 +190,101 @@ class BaseCLIExecutor {
     return { ...process.env };
   }
 
+  /**
+   * Get the home directory agent configuration files are written to
+   * Per-run (AWSAPM_HOME) inside the action so nothing persists on the runner
+   * @returns {string} Config home directory
+   */
+  getConfigHome() {
+    return getConfigHome();
+  }
+
+  /**
+   * Get the paths holding the CLI's conversation history, relative to the
+   * config home (can be overridden). Executors without any cannot resume sessions
+   * @returns {Array<string>} Relative paths of files or directories
+   */
+  getSessionStatePaths() {
+    return [];
+  }
+
+  /**
+   * Get the arguments that make the CLI continue the restored conversation (can be overridden)
+   * @returns {Array<string>} Extra command arguments
+   */
+  getResumeArgs() {
+    return [];
+  }
+
+  /**
+   * Restore the conversation saved by the previous run on this issue
+   * @returns {boolean} True when the CLI should resume it
+   */
+  restoreSession() {
+    const statePaths = this.getSessionStatePaths();
+    if (!this.sessionStore || statePaths.length === 0) {
+      return false;
+    }
+
+    try {
+      this.sessionResumed = this.sessionStore.restore(this.executorName, this.getConfigHome(), statePaths);
+    } catch (error) {
+      this.addWarning(`Failed to restore the saved ${this.getCommandName()} session, starting a new one: ${error.message}`);
+      this.sessionResumed = false;
+    }
+    return this.sessionResumed;
+  }
+
+  /**
+   * Save the conversation so a follow-up comment on the issue can resume it
+   */
+  saveSession() {
+    const statePaths = this.getSessionStatePaths();
+    if (!this.sessionStore || statePaths.length === 0) {
+      return;
+    }
+
+    try {
+      this.sessionSaved = this.sessionStore.save(this.executorName, this.getConfigHome(), statePaths);
+    } catch (error) {
+      this.addWarning(`Failed to save the ${this.getCommandName()} session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get how the prompt is delivered to the CLI (can be overridden)
+   * - 'stdin': streamed directly to the CLI's stdin
+   * - 'file': the CLI reads the prompt file passed as an argument
+   * - 'pipe': the CLI reads the named pipe passed as an argument
+   * @returns {string} Prompt delivery mode
+   */
+  getPromptDeliveryMode() {
+    return 'stdin';
+  }
+
+  /**
+   * Register a listener that receives every chunk of CLI stdout
+   * @param {Function} listener Called with each output chunk
+   */
+  addOutputListener(listener) {
+    this.outputListeners.push(listener);
+  }
+
+  /**
+   * Pass an output chunk to the registered listeners
+   * Listener errors are logged and never interrupt the investigation
+   * @param {string} text Output chunk
+   */
+  notifyOutputListeners(text) {
+    for (const listener of this.outputListeners) {
+      try {
+        listener(text);
+      } catch (error) {
+        core.debug(`Output listener failed: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Setup CLI-specific configuration (can be overridden)
    * @returns {Promise<string|null>} Configuration file path or null
@@ -48,6 +294,27 @@ class BaseCLIExecutor {
     return null;
   }
 
+  /**
+   * Ensure uvx is available for running stdio MCP servers, installing it if needed
+   * @returns {Promise<boolean>} True if uvx is available
+   */
+  async ensureUvxAvailable() {
+    const execAsync = promisify(require('child_process').exec);
+
+    try {
+      await execAsync('uvx --version', { timeout: 10000 });
+      return true;
+    } catch (uvxError) {
+      try {
+        await execAsync('pip install uvx', { timeout: 60000 });
+        return true;
+      } catch (installError) {
+        this.addWarning(`Failed to install uvx: ${installError.message}`);
+        return false;
+      }
+    }
+  }
+
   /**
    * Parse CLI output into final result (must be overridden)
    * @param {string} output Raw CLI output
@@ -57,6 +324,51 @@ class BaseCLIExecutor {
     throw new Error('parseOutput() must be implemented by subclass');
   }
 
+  /**
+   * Extract the tool-call transcript from raw CLI output (can be overridden)
+   * @param {string|Iterable<string>} output Raw CLI output, or its lines when read from the spilled log
+   * @returns {Array<object>} Tool calls ({ name, server, arguments, durationMs, status })
+   */
+  parseTranscript(output) {
+    return [];
+  }
+
+  /**
+   * Extract token usage from raw CLI output, where the CLI reports it (can be overridden)
+   * @param {string|Iterable<string>} output Raw CLI output, or its lines when read from the spilled log
+   * @returns {Array<object>|null} Usage per model ({ model, requests, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, totalTokens }), or null when not exposed
+   */
+  parseUsage(output) {
+    return null;
+  }
+
+  /**
+   * Get the token usage of the last execution
+   * @returns {Array<object>|null} Usage per model, or null when the CLI does not expose it
+   */
+  getUsage() {
+    return this.tokenUsage;
+  }
+
+  /**
+   * Find the tools the agent tried to use without being trusted (can be overridden)
+   * Defaults to the transcript calls missing from allowedTools; executors that
+   * do not restrict tools (allowedTools is null) report none
+   * @param {string|Iterable<string>} output Raw CLI output or its lines
+   * @returns {Array<string>} Blocked tool names
+   */
+  parseBlockedTools(output) {
+    return this.allowedTools ? this.toolPolicy.findBlockedCalls(this.transcript, this.allowedTools) : [];
+  }
+
+  /**
+   * Get the tool-call transcript of the last execution
+   * @returns {Array<object>} Tool calls
+   */
+  getTranscript() {
+    return this.transcript;
+  }
+
   /**
    * Get the working directory for CLI execution
    * @returns {string} Working directory path
@@ -65,6 +377,40 @@ class BaseCLIExecutor {
     return this.targetRepoDir;
   }
 
+  /**
+   * Warn when the GitHub MCP server is missing, so a run that cannot create
+   * pull requests says so in the result comment
+   * @param {MCPConfigManager} mcpConfigManager Manager the MCP configuration was built with
+   */
+  checkGitHubServer(mcpConfigManager) {
+    if (!mcpConfigManager.hasGitHubToken()) {
+      this.addWarning('GitHub token not available - PR creation will not work');
+    } else if (!mcpConfigManager.getGitHubTransport()) {
+      this.addWarning('GitHub MCP server not available on this runner (no Docker, github-mcp-server binary or remote endpoint) - PR creation will not work');
+    }
+  }
+
+  /**
+   * Warn in the log when a built-in MCP server exposes different tools than its
+   * hardcoded auto-approve list, e.g. after its version input was changed
+   * check_mcp_tools: auto checks only servers moved off their pinned version,
+   * true checks every built-in server and false none; each checked server is
+   * started once for the check
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {Promise<void>}
+   */
+  async checkMCPTools(mcpConfig) {
+    const setting = (process.env.CHECK_MCP_TOOLS || 'auto').trim().toLowerCase();
+    if (setting === 'false') {
+      return;
+    }
+    try {
+      await checkBuiltInServerTools(mcpConfig, { cwd: this.targetRepoDir, changedOnly: setting !== 'true' });
+    } catch (error) {
+      core.warning(`Failed to check MCP server tools: ${error.message}`);
+    }
+  }
+
   /**
    * Test if CLI command is available
    * @returns {Promise<boolean>} True if CLI is available
@@ -86,19 +432,23 @@ class BaseCLIExecutor {
   }
 
   /**
-   * Create named pipe for large prompt input
+   * Create a private directory for this run's artifacts (prompt file, named pipe, configuration)
+   * mkdtemp gives every run a unique name so jobs sharing RUNNER_TEMP on a self-hosted runner do not collide
+   * @returns {string} Run directory path
+   */
+  createRunDir() {
+    const prefix = path.join(this.tempDir, `awsapm-${path.basename(this.getCommandName())}-`);
+    this.runDir = fs.mkdtempSync(prefix);
+    return this.runDir;
+  }
+
+  /**
+   * Create named pipe
    * @param {string} pipePath Path to named pipe
    */
   async createNamedPipe(pipePath) {
-    const execAsync = promisify(require('child_process').exec);
-
-    try {
-      await execAsync(`rm -f "${pipePath}"`);
-    } catch (e) {
-      // Ignore if file doesn't exist
-    }
-
-    await execAsync(`mkfifo "${pipePath}"`);
+    const execFileAsync = promisify(require('child_process').execFile);
+    await execFileAsync('mkfifo', ['-m', '600', pipePath]);
   }
 
   /**
@@ -107,29 +457,62 @@ class BaseCLIExecutor {
    * @param {string} tempPromptFile Path to temp file
    */
   writePromptToFile(promptContent, tempPromptFile) {
-    fs.writeFileSync(tempPromptFile, promptContent);
+    fs.writeFileSync(tempPromptFile, promptContent, { mode: 0o600 });
   }
 
   /**
-   * Start process to stream prompt file to pipe
-   * @param {string} tempPromptFile Path to temp file
-   * @param {string} pipePath Path to named pipe
-   * @returns {{catProcess: ChildProcess, pipeWriteStream: WriteStream}}
+   * Stream the prompt into a writable stream (CLI stdin or named pipe)
+   * Writes in chunks and waits for 'drain' whenever the stream buffer is full
+   * A reader that exits before consuming the prompt (EPIPE) is logged, not thrown
+   * @param {string} promptContent Prompt content
+   * @param {Writable} stream Destination stream
+   * @returns {Promise<boolean>} True once the whole prompt was flushed and the stream ended
    */
-  startPromptStreaming(tempPromptFile, pipePath) {
-    const catProcess = spawn('cat', [tempPromptFile], {
-      stdio: ['ignore', 'pipe', 'inherit'],
-    });
-
-    const pipeWriteStream = fs.createWriteStream(pipePath);
-    catProcess.stdout.pipe(pipeWriteStream);
+  streamPrompt(promptContent, stream) {
+    const data = Buffer.from(promptContent, 'utf8');
+    let offset = 0;
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (error) {
+          this.addWarning(`Failed to stream prompt to ${this.getCommandName()}: ${error.message}`);
+        }
+        resolve(!error);
+      };
+
+      const writeChunks = () => {
+        while (offset < data.length) {
+          const chunk = data.subarray(offset, offset + PROMPT_CHUNK_BYTES);
+          offset += chunk.length;
+          if (!stream.write(chunk)) {
+            stream.once('drain', writeChunks);
+            return;
+          }
+        }
+        stream.end(() => finish());
+      };
 
-    catProcess.on('error', (error) => {
-      core.error(`Error reading prompt file: ${error.message}`);
-      pipeWriteStream.destroy();
+      stream.on('error', finish);
+      writeChunks();
     });
+  }
 
-    return { catProcess, pipeWriteStream };
+  /**
+   * Unblock a prompt writer still waiting for the CLI to open the named pipe
+   * Opening the read end lets the pending open() complete; the writer then fails with EPIPE
+   * @param {string} pipePath Path to named pipe
+   */
+  releaseNamedPipe(pipePath) {
+    try {
+      fs.closeSync(fs.openSync(pipePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK));
+    } catch (e) {
+      // Pipe already removed
+    }
   }
 
   /**
@@ -145,41 +528,41 @@ class BaseCLIExecutor {
     return spawn(command, args, {
       stdio: ['pipe', 'pipe', 'pipe'],  // Capture stderr for output
       cwd: cwd,
-      env: env
+      env: env,
+      detached: true  // Own process group so MCP server children can be signalled together
     });
   }
 
-  /**
-   * Pipe named pipe to CLI process stdin
-   * @param {string} pipePath Path to named pipe
-   * @param {ChildProcess} cliProcess CLI process
-   * @returns {ChildProcess} Pipe read process
-   */
-  connectPipeToCLI(pipePath, cliProcess) {
-    const pipeReadProcess = spawn('cat', [pipePath]);
-    pipeReadProcess.stdout.pipe(cliProcess.stdin);
-
-    pipeReadProcess.on('error', (error) => {
-      core.error(`Error reading from named pipe: ${error.message}`);
-      cliProcess.kill('SIGTERM');
-    });
-
-    return pipeReadProcess;
-  }
-
   /**
    * Capture CLI process output
+   * Only a bounded tail (plus the result-marker region) of stdout is kept in
+   * memory; the full stdout stream is spilled to rawOutputPath, or to the run
+   * directory when no path was requested. In record mode every chunk and the
+   * exit code are also written to recordPath
    * @param {ChildProcess} cliProcess CLI process
-   * @returns {Promise<string>} Captured output
+   * @returns {Promise<{output: string, stderr: string, exitCode: number, outputLogPath: string|null}>} Captured output, stderr, exit code and the spilled stdout log
    */
   captureOutput(cliProcess) {
     return new Promise((resolve, reject) => {
-      let stdoutData = '';
-      let stderrData = '';
+      const logPath = this.rawOutputPath || (this.runDir ? path.join(this.runDir, 'output.log') : null);
+      const stdoutBuffer = new BoundedOutputBuffer({ logPath });
+      const stderrBuffer = new BoundedOutputBuffer();
+      // Decode incrementally so multi-byte characters (like the result marker emoji) split across chunks survive
+      const stdoutDecoder = new StringDecoder('utf8');
+      const stderrDecoder = new StringDecoder('utf8');
+      const recorder = this.recordPath
+        ? new SessionRecorder(this.recordPath, { executor: this.executorName, command: this.getCommandName() })
+        : null;
+      const closeFiles = () => {
+        stdoutBuffer.close();
+        if (recorder) {
+          recorder.close();
+        }
+      };
 
       // Capture stdout
       cliProcess.stdout.on('data', (data) => {
-        const text = data.toString();
+        const text = stdoutDecoder.write(data);
 
         // Allow subclasses to customize output handling
         if (this.onOutputData) {
@@ -187,73 +570,173 @@ class BaseCLIExecutor {
         } else {
           process.stdout.write(text);
         }
+        this.notifyOutputListeners(text);
+        if (this.budget && this.budget.hasLimits()) {
+          this.budget.handleOutput(text);
+        }
 
-        stdoutData += text;
+        stdoutBuffer.append(text);
+        if (recorder) {
+          recorder.recordOutput('stdout', text);
+        }
       });
 
       // Capture stderr
       cliProcess.stderr.on('data', (data) => {
-        const text = data.toString();
+        const text = stderrDecoder.write(data);
         process.stderr.write(text);  // Still show in workflow logs
-        stderrData += text;
+        stderrBuffer.append(text);
+        if (recorder) {
+          recorder.recordOutput('stderr', text);
+        }
       });
 
       cliProcess.stdout.on('error', (error) => {
         core.error(`Error reading ${this.getCommandName()} stdout: ${error.message}`);
+        closeFiles();
         reject(error);
       });
 
       cliProcess.stderr.on('error', (error) => {
         core.error(`Error reading ${this.getCommandName()} stderr: ${error.message}`);
+        closeFiles();
         reject(error);
       });
 
       cliProcess.on('close', (code) => {
+        stdoutBuffer.append(stdoutDecoder.end());
+        stderrBuffer.append(stderrDecoder.end());
+        if (recorder) {
+          recorder.finish(code || 0, this.timedOut);
+          core.info(`Recorded ${this.getCommandName()} output to ${this.recordPath}`);
+        }
+        closeFiles();
+
         // Log final captured sizes
-        core.debug(`[SUMMARY] Total stdout: ${stdoutData.length} chars, Total stderr: ${stderrData.length} chars`);
+        core.debug(`[SUMMARY] Total stdout: ${stdoutBuffer.totalChars} chars, Total stderr: ${stderrBuffer.totalChars} chars`);
 
         // Prefer stdout if it has content (structured output), otherwise use stderr
         // Amazon Q CLI may write to either depending on version and mode
-        const output = stdoutData || stderrData;
-        core.debug(`[SUMMARY] Using ${stdoutData ? 'stdout' : 'stderr'} as output source`);
-
-        resolve({ output, exitCode: code || 0 });
+        const useStdout = stdoutBuffer.totalChars > 0;
+        const output = useStdout ? stdoutBuffer.toString() : stderrBuffer.toString();
+        core.debug(`[SUMMARY] Using ${useStdout ? 'stdout' : 'stderr'} as output source (${output.length} chars kept in memory)`);
+
+        resolve({
+          output,
+          stderr: stderrBuffer.toString(),
+          exitCode: code || 0,
+          outputLogPath: useStdout ? logPath : null
+        });
       });
 
       cliProcess.on('error', (error) => {
         core.error(`${this.getCommandName()} process error: ${error.message}`);
+        closeFiles();
         reject(error);
       });
     });
   }
 
   /**
-   * Cleanup processes and files
-   * @param {Array<ChildProcess>} processes Processes to kill
-   * @param {Array<string>} files Files to delete
+   * Send a signal to a process and, when it leads a process group, to all its children
+   * @param {ChildProcess} proc Process to signal
+   * @param {string} signal Signal name
    */
-  async cleanup(processes, files) {
-    const execAsync = promisify(require('child_process').exec);
+  killProcessTree(proc, signal) {
+    if (!proc || !proc.pid) {
+      return;
+    }
 
-    // Cleanup processes
-    for (const proc of processes) {
-      try {
-        if (proc && proc.kill) {
-          proc.kill('SIGTERM');
-        }
-      } catch (e) {
-        // Process may already be dead
+    try {
+      process.kill(-proc.pid, signal);
+      return;
+    } catch (e) {
+      // Not a process group leader (or already gone) - fall back to the single process
+    }
+
+    try {
+      proc.kill(signal);
+    } catch (e) {
+      // Process may already be dead
+    }
+  }
+
+  /**
+   * Terminate processes gracefully: SIGTERM now, SIGKILL after the grace period
+   * The SIGKILL timer is cleared once every process has exited and never keeps the action alive
+   * @param {Array<ChildProcess>} processes Processes to terminate
+   * @returns {NodeJS.Timeout|null} SIGKILL timer, or null when every process had already exited
+   */
+  terminateProcesses(processes) {
+    const running = processes.filter(proc => proc.exitCode === null && proc.signalCode === null);
+    for (const proc of running) {
+      this.killProcessTree(proc, 'SIGTERM');
+    }
+    if (running.length === 0) {
+      return null;
+    }
+
+    const killTimer = setTimeout(() => {
+      for (const proc of running) {
+        this.killProcessTree(proc, 'SIGKILL');
       }
+    }, KILL_GRACE_PERIOD_MS);
+    killTimer.unref();
+
+    let remaining = running.length;
+    for (const proc of running) {
+      proc.once('exit', () => {
+        remaining--;
+        if (remaining === 0) {
+          clearTimeout(killTimer);
+        }
+      });
+    }
+    return killTimer;
+  }
+
+  /**
+   * Start the investigation timeout timer
+   * @param {Array<ChildProcess>} processes Processes to terminate when the timeout elapses
+   * @returns {NodeJS.Timeout|null} Timer handle or null when the timeout is disabled
+   */
+  startTimeout(processes) {
+    const timeoutMs = this.getTimeoutMs();
+    if (!timeoutMs) {
+      return null;
     }
 
-    // Cleanup files
-    for (const file of files) {
+    return setTimeout(() => {
+      this.timedOut = true;
+      this.addWarning(`${this.getCommandName()} CLI exceeded the ${this.timeoutMinutes} minute investigation timeout, stopping it`);
+      this.terminateProcesses(processes);
+    }, timeoutMs);
+  }
+
+  /**
+   * Stop the processes once the output stream shows a budget was exceeded
+   * @param {Array<ChildProcess>} processes Processes to terminate when a budget is exceeded
+   */
+  startBudgetMonitor(processes) {
+    if (!this.budget || !this.budget.hasLimits()) {
+      return;
+    }
+
+    this.budget.onExceeded = (exceeded) => {
+      this.budgetExceeded = exceeded;
+      this.addWarning(`${this.getCommandName()} CLI stopped: ${describeExceededBudget(exceeded)}`);
+      this.terminateProcesses(processes);
+    };
+  }
+
+  /**
+   * Remove run artifacts
+   * @param {Array<string>} paths Files or directories to delete
+   */
+  async cleanup(paths) {
+    for (const artifact of paths) {
       try {
-        if (file.includes('pipe')) {
-          await execAsync(`rm -f "${file}"`);
-        } else if (fs.existsSync(file)) {
-          fs.unlinkSync(file);
-        }
+        fs.rmSync(artifact, { recursive: true, force: true });
       } catch (e) {
         // Ignore cleanup errors
       }
@@ -263,74 +746,154 @@ class BaseCLIExecutor {
   /**
    * Main execution method - template method pattern
    * Orchestrates the entire CLI execution workflow
+   * Stopped and failed attempts throw errors that carry their execution result
    * @param {string} promptContent Prompt content to execute
-   * @returns {Promise<string>} Execution result
+   * @returns {Promise<object>} Execution result (see createExecutionResult)
    */
   async execute(promptContent) {
     const commandName = this.getCommandName();
+    const artifacts = [];
+    this.startTime = Date.now();
 
     try {
       core.info(`Running ${commandName} CLI investigation...`);
 
       // Test if CLI is available
+      this.phase = EXECUTION_PHASE.CLI_INSTALL;
       await this.testCLIAvailable();
 
+      // Private per-run directory for the prompt, named pipe and configuration
+      const runDir = this.createRunDir();
+      artifacts.push(runDir);
+      const deliveryMode = this.getPromptDeliveryMode();
+      this.promptFile = deliveryMode === 'file' ? path.join(runDir, 'prompt.txt') : null;
+      this.promptPipe = deliveryMode === 'pipe' ? path.join(runDir, 'prompt.pipe') : null;
+
       // Setup CLI-specific configuration
+      this.phase = EXECUTION_PHASE.MCP_SETUP;
       const configPath = await this.setupConfiguration();
+      if (configPath) {
+        artifacts.push(configPath);
+      }
 
-      // Prepare file paths
-      const tempPromptFile = path.join(this.tempDir, `${commandName}-prompt.txt`);
-      const pipePath = path.join(this.tempDir, `${commandName}_prompt_pipe`);
-
-      // Write prompt to file
-      this.writePromptToFile(promptContent, tempPromptFile);
-
-      // Create named pipe
-      await this.createNamedPipe(pipePath);
-
-      // Start streaming prompt to pipe
-      const { catProcess, pipeWriteStream } = this.startPromptStreaming(tempPromptFile, pipePath);
+      if (this.promptFile) {
+        this.writePromptToFile(promptContent, this.promptFile);
+      }
+      if (this.promptPipe) {
+        await this.createNamedPipe(this.promptPipe);
+      }
 
-      // Get command args and env
-      const args = this.getCommandArgs();
-      const env = this.getEnvironmentVariables();
+      // Get command args and env, continuing the previous conversation on this issue if one was saved
+      const args = this.restoreSession() ? [...this.getCommandArgs(), ...this.getResumeArgs()] : this.getCommandArgs();
+      const env = { ...this.getEnvironmentVariables(), ...getRunHomeEnvironment() };
 
       // Spawn CLI process
+      this.phase = EXECUTION_PHASE.AGENT_RUN;
       const cliProcess = this.spawnCLIProcess(commandName, args, env, this.targetRepoDir);
 
-      // Handle CLI process errors
-      cliProcess.on('error', (error) => {
-        core.error(`Error spawning ${commandName} process: ${error.message}`);
-        pipeWriteStream.destroy();
-        throw error;
-      });
+      // Stream the prompt to stdin, or to the named pipe the CLI opens itself
+      let promptStreaming = null;
+      if (deliveryMode === 'stdin') {
+        promptStreaming = this.streamPrompt(promptContent, cliProcess.stdin);
+      } else {
+        cliProcess.stdin.end();
+        if (this.promptPipe) {
+          promptStreaming = this.streamPrompt(promptContent, fs.createWriteStream(this.promptPipe));
+        }
+      }
+
+      // Capture output and wait for completion, the investigation timeout or an exceeded budget
+      const timeoutTimer = this.startTimeout([cliProcess]);
+      this.startBudgetMonitor([cliProcess]);
+      let captured;
+      try {
+        captured = await this.captureOutput(cliProcess);
+      } finally {
+        clearTimeout(timeoutTimer);
+        if (this.promptPipe) {
+          this.releaseNamedPipe(this.promptPipe);
+        }
+        if (promptStreaming) {
+          await promptStreaming;
+        }
+      }
+      const { output, stderr, exitCode, outputLogPath } = captured;
 
-      // Connect pipe to CLI stdin
-      const pipeReadProcess = this.connectPipeToCLI(pipePath, cliProcess);
+      // Failed runs keep the previously saved session; stopped ones still hold useful tool results
+      if (exitCode === 0 || this.timedOut || this.budgetExceeded) {
+        this.saveSession();
+      }
 
-      // Capture output and wait for completion (NO TIMEOUT)
-      const { output, exitCode } = await this.captureOutput(cliProcess);
+      // Keep the tool-call transcript for timed out and failed runs too
+      // Tool calls are spread over the whole run, so read them from the spilled log
+      try {
+        this.transcript = this.parseTranscript(outputLogPath ? readLines(outputLogPath) : output);
+      } catch (error) {
+        this.addWarning(`Failed to parse ${commandName} tool-call transcript: ${error.message}`);
+      }
+      try {
+        this.tokenUsage = this.parseUsage(outputLogPath ? readLines(outputLogPath) : output);
+      } catch (error) {
+        this.addWarning(`Failed to parse ${commandName} token usage: ${error.message}`);
+      }
+      try {
+        this.blockedTools = this.parseBlockedTools(outputLogPath ? readLines(outputLogPath) : output);
+      } catch (error) {
+        this.addWarning(`Failed to find blocked ${commandName} tool calls: ${error.message}`);
+      }
+      if (this.blockedTools.length > 0) {
+        this.addWarning(`Blocked tools that are not on the allowlist: ${this.blockedTools.join(', ')} - add them to allowed_tools to trust them`);
+      }
 
-      // Cleanup processes and files
-      const filesToClean = [pipePath, tempPromptFile];
-      if (configPath) {
-        filesToClean.push(configPath);
+      const stderrTail = stderr.slice(-STDERR_TAIL_CHARS);
+
+      // Keep whatever was captured before the timeout or a budget stopped the CLI
+      if (this.timedOut || this.budgetExceeded) {
+        const partialOutput = output.trim();
+        const partialResult = partialOutput ? this.parseOutput(partialOutput) : '';
+        if (this.timedOut) {
+          const result = this.createResult(EXECUTION_STATUS.TIMED_OUT, { markdown: partialResult, exitCode, stderrTail });
+          throw new InvestigationTimeoutError(this.timeoutMinutes, partialResult, result);
+        }
+        const result = this.createResult(EXECUTION_STATUS.BUDGET_EXCEEDED, {
+          markdown: partialResult,
+          exitCode,
+          stderrTail,
+          budget: this.budgetExceeded
+        });
+        throw new BudgetExceededError(this.budgetExceeded, partialResult, result);
       }
-      await this.cleanup([catProcess, pipeReadProcess], filesToClean);
 
       // Check exit code and parse output
       if (exitCode === 0) {
         core.info(`${commandName} CLI completed successfully`);
-        const result = this.parseOutput(output.trim());
-        return result || 'Investigation completed, but no output was generated.';
+        const markdown = this.parseOutput(output.trim());
+        const status = getCompletedStatus(markdown, this.getFilterMethod());
+        if (status === EXECUTION_STATUS.NO_RESULT_MARKER) {
+          // Logged only: the status already reports it in the execution result
+          core.warning(`${commandName} output had no result marker; the answer was located by "${this.getFilterMethod()}" filtering and may include intermediate steps`);
+        }
+        return this.createResult(status, { markdown, exitCode, stderrTail });
       } else {
-        throw new Error(`${commandName} CLI exited with code ${exitCode}`);
+        throw new CLIExecutionError(`${commandName} CLI exited with code ${exitCode}`, { exitCode, stderr });
       }
 
     } catch (error) {
-      throw new Error(`${commandName} CLI execution failed: ${error.message}`);
+      if (error instanceof InvestigationTimeoutError || error instanceof BudgetExceededError) {
+        throw error;
+      }
+      const message = `${commandName} CLI execution failed: ${error.message}`;
+      const exitCode = error.exitCode !== undefined ? error.exitCode : null;
+      const stderr = error.stderr || '';
+      throw new CLIExecutionError(message, {
+        exitCode,
+        stderr,
+        result: this.createResult(EXECUTION_STATUS.FAILED, { exitCode, stderrTail: stderr.slice(-STDERR_TAIL_CHARS), error: message })
+      });
+    } finally {
+      await this.cleanup(artifacts);
     }
   }
 }
 
-module.exports = { BaseCLIExecutor };
+module.exports = { BaseCLIExecutor, InvestigationTimeoutError, CLIExecutionError, BudgetExceededError, parseTimeoutMinutes };
@@ -0,0 +1,455 @@
+const core = require('@actions/core');
+const { BaseCLIExecutor, InvestigationTimeoutError, CLIExecutionError, BudgetExceededError } = require('./base-cli-executor');
+const { MCPConfigManager } = require('../config/mcp-config');
+const { OutputCleaner } = require('../utils/output-cleaner');
+const { connectMCPServer } = require('../utils/mcp-client');
+const { warnOnToolMismatches } = require('../config/mcp-tool-check');
+const { describeExceededBudget } = require('../utils/investigation-budget');
+const { EXECUTION_STATUS, EXECUTION_PHASE, getCompletedStatus } = require('../utils/execution-result');
+
+const DEFAULT_MODEL_ID = 'us.anthropic.claude-sonnet-4-20250514-v1:0';
+const DEFAULT_MAX_TURNS = 30;
+const DEFAULT_TEMPERATURE = 0.2;
+const MAX_OUTPUT_TOKENS = 8192;
+const MAX_TOOL_NAME_LENGTH = 64;
+const MAX_TOOL_RESULT_CHARS = 100000;
+const TOOL_CALL_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Amazon Bedrock agent executor
+ * Runs the tool-use loop in-process against the Bedrock Converse API and
+ * talks to the MCP servers from MCPConfigManager through an MCP client,
+ * so no agent CLI has to be installed on the runner
+ */
+class BedrockAgentExecutor extends BaseCLIExecutor {
+  constructor() {
+    super();
+    this.outputCleaner = new OutputCleaner();
+    this.modelId = process.env.BEDROCK_MODEL_ID || DEFAULT_MODEL_ID;
+    this.maxTurns = this.parseNumberInput('bedrock_max_turns', process.env.BEDROCK_MAX_TURNS, DEFAULT_MAX_TURNS);
+    this.temperature = this.parseNumberInput('bedrock_temperature', process.env.BEDROCK_TEMPERATURE, DEFAULT_TEMPERATURE);
+    this.endpoint = process.env.BEDROCK_ENDPOINT_URL || undefined;
+    this.region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+    this.mcpClients = [];
+    this.tools = new Map();
+    this.toolCalls = [];
+    this.usage = { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+  }
+
+  getCommandName() {
+    return 'bedrock';
+  }
+
+  /**
+   * Parse a numeric action input, falling back to a default when invalid
+   * @param {string} inputName Input name for warnings
+   * @param {string} value Raw input value
+   * @param {number} defaultValue Value used when the input is empty or invalid
+   * @returns {number} Parsed value
+   */
+  parseNumberInput(inputName, value, defaultValue) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return defaultValue;
+    }
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      core.warning(`Invalid ${inputName} "${value}", using ${defaultValue}`);
+      return defaultValue;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Create the Bedrock runtime client (endpoint can point at a local stand-in)
+   */
+  createBedrockClient() {
+    const { BedrockRuntimeClient } = require('@aws-sdk/client-bedrock-runtime');
+    return new BedrockRuntimeClient({
+      region: this.region,
+      ...(this.endpoint ? { endpoint: this.endpoint } : {})
+    });
+  }
+
+  /**
+   * Create an MCP client connected to a stdio MCP server
+   * @param {string} name Server name
+   * @param {object} server Server configuration from MCPConfigManager
+   * @returns {Promise<Client>} Connected MCP client
+   */
+  async createMCPClient(name, server) {
+    return connectMCPServer(server, { clientName: 'awsapm-bedrock-agent', cwd: this.targetRepoDir });
+  }
+
+  /**
+   * Build a Bedrock-compatible tool name ([a-zA-Z0-9_-], max 64 chars, unique)
+   * @param {string} qualifiedName Tool name in mcp__<server>__<tool> form
+   * @returns {string} Bedrock tool name
+   */
+  toBedrockToolName(qualifiedName) {
+    const base = qualifiedName.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_TOOL_NAME_LENGTH);
+    let candidate = base;
+    let suffix = 1;
+
+    while (this.tools.has(candidate)) {
+      const tag = `_${suffix++}`;
+      candidate = base.slice(0, MAX_TOOL_NAME_LENGTH - tag.length) + tag;
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Connect to the configured MCP servers and register their auto-approved tools
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {Promise<Array<object>>} Bedrock tool specifications
+   */
+  async connectMCPServers(mcpConfig) {
+    const toolSpecs = [];
+
+    for (const [name, server] of Object.entries(mcpConfig.mcpServers || {})) {
+      if (server.disabled) {
+        continue;
+      }
+
+      // A server that fails to start or list its tools is skipped, the others still serve the agent
+      let client;
+      let tools;
+      try {
+        client = await this.createMCPClient(name, server);
+        this.mcpClients.push(client);
+        ({ tools } = await client.listTools());
+      } catch (error) {
+        this.addWarning(`Failed to start MCP server ${name}: ${error.message}`);
+        continue;
+      }
+
+      const allowed = new Set(this.toolPolicy.buildAllowlist([], { mcpServers: { [name]: server } }));
+      warnOnToolMismatches(name, server, tools.map(tool => tool.name));
+      const normalizedServer = name.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+      for (const tool of tools) {
+        const qualifiedName = `mcp__${normalizedServer}__${tool.name}`;
+        if (!allowed.has(qualifiedName)) {
+          continue;
+        }
+
+        const bedrockName = this.toBedrockToolName(qualifiedName);
+        this.tools.set(bedrockName, { client, server: name, toolName: tool.name, qualifiedName });
+        toolSpecs.push({
+          toolSpec: {
+            name: bedrockName,
+            description: tool.description || qualifiedName,
+            inputSchema: { json: tool.inputSchema || { type: 'object', properties: {} } }
+          }
+        });
+      }
+
+      core.info(`Connected to MCP server ${name}`);
+    }
+
+    return toolSpecs;
+  }
+
+  /**
+   * Write progress text to the workflow log (or the onOutputData hook) and output listeners
+   * @param {string} text Progress text
+   */
+  emitOutput(text) {
+    if (this.onOutputData) {
+      this.onOutputData(text);
+    } else {
+      process.stdout.write(text);
+    }
+    this.notifyOutputListeners(text);
+  }
+
+  /**
+   * Accumulate token usage from a Converse response
+   * @param {object} usage Converse usage block
+   */
+  recordUsage(usage) {
+    this.usage.requests += 1;
+    if (!usage) {
+      return;
+    }
+    this.usage.inputTokens += usage.inputTokens || 0;
+    this.usage.outputTokens += usage.outputTokens || 0;
+    this.usage.totalTokens += usage.totalTokens || 0;
+    this.budget.recordTokens(usage.totalTokens || 0);
+  }
+
+  /**
+   * Convert MCP tool result content into text for Bedrock
+   * @param {object} result MCP callTool result
+   * @returns {string} Result text
+   */
+  formatToolResult(result) {
+    const text = (result.content || [])
+      .map(item => (item.type === 'text' ? item.text : JSON.stringify(item)))
+      .join('\n');
+
+    if (text.length > MAX_TOOL_RESULT_CHARS) {
+      return `${text.slice(0, MAX_TOOL_RESULT_CHARS)}\n[truncated ${text.length - MAX_TOOL_RESULT_CHARS} characters]`;
+    }
+
+    return text || '(empty result)';
+  }
+
+  /**
+   * Run a single tool call requested by the model and record its timing
+   * @param {object} toolUse Converse toolUse block
+   * @returns {Promise<object>} Converse toolResult content block
+   */
+  async callTool(toolUse) {
+    const registered = this.tools.get(toolUse.name);
+    const startTime = Date.now();
+    let text;
+    let status = 'success';
+
+    if (!registered) {
+      text = `Tool ${toolUse.name} is not available`;
+      status = 'error';
+    } else {
+      this.emitOutput(`● Running ${registered.qualifiedName}\n`);
+      try {
+        const result = await registered.client.callTool({
+          name: registered.toolName,
+          arguments: toolUse.input || {}
+        }, undefined, { signal: this.abortSignal, timeout: TOOL_CALL_TIMEOUT_MS });
+        text = this.formatToolResult(result);
+        status = result.isError ? 'error' : 'success';
+      } catch (error) {
+        text = `Tool execution failed: ${error.message}`;
+        status = 'error';
+      }
+    }
+
+    const durationMs = Date.now() - startTime;
+    this.toolCalls.push({
+      name: registered ? registered.qualifiedName : toolUse.name,
+      server: registered ? registered.server : null,
+      arguments: toolUse.input || {},
+      durationMs,
+      status
+    });
+    this.emitOutput(`● ${status === 'success' ? 'Completed' : 'Failed'} in ${(durationMs / 1000).toFixed(3)}s\n`);
+
+    return {
+      toolResult: {
+        toolUseId: toolUse.toolUseId,
+        content: [{ text }],
+        status
+      }
+    };
+  }
+
+  /**
+   * Run the Converse tool-use loop until the model stops asking for tools
+   * @param {BedrockRuntimeClient} client Bedrock runtime client
+   * @param {string} promptContent Prompt content
+   * @param {Array<object>} toolSpecs Bedrock tool specifications
+   * @param {AbortSignal} abortSignal Signal aborted when the timeout elapses
+   * @returns {Promise<string>} Last assistant text
+   */
+  async runAgentLoop(client, promptContent, toolSpecs, abortSignal) {
+    const { ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+    const messages = [{ role: 'user', content: [{ text: promptContent }] }];
+    this.lastText = '';
+    this.budget.onExceeded = (exceeded) => {
+      this.budgetExceeded = exceeded;
+      this.addWarning(`Bedrock agent stopped: ${describeExceededBudget(exceeded)}`);
+    };
+
+    for (let turn = 1; turn <= this.maxTurns; turn++) {
+      const response = await client.send(new ConverseCommand({
+        modelId: this.modelId,
+        messages,
+        inferenceConfig: { temperature: this.temperature, maxTokens: MAX_OUTPUT_TOKENS },
+        ...(toolSpecs.length > 0 ? { toolConfig: { tools: toolSpecs } } : {})
+      }), { abortSignal });
+
+      this.recordUsage(response.usage);
+      if (this.budgetExceeded) {
+        return this.lastText;
+      }
+
+      const message = response.output && response.output.message;
+      if (!message) {
+        break;
+      }
+      messages.push(message);
+
+      const text = (message.content || []).filter(block => block.text).map(block => block.text).join('\n');
+      if (text) {
+        this.lastText = text;
+        this.emitOutput(`${text}\n`);
+      }
+
+      if (response.stopReason !== 'tool_use') {
+        return this.lastText;
+      }
+
+      const toolResults = [];
+      for (const block of message.content || []) {
+        if (block.toolUse) {
+          // Budgets are checked before each call so the call that exceeds one is never made
+          const registered = this.tools.get(block.toolUse.name);
+          this.budget.recordToolCall(registered ? registered.toolName : block.toolUse.name);
+          if (this.budgetExceeded) {
+            return this.lastText;
+          }
+          toolResults.push(await this.callTool(block.toolUse));
+        }
+      }
+      messages.push({ role: 'user', content: toolResults });
+    }
+
+    this.addWarning(`Bedrock agent stopped after reaching the maximum of ${this.maxTurns} turns`);
+    return this.lastText;
+  }
+
+  /**
+   * Close all MCP clients (stops the MCP server processes)
+   */
+  async closeMCPClients() {
+    for (const client of this.mcpClients) {
+      try {
+        await client.close();
+      } catch (e) {
+        // Server may already be gone
+      }
+    }
+    this.mcpClients = [];
+  }
+
+  /**
+   * Log token usage and per-tool timings
+   */
+  logUsage() {
+    core.info(`Bedrock usage: ${this.usage.requests} requests, ${this.usage.inputTokens} input tokens, ${this.usage.outputTokens} output tokens`);
+    for (const call of this.toolCalls) {
+      core.info(`Tool ${call.name}: ${call.status} in ${call.durationMs}ms`);
+    }
+  }
+
+  parseOutput(output) {
+    return this.outputCleaner.cleanMarkdownOutput(output);
+  }
+
+  /**
+   * The answer is the model's last message, so it is reliable even without the result marker
+   */
+  getFilterMethod() {
+    const method = super.getFilterMethod();
+    return method === 'none' ? 'final_message' : method;
+  }
+
+  /**
+   * Build the error for an agent loop stopped by the timeout or a budget
+   * @param {string} text Last assistant text
+   * @returns {Error} InvestigationTimeoutError or BudgetExceededError carrying the partial result
+   */
+  createStoppedError(text) {
+    const markdown = this.parseOutput(text || '');
+    if (this.timedOut) {
+      const result = this.createResult(EXECUTION_STATUS.TIMED_OUT, { markdown });
+      return new InvestigationTimeoutError(this.timeoutMinutes, markdown, result);
+    }
+    const result = this.createResult(EXECUTION_STATUS.BUDGET_EXCEEDED, { markdown, budget: this.budgetExceeded });
+    return new BudgetExceededError(this.budgetExceeded, markdown, result);
+  }
+
+  /**
+   * Exact token usage returned by the Converse API
+   */
+  getUsage() {
+    if (this.usage.requests === 0) {
+      return null;
+    }
+    return [{
+      model: this.modelId,
+      requests: this.usage.requests,
+      inputTokens: this.usage.inputTokens,
+      outputTokens: this.usage.outputTokens,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      totalTokens: this.usage.totalTokens
+    }];
+  }
+
+  /**
+   * The agent loop records tool calls directly - report them with plain tool names
+   */
+  getTranscript() {
+    return this.toolCalls.map(call => ({
+      ...call,
+      name: call.name.replace(/^mcp__.+?__/, '')
+    }));
+  }
+
+  /**
+   * Main execution method - runs the agent loop instead of spawning a CLI
+   * @param {string} promptContent Prompt content to execute
+   * @returns {Promise<object>} Execution result (see createExecutionResult)
+   */
+  async execute(promptContent) {
+    this.startTime = Date.now();
+    const abortController = new AbortController();
+    this.abortSignal = abortController.signal;
+    let timeoutTimer = null;
+
+    try {
+      core.info(`Running Bedrock agent loop with model ${this.modelId}...`);
+
+      this.phase = EXECUTION_PHASE.MCP_SETUP;
+      await this.ensureUvxAvailable();
+      const mcpConfigManager = new MCPConfigManager();
+      const toolSpecs = await this.connectMCPServers(mcpConfigManager.buildMCPConfig());
+      core.info(`Registered ${toolSpecs.length} MCP tools for the Bedrock agent`);
+
+      const timeoutMs = this.getTimeoutMs();
+      if (timeoutMs) {
+        timeoutTimer = setTimeout(() => {
+          this.timedOut = true;
+          this.addWarning(`Bedrock agent exceeded the ${this.timeoutMinutes} minute investigation timeout, stopping it`);
+          abortController.abort();
+        }, timeoutMs);
+      }
+
+      this.phase = EXECUTION_PHASE.AGENT_RUN;
+      const client = this.createBedrockClient();
+      const finalText = await this.runAgentLoop(client, promptContent, toolSpecs, abortController.signal);
+
+      if (this.timedOut || this.budgetExceeded) {
+        throw this.createStoppedError(finalText);
+      }
+
+      core.info('Bedrock agent completed successfully');
+      const markdown = this.parseOutput(finalText || '');
+      return this.createResult(getCompletedStatus(markdown, this.getFilterMethod()), { markdown });
+
+    } catch (error) {
+      if (error instanceof InvestigationTimeoutError || error instanceof BudgetExceededError) {
+        throw error;
+      }
+      if (this.timedOut) {
+        throw this.createStoppedError(this.lastText);
+      }
+      // The SDK error name (e.g. ThrottlingException) stands in for CLI stderr when classifying the failure
+      const message = `Bedrock agent execution failed: ${error.message}`;
+      const stderr = `${error.name}: ${error.message}`;
+      throw new CLIExecutionError(message, {
+        stderr,
+        result: this.createResult(EXECUTION_STATUS.FAILED, { stderrTail: stderr, error: message })
+      });
+    } finally {
+      clearTimeout(timeoutTimer);
+      await this.closeMCPClients();
+      this.logUsage();
+    }
+  }
+}
+
+module.exports = { BedrockAgentExecutor, DEFAULT_MODEL_ID };
@@ -0,0 +1,278 @@
+const core = require('@actions/core');
+const { BaseCLIExecutor } = require('./base-cli-executor');
+const { MCPConfigManager } = require('../config/mcp-config');
+const { OutputCleaner } = require('../utils/output-cleaner');
+const { TranscriptParser } = require('../utils/transcript-parser');
+const { parseClaudeStreamUsage } = require('../utils/usage-report');
+const { toLines } = require('../utils/bounded-output');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Claude Code built-in tools the agent may use without approval
+ * (reading the checked out repository); Edit, MultiEdit, Write and Bash
+ * are only trusted through allowed_tools
+ */
+const CLAUDE_BUILTIN_TOOLS = [
+  'Read',
+  'Glob',
+  'Grep',
+  'LS'
+];
+
+/**
+ * Claude Code CLI executor
+ * Runs `claude` in non-interactive print mode with stream-json output
+ */
+class ClaudeCLIExecutor extends BaseCLIExecutor {
+  constructor() {
+    super();
+    this.outputCleaner = new OutputCleaner();
+    this.mcpConfigPath = null;
+    this.allowedTools = this.toolPolicy.buildAllowlist(CLAUDE_BUILTIN_TOOLS);
+    this.streamBuffer = '';
+  }
+
+  getCommandName() {
+    return 'claude';
+  }
+
+  getCommandArgs() {
+    const args = [
+      '-p',
+      '--output-format', 'stream-json',
+      '--verbose'
+    ];
+
+    if (this.mcpConfigPath) {
+      args.push('--mcp-config', this.mcpConfigPath, '--strict-mcp-config');
+    }
+
+    if (this.allowedTools.length > 0) {
+      args.push('--allowedTools', this.allowedTools.join(','));
+    }
+
+    return args;
+  }
+
+  /**
+   * Claude Code stores session transcripts per project under ~/.claude/projects
+   */
+  getSessionStatePaths() {
+    return [path.join('.claude', 'projects')];
+  }
+
+  /**
+   * --continue resumes the most recent session of the working directory
+   */
+  getResumeArgs() {
+    return ['--continue'];
+  }
+
+  getEnvironmentVariables() {
+    const env = {
+      ...process.env,
+      GITHUB_PERSONAL_ACCESS_TOKEN: process.env.GITHUB_TOKEN  // Alternative token name for MCP servers
+    };
+
+    // Without an Anthropic API key, authenticate through Amazon Bedrock with the runner's AWS credentials
+    if (!process.env.ANTHROPIC_API_KEY) {
+      env.CLAUDE_CODE_USE_BEDROCK = '1';
+    }
+
+    return env;
+  }
+
+  /**
+   * Convert the shared MCP configuration into Claude Code's --mcp-config format
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {object} Claude Code MCP configuration
+   */
+  buildClaudeMCPConfig(mcpConfig) {
+    const claudeConfig = { mcpServers: {} };
+
+    for (const [name, server] of Object.entries(mcpConfig.mcpServers || {})) {
+      if (server.disabled) {
+        continue;
+      }
+
+      claudeConfig.mcpServers[name] = {
+        type: 'stdio',
+        command: server.command,
+        args: server.args || [],
+        env: server.env || {}
+      };
+    }
+
+    return claudeConfig;
+  }
+
+  /**
+   * Collect auto-approved MCP tools as Claude Code allowed tools
+   * Claude names MCP tools mcp__<server>__<tool>, matching the auto-approve lists
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {Array<string>} Allowed tool names
+   */
+  buildAllowedTools(mcpConfig) {
+    return this.toolPolicy.buildAllowlist(CLAUDE_BUILTIN_TOOLS, mcpConfig);
+  }
+
+  /**
+   * Setup MCP configuration for Claude Code CLI
+   * Config is written to the run directory and passed with --mcp-config
+   * @returns {Promise<string|null>} Config path for cleanup
+   */
+  async setupConfiguration() {
+    try {
+      if (!await this.ensureUvxAvailable()) {
+        return null;
+      }
+
+      const mcpConfigManager = new MCPConfigManager();
+      const mcpConfig = mcpConfigManager.buildMCPConfig();
+
+      const mcpConfigPath = path.join(this.runDir || this.tempDir, 'claude-mcp-config.json');
+      fs.writeFileSync(mcpConfigPath, JSON.stringify(this.buildClaudeMCPConfig(mcpConfig), null, 2), { mode: 0o600 });
+
+      this.mcpConfigPath = mcpConfigPath;
+      this.allowedTools = this.buildAllowedTools(mcpConfig);
+      await this.checkMCPTools(mcpConfig);
+
+      this.checkGitHubServer(mcpConfigManager);
+
+      return mcpConfigPath;
+
+    } catch (error) {
+      this.addWarning(`Failed to setup Claude Code MCP configuration: ${error.message}`);
+      this.addWarning('Claude Code CLI will run without MCP tools');
+      return null;
+    }
+  }
+
+  /**
+   * Parse a single stream-json line
+   * @param {string} line Line of CLI output
+   * @returns {object|null} Parsed event or null if not JSON
+   */
+  parseStreamEvent(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Show readable progress in the workflow logs instead of raw stream-json
+   */
+  onOutputData(text) {
+    this.streamBuffer += text;
+    const lines = this.streamBuffer.split('\n');
+    this.streamBuffer = lines.pop();
+
+    for (const line of lines) {
+      const event = this.parseStreamEvent(line);
+      if (!event) {
+        if (line.trim()) {
+          process.stdout.write(`${line}\n`);
+        }
+        continue;
+      }
+
+      if (event.type === 'assistant' && event.message && Array.isArray(event.message.content)) {
+        for (const block of event.message.content) {
+          if (block.type === 'text' && block.text) {
+            process.stdout.write(`${block.text}\n`);
+          } else if (block.type === 'tool_use') {
+            process.stdout.write(`● Using tool: ${block.name}\n`);
+          }
+        }
+      } else if (event.type === 'result') {
+        const seconds = ((event.duration_ms || 0) / 1000).toFixed(1);
+        process.stdout.write(`● Completed in ${seconds}s (${event.num_turns || 0} turns)\n`);
+      }
+    }
+  }
+
+  /**
+   * Extract the final answer from stream-json output and clean it
+   * Uses the result event when present, otherwise the assistant text blocks
+   */
+  parseOutput(output) {
+    core.debug(`Claude Code raw output: ${output.length} chars`);
+
+    let resultText = null;
+    const assistantText = [];
+
+    for (const line of output.split('\n')) {
+      const event = this.parseStreamEvent(line);
+      if (!event) {
+        continue;
+      }
+
+      if (event.type === 'result' && typeof event.result === 'string') {
+        resultText = event.result;
+      } else if (event.type === 'assistant' && event.message && Array.isArray(event.message.content)) {
+        for (const block of event.message.content) {
+          if (block.type === 'text' && block.text) {
+            assistantText.push(block.text);
+          }
+        }
+      }
+    }
+
+    const finalText = resultText !== null ? resultText : assistantText.join('\n\n');
+    const cleanOutput = this.outputCleaner.cleanMarkdownOutput(finalText);
+    this.resultEventFound = resultText !== null;
+
+    core.debug(`Claude Code cleaned output: ${cleanOutput.length} chars`);
+
+    return cleanOutput;
+  }
+
+  /**
+   * The result event holds only the final answer, so it is reliable even without the result marker
+   */
+  getFilterMethod() {
+    const method = super.getFilterMethod();
+    return method === 'none' && this.resultEventFound ? 'result_event' : method;
+  }
+
+  /**
+   * Extract tool calls from the tool_use and tool_result events
+   */
+  parseTranscript(output) {
+    return new TranscriptParser().parseClaudeStreamJson(output);
+  }
+
+  /**
+   * Tools Claude Code refused to run, from the permission_denials of the result event
+   * Print mode cannot ask for approval, so every tool outside --allowedTools is denied
+   */
+  parseBlockedTools(output) {
+    const blocked = [];
+
+    for (const line of toLines(output)) {
+      const event = this.parseStreamEvent(line);
+      if (event && event.type === 'result' && Array.isArray(event.permission_denials)) {
+        blocked.push(...event.permission_denials.map(denial => denial.tool_name).filter(Boolean));
+      }
+    }
+
+    return [...new Set(blocked)];
+  }
+
+  /**
+   * Token usage reported on the assistant and result events
+   */
+  parseUsage(output) {
+    return parseClaudeStreamUsage(output);
+  }
+}
+
+module.exports = { ClaudeCLIExecutor, CLAUDE_BUILTIN_TOOLS };
@@ -0,0 +1,257 @@
+const core = require('@actions/core');
+const { BaseCLIExecutor } = require('./base-cli-executor');
+const { MCPConfigManager } = require('../config/mcp-config');
+const { OutputCleaner } = require('../utils/output-cleaner');
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_MODES = ['stdin', 'file', 'pipe'];
+const MCP_CONFIG_FORMATS = ['mcp-json', 'amazonq', 'claude'];
+
+/**
+ * Configurable executor for agent CLIs without a first-class executor
+ * Command, argument template, prompt delivery, MCP config location/format
+ * and output extraction all come from action inputs
+ *
+ * Argument and path templates support these placeholders:
+ * {prompt_file}, {prompt_pipe}, {mcp_config}, {workspace}, {temp}, {home}
+ */
+class CommandTemplateExecutor extends BaseCLIExecutor {
+  constructor() {
+    super();
+    this.outputCleaner = new OutputCleaner();
+    this.command = (process.env.AGENT_COMMAND || '').trim();
+    this.argsTemplate = process.env.AGENT_ARGS || '';
+    this.promptMode = (process.env.AGENT_PROMPT_MODE || 'stdin').trim().toLowerCase();
+    this.mcpConfigPathTemplate = (process.env.AGENT_MCP_CONFIG_PATH || '').trim();
+    this.mcpConfigFormat = (process.env.AGENT_MCP_CONFIG_FORMAT || 'mcp-json').trim().toLowerCase();
+    this.outputPattern = this.compileOutputPattern(process.env.AGENT_OUTPUT_PATTERN || '');
+    this.mcpConfigPath = null;
+
+    this.validate();
+  }
+
+  /**
+   * Validate the executor inputs
+   */
+  validate() {
+    if (!this.command) {
+      throw new Error('agent_command is required when agent_cli is "command"');
+    }
+    if (!PROMPT_MODES.includes(this.promptMode)) {
+      throw new Error(`Invalid agent_prompt_mode "${this.promptMode}". Supported values: ${PROMPT_MODES.join(', ')}`);
+    }
+    if (!MCP_CONFIG_FORMATS.includes(this.mcpConfigFormat)) {
+      throw new Error(`Invalid agent_mcp_config_format "${this.mcpConfigFormat}". Supported values: ${MCP_CONFIG_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Compile the output extraction regex (dot matches newlines)
+   * @param {string} pattern Regex source, empty for none
+   * @returns {RegExp|null} Compiled pattern
+   */
+  compileOutputPattern(pattern) {
+    if (!pattern) {
+      return null;
+    }
+
+    try {
+      return new RegExp(pattern, 's');
+    } catch (error) {
+      throw new Error(`Invalid agent_output_pattern: ${error.message}`);
+    }
+  }
+
+  getCommandName() {
+    return this.command;
+  }
+
+  getPromptDeliveryMode() {
+    return this.promptMode;
+  }
+
+  /**
+   * Get placeholder values for argument and path templates
+   * @returns {object} Placeholder values
+   */
+  getTemplateValues() {
+    return {
+      prompt_file: this.promptFile || '',
+      prompt_pipe: this.promptPipe || '',
+      mcp_config: this.mcpConfigPath || '',
+      workspace: this.targetRepoDir,
+      temp: this.tempDir,
+      home: this.getConfigHome()
+    };
+  }
+
+  /**
+   * Replace {placeholder} tokens; unknown placeholders are left untouched
+   * @param {string} template Template string
+   * @param {object} values Placeholder values
+   * @returns {string} Rendered string
+   */
+  renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+      Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+    ));
+  }
+
+  /**
+   * Split an argument template into arguments, honouring single and double quotes
+   * @param {string} template Argument template
+   * @returns {Array<string>} Arguments
+   */
+  splitArgs(template) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let inArg = false;
+
+    for (const char of template) {
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        } else {
+          current += char;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+        inArg = true;
+      } else if (/\s/.test(char)) {
+        if (inArg) {
+          args.push(current);
+          current = '';
+          inArg = false;
+        }
+      } else {
+        current += char;
+        inArg = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error('Unterminated quote in agent_args');
+    }
+    if (inArg) {
+      args.push(current);
+    }
+
+    return args;
+  }
+
+  getCommandArgs() {
+    const values = this.getTemplateValues();
+    return this.splitArgs(this.argsTemplate).map(arg => this.renderTemplate(arg, values));
+  }
+
+  getEnvironmentVariables() {
+    return {
+      ...process.env,
+      GITHUB_PERSONAL_ACCESS_TOKEN: process.env.GITHUB_TOKEN  // Alternative token name for MCP servers
+    };
+  }
+
+  /**
+   * Render the shared MCP configuration in the requested format
+   * - 'amazonq': MCPConfigManager output as-is (autoApprove, disabled, transportType)
+   * - 'claude': stdio entries with an explicit type
+   * - 'mcp-json': plain command/args/env entries
+   * @param {object} mcpConfig Configuration from MCPConfigManager.buildMCPConfig()
+   * @returns {object} Formatted MCP configuration
+   */
+  formatMCPConfig(mcpConfig) {
+    if (this.mcpConfigFormat === 'amazonq') {
+      return mcpConfig;
+    }
+
+    const formatted = { mcpServers: {} };
+    for (const [name, server] of Object.entries(mcpConfig.mcpServers || {})) {
+      if (server.disabled) {
+        continue;
+      }
+
+      formatted.mcpServers[name] = {
+        ...(this.mcpConfigFormat === 'claude' ? { type: 'stdio' } : {}),
+        command: server.command,
+        args: server.args || [],
+        env: server.env || {}
+      };
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Write MCP configuration to the configured path (relative paths resolve against the run directory)
+   * @returns {Promise<string|null>} Config path for cleanup
+   */
+  async setupConfiguration() {
+    if (!this.mcpConfigPathTemplate) {
+      return null;
+    }
+
+    try {
+      if (!await this.ensureUvxAvailable()) {
+        return null;
+      }
+
+      let mcpConfigPath = this.renderTemplate(this.mcpConfigPathTemplate, this.getTemplateValues());
+      if (!path.isAbsolute(mcpConfigPath)) {
+        mcpConfigPath = path.join(this.runDir || this.tempDir, mcpConfigPath);
+      }
+
+      const mcpConfigDir = path.dirname(mcpConfigPath);
+      if (!fs.existsSync(mcpConfigDir)) {
+        fs.mkdirSync(mcpConfigDir, { recursive: true });
+      }
+
+      const mcpConfigManager = new MCPConfigManager();
+      const sharedConfig = mcpConfigManager.buildMCPConfig();
+      fs.writeFileSync(mcpConfigPath, JSON.stringify(this.formatMCPConfig(sharedConfig), null, 2), { mode: 0o600 });
+      this.mcpConfigPath = mcpConfigPath;
+      await this.checkMCPTools(sharedConfig);
+
+      this.checkGitHubServer(mcpConfigManager);
+
+      return mcpConfigPath;
+
+    } catch (error) {
+      this.addWarning(`Failed to setup ${this.command} MCP configuration: ${error.message}`);
+      this.addWarning(`${this.command} will run without MCP tools`);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the result with agent_output_pattern (first capture group, or the whole match)
+   * and clean it; falls back to the full output when the pattern does not match
+   */
+  parseOutput(output) {
+    let text = this.outputCleaner.removeAnsiCodes(output);
+    this.patternMatched = false;
+
+    if (this.outputPattern) {
+      const match = this.outputPattern.exec(text);
+      if (match) {
+        text = match[1] !== undefined ? match[1] : match[0];
+        this.patternMatched = true;
+      } else {
+        this.addWarning('agent_output_pattern did not match the CLI output, using the full output');
+      }
+    }
+
+    return this.outputCleaner.cleanMarkdownOutput(text);
+  }
+
+  /**
+   * A matching agent_output_pattern locates the answer as reliably as the result marker
+   */
+  getFilterMethod() {
+    const method = super.getFilterMethod();
+    return method === 'none' && this.patternMatched ? 'output_pattern' : method;
+  }
+}
+
+module.exports = { CommandTemplateExecutor, PROMPT_MODES, MCP_CONFIG_FORMATS };
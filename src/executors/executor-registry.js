@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registry of agent executors keyed by the `agent_cli` input value
+ * Executor modules are loaded lazily so that validating a name does not
+ * pull in the executor implementation or its dependencies
+ */
+const DEFAULT_EXECUTOR = 'amazonq';
+const AUTO_DETECT = 'auto';
+const REPLAY_EXECUTOR = 'replay';
+
+// Binaries checked by auto-detection, in order of preference
+const AUTO_DETECT_CANDIDATES = [
+  { command: 'kiro-cli', executor: 'kiro' },
+  { command: 'q', executor: 'amazonq' }
+];
+
+const executors = {
+  amazonq: {
+    displayName: 'Amazon Q Developer CLI',
+    load: () => require('./amazonq-cli-executor').AmazonQCLIExecutor
+  },
+  kiro: {
+    displayName: 'Kiro CLI',
+    load: () => require('./kiro-cli-executor').KiroCLIExecutor
+  },
+  claude: {
+    displayName: 'Claude Code CLI',
+    load: () => require('./claude-cli-executor').ClaudeCLIExecutor
+  },
+  bedrock: {
+    displayName: 'Amazon Bedrock agent',
+    load: () => require('./bedrock-agent-executor').BedrockAgentExecutor
+  },
+  command: {
+    displayName: 'Custom agent command',
+    load: () => require('./command-template-executor').CommandTemplateExecutor
+  },
+  [REPLAY_EXECUTOR]: {
+    displayName: 'Recorded run replay',
+    load: () => require('./replay-executor').ReplayExecutor
+  }
+};
+
+/**
+ * Normalize an executor name from action input
+ * @param {string} name Executor name (empty means default)
+ * @returns {string} Normalized executor name
+ */
+function normalizeExecutorName(name) {
+  const normalized = (name || '').trim().toLowerCase();
+  return normalized || DEFAULT_EXECUTOR;
+}
+
+/**
+ * Register an executor under a name
+ * @param {string} name Executor name used by the `agent_cli` input
+ * @param {{displayName: string, load: Function}} definition Display name and lazy class loader
+ */
+function registerExecutor(name, definition) {
+  if (!definition || typeof definition.load !== 'function') {
+    throw new Error(`Executor "${name}" must provide a load() function`);
+  }
+  executors[normalizeExecutorName(name)] = {
+    displayName: definition.displayName || name,
+    load: definition.load
+  };
+}
+
+/**
+ * Get all accepted `agent_cli` values, including auto-detection
+ * @returns {Array<string>} Executor names
+ */
+function getExecutorNames() {
+  return [...Object.keys(executors), AUTO_DETECT];
+}
+
+/**
+ * Check if an executor name is registered (or is the auto-detect mode)
+ * @param {string} name Executor name
+ * @returns {boolean} True if registered
+ */
+function isKnownExecutor(name) {
+  const normalized = normalizeExecutorName(name);
+  return normalized === AUTO_DETECT || Object.prototype.hasOwnProperty.call(executors, normalized);
+}
+
+/**
+ * Check whether an executable is available on PATH
+ * @param {string} command Executable name
+ * @returns {boolean} True if found
+ */
+function isCommandOnPath(command) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  return dirs.some(dir => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Pick the executor whose CLI binary is on PATH
+ * @returns {string} Executor name (default executor when none is found)
+ */
+function detectExecutor() {
+  const candidate = AUTO_DETECT_CANDIDATES.find(c => isCommandOnPath(c.command));
+  return candidate ? candidate.executor : DEFAULT_EXECUTOR;
+}
+
+/**
+ * Resolve an `agent_cli` value to a registered executor name
+ * A replay file (AWSAPM_REPLAY_FILE) selects the replay executor regardless of `agent_cli`
+ * @param {string} name Executor name or 'auto'
+ * @returns {string} Registered executor name
+ */
+function resolveExecutorName(name) {
+  if ((process.env.AWSAPM_REPLAY_FILE || '').trim()) {
+    return REPLAY_EXECUTOR;
+  }
+  const normalized = normalizeExecutorName(name);
+  return normalized === AUTO_DETECT ? detectExecutor() : normalized;
+}
+
+/**
+ * Get the human readable name of an executor for logs and comments
+ * @param {string} name Executor name
+ * @returns {string} Display name
+ */
+function getExecutorDisplayName(name) {
+  const normalized = resolveExecutorName(name);
+  const definition = executors[normalized];
+  return definition ? definition.displayName : normalized;
+}
+
+/**
+ * Create an instance of a registered executor, without auto-detection or
+ * the replay override
+ * @param {string} name Registered executor name
+ * @returns {BaseCLIExecutor} Executor instance
+ */
+function loadExecutor(name) {
+  const normalized = normalizeExecutorName(name);
+  if (!Object.prototype.hasOwnProperty.call(executors, normalized)) {
+    throw new Error(`Unknown agent_cli "${name}". Supported values: ${getExecutorNames().join(', ')}`);
+  }
+
+  const ExecutorClass = executors[normalized].load();
+  const executor = new ExecutorClass();
+  executor.executorName = normalized;
+  return executor;
+}
+
+/**
+ * Create an executor instance by name
+ * @param {string} name Executor name (empty means default)
+ * @returns {BaseCLIExecutor} Executor instance
+ */
+function createExecutor(name) {
+  const normalized = resolveExecutorName(name);
+  if (!Object.prototype.hasOwnProperty.call(executors, normalized)) {
+    throw new Error(`Unknown agent_cli "${name}". Supported values: ${getExecutorNames().join(', ')}`);
+  }
+
+  return loadExecutor(normalized);
+}
+
+module.exports = {
+  DEFAULT_EXECUTOR,
+  AUTO_DETECT,
+  REPLAY_EXECUTOR,
+  normalizeExecutorName,
+  registerExecutor,
+  getExecutorNames,
+  isKnownExecutor,
+  isCommandOnPath,
+  detectExecutor,
+  resolveExecutorName,
+  getExecutorDisplayName,
+  loadExecutor,
+  createExecutor
+};
@@ -0,0 +1,98 @@
+const core = require('@actions/core');
+const { AmazonQCLIExecutor } = require('./amazonq-cli-executor');
+const { MCPConfigManager } = require('../config/mcp-config');
+const fs = require('fs');
+const path = require('path');
+
+const KIRO_AGENT_NAME = 'awsapm';
+
+/**
+ * Kiro CLI executor (successor of the Amazon Q Developer CLI)
+ * Shares SIGV4 authentication and output parsing with AmazonQCLIExecutor,
+ * but uses the kiro-cli binary, the ~/.kiro config directory and an agent file
+ */
+class KiroCLIExecutor extends AmazonQCLIExecutor {
+  getCommandName() {
+    return 'kiro-cli';
+  }
+
+  getCommandArgs() {
+    return [
+      'chat',
+      '--no-interactive',
+      '--agent',
+      KIRO_AGENT_NAME
+    ];
+  }
+
+  /**
+   * Kiro keeps conversations in its own data directory; --resume is shared with Amazon Q
+   */
+  getSessionStatePaths() {
+    return [path.join('.local', 'share', 'kiro-cli')];
+  }
+
+  /**
+   * Build the Kiro agent definition used for the investigation
+   * Every tool stays visible to the agent, but only the allowlist runs without
+   * approval, so calls to other tools are refused and reported as blocked
+   * @returns {object} Kiro agent configuration
+   */
+  buildAgentConfig() {
+    return {
+      name: KIRO_AGENT_NAME,
+      description: 'Application observability for AWS investigation agent',
+      tools: ['*'],
+      allowedTools: this.trustedTools,
+      includeMcpJson: true
+    };
+  }
+
+  /**
+   * Setup MCP configuration for Kiro CLI
+   * MCP servers are written to <config home>/.kiro/settings/mcp.json and the
+   * agent definition to <config home>/.kiro/agents/awsapm.json
+   */
+  async setupConfiguration() {
+    try {
+      if (!await this.ensureUvxAvailable()) {
+        return null;
+      }
+
+      const kiroDir = path.join(this.getConfigHome(), '.kiro');
+      const settingsDir = path.join(kiroDir, 'settings');
+      const agentsDir = path.join(kiroDir, 'agents');
+
+      for (const dir of [settingsDir, agentsDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+      }
+
+      const mcpConfigManager = new MCPConfigManager();
+      const mcpConfig = mcpConfigManager.buildMCPConfig();
+
+      fs.writeFileSync(path.join(settingsDir, 'mcp.json'), JSON.stringify(mcpConfig, null, 2), { mode: 0o600 });
+      this.applyToolPolicy(mcpConfig);
+      fs.writeFileSync(
+        path.join(agentsDir, `${KIRO_AGENT_NAME}.json`),
+        JSON.stringify(this.buildAgentConfig(), null, 2),
+        { mode: 0o600 }
+      );
+      await this.checkMCPTools(mcpConfig);
+
+      this.checkGitHubServer(mcpConfigManager);
+
+      // Not returned for cleanup: the per-run home is kept across retries
+      // and removed by the action's cleanup step
+      return null;
+
+    } catch (error) {
+      this.addWarning(`Failed to setup Kiro MCP configuration: ${error.message}`);
+      this.addWarning('Kiro CLI will run without MCP tools');
+      return null;
+    }
+  }
+}
+
+module.exports = { KiroCLIExecutor, KIRO_AGENT_NAME };
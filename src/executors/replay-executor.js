@@ -0,0 +1,127 @@
+const core = require('@actions/core');
+const { EventEmitter } = require('events');
+const { Writable } = require('stream');
+const path = require('path');
+const { BaseCLIExecutor } = require('./base-cli-executor');
+const { readRecording } = require('../utils/session-recording');
+const { REPLAY_EXECUTOR, loadExecutor } = require('./executor-registry');
+
+const DEFAULT_REPLAY_TARGET = 'amazonq';
+
+/**
+ * Replays a recorded CLI run (see SessionRecorder) instead of starting an agent
+ *
+ * The recorded chunks and exit code are fed through the regular capture,
+ * timeout and exit-code handling of BaseCLIExecutor, while output parsing is
+ * delegated to the executor that made the recording. This exercises the
+ * cleaner and post-result formatting exactly as a live run would, for free.
+ */
+class ReplayExecutor extends BaseCLIExecutor {
+  constructor() {
+    super();
+    const replayFile = (process.env.AWSAPM_REPLAY_FILE || '').trim();
+    this.replayFile = replayFile ? path.resolve(this.targetRepoDir, replayFile) : '';
+    this.recording = null;
+    this.target = null;
+  }
+
+  getCommandName() {
+    return REPLAY_EXECUTOR;
+  }
+
+  getCommandArgs() {
+    return [];
+  }
+
+  /**
+   * Load the recording and the executor whose parsing it needs
+   * Stands in for the CLI availability check of live executors
+   */
+  async testCLIAvailable() {
+    if (!this.replayFile) {
+      throw new Error('replay_file is required when replaying a recorded run');
+    }
+
+    this.recording = readRecording(this.replayFile);
+
+    const targetName = this.recording.executor && this.recording.executor !== REPLAY_EXECUTOR
+      ? this.recording.executor
+      : DEFAULT_REPLAY_TARGET;
+    this.target = loadExecutor(targetName);
+    if (this.target.onOutputData) {
+      this.onOutputData = text => this.target.onOutputData(text);
+    }
+
+    core.info(`Replaying ${this.recording.events.length} recorded chunks from ${this.replayFile} as ${targetName} (exit code ${this.recording.exitCode})`);
+    return true;
+  }
+
+  /**
+   * No MCP servers are started during a replay
+   */
+  async setupConfiguration() {
+    return null;
+  }
+
+  /**
+   * Stand-in for the CLI process: emits the recorded chunks, then closes
+   * with the recorded exit code. Chunks are emitted asynchronously (without
+   * the original delays) so output listeners see them as they would live.
+   */
+  spawnCLIProcess() {
+    const { events, exitCode } = this.recording;
+    const replayProcess = new EventEmitter();
+    replayProcess.stdout = new EventEmitter();
+    replayProcess.stderr = new EventEmitter();
+    // The prompt is accepted and discarded
+    replayProcess.stdin = new Writable({ write: (chunk, encoding, callback) => callback() });
+    replayProcess.pid = undefined;
+
+    let index = 0;
+    const emitNext = () => {
+      if (index < events.length) {
+        const event = events[index++];
+        replayProcess[event.stream].emit('data', Buffer.from(event.data));
+        setImmediate(emitNext);
+      } else {
+        replayProcess.emit('close', exitCode);
+      }
+    };
+    setImmediate(emitNext);
+
+    return replayProcess;
+  }
+
+  /**
+   * Replays of a timed out run end the same way the live run did
+   */
+  async captureOutput(cliProcess) {
+    const captured = await super.captureOutput(cliProcess);
+    if (this.recording.timedOut) {
+      this.timedOut = true;
+    }
+    return captured;
+  }
+
+  parseOutput(output) {
+    return this.target.parseOutput(output);
+  }
+
+  parseTranscript(output) {
+    return this.target.parseTranscript(output);
+  }
+
+  parseUsage(output) {
+    return this.target.parseUsage(output);
+  }
+
+  parseBlockedTools(output) {
+    return this.target.parseBlockedTools(output);
+  }
+
+  getFilterMethod() {
+    return this.target ? this.target.getFilterMethod() : null;
+  }
+}
+
+module.exports = { ReplayExecutor };
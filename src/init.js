@@ -4,6 +4,15 @@ const core = require('@actions/core');
 const github = require('@actions/github');
 const fs = require('fs');
 const path = require('path');
+const { REPLAY_EXECUTOR, isKnownExecutor, getExecutorNames, normalizeExecutorName } = require('./executors/executor-registry');
+const { parseTimeoutMinutes } = require('./executors/base-cli-executor');
+const { MCPConfigManager } = require('./config/mcp-config');
+const { createRunHome } = require('./utils/run-home');
+const { getSessionDir, getSessionCacheKey } = require('./utils/session-store');
+const { resolveReadOnlyMode } = require('./config/read-only-mode');
+const { resolveAWSCredentials } = require('./config/aws-credentials');
+const { writeTargetCredentials } = require('./config/aws-targets');
+const { parseGitHubMCPTransport, resolveGitHubMCPTransport } = require('./config/github-mcp-transport');
 
 /**
  * Initialize the Application observability for AWS action by checking trigger conditions and creating initial tracking comment
@@ -20,6 +29,24 @@ async function run() {
     const targetBranch = process.env.TARGET_BRANCH || '';
     const allowedNonWriteUsers = process.env.ALLOWED_NON_WRITE_USERS || '';
     const customPrompt = process.env.CUSTOM_PROMPT || '';
+    const agentCli = process.env.AGENT_CLI || '';
+
+    // Validate the executor and GitHub MCP transport selections before doing any work
+    if (!isKnownExecutor(agentCli)) {
+      throw new Error(`Unknown agent_cli "${agentCli}". Supported values: ${getExecutorNames().join(', ')}`);
+    }
+    parseGitHubMCPTransport(process.env.GITHUB_MCP_TRANSPORT);
+
+    // Validate mcp_servers too, so a mistake fails here instead of dropping the MCP setup later
+    const mcpConfigManager = new MCPConfigManager();
+    const customServerNames = Object.keys(mcpConfigManager.getCustomServers());
+    if (customServerNames.length > 0) {
+      core.info(`MCP servers from mcp_servers: ${customServerNames.join(', ')}`);
+    }
+    const awsTargets = mcpConfigManager.getAWSTargets();
+    if (awsTargets.length > 0) {
+      core.info(`AWS environments from aws_targets: ${awsTargets.map(target => target.alias).join(', ')}`);
+    }
 
     // Function to check for bot name trigger phrase
     // Must contain "@awsapm" prefix (case-insensitive)
@@ -95,6 +122,8 @@ async function run() {
     if (!githubToken) {
       throw new Error('GitHub token is required');
     }
+    // Published right away, with the tracking comment ID, so post-result can report a later init failure
+    core.setOutput('GITHUB_TOKEN', githubToken);
 
     // Create Octokit instance
     const octokit = github.getOctokit(githubToken);
@@ -206,15 +235,60 @@ async function run() {
         core.error(`Failed to create/update tracking comment: ${error.message}`);
       }
     }
+    core.setOutput('awsapm_comment_id', awsapmCommentId);
 
-    // Create prompt file
-    const promptDir = path.join(process.env.RUNNER_TEMP || '/tmp', 'awsapm-prompts');
-    if (!fs.existsSync(promptDir)) {
-      fs.mkdirSync(promptDir, { recursive: true });
+    // Create prompt file in a unique per-run directory so jobs sharing RUNNER_TEMP do not collide
+    const promptRoot = path.join(process.env.RUNNER_TEMP || '/tmp', 'awsapm-prompts');
+    if (!fs.existsSync(promptRoot)) {
+      fs.mkdirSync(promptRoot, { recursive: true });
     }
 
+    const promptDir = fs.mkdtempSync(path.join(promptRoot, `run-${context.runId || 'local'}-`));
     const promptFile = path.join(promptDir, 'awsapm-prompt.txt');
 
+    // Isolated home for agent configuration, removed by the cleanup step
+    // Published right away so the cleanup step finds it even if init fails later
+    const configHome = createRunHome();
+    core.setOutput('config_home', configHome);
+
+    // The workflow cache restores the previous agent session of this issue into session_dir
+    // Opt-in: the saved session holds tool results, and cache entries are readable by any workflow run
+    if (process.env.RESUME_SESSION === 'true' && issueNumber) {
+      const sessionDir = getSessionDir();
+      // A session left behind by an earlier job on a self-hosted runner belongs to another issue
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+      core.setOutput('session_dir', sessionDir);
+      core.setOutput('session_key', getSessionCacheKey(context.repo, issueNumber));
+    }
+
+    // Resolve AWS credentials once; the execute step enables the AWS MCP servers only when they exist
+    const awsCredentials = await resolveAWSCredentials();
+    if (!awsCredentials) {
+      core.warning('No AWS credentials found (environment, profile, web identity, ECS/EKS container or EC2 instance role) - the Application Signals and CloudWatch MCP servers are disabled');
+    }
+    core.setOutput('aws_credential_source', awsCredentials ? awsCredentials.source : '');
+
+    // aws_targets roles and profiles get credentials of their own, read by their MCP servers from a file in the per-run home
+    const targetCredentialsFile = awsCredentials
+      ? await writeTargetCredentials(awsTargets, configHome, { timeoutMinutes: parseTimeoutMinutes(process.env.INVESTIGATION_TIMEOUT) })
+      : null;
+    core.setOutput('aws_target_credentials_file', targetCredentialsFile || '');
+
+    // Pick how the GitHub MCP server runs: Docker, the github-mcp-server binary or the remote endpoint
+    // A replay starts no MCP servers, so it neither probes Docker nor downloads anything
+    const githubMCP = githubToken && normalizeExecutorName(agentCli) !== REPLAY_EXECUTOR
+      ? await resolveGitHubMCPTransport({
+        preference: process.env.GITHUB_MCP_TRANSPORT,
+        binaryVersion: process.env.GITHUB_MCP_BINARY_VERSION,
+        binarySha256: process.env.GITHUB_MCP_BINARY_SHA256,
+        remoteUrl: process.env.GITHUB_MCP_REMOTE_URL,
+        token: githubToken,
+        installDir: path.join(configHome, 'bin')
+      })
+      : null;
+    core.setOutput('github_mcp_transport', githubMCP ? githubMCP.transport : '');
+    core.setOutput('github_mcp_command', (githubMCP && githubMCP.command) || '');
+
     // Get repository info for prompt generation
     let repoInfo;
     try {
@@ -233,11 +307,19 @@ async function run() {
     // Remove bot name from the user's request
     const cleanedUserRequest = triggerText.replace(new RegExp(botName, 'gi'), '').trim();
 
+    // Read-only mode removes the GitHub write tools and the pull request instructions
+    const { readOnly, source: readOnlySource, directive: readOnlyDirective } = resolveReadOnlyMode(process.env.READ_ONLY, cleanedUserRequest);
+    if (readOnly) {
+      core.info(readOnlySource === 'input'
+        ? 'Read-only mode: enabled by the read_only input'
+        : `Read-only mode: enabled by "${readOnlyDirective}" in the request`);
+    }
+
     // Use the dynamic prompt generation with PR context
     const { createGeneralPrompt } = require('./prompt-builder');
 
     try {
-      const finalPrompt = await createGeneralPrompt(context, repoInfo, cleanedUserRequest, githubToken, awsapmBranch);
+      const finalPrompt = await createGeneralPrompt(context, repoInfo, cleanedUserRequest, githubToken, awsapmBranch, { readOnly, awsTargets });
       fs.writeFileSync(promptFile, finalPrompt);
     } catch (promptError) {
       core.error(`Failed to generate dynamic prompt: ${promptError.message}`);
@@ -255,13 +337,13 @@ async function run() {
     }
 
     // Set outputs
-    core.setOutput('GITHUB_TOKEN', githubToken);
     core.setOutput('AWSAPM_BRANCH', awsapmBranch);
+    core.setOutput('prompt_file', promptFile);
     core.setOutput('TARGET_BRANCH', actualTargetBranch);
-    core.setOutput('awsapm_comment_id', awsapmCommentId);
     core.setOutput('issue_number', issueNumber);
     core.setOutput('is_pr', isPR);
     core.setOutput('trigger_text', triggerText);
+    core.setOutput('read_only', readOnly.toString());
 
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
@@ -3,6 +3,12 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
 const fs = require('fs');
+const { formatAttempts } = require('./utils/retry-policy');
+const { formatUsageFooter } = require('./utils/usage-report');
+const { InvestigationBudget, describeBudgetCount } = require('./utils/investigation-budget');
+const { EXECUTION_STATUS, EXECUTION_PHASE, readExecutionResult } = require('./utils/execution-result');
+const { formatDiagnostics, redactSecrets } = require('./utils/failure-diagnostics');
+const { parseTimeoutMinutes } = require('./executors/base-cli-executor');
 
 /**
  * Update the GitHub comment with the final results from Application observability for AWS investigation
@@ -17,6 +23,15 @@ async function run() {
     const awsapmCommentId = process.env.AWSAPM_COMMENT_ID;
     const githubRunId = process.env.GITHUB_RUN_ID;
     const awsapmSuccess = process.env.AWSAPM_SUCCESS === 'true';
+    const timedOut = process.env.AWSAPM_TIMED_OUT === 'true';
+    const budgetExceeded = process.env.AWSAPM_BUDGET_EXCEEDED || '';
+    const executionResult = readExecutionResult(process.env.AWSAPM_RESULT_FILE);
+    // The timeout the agent ran with, the raw input may be empty or invalid
+    const timeoutMinutes = executionResult && typeof executionResult.timeoutMinutes === 'number'
+      ? executionResult.timeoutMinutes
+      : parseTimeoutMinutes(process.env.INVESTIGATION_TIMEOUT);
+    const attempts = parseAttempts(process.env.AWSAPM_ATTEMPTS);
+    const usage = parseUsage(process.env.AWSAPM_USAGE);
     const outputFile = process.env.OUTPUT_FILE;
     const triggerUsername = process.env.TRIGGER_USERNAME;
     const initSuccess = process.env.INIT_SUCCESS === 'true';
@@ -43,25 +58,83 @@ async function run() {
 
     // Create the final comment body
     const workflowUrl = `${context.payload.repository.html_url}/actions/runs/${githubRunId}`;
+    const attemptsSection = formatAttempts(attempts);
+    const attemptsBlock = attemptsSection ? `${attemptsSection}\n\n` : '';
+    const usageFooter = formatUsageFooter(usage);
+    const warningsSection = formatWarnings(executionResult ? executionResult.warnings : []);
+    const warningsBlock = warningsSection ? `${warningsSection}\n\n` : '';
+    const status = getCommentStatus(awsapmSuccess, executionResult, timedOut, budgetExceeded);
 
     let commentBody;
-    if (awsapmSuccess) {
+    if (status === EXECUTION_STATUS.TIMED_OUT) {
+      commentBody = `⏱️ **Application observability for AWS Investigation Timed Out**\n\n` +
+        `The investigation timed out after ${timeoutMinutes} minutes. Here is the partial result captured before it was stopped:\n\n` +
+        `---\n\n` +
+        `${responseContent}\n\n` +
+        `---\n\n` +
+        warningsBlock +
+        attemptsBlock +
+        `⏱️ **Status**: Timed out after ${timeoutMinutes} minutes\n` +
+        `👤 **Requested by**: @${triggerUsername}\n` +
+        `🔗 **Workflow**: [View details](${workflowUrl})`;
+    } else if (status === EXECUTION_STATUS.BUDGET_EXCEEDED) {
+      const exceeded = executionResult && executionResult.budget;
+      const budgetName = exceeded ? exceeded.budget : budgetExceeded;
+      const limit = exceeded ? exceeded.limit : InvestigationBudget.fromEnv().limits[budgetName];
+      const budgetNote = limit ? `\`${budgetName}\` budget (${describeBudgetCount(budgetName, limit)})` : `\`${budgetName}\` budget`;
+      commentBody = `🛑 **Application observability for AWS Investigation Stopped**\n\n` +
+        `The investigation was stopped because it exceeded the ${budgetNote}. Here is the partial result captured before it was stopped:\n\n` +
+        `---\n\n` +
+        `${responseContent}\n\n` +
+        `---\n\n` +
+        warningsBlock +
+        attemptsBlock +
+        `🛑 **Status**: Stopped by the ${budgetNote}\n` +
+        `👤 **Requested by**: @${triggerUsername}\n` +
+        `🔗 **Workflow**: [View details](${workflowUrl})`;
+    } else if (status === EXECUTION_STATUS.EMPTY) {
+      commentBody = `🔍 **Application observability for AWS Investigation Complete**\n\n` +
+        `The investigation finished, but the agent did not report any findings. Try rephrasing the request with the service, time range or symptom to look at.\n\n` +
+        warningsBlock +
+        attemptsBlock +
+        `✅ **Status**: Complete, no findings\n` +
+        `👤 **Requested by**: @${triggerUsername}\n` +
+        `🔗 **Workflow**: [View details](${workflowUrl})`;
+    } else if (status === EXECUTION_STATUS.SUCCESS || status === EXECUTION_STATUS.NO_RESULT_MARKER) {
+      const markerNote = status === EXECUTION_STATUS.NO_RESULT_MARKER
+        ? `⚠️ The agent's answer did not start with the result marker, so it was extracted from the output heuristically and may include intermediate steps.\n\n`
+        : '';
       commentBody = `🎯 **Application observability for AWS Investigation Complete**\n\n` +
         `Investigation completed successfully! Here are the results:\n\n` +
+        markerNote +
         `---\n\n` +
         `${responseContent}\n\n` +
         `---\n\n` +
+        warningsBlock +
+        attemptsBlock +
         `✅ **Status**: Complete\n` +
         `👤 **Requested by**: @${triggerUsername}\n` +
         `🔗 **Workflow**: [View details](${workflowUrl})`;
     } else {
+      const diagnostics = formatDiagnostics({
+        ...(executionResult || {}),
+        phase: getFailedPhase(executionResult),
+        error: (executionResult && executionResult.error) || process.env.AWSAPM_ERROR_MESSAGE || null
+      });
       commentBody = `❌ **Application observability for AWS Investigation Failed**\n\n` +
         `The investigation could not be completed. Please check the workflow logs for more details.\n\n` +
+        `${diagnostics}\n\n` +
+        warningsBlock +
+        attemptsBlock +
         `👤 **Requested by**: @${triggerUsername}\n` +
         `🔗 **Workflow**: [View details](${workflowUrl})\n\n` +
         `*If this issue persists, please check your action configuration and try again.*`;
     }
 
+    if (usageFooter) {
+      commentBody += `\n\n${usageFooter}`;
+    }
+
     // Update or create comment
     if (awsapmCommentId && useStickyComment) {
       // Update existing comment
@@ -117,6 +190,98 @@ async function run() {
   }
 }
 
+/**
+ * Pick the comment template for the investigation
+ * The execution result written by execute.js decides; the step outputs are the
+ * fallback when the result file is missing (e.g. execute.js crashed before writing it)
+ * @param {boolean} awsapmSuccess Whether execute.js finished
+ * @param {object|null} executionResult Execution result
+ * @param {boolean} timedOut Whether the investigation timed out
+ * @param {string} budgetExceeded Name of the exceeded budget
+ * @returns {string} One of EXECUTION_STATUS
+ */
+function getCommentStatus(awsapmSuccess, executionResult, timedOut, budgetExceeded) {
+  if (!awsapmSuccess) {
+    return EXECUTION_STATUS.FAILED;
+  }
+  if (executionResult) {
+    return executionResult.status;
+  }
+  if (timedOut) {
+    return EXECUTION_STATUS.TIMED_OUT;
+  }
+  return budgetExceeded ? EXECUTION_STATUS.BUDGET_EXCEEDED : EXECUTION_STATUS.SUCCESS;
+}
+
+/**
+ * Find the phase a failed investigation stopped in
+ * Init and CLI install are workflow steps that run before execute.js,
+ * so their outcomes come from action.yml
+ * @param {object|null} executionResult Execution result
+ * @returns {string} One of EXECUTION_PHASE
+ */
+function getFailedPhase(executionResult) {
+  if (process.env.INIT_SUCCESS === 'false') {
+    return EXECUTION_PHASE.INIT;
+  }
+  if (process.env.CLI_INSTALL_OUTCOME === 'failure') {
+    return EXECUTION_PHASE.CLI_INSTALL;
+  }
+  return (executionResult && executionResult.phase) || EXECUTION_PHASE.AGENT_RUN;
+}
+
+/**
+ * Format the warnings of the execution result for the comment
+ * Warnings quote CLI and MCP server errors, so secrets are masked like the diagnostics' stderr
+ * @param {Array<string>} warnings Warnings (duplicates are listed once)
+ * @returns {string} Markdown list, or an empty string when there are no warnings
+ */
+function formatWarnings(warnings) {
+  const unique = [...new Set((Array.isArray(warnings) ? warnings : []).map(warning => redactSecrets(warning)))];
+  if (unique.length === 0) {
+    return '';
+  }
+  return `⚠️ **Warnings**\n\n${unique.map(warning => `- ${warning}`).join('\n')}`;
+}
+
+/**
+ * Parse the attempts recorded by the retry policy in execute.js
+ * @param {string} value JSON array from the attempts step output
+ * @returns {Array<object>} Attempts (empty when missing or malformed)
+ */
+function parseAttempts(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const attempts = JSON.parse(value);
+    return Array.isArray(attempts) ? attempts : [];
+  } catch (error) {
+    core.warning(`Failed to parse investigation attempts: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Parse the token usage summary from execute.js
+ * @param {string} value JSON summary from the usage step output
+ * @returns {object|null} Usage summary (null when missing or malformed)
+ */
+function parseUsage(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const usage = JSON.parse(value);
+    return usage && typeof usage === 'object' && Number.isFinite(usage.requests) ? usage : null;
+  } catch (error) {
+    core.warning(`Failed to parse token usage: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Create a new comment on the issue/PR
  */
@@ -1,5 +1,6 @@
 // Dynamic general prompt creation
 const core = require('@actions/core');
+const { describeAWSTargets, getTargetServerName } = require('./config/aws-targets');
 
 /**
  * Get the trigger time from the GitHub context for security filtering
@@ -199,8 +200,10 @@ async function fetchPRDiffContext(context, githubToken) {
 
 /**
  * Create a general prompt based on GitHub context and repository information
+ * In read-only mode the instructions ask for analysis only and leave out step 5 (creating pull requests)
+ * With aws_targets, step 3 lists which Application Signals server covers which AWS environment
  */
-async function createAWSAPMPrompt(context, repoInfo, userRequest = '', githubToken = null, branchName = null) {
+async function createAWSAPMPrompt(context, repoInfo, userRequest = '', githubToken = null, branchName = null, { readOnly = false, awsTargets = [] } = {}) {
   const { eventName, payload } = context;
 
   // Detect PR context correctly for different event types
@@ -276,6 +279,43 @@ ${file.patch}
   // Use provided branch name or fallback to default
   const actualBranchName = branchName || 'awsapm-branch';
 
+  const implementationSection = readOnly
+    ? `   B. For Implementation Requests:
+      - READ-ONLY MODE: Do NOT edit files, create branches, push commits or create pull requests
+      - Describe the changes you recommend, with file paths and code snippets the user can apply`
+    : `   B. For Implementation Requests:
+      - Analyze what needs to be implemented and provide specific recommendations
+      - ONLY implement code changes if the user explicitly asks for a "fix", "implementation", or "create PR"
+      - If implementing: Commit the changed files to a new branch with the GitHub MCP tools (create_branch, create_or_update_file or push_files), then create the PR with create_pull_request
+      - Follow existing code patterns and conventions
+      - Test your changes if possible`;
+
+  const pullRequestSection = readOnly ? '' : `5. When to Create Pull Requests:
+   Create pull requests and implement code changes when the user's request implies action, such as:
+   - Requests to fix issues (e.g., "fix the sqs issue", "resolve the bug", "patch the vulnerability")
+   - Implementation requests (e.g., "implement feature X", "add support for Y", "enable Z")
+   - Direct PR requests (e.g., "create a PR", "submit a pull request", "make the changes")
+   - Update/modification requests (e.g., "update the config", "change the handler", "modify the service")
+
+   Do NOT create PRs when the user is:
+   - Only asking questions (e.g., "what causes the error?", "why is this happening?")
+   - Requesting analysis only (e.g., "analyze the issue", "review the code", "investigate the problem")
+   - Explicitly asking NOT to implement (e.g., "just explain", "don't change anything", "analysis only")
+
+   If implementing code changes:
+   Step 1: Create branch using the EXACT branch name: "${actualBranchName}" (mcp__github__create_branch)
+   Step 2: Update files on this branch (mcp__github__create_or_update_file)
+   Step 3: Create PR from this branch to target branch (mcp__github__create_pull_request)
+
+`;
+  const deliverStep = readOnly ? 5 : 6;
+
+  const awsEnvironmentsSection = awsTargets.length === 0 ? '' : `   - [AWS ENVIRONMENTS] Application Signals data is split across one MCP server per AWS environment:
+${describeAWSTargets(awsTargets).replace(/^/gm, '     ')}
+     * The tool names below use "applicationsignals" - call them on the server of the environment the request is about (e.g. mcp__${getTargetServerName(awsTargets[0])}__audit_services)
+     * If the request does not name an environment, check each one and say which environment every finding comes from
+`;
+
   // Build comprehensive prompt with repository context and PR changes
   let prompt = `You are an AI assistant designed to help with GitHub issues and pull requests. Think carefully as you analyze the context and respond appropriately.${customPrompt ? `\n\nADDITIONAL INSTRUCTIONS:\n${customPrompt}` : ''}\n\nHere's the context for your current task:
 
@@ -302,7 +342,7 @@ Your task is to analyze the context, understand the request, and provide helpful
 IMPORTANT CLARIFICATIONS:
 - **SECURITY**: Do NOT output or expose any sensitive data (credentials, tokens, API keys, passwords, PII) in your analysis results. Redact or omit sensitive information.
 - **GITHUB MCP SAFETY**: NEVER make changes directly to the main, master, or default branch.
-- When asked to "review" code, read the code and provide review feedback (do not implement changes unless explicitly asked)
+${readOnly ? '- **READ-ONLY MODE**: This is an analysis-only investigation. Do NOT modify files, create branches, push commits or open pull requests.\n' : ''}- When asked to "review" code, read the code and provide review feedback (do not implement changes unless explicitly asked)
 - Your responses should be practical and implementation-focused
 - **REPOSITORY SCOPE**: You are analyzing the repository "${repository}". Do NOT access or mention any files outside this repository, including action source code or system files.
 ${isPR && prChanges ? '- **FOR PR REVIEWS**: Focus ONLY on the files that were changed in this PR (listed above). Do NOT analyze the entire codebase.' : '- Analyze the codebase and provide insights based on the request'}
@@ -342,7 +382,7 @@ Follow these steps:
      * Focus your investigation ONLY on that specific service
      * Do NOT investigate or analyze other services unless explicitly asked
      * Only expand to other services if the issue clearly originates from dependencies or related services
-   - Start with audit tools to get comprehensive service health overview:
+${awsEnvironmentsSection}   - Start with audit tools to get comprehensive service health overview:
      * mcp__applicationsignals__audit_services (overall service health and issues)
      * mcp__applicationsignals__audit_slos (SLO compliance and violations)
      * mcp__applicationsignals__audit_service_operations (operation-level performance issues)
@@ -375,12 +415,7 @@ Follow these steps:
       - Check for best practices and coding standards
       - Reference specific code sections with file paths and line numbers
 
-   B. For Implementation Requests:
-      - Analyze what needs to be implemented and provide specific recommendations
-      - ONLY implement code changes if the user explicitly asks for a "fix", "implementation", or "create PR"
-      - If implementing: Edit files locally using Edit/MultiEdit tools, then use GitHub MCP tools to create PRs
-      - Follow existing code patterns and conventions
-      - Test your changes if possible
+${implementationSection}
 
    C. For General Analysis:
       - Identify patterns and opportunities for improvement
@@ -388,24 +423,7 @@ Follow these steps:
       - Provide recommendations specific to the codebase
       - Reference specific files and code sections when applicable
 
-5. When to Create Pull Requests:
-   Create pull requests and implement code changes when the user's request implies action, such as:
-   - Requests to fix issues (e.g., "fix the sqs issue", "resolve the bug", "patch the vulnerability")
-   - Implementation requests (e.g., "implement feature X", "add support for Y", "enable Z")
-   - Direct PR requests (e.g., "create a PR", "submit a pull request", "make the changes")
-   - Update/modification requests (e.g., "update the config", "change the handler", "modify the service")
-
-   Do NOT create PRs when the user is:
-   - Only asking questions (e.g., "what causes the error?", "why is this happening?")
-   - Requesting analysis only (e.g., "analyze the issue", "review the code", "investigate the problem")
-   - Explicitly asking NOT to implement (e.g., "just explain", "don't change anything", "analysis only")
-
-   If implementing code changes:
-   Step 1: Create branch using the EXACT branch name: "${actualBranchName}" (mcp__github__create_branch)
-   Step 2: Update files on this branch (mcp__github__create_or_update_file)
-   Step 3: Create PR from this branch to target branch (mcp__github__create_pull_request)
-
-6. Deliver Results:
+${pullRequestSection}${deliverStep}. Deliver Results:
    - [CRITICAL!] Start your response with EXACTLY this line as the very first line:
      🎯 **Application observability for AWS Assistant Result**
    - This marker MUST be the first line of your response (no content before it)
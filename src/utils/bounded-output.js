@@ -0,0 +1,232 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { RESULT_MARKER } = require('./output-cleaner');
+
+// Characters of recent output kept in memory (the cleaners' fallbacks only look near the end)
+const DEFAULT_TAIL_CHARS = 1024 * 1024;
+// Characters kept from the line containing the result marker onward
+const DEFAULT_REGION_CHARS = 4 * 1024 * 1024;
+// Bytes read at a time when replaying a spilled log
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Memory-bounded capture of a CLI output stream
+ *
+ * Keeps a ring buffer with the most recent output plus the region starting at
+ * the line that contains the result marker, while the full raw stream is
+ * spilled to a log file. Offsets below are absolute positions in the stream.
+ */
+class BoundedOutputBuffer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxTailChars] Size of the in-memory tail
+   * @param {number} [options.maxRegionChars] Size of the result-marker region
+   * @param {string} [options.marker] Marker that starts the result region
+   * @param {string|null} [options.logPath] File the full raw stream is written to
+   */
+  constructor({
+    maxTailChars = DEFAULT_TAIL_CHARS,
+    maxRegionChars = DEFAULT_REGION_CHARS,
+    marker = RESULT_MARKER,
+    logPath = null
+  } = {}) {
+    this.maxTailChars = maxTailChars;
+    this.maxRegionChars = maxRegionChars;
+    this.marker = marker;
+    this.logPath = logPath;
+    this.logFd = logPath ? fs.openSync(logPath, 'w', 0o600) : null;
+
+    this.totalChars = 0;
+    this.tailChunks = [];
+    this.tailChars = 0;
+    this.region = null;
+    this.regionStart = null;
+    this.regionChars = 0;
+    // Last characters of the previous chunk, to find markers split across chunks
+    this.carry = '';
+  }
+
+  /**
+   * Append a chunk of output
+   * @param {string} text Output chunk
+   */
+  append(text) {
+    if (!text) {
+      return;
+    }
+
+    if (this.logFd !== null) {
+      fs.writeSync(this.logFd, text);
+    }
+
+    const chunkStart = this.totalChars;
+    this.totalChars += text.length;
+    this.appendToTail(text);
+
+    if (this.region) {
+      this.appendToRegion(text);
+    } else {
+      this.findRegionStart(text, chunkStart);
+    }
+
+    this.carry = (this.carry + text).slice(-(this.marker.length - 1));
+  }
+
+  /**
+   * Add a chunk to the tail ring buffer, dropping the oldest output
+   * @param {string} text Output chunk
+   */
+  appendToTail(text) {
+    this.tailChunks.push(text.length > this.maxTailChars ? text.slice(-this.maxTailChars) : text);
+    this.tailChars += this.tailChunks[this.tailChunks.length - 1].length;
+
+    while (this.tailChars > this.maxTailChars) {
+      const excess = this.tailChars - this.maxTailChars;
+      const oldest = this.tailChunks[0];
+      if (oldest.length <= excess) {
+        this.tailChunks.shift();
+        this.tailChars -= oldest.length;
+      } else {
+        this.tailChunks[0] = oldest.slice(excess);
+        this.tailChars -= excess;
+      }
+    }
+  }
+
+  /**
+   * Add a chunk to the result-marker region, up to its size limit
+   * @param {string} text Output chunk
+   */
+  appendToRegion(text) {
+    const room = this.maxRegionChars - this.regionChars;
+    if (room <= 0) {
+      return;
+    }
+    const kept = text.length > room ? text.slice(0, room) : text;
+    this.region.push(kept);
+    this.regionChars += kept.length;
+  }
+
+  /**
+   * Start the result region when the marker first appears
+   * The region starts at the beginning of the marker's line (when that line
+   * is still in the tail) so line-based parsers such as the stream-json
+   * parser see whole lines
+   * @param {string} text Output chunk just appended
+   * @param {number} chunkStart Absolute offset of the chunk
+   */
+  findRegionStart(text, chunkStart) {
+    const searchText = this.carry + text;
+    const markerIndex = searchText.indexOf(this.marker);
+    if (markerIndex === -1) {
+      return;
+    }
+
+    const tail = this.getTail();
+    const tailStart = this.totalChars - tail.length;
+    const markerOffset = chunkStart - this.carry.length + markerIndex;
+
+    this.region = [];
+    if (markerOffset >= tailStart) {
+      const lineStart = tail.lastIndexOf('\n', markerOffset - tailStart) + 1;
+      this.regionStart = tailStart + lineStart;
+      this.appendToRegion(tail.slice(lineStart));
+    } else {
+      // A single chunk larger than the tail: start at the marker itself
+      this.regionStart = markerOffset;
+      this.appendToRegion(searchText.slice(markerIndex));
+    }
+  }
+
+  /**
+   * @returns {string} Most recent output kept in memory
+   */
+  getTail() {
+    if (this.tailChunks.length > 1) {
+      this.tailChunks = [this.tailChunks.join('')];
+    }
+    return this.tailChunks[0] || '';
+  }
+
+  /**
+   * Text handed to the output parsers: the result region followed by the tail
+   * Falls back to the tail alone when no marker was seen or the region is
+   * already covered by the tail
+   * @returns {string} Bounded output text
+   */
+  toString() {
+    const tail = this.getTail();
+    const tailStart = this.totalChars - tail.length;
+
+    if (!this.region || this.regionStart >= tailStart) {
+      return tail;
+    }
+
+    const region = this.region.join('');
+    const regionEnd = this.regionStart + region.length;
+    if (regionEnd >= tailStart) {
+      return region + tail.slice(regionEnd - tailStart);
+    }
+
+    return `${region}\n[... ${tailStart - regionEnd} characters omitted ...]\n${tail}`;
+  }
+
+  /**
+   * Close the spilled log file
+   */
+  close() {
+    if (this.logFd !== null) {
+      fs.closeSync(this.logFd);
+      this.logFd = null;
+    }
+  }
+}
+
+/**
+ * Iterate over the lines of raw output given as a string or as lines
+ * (the latter when reading a spilled output log)
+ * @param {string|Iterable<string>} output Raw output
+ * @returns {Iterable<string>} Lines
+ */
+function toLines(output) {
+  if (!output) {
+    return [];
+  }
+  return typeof output === 'string' ? output.split('\n') : output;
+}
+
+/**
+ * Read a (possibly very large) log file line by line without loading it whole
+ * @param {string} filePath Log file path
+ * @returns {Generator<string>} Lines without trailing newlines
+ */
+function* readLines(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      pending += decoder.write(buffer.subarray(0, bytesRead));
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      yield* lines;
+    }
+    pending += decoder.end();
+    if (pending) {
+      yield pending;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  BoundedOutputBuffer,
+  readLines,
+  toLines,
+  DEFAULT_TAIL_CHARS,
+  DEFAULT_REGION_CHARS
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+
+/**
+ * Outcome of an investigation attempt
+ * - success: the agent finished and its answer was located reliably
+ * - no_result_marker: the agent finished, but the answer was cut out of the
+ *   output with a fallback heuristic and may include intermediate steps
+ * - empty: the agent finished without producing any answer
+ * - timed_out / budget_exceeded: the agent was stopped; markdown holds the partial result
+ * - failed: the agent could not run or exited with an error
+ */
+const EXECUTION_STATUS = {
+  SUCCESS: 'success',
+  NO_RESULT_MARKER: 'no_result_marker',
+  EMPTY: 'empty',
+  TIMED_OUT: 'timed_out',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Phase of the action an investigation failed in
+ * init and cli_install are separate workflow steps; the executor reports the others
+ */
+const EXECUTION_PHASE = {
+  INIT: 'init',
+  CLI_INSTALL: 'cli_install',
+  MCP_SETUP: 'mcp_setup',
+  AGENT_RUN: 'agent_run'
+};
+
+/**
+ * Filter methods of OutputCleaner.removeToolExecutionBlocks that guess where
+ * the answer starts because the result marker was missing
+ */
+const FALLBACK_FILTER_METHODS = ['cursor_control', 'tool_completion', 'none'];
+
+/**
+ * Create an execution result
+ * @param {object} fields Result fields
+ * @param {string} fields.status One of EXECUTION_STATUS
+ * @param {string} [fields.markdown] Cleaned markdown answer (partial for stopped runs)
+ * @param {string|null} [fields.rawOutputPath] File holding the full raw CLI output
+ * @param {number|null} [fields.exitCode] CLI exit code
+ * @param {string} [fields.stderrTail] End of the CLI's stderr
+ * @param {number} [fields.durationMs] Wall-clock duration of the attempt
+ * @param {string|null} [fields.filterMethod] How the answer was located in the output
+ * @param {Array<string>} [fields.warnings] Problems that did not stop the run
+ * @param {string|null} [fields.error] Error message of a failed run
+ * @param {object|null} [fields.budget] Exceeded budget ({ budget, limit, used }) of a stopped run
+ * @param {string|null} [fields.phase] EXECUTION_PHASE the attempt was in when it ended
+ * @param {Array<string>} [fields.blockedTools] Tools the agent tried to use that were not on the allowlist
+ * @param {number|null} [fields.timeoutMinutes] Investigation timeout the agent ran with (0 when disabled)
+ * @returns {object} Execution result
+ */
+function createExecutionResult({
+  status,
+  markdown = '',
+  rawOutputPath = null,
+  exitCode = null,
+  stderrTail = '',
+  durationMs = 0,
+  filterMethod = null,
+  warnings = [],
+  error = null,
+  budget = null,
+  phase = null,
+  blockedTools = [],
+  timeoutMinutes = null
+}) {
+  return {
+    status,
+    markdown,
+    rawOutputPath,
+    exitCode,
+    stderrTail,
+    durationMs,
+    filterMethod,
+    warnings: [...warnings],
+    error,
+    budget,
+    phase,
+    blockedTools: [...blockedTools],
+    timeoutMinutes
+  };
+}
+
+/**
+ * Pick the status of an attempt whose CLI exited successfully
+ * @param {string} markdown Cleaned answer
+ * @param {string|null} filterMethod How the answer was located
+ * @returns {string} 'success', 'no_result_marker' or 'empty'
+ */
+function getCompletedStatus(markdown, filterMethod) {
+  if (!markdown || !markdown.trim()) {
+    return EXECUTION_STATUS.EMPTY;
+  }
+  return FALLBACK_FILTER_METHODS.includes(filterMethod) ? EXECUTION_STATUS.NO_RESULT_MARKER : EXECUTION_STATUS.SUCCESS;
+}
+
+/**
+ * Read a result written by execute.js
+ * @param {string} filePath Result file
+ * @returns {object|null} Execution result, or null when the file is missing or invalid
+ */
+function readExecutionResult(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const result = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return result && Object.values(EXECUTION_STATUS).includes(result.status) ? result : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  EXECUTION_STATUS,
+  EXECUTION_PHASE,
+  FALLBACK_FILTER_METHODS,
+  createExecutionResult,
+  getCompletedStatus,
+  readExecutionResult
+};
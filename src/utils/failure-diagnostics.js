@@ -0,0 +1,183 @@
+const { OutputCleaner } = require('./output-cleaner');
+const { EXECUTION_PHASE } = require('./execution-result');
+
+const STDERR_TAIL_LINES = 40;
+const REDACTED = '***';
+// Shorter values (e.g. "true", a region) would mask unrelated text
+const MIN_SECRET_VALUE_LENGTH = 8;
+
+/**
+ * Environment variables whose values are replaced wherever they appear
+ */
+const SECRET_ENV_VARS = [
+  'GITHUB_TOKEN',
+  'GITHUB_PERSONAL_ACCESS_TOKEN',
+  'AWS_ACCESS_KEY_ID',
+  'AWS_SECRET_ACCESS_KEY',
+  'AWS_SESSION_TOKEN',
+  'ANTHROPIC_API_KEY'
+];
+
+/**
+ * Credential formats masked even when they are not in the environment
+ * Patterns with a capture group keep the group (the key name) and mask the rest
+ */
+const SECRET_PATTERNS = [
+  /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{20,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}\b/g,
+  /\bsk-ant-[A-Za-z0-9_-]{10,}/g,
+  /(\bBearer\s+)[A-Za-z0-9._~+/=-]+/gi,
+  /(\b[\w-]*(?:secret|token|password|passwd|api[_-]?key)[\w-]*["']?\s*[:=]\s*["']?)[^\s"',}]+/gi
+];
+
+const PHASE_LABELS = {
+  [EXECUTION_PHASE.INIT]: 'Init',
+  [EXECUTION_PHASE.CLI_INSTALL]: 'CLI install',
+  [EXECUTION_PHASE.MCP_SETUP]: 'MCP setup',
+  [EXECUTION_PHASE.AGENT_RUN]: 'Agent run'
+};
+
+/**
+ * Hints for phases that fail before the agent produces any stderr
+ */
+const PHASE_HINTS = {
+  [EXECUTION_PHASE.INIT]: 'The action failed before the investigation started. Check that the `github_token` can read the repository and write issue comments, and that the action inputs are valid.',
+  [EXECUTION_PHASE.CLI_INSTALL]: 'Installing the agent CLI failed. The runner needs outbound access to the CLI installers and astral.sh (for uv); self-hosted runners can preinstall the CLI and uv instead.'
+};
+
+/**
+ * Known failure causes, checked against the error, the stderr tail and the warnings
+ * Every matching hint is listed
+ */
+const REMEDIATION_HINTS = [
+  {
+    pattern: /Unable to locate credentials|NoCredentialProviders|Could not load credentials|CredentialsProviderError|no valid credential sources|missing credentials/i,
+    hint: 'No AWS credentials were found. Add an `aws-actions/configure-aws-credentials` step before this action, and grant the workflow `id-token: write` when it assumes a role with OIDC.'
+  },
+  {
+    pattern: /ExpiredToken|RequestExpired|security token included in the request is expired/i,
+    hint: 'The AWS session credentials expired during the run. Raise `role-duration-seconds` in `aws-actions/configure-aws-credentials` or lower `investigation_timeout`.'
+  },
+  {
+    pattern: /UnrecognizedClientException|InvalidClientTokenId|SignatureDoesNotMatch|InvalidSignatureException/i,
+    hint: 'The AWS credentials were rejected. Check the role or access keys passed to `aws-actions/configure-aws-credentials`.'
+  },
+  {
+    pattern: /AccessDenied|not authorized to perform|UnauthorizedOperation/i,
+    hint: 'The AWS role is missing permissions. Compare its IAM policy with the permissions listed in the README.'
+  },
+  {
+    pattern: /don't have access to the model|model access|ValidationException.*model/i,
+    hint: 'The Bedrock model is not enabled. Request access to it in the Bedrock console of the region in use, or pick another model with `bedrock_model_id`.'
+  },
+  {
+    pattern: /Bad credentials|Resource not accessible by integration/i,
+    hint: 'The GitHub token was rejected. Check the `github_token` input and that the workflow grants `issues: write` and `pull-requests: write`.'
+  },
+  {
+    pattern: /Throttl|TooManyRequests|Too many requests|Rate exceeded/i,
+    hint: 'Requests were throttled. Try again later, or raise `max_retries` and `retry_base_delay`.'
+  },
+  {
+    pattern: /CLI not found|command not found|ENOENT/i,
+    hint: 'The agent CLI is not installed on the runner. Check the Install CLI Tools step in the workflow log, or set `agent_cli` to a CLI that is installed.'
+  },
+  {
+    pattern: /Tool approval required|not on the allowlist/i,
+    hint: 'The agent tried to use a tool that is not on the allowlist. Add it to `allowed_tools` if the agent should be trusted with it, or leave it blocked and rephrase the request.'
+  },
+  {
+    pattern: /uvx/i,
+    hint: 'MCP servers are started with uvx. Make sure uv can be installed from astral.sh, or preinstall it on self-hosted runners.'
+  }
+];
+
+/**
+ * Mask credentials in text that is about to be posted in a comment
+ * @param {string} text Text that may contain secrets
+ * @param {object} [env] Environment holding the secret values to mask
+ * @returns {string} Redacted text
+ */
+function redactSecrets(text, env = process.env) {
+  if (!text) {
+    return '';
+  }
+
+  let redacted = String(text);
+  for (const name of SECRET_ENV_VARS) {
+    const value = env[name];
+    if (value && value.length >= MIN_SECRET_VALUE_LENGTH) {
+      redacted = redacted.split(value).join(REDACTED);
+    }
+  }
+  for (const pattern of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, (match, prefix) => (typeof prefix === 'string' ? `${prefix}${REDACTED}` : REDACTED));
+  }
+  return redacted;
+}
+
+/**
+ * Collect the remediation hints for a failure
+ * @param {string} phase EXECUTION_PHASE the run failed in
+ * @param {string} text Error message, stderr and warnings of the failed run
+ * @returns {Array<string>} Hints, most specific first
+ */
+function getRemediationHints(phase, text) {
+  const hints = REMEDIATION_HINTS.filter(h => h.pattern.test(text || '')).map(h => h.hint);
+  return PHASE_HINTS[phase] ? [PHASE_HINTS[phase], ...hints] : hints;
+}
+
+/**
+ * Pick a code fence longer than any backtick run in the content, so stderr cannot close it
+ * @param {string} content Fenced content
+ * @returns {string} Code fence
+ */
+function getCodeFence(content) {
+  const longest = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Format the collapsed diagnostics section of a failure comment
+ * @param {object} diagnostics Failure details
+ * @param {string} diagnostics.phase EXECUTION_PHASE the run failed in
+ * @param {string|null} [diagnostics.error] Error message
+ * @param {number|null} [diagnostics.exitCode] CLI exit code
+ * @param {string} [diagnostics.stderrTail] End of the CLI's stderr
+ * @param {Array<string>} [diagnostics.warnings] Warnings of the run, searched for known causes
+ * @param {object} [env] Environment holding the secret values to mask
+ * @returns {string} Markdown <details> block
+ */
+function formatDiagnostics({ phase, error = null, exitCode = null, stderrTail = '', warnings = [] }, env = process.env) {
+  const stderr = redactSecrets(new OutputCleaner().removeAnsiCodes(stderrTail || ''), env)
+    .split('\n')
+    .slice(-STDERR_TAIL_LINES)
+    .join('\n')
+    .trim();
+  const hints = getRemediationHints(phase, [error, stderrTail, ...warnings].filter(Boolean).join('\n'));
+
+  const lines = [`**Failed phase:** ${PHASE_LABELS[phase] || PHASE_LABELS[EXECUTION_PHASE.AGENT_RUN]}`];
+  if (exitCode !== null && exitCode !== undefined) {
+    lines.push(`**Exit code:** ${exitCode}`);
+  }
+  if (error) {
+    lines.push(`**Error:** ${redactSecrets(error, env).split('\n')[0]}`);
+  }
+  if (hints.length > 0) {
+    lines.push('', '**Possible fixes:**', '', ...hints.map(hint => `- ${hint}`));
+  }
+  if (stderr) {
+    const fence = getCodeFence(stderr);
+    lines.push('', `**stderr** (last ${STDERR_TAIL_LINES} lines, secrets redacted):`, '', `${fence}text`, stderr, fence);
+  }
+
+  return `<details>\n<summary>🩺 Diagnostics</summary>\n\n${lines.join('\n')}\n\n</details>`;
+}
+
+module.exports = {
+  redactSecrets,
+  getRemediationHints,
+  formatDiagnostics,
+  REMEDIATION_HINTS
+};
@@ -0,0 +1,261 @@
+const core = require('@actions/core');
+const { OutputCleaner } = require('./output-cleaner');
+
+/**
+ * Tools that start a CloudWatch Logs Insights query
+ * analyze_log_group and search_transaction_spans run Logs Insights queries on the caller's behalf
+ */
+const LOG_INSIGHTS_TOOLS = [
+  'execute_log_insights_query',
+  'analyze_log_group',
+  'search_transaction_spans'
+];
+
+/**
+ * Budget definitions keyed by action input: environment variable, counter and description
+ */
+const BUDGETS = {
+  max_tool_calls: { env: 'MAX_TOOL_CALLS', counter: 'toolCalls', label: 'MCP tool calls' },
+  max_log_queries: { env: 'MAX_LOG_QUERIES', counter: 'logQueries', label: 'Logs Insights queries' },
+  max_tokens: { env: 'MAX_TOKENS', counter: 'tokens', label: 'tokens' }
+};
+
+/**
+ * Raised when an investigation is stopped because a budget was exceeded
+ * Carries whatever result could be parsed from the output captured so far,
+ * and the execution result of the attempt
+ */
+class BudgetExceededError extends Error {
+  constructor(exceeded, partialResult, result = null) {
+    super(`Investigation stopped: ${describeExceededBudget(exceeded)}`);
+    this.name = 'BudgetExceededError';
+    this.budget = exceeded.budget;
+    this.limit = exceeded.limit;
+    this.used = exceeded.used;
+    this.partialResult = partialResult;
+    this.result = result;
+  }
+}
+
+/**
+ * Describe a count against a budget, e.g. "20 MCP tool calls"
+ * @param {string} budget Budget input name
+ * @param {number} count Count
+ * @returns {string} Description
+ */
+function describeBudgetCount(budget, count) {
+  const definition = BUDGETS[budget];
+  return `${count} ${definition ? definition.label : budget}`;
+}
+
+/**
+ * Describe an exceeded budget for logs
+ * @param {{budget: string, limit: number, used: number}} exceeded Exceeded budget
+ * @returns {string} Description
+ */
+function describeExceededBudget(exceeded) {
+  return `${describeBudgetCount(exceeded.budget, exceeded.used)} used, exceeding the ${exceeded.budget} budget of ${exceeded.limit}`;
+}
+
+/**
+ * Counts MCP tool calls, Logs Insights queries and tokens in the agent output
+ * stream and reports the first budget that is exceeded
+ *
+ * Recognizes the same stream formats as ProgressReporter; token usage is read
+ * from Claude Code stream-json assistant messages. Executors that see calls
+ * and usage directly (Bedrock) record them with recordToolCall/recordTokens.
+ */
+class InvestigationBudget {
+  /**
+   * @param {object} [limits] Budget limits; 0 or missing means unlimited
+   * @param {number} [limits.max_tool_calls] Maximum MCP tool calls
+   * @param {number} [limits.max_log_queries] Maximum Logs Insights queries
+   * @param {number} [limits.max_tokens] Maximum tokens (input, output and cache)
+   */
+  constructor(limits = {}) {
+    this.limits = {};
+    for (const budget of Object.keys(BUDGETS)) {
+      this.limits[budget] = limits[budget] || 0;
+    }
+    this.counts = { toolCalls: 0, logQueries: 0, tokens: 0 };
+    this.messageTokens = new Map();
+    this.exceeded = null;
+    this.onExceeded = null;
+    this.outputCleaner = new OutputCleaner();
+    this.lineBuffer = '';
+  }
+
+  /**
+   * Read the budget limits from the environment (max_tool_calls, max_log_queries and max_tokens inputs)
+   * @returns {InvestigationBudget} Budget
+   */
+  static fromEnv() {
+    const limits = {};
+    for (const [budget, definition] of Object.entries(BUDGETS)) {
+      limits[budget] = InvestigationBudget.parseLimit(process.env[definition.env], budget);
+    }
+    return new InvestigationBudget(limits);
+  }
+
+  /**
+   * Parse a budget input
+   * @param {string} value Limit ('0' or empty means unlimited)
+   * @param {string} inputName Input name for warnings
+   * @returns {number} Limit
+   */
+  static parseLimit(value, inputName) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return 0;
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+      core.warning(`Invalid ${inputName} "${value}", not enforcing this budget`);
+      return 0;
+    }
+
+    return limit;
+  }
+
+  /**
+   * Prepare for the next attempt of the same investigation
+   * The counts carry over so retries spend the same budgets; only the state of
+   * the previous attempt's output stream is dropped
+   */
+  startAttempt() {
+    this.lineBuffer = '';
+    this.messageTokens = new Map();
+    this.onExceeded = null;
+  }
+
+  /**
+   * @returns {boolean} True when at least one budget is set
+   */
+  hasLimits() {
+    return Object.values(this.limits).some(limit => limit > 0);
+  }
+
+  /**
+   * Check the counters against the limits and report the first exceeded budget once
+   */
+  check() {
+    if (this.exceeded) {
+      return;
+    }
+
+    for (const [budget, definition] of Object.entries(BUDGETS)) {
+      const limit = this.limits[budget];
+      const used = this.counts[definition.counter];
+      if (limit > 0 && used > limit) {
+        this.exceeded = { budget, limit, used };
+        if (this.onExceeded) {
+          this.onExceeded(this.exceeded);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Record the start of a tool call
+   * @param {string} name Tool name, optionally in mcp__<server>__<tool> form
+   */
+  recordToolCall(name) {
+    const tool = name.replace(/^mcp__.+?__/, '');
+    this.counts.toolCalls += 1;
+    if (LOG_INSIGHTS_TOOLS.includes(tool)) {
+      this.counts.logQueries += 1;
+    }
+    this.check();
+  }
+
+  /**
+   * Record tokens used by a model request
+   * @param {number} count Token count
+   */
+  recordTokens(count) {
+    this.counts.tokens += count || 0;
+    this.check();
+  }
+
+  /**
+   * Handle a Claude Code stream-json event
+   * Assistant events repeat the usage of their message, so tokens are counted once per message id
+   * @param {object} event Parsed event
+   */
+  handleStreamEvent(event) {
+    if (event.type !== 'assistant' || !event.message) {
+      return;
+    }
+
+    const usage = event.message.usage;
+    if (usage && event.message.id) {
+      const tokens = (usage.input_tokens || 0) + (usage.output_tokens || 0) +
+        (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+      const previous = this.messageTokens.get(event.message.id) || 0;
+      this.messageTokens.set(event.message.id, tokens);
+      this.recordTokens(tokens - previous);
+    }
+
+    for (const block of Array.isArray(event.message.content) ? event.message.content : []) {
+      if (block.type === 'tool_use') {
+        this.recordToolCall(block.name);
+      }
+    }
+  }
+
+  /**
+   * Inspect a single line of agent output
+   * @param {string} rawLine Line of output
+   */
+  handleLine(rawLine) {
+    const line = this.outputCleaner.removeAnsiCodes(rawLine);
+    if (!line) {
+      return;
+    }
+
+    if (line.startsWith('{')) {
+      try {
+        this.handleStreamEvent(JSON.parse(line));
+        return;
+      } catch (e) {
+        // Not a stream-json event - fall through to text matching
+      }
+    }
+
+    const usingTool = line.match(/Using tool:\s*(\S+)/);
+    if (usingTool) {
+      this.recordToolCall(usingTool[1]);
+      return;
+    }
+
+    // Only a "● Running mcp__<server>__<tool>" line starts a call; the agent's
+    // prose often repeats tool names from the prompt without calling them
+    const running = line.match(/^●\s*Running\s+(mcp__[A-Za-z0-9_-]+?__[A-Za-z0-9_-]+)/);
+    if (running) {
+      this.recordToolCall(running[1]);
+    }
+  }
+
+  /**
+   * Output listener - feed a chunk of agent stdout
+   * @param {string} text Output chunk
+   */
+  handleOutput(text) {
+    this.lineBuffer += text;
+    const lines = this.lineBuffer.split('\n');
+    this.lineBuffer = lines.pop();
+
+    for (const line of lines) {
+      this.handleLine(line);
+    }
+  }
+}
+
+module.exports = {
+  InvestigationBudget,
+  BudgetExceededError,
+  describeBudgetCount,
+  describeExceededBudget,
+  LOG_INSIGHTS_TOOLS
+};
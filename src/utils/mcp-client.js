@@ -0,0 +1,50 @@
+const { getRunHomeEnvironment } = require('./run-home');
+
+/**
+ * Create a stdio transport that starts an MCP server the way the agent CLIs do
+ * The GitHub token is forwarded under the name the GitHub MCP server reads
+ * @param {object} server Server entry from MCPConfigManager.buildMCPConfig()
+ * @param {string} cwd Working directory of the server process
+ * @returns {object} StdioClientTransport
+ */
+function createStdioTransport(server, cwd) {
+  const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+  return new StdioClientTransport({
+    command: server.command,
+    args: server.args || [],
+    env: {
+      ...process.env,
+      GITHUB_PERSONAL_ACCESS_TOKEN: process.env.GITHUB_TOKEN,
+      ...getRunHomeEnvironment(),
+      ...(server.env || {})
+    },
+    cwd
+  });
+}
+
+/**
+ * Create an MCP client (not yet connected)
+ * @param {string} clientName Name reported to the server
+ * @returns {object} MCP client
+ */
+function createClient(clientName) {
+  const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+  return new Client({ name: clientName, version: '1.0.0' });
+}
+
+/**
+ * Start an MCP server and connect a client to it
+ * @param {object} server Server entry from MCPConfigManager.buildMCPConfig()
+ * @param {object} options Connection options
+ * @param {string} options.clientName Name reported to the server
+ * @param {string} options.cwd Working directory of the server process
+ * @returns {Promise<object>} Connected MCP client
+ */
+async function connectMCPServer(server, { clientName, cwd }) {
+  const client = createClient(clientName);
+  await client.connect(createStdioTransport(server, cwd));
+  return client;
+}
+
+module.exports = { createStdioTransport, createClient, connectMCPServer };
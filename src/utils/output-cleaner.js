@@ -1,8 +1,16 @@
+const RESULT_MARKER = '🎯 **Application observability for AWS Assistant Result**';
+
 /**
  * Output cleaning and formatting utility for CLI outputs
  * Handles ANSI escape code removal and content filtering
  */
 class OutputCleaner {
+  constructor() {
+    // How the last cleaned answer was located: 'result_marker', a fallback
+    // ('cursor_control', 'tool_completion') or 'none'
+    this.filterMethod = null;
+  }
+
   /**
    * Remove ANSI escape codes from text
    * @param {string} text - Text containing ANSI codes
@@ -46,9 +54,8 @@ class OutputCleaner {
     let filterMethod = 'none';
 
     // First, try to find the result marker (most reliable)
-    const resultMarker = '🎯 **Application observability for AWS Assistant Result**';
     for (let i = 0; i < lines.length; i++) {
-      if (lines[i].trim() === resultMarker) {
+      if (lines[i].trim() === RESULT_MARKER) {
         startIndex = i;
         filterMethod = 'result_marker';
         break;
@@ -56,7 +63,8 @@ class OutputCleaner {
     }
 
     // Fallback 1: Look for the last cursor control sequence (marks start of actual output)
-    if (startIndex === 0) {
+    // (checked by method, since a marker on the first line also starts at index 0)
+    if (filterMethod === 'none') {
       for (let i = lines.length - 1; i >= 0; i--) {
         if (lines[i].includes('�[?25l')) {
           startIndex = i + 1; // Start from line after cursor control
@@ -67,7 +75,7 @@ class OutputCleaner {
     }
 
     // Fallback 2: Use the last "● Completed in" line
-    if (startIndex === 0) {
+    if (filterMethod === 'none') {
       for (let i = lines.length - 1; i >= 0; i--) {
         if (lines[i].trim().match(/^●\s*Completed in/)) {
           startIndex = i + 1; // Start from line after completion
@@ -78,6 +86,7 @@ class OutputCleaner {
     }
 
     core.debug(`Output filtering method: ${filterMethod}, starting from line ${startIndex} of ${lines.length}`);
+    this.filterMethod = filterMethod;
 
     const filteredLines = lines.slice(startIndex);
 
@@ -126,6 +135,23 @@ class OutputCleaner {
     return finalLines.join('\n').trim();
   }
 
+  /**
+   * Trim text to start at the result marker line, if present
+   * @param {string} text - Text that may contain the result marker
+   * @returns {string} Text from the result marker onward (or unchanged text)
+   */
+  trimToResultMarker(text) {
+    if (!text || typeof text !== 'string') {
+      return text;
+    }
+
+    const lines = text.split('\n');
+    const markerIndex = lines.findIndex(line => line.trim() === RESULT_MARKER);
+    this.filterMethod = markerIndex === -1 ? 'none' : 'result_marker';
+
+    return markerIndex === -1 ? text : lines.slice(markerIndex).join('\n');
+  }
+
   /**
    * Ensure markdown formatting is preserved for GitHub
    * Fixes spacing and formatting issues that can break markdown rendering
@@ -172,6 +198,20 @@ class OutputCleaner {
     return cleaned;
   }
 
+  /**
+   * Clean markdown output from CLIs that report the final answer separately
+   * from tool activity (e.g. Claude Code stream-json), so there are no tool
+   * execution blocks or thinking statements to strip
+   * @param {string} text - Final answer text from the CLI
+   * @returns {string} Cleaned output
+   */
+  cleanMarkdownOutput(text) {
+    let cleaned = this.removeAnsiCodes(text);
+    cleaned = this.trimToResultMarker(cleaned);
+    cleaned = this.ensureMarkdownFormatting(cleaned);
+    return cleaned;
+  }
+
   /**
    * Generic clean method - uses Amazon Q output cleaning
    * @param {string} text - Raw CLI output
@@ -182,4 +222,4 @@ class OutputCleaner {
   }
 }
 
-module.exports = { OutputCleaner };
+module.exports = { OutputCleaner, RESULT_MARKER };
@@ -0,0 +1,267 @@
+const core = require('@actions/core');
+const { OutputCleaner } = require('./output-cleaner');
+
+const DEFAULT_UPDATE_INTERVAL_SECONDS = 30;
+const MAX_RENDERED_STEPS = 25;
+
+/**
+ * Tracks tool invocations in the agent output stream and keeps the
+ * tracking comment updated with a checklist of investigation steps
+ *
+ * Recognized stream formats:
+ * - Amazon Q / Kiro: "Using tool: <tool> ... from mcp server <server>" and "● Completed in 1.2s"
+ * - Bedrock agent: "● Running mcp__<server>__<tool>" and "● Completed|Failed in 1.2s"
+ * - Claude Code stream-json: assistant tool_use blocks and user tool_result blocks
+ * - Any other line mentioning an mcp__<server>__<tool> name
+ */
+class ProgressReporter {
+  /**
+   * @param {object} options
+   * @param {Function} options.updateComment Async function receiving the new comment body
+   * @param {number} [options.intervalSeconds] Minimum seconds between comment updates
+   * @param {string} [options.workflowUrl] Link to the workflow run
+   */
+  constructor({ updateComment, intervalSeconds = DEFAULT_UPDATE_INTERVAL_SECONDS, workflowUrl = '' }) {
+    this.updateComment = updateComment;
+    this.intervalMs = intervalSeconds * 1000;
+    this.workflowUrl = workflowUrl;
+    this.outputCleaner = new OutputCleaner();
+    this.steps = [];
+    this.lineBuffer = '';
+    this.startTime = Date.now();
+    this.timer = null;
+    this.pendingUpdate = null;
+    this.lastBody = null;
+    this.updateFailed = false;
+  }
+
+  /**
+   * Parse the progress_update_interval input
+   * @param {string} value Interval in seconds ('0' disables progress updates)
+   * @returns {number} Interval in seconds
+   */
+  static parseInterval(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return DEFAULT_UPDATE_INTERVAL_SECONDS;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      core.warning(`Invalid progress_update_interval "${value}", using ${DEFAULT_UPDATE_INTERVAL_SECONDS} seconds`);
+      return DEFAULT_UPDATE_INTERVAL_SECONDS;
+    }
+
+    return seconds;
+  }
+
+  /**
+   * Split a tool name into server and tool parts
+   * @param {string} name Tool name, optionally in mcp__<server>__<tool> form
+   * @param {string|null} server Server name reported separately by the CLI
+   * @returns {{server: string|null, tool: string}} Tool identity
+   */
+  parseToolName(name, server = null) {
+    const match = name.match(/^mcp__(.+?)__(.+)$/);
+    if (match) {
+      return { server: match[1], tool: match[2] };
+    }
+    return { server, tool: name };
+  }
+
+  /**
+   * Record the start of a tool invocation
+   * @param {string} name Tool name
+   * @param {string|null} server MCP server name
+   */
+  startStep(name, server = null) {
+    this.steps.push({
+      ...this.parseToolName(name, server),
+      status: 'running',
+      durationSeconds: null
+    });
+  }
+
+  /**
+   * Mark the oldest running step as finished
+   * @param {string} status 'done' or 'failed'
+   * @param {number|null} durationSeconds Duration reported by the CLI
+   */
+  finishStep(status, durationSeconds = null) {
+    const step = this.steps.find(s => s.status === 'running');
+    if (step) {
+      step.status = status;
+      step.durationSeconds = durationSeconds;
+    }
+  }
+
+  /**
+   * Handle a Claude Code stream-json event
+   * @param {object} event Parsed event
+   */
+  handleStreamEvent(event) {
+    const content = event.message && Array.isArray(event.message.content) ? event.message.content : [];
+
+    for (const block of content) {
+      if (event.type === 'assistant' && block.type === 'tool_use') {
+        this.startStep(block.name);
+      } else if (event.type === 'user' && block.type === 'tool_result') {
+        this.finishStep(block.is_error ? 'failed' : 'done');
+      }
+    }
+  }
+
+  /**
+   * Inspect a single line of agent output
+   * @param {string} rawLine Line of output
+   */
+  handleLine(rawLine) {
+    const line = this.outputCleaner.removeAnsiCodes(rawLine);
+    if (!line) {
+      return;
+    }
+
+    if (line.startsWith('{')) {
+      try {
+        this.handleStreamEvent(JSON.parse(line));
+        return;
+      } catch (e) {
+        // Not a stream-json event - fall through to text matching
+      }
+    }
+
+    const completed = line.match(/^●\s*(Completed|Failed) in ([\d.]+)s/);
+    if (completed) {
+      this.finishStep(completed[1] === 'Completed' ? 'done' : 'failed', parseFloat(completed[2]));
+      return;
+    }
+
+    const usingTool = line.match(/Using tool:\s*(\S+)(?:.*?from mcp server\s+(\S+))?/);
+    if (usingTool) {
+      this.startStep(usingTool[1], usingTool[2] || null);
+      return;
+    }
+
+    // Only a "● Running mcp__<server>__<tool>" line starts a call; tool names the
+    // agent merely mentions would leave running steps that later completions finish
+    const running = line.match(/^●\s*Running\s+(mcp__[A-Za-z0-9_-]+?__[A-Za-z0-9_-]+)/);
+    if (running) {
+      this.startStep(running[1]);
+    }
+  }
+
+  /**
+   * Output listener - feed a chunk of agent stdout
+   * @param {string} text Output chunk
+   */
+  handleOutput(text) {
+    this.lineBuffer += text;
+    const lines = this.lineBuffer.split('\n');
+    this.lineBuffer = lines.pop();
+
+    for (const line of lines) {
+      this.handleLine(line);
+    }
+  }
+
+  /**
+   * Format elapsed time at minute granularity so unchanged progress does not trigger edits
+   * @returns {string} Elapsed time
+   */
+  formatElapsed() {
+    const minutes = Math.floor((Date.now() - this.startTime) / 60000);
+    return minutes < 1 ? 'less than a minute' : `${minutes} min`;
+  }
+
+  /**
+   * Render the progress comment body
+   * @returns {string} Markdown comment body
+   */
+  render() {
+    const completed = this.steps.filter(s => s.status !== 'running').length;
+    let body = `🔍 **Application observability for AWS Investigation In Progress**\n\n` +
+      `⏳ Elapsed: ${this.formatElapsed()} · ${completed} of ${this.steps.length} tool calls completed\n\n`;
+
+    if (this.steps.length === 0) {
+      body += '_Waiting for the first tool call..._\n';
+    } else {
+      const hidden = this.steps.length - MAX_RENDERED_STEPS;
+      if (hidden > 0) {
+        body += `_...${hidden} earlier steps_\n`;
+      }
+
+      for (const step of this.steps.slice(-MAX_RENDERED_STEPS)) {
+        const name = step.server ? `\`${step.server}\` → \`${step.tool}\`` : `\`${step.tool}\``;
+        if (step.status === 'running') {
+          body += `- [ ] ${name} (running)\n`;
+        } else {
+          const duration = step.durationSeconds !== null ? ` (${step.durationSeconds}s)` : '';
+          body += `- [x] ${name}${step.status === 'failed' ? ' ❌' : ''}${duration}\n`;
+        }
+      }
+    }
+
+    if (this.workflowUrl) {
+      body += `\n[View workflow run](${this.workflowUrl})`;
+    }
+
+    return body.trimEnd();
+  }
+
+  /**
+   * Push the current progress to the comment when it changed since the last update
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.pendingUpdate) {
+      return this.pendingUpdate;
+    }
+
+    const body = this.render();
+    if (body === this.lastBody) {
+      return;
+    }
+
+    this.pendingUpdate = (async () => {
+      try {
+        await this.updateComment(body);
+        this.lastBody = body;
+      } catch (error) {
+        // Progress is best effort - warn once and keep the investigation running
+        if (!this.updateFailed) {
+          core.warning(`Failed to update progress comment: ${error.message}`);
+          this.updateFailed = true;
+        }
+      } finally {
+        this.pendingUpdate = null;
+      }
+    })();
+
+    return this.pendingUpdate;
+  }
+
+  /**
+   * Start periodic comment updates
+   */
+  start() {
+    this.startTime = Date.now();
+    this.timer = setInterval(() => this.flush(), this.intervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic updates and wait for an in-flight update to finish
+   * The final result comment replaces the progress, so no last update is sent
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.pendingUpdate) {
+      await this.pendingUpdate;
+    }
+  }
+}
+
+module.exports = { ProgressReporter, DEFAULT_UPDATE_INTERVAL_SECONDS };
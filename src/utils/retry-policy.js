@@ -0,0 +1,234 @@
+const core = require('@actions/core');
+const { redactSecrets } = require('./failure-diagnostics');
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_BASE_DELAY_SECONDS = 15;
+const MAX_DELAY_SECONDS = 300;
+
+/**
+ * Failure patterns, in order; permanent patterns are checked against all of
+ * stderr, transient ones only against its error lines (see getErrorText), so
+ * e.g. an AccessDenied during an MCP server start is not retried
+ */
+const FAILURE_PATTERNS = [
+  {
+    category: 'permanent',
+    reason: 'access_denied',
+    pattern: /AccessDenied|UnauthorizedOperation|not authorized to perform|UnrecognizedClientException|InvalidClientTokenId|Bad credentials/i
+  },
+  {
+    category: 'permanent',
+    reason: 'cli_not_found',
+    pattern: /CLI not found|command not found|ENOENT/i
+  },
+  {
+    category: 'transient',
+    reason: 'throttling',
+    pattern: /Throttl|TooManyRequests|Too many requests|Rate exceeded|rate limit|ServiceUnavailable|Service Unavailable|\b(?:HTTP|status(?: code)?)[ :=]*(?:429|503)\b/i
+  },
+  {
+    category: 'transient',
+    reason: 'expired_credentials',
+    pattern: /ExpiredToken|RequestExpired|security token included in the request is expired|credentials? (have |has )?expired|failed to refresh (the )?credentials/i
+  },
+  {
+    category: 'transient',
+    reason: 'mcp_server_start',
+    pattern: /mcp server.*(?:failed to (?:start|load|initialize)|timed out)|failed to (?:start|load|initialize).*mcp|has failed to load/i
+  },
+  {
+    category: 'transient',
+    reason: 'network',
+    pattern: /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|connection reset|dispatch failure|network error/i
+  }
+];
+
+/**
+ * Lines of stderr that report an error: "Error: ...", "[error] ...",
+ * "ThrottlingException: ..." or Amazon Q's "✗ <server> has failed to load"
+ * Other lines (progress, tool output the agent echoed) are not classified
+ */
+const ERROR_LINE_PATTERN = /^\s*(?:✗|\[?(?:error|fatal)\]?\b|[\w.]*(?:Error|Exception)\b)/i;
+
+/**
+ * Get the text a failure is classified by: the error message and the error lines of stderr
+ * @param {Error} error Error thrown by the executor
+ * @returns {string} Lines to match
+ */
+function getErrorText(error) {
+  const stderrLines = String((error && error.stderr) || '').split('\n').filter(line => ERROR_LINE_PATTERN.test(line));
+  return [error && error.message ? error.message : '', ...stderrLines].join('\n');
+}
+
+/**
+ * Classify a failed execution as transient (worth retrying) or permanent
+ * A failure is only retried when it happened before the agent's first tool
+ * call (a run that already called tools may have pushed a branch or opened a
+ * pull request) and the CLI exited with EX_TEMPFAIL or the error looks transient
+ * @param {Error} error Error thrown by the executor (CLIExecutionError carries exitCode and stderr; execute sets toolCalls)
+ * @returns {{category: string, reason: string}} Failure classification
+ */
+function classifyFailure(error) {
+  if (error && error.name === 'InvestigationTimeoutError') {
+    return { category: 'permanent', reason: 'timeout' };
+  }
+  if (error && error.name === 'BudgetExceededError') {
+    return { category: 'permanent', reason: 'budget_exceeded' };
+  }
+
+  // A permanent pattern anywhere only prevents a retry, so those match all of stderr
+  const allText = `${error && error.message ? error.message : ''}\n${error && error.stderr ? error.stderr : ''}`;
+  const permanent = FAILURE_PATTERNS.find(p => p.category === 'permanent' && p.pattern.test(allText));
+  if (permanent) {
+    return { category: permanent.category, reason: permanent.reason };
+  }
+
+  // EX_TEMPFAIL from sysexits.h: the CLI itself says the failure is transient
+  const text = getErrorText(error);
+  const match = error && error.exitCode === 75
+    ? { category: 'transient', reason: 'temporary_failure' }
+    : FAILURE_PATTERNS.find(p => p.category === 'transient' && p.pattern.test(text));
+  if (match) {
+    if (error.toolCalls > 0) {
+      return { category: 'permanent', reason: 'after_tool_calls' };
+    }
+    return { category: match.category, reason: match.reason };
+  }
+
+  return { category: 'permanent', reason: 'unknown' };
+}
+
+/**
+ * Parse a non-negative numeric input, falling back to a default when invalid
+ * @param {string} value Input value
+ * @param {number} defaultValue Default value
+ * @param {string} inputName Input name for warnings
+ * @returns {number} Parsed value
+ */
+function parseNonNegative(value, defaultValue, inputName) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    core.warning(`Invalid ${inputName} "${value}", using ${defaultValue}`);
+    return defaultValue;
+  }
+
+  return parsed;
+}
+
+/**
+ * Retries transient executor failures with exponential backoff
+ * and records every attempt for the final comment
+ */
+class RetryPolicy {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxRetries] Retries after the first attempt
+   * @param {number} [options.baseDelaySeconds] Delay before the first retry, doubled for each further retry
+   * @param {number|null} [options.deadline] Time (ms since epoch) the investigation timeout ends; no retry starts after it
+   * @param {Function} [options.sleep] Delay function (ms) - injectable for tests
+   */
+  constructor({ maxRetries = DEFAULT_MAX_RETRIES, baseDelaySeconds = DEFAULT_BASE_DELAY_SECONDS, deadline = null, sleep } = {}) {
+    this.maxRetries = Math.floor(maxRetries);
+    this.baseDelaySeconds = baseDelaySeconds;
+    this.deadline = deadline;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.attempts = [];
+  }
+
+  /**
+   * Create a policy from the max_retries and retry_base_delay inputs
+   * @param {object} [options]
+   * @param {number|null} [options.deadline] Time (ms since epoch) the investigation timeout ends
+   * @returns {RetryPolicy} Retry policy
+   */
+  static fromEnv({ deadline = null } = {}) {
+    return new RetryPolicy({
+      maxRetries: parseNonNegative(process.env.MAX_RETRIES, DEFAULT_MAX_RETRIES, 'max_retries'),
+      baseDelaySeconds: parseNonNegative(process.env.RETRY_BASE_DELAY, DEFAULT_BASE_DELAY_SECONDS, 'retry_base_delay'),
+      deadline
+    });
+  }
+
+  /**
+   * Backoff before the given retry (1-based)
+   * @param {number} retry Retry number
+   * @returns {number} Delay in seconds
+   */
+  getDelaySeconds(retry) {
+    return Math.min(this.baseDelaySeconds * Math.pow(2, retry - 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Run an operation, retrying transient failures
+   * @param {Function} operation Async function receiving the 1-based attempt number
+   * @returns {Promise<*>} Result of the first successful attempt
+   * @throws The last error when attempts are exhausted or the failure is permanent
+   */
+  async run(operation) {
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+      try {
+        const result = await operation(attempt);
+        this.attempts.push({ attempt, outcome: 'success', durationMs: Date.now() - startTime });
+        return result;
+      } catch (error) {
+        const { category, reason } = classifyFailure(error);
+        const record = {
+          attempt,
+          outcome: 'failure',
+          category,
+          reason,
+          exitCode: error.exitCode !== undefined ? error.exitCode : null,
+          error: error.message,
+          durationMs: Date.now() - startTime
+        };
+        this.attempts.push(record);
+
+        if (category !== 'transient' || attempt > this.maxRetries) {
+          throw error;
+        }
+
+        const delaySeconds = this.getDelaySeconds(attempt);
+        // Attempts share the investigation timeout, so a retry must start before it ends
+        if (this.deadline !== null && Date.now() + delaySeconds * 1000 >= this.deadline) {
+          core.warning(`Attempt ${attempt} failed with a transient error (${reason}), not retrying: the investigation timeout ends before a retry could start`);
+          throw error;
+        }
+        record.retryDelaySeconds = delaySeconds;
+        core.warning(`Attempt ${attempt} failed with a transient error (${reason}), retrying in ${delaySeconds}s: ${error.message}`);
+        await this.sleep(delaySeconds * 1000);
+      }
+    }
+  }
+}
+
+/**
+ * Render recorded attempts as a markdown section for the result comment
+ * Only rendered when the investigation needed more than one attempt; error
+ * messages are masked before they are shortened, so no secret is cut in half
+ * @param {Array<object>} attempts Attempts recorded by RetryPolicy
+ * @returns {string} Markdown section or an empty string
+ */
+function formatAttempts(attempts) {
+  if (!Array.isArray(attempts) || attempts.length < 2) {
+    return '';
+  }
+
+  const lines = attempts.map(a => {
+    const seconds = Math.round((a.durationMs || 0) / 1000);
+    if (a.outcome === 'success') {
+      return `${a.attempt}. ✅ Succeeded after ${seconds}s`;
+    }
+    const exitCode = a.exitCode !== null && a.exitCode !== undefined ? `, exit code ${a.exitCode}` : '';
+    const error = redactSecrets((a.error || '').split('\n')[0]).slice(0, 200);
+    return `${a.attempt}. ❌ ${a.category === 'transient' ? 'Transient' : 'Permanent'} failure (${a.reason}${exitCode}) after ${seconds}s: ${error}`;
+  });
+
+  return `<details>\n<summary>🔁 ${attempts.length} attempts</summary>\n\n${lines.join('\n')}\n\n</details>`;
+}
+
+module.exports = { RetryPolicy, classifyFailure, formatAttempts };
@@ -0,0 +1,88 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RUN_HOME_PREFIX = 'awsapm-home-';
+
+/**
+ * Directory that holds per-run homes (RUNNER_TEMP is wiped between jobs on
+ * hosted runners but not necessarily on self-hosted ones)
+ * @returns {string} Base directory
+ */
+function getRunHomeRoot() {
+  return process.env.RUNNER_TEMP || os.tmpdir();
+}
+
+/**
+ * Create an isolated home directory for this run
+ * Agent CLIs read their MCP configuration from $HOME, so pointing HOME here
+ * keeps the runner owner's own configuration untouched
+ * @returns {string} Path of the new home directory (mode 0700)
+ */
+function createRunHome() {
+  const root = getRunHomeRoot();
+  fs.mkdirSync(root, { recursive: true });
+  return fs.mkdtempSync(path.join(root, RUN_HOME_PREFIX));
+}
+
+/**
+ * Home directory agent configuration is written to
+ * @returns {string} The per-run home when AWSAPM_HOME is set, otherwise the user's home
+ */
+function getConfigHome() {
+  return process.env.AWSAPM_HOME || os.homedir();
+}
+
+/**
+ * Environment overrides that move an agent process into the per-run home
+ * Shared AWS config, the uv cache and Docker config keep pointing at the real
+ * home so profiles, cached MCP server packages and registry logins still work
+ * @returns {object} Environment variables to merge over process.env
+ */
+function getRunHomeEnvironment() {
+  const runHome = process.env.AWSAPM_HOME;
+  if (!runHome) {
+    return {};
+  }
+
+  const realHome = os.homedir();
+  return {
+    HOME: runHome,
+    AWS_CONFIG_FILE: process.env.AWS_CONFIG_FILE || path.join(realHome, '.aws', 'config'),
+    AWS_SHARED_CREDENTIALS_FILE: process.env.AWS_SHARED_CREDENTIALS_FILE || path.join(realHome, '.aws', 'credentials'),
+    UV_CACHE_DIR: process.env.UV_CACHE_DIR || path.join(realHome, '.cache', 'uv'),
+    DOCKER_CONFIG: process.env.DOCKER_CONFIG || path.join(realHome, '.docker')
+  };
+}
+
+/**
+ * Remove a per-run home
+ * Only directories created by createRunHome are removed, so a bad value can
+ * never delete anything else on a persistent runner
+ * @param {string} runHome Path of the per-run home
+ * @returns {boolean} True when the directory was removed
+ */
+function removeRunHome(runHome) {
+  if (!runHome) {
+    return false;
+  }
+
+  const resolved = path.resolve(runHome);
+  const root = path.resolve(getRunHomeRoot());
+  if (path.dirname(resolved) !== root || !path.basename(resolved).startsWith(RUN_HOME_PREFIX)) {
+    core.warning(`Refusing to remove ${runHome}: not a per-run home under ${root}`);
+    return false;
+  }
+
+  fs.rmSync(resolved, { recursive: true, force: true });
+  return true;
+}
+
+module.exports = {
+  RUN_HOME_PREFIX,
+  createRunHome,
+  getConfigHome,
+  getRunHomeEnvironment,
+  removeRunHome
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+
+const RECORDING_FORMAT = 'awsapm-recording';
+const RECORDING_VERSION = 1;
+
+/**
+ * Records the raw output stream of a live CLI run as JSON lines
+ *
+ *   {"type":"header","format":"awsapm-recording","version":1,"executor":"amazonq","command":"q","recordedAt":"..."}
+ *   {"type":"output","stream":"stdout","offsetMs":120,"data":"..."}
+ *   {"type":"exit","offsetMs":98000,"exitCode":0,"timedOut":false}
+ *
+ * Chunks are stored exactly as the CLI emitted them so a replay goes through
+ * the same capture, cleaning and transcript code as the live run
+ */
+class SessionRecorder {
+  /**
+   * @param {string} filePath Recording file (overwritten)
+   * @param {object} [options]
+   * @param {string} [options.executor] Executor name whose parsing the replay should use
+   * @param {string} [options.command] CLI command that produced the output
+   */
+  constructor(filePath, { executor = null, command = null } = {}) {
+    this.filePath = filePath;
+    this.startTime = Date.now();
+    this.fd = fs.openSync(filePath, 'w', 0o600);
+    this.write({
+      type: 'header',
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      executor,
+      command,
+      recordedAt: new Date(this.startTime).toISOString()
+    });
+  }
+
+  /**
+   * Append one JSON line
+   * @param {object} event Recording event
+   */
+  write(event) {
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, JSON.stringify(event) + '\n');
+    }
+  }
+
+  /**
+   * Record an output chunk
+   * @param {string} stream 'stdout' or 'stderr'
+   * @param {string} data Output text
+   */
+  recordOutput(stream, data) {
+    if (data) {
+      this.write({ type: 'output', stream, offsetMs: Date.now() - this.startTime, data });
+    }
+  }
+
+  /**
+   * Record the exit code and close the file
+   * @param {number} exitCode CLI exit code
+   * @param {boolean} [timedOut] Whether the investigation timeout stopped the CLI
+   */
+  finish(exitCode, timedOut = false) {
+    this.write({ type: 'exit', offsetMs: Date.now() - this.startTime, exitCode, timedOut });
+    this.close();
+  }
+
+  /**
+   * Close the file without an exit event (the run did not complete)
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Load a recording written by SessionRecorder
+ * @param {string} filePath Recording file
+ * @returns {{executor: string|null, command: string|null, events: Array<{stream: string, data: string, offsetMs: number}>, exitCode: number, timedOut: boolean}} Recording
+ * @throws {Error} When the file is not a supported recording
+ */
+function readRecording(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (e) {
+    header = null;
+  }
+  if (!header || header.format !== RECORDING_FORMAT) {
+    throw new Error(`${filePath} is not an ${RECORDING_FORMAT} file`);
+  }
+  if (header.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version} in ${filePath}`);
+  }
+
+  const events = [];
+  let exitCode = null;
+  let timedOut = false;
+  lines.slice(1).forEach((line, index) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid recording line ${index + 2} in ${filePath}: ${e.message}`);
+    }
+
+    if (event.type === 'output') {
+      events.push({ stream: event.stream === 'stderr' ? 'stderr' : 'stdout', data: event.data || '', offsetMs: event.offsetMs || 0 });
+    } else if (event.type === 'exit') {
+      exitCode = event.exitCode;
+      timedOut = event.timedOut === true;
+    }
+  });
+
+  return {
+    executor: header.executor || null,
+    command: header.command || null,
+    events,
+    // A recording cut short (e.g. the runner was cancelled) replays as a failure
+    exitCode: Number.isInteger(exitCode) ? exitCode : 1,
+    timedOut
+  };
+}
+
+module.exports = { SessionRecorder, readRecording, RECORDING_FORMAT, RECORDING_VERSION };
@@ -0,0 +1,168 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_DIR_NAME = 'awsapm-session';
+const SESSION_KEY_PREFIX = 'awsapm-session';
+const METADATA_FILE = 'session.json';
+const STATE_DIR = 'state';
+const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Directory the session of the current issue is restored to and saved from
+ * The path has to be identical in every run for the workflow cache to match,
+ * so it is a fixed name under RUNNER_TEMP; the cleanup step removes it
+ * @returns {string} Session directory
+ */
+function getSessionDir() {
+  return path.join(process.env.RUNNER_TEMP || '/tmp', SESSION_DIR_NAME);
+}
+
+/**
+ * Workflow cache key prefix for the sessions of one issue or pull request
+ * Each save appends the run id (cache entries are immutable) and restores
+ * match the prefix, which picks the most recent session
+ * @param {{owner: string, repo: string}} repo Repository
+ * @param {number|string} issueNumber Issue or pull request number
+ * @returns {string} Cache key prefix
+ */
+function getSessionCacheKey(repo, issueNumber) {
+  return `${SESSION_KEY_PREFIX}-${repo.owner}-${repo.repo}-${issueNumber}`;
+}
+
+/**
+ * Persists the agent's conversation state between runs on the same issue
+ *
+ * Layout of the session directory:
+ *   session.json  {"version":1,"executor":"amazonq","savedAt":"...","runId":"123"}
+ *   state/        copies of the executor's state paths, relative to the config home
+ *
+ * The directory itself is carried between runs by the workflow cache steps
+ * in action.yml; this class only moves state in and out of the config home
+ */
+class SessionStore {
+  /**
+   * @param {string} sessionDir Session directory
+   */
+  constructor(sessionDir) {
+    this.sessionDir = sessionDir;
+  }
+
+  /**
+   * Create a store for the AWSAPM_SESSION_DIR set by action.yml
+   * @returns {SessionStore|null} Store, or null when session resume is disabled
+   */
+  static fromEnv() {
+    const sessionDir = (process.env.AWSAPM_SESSION_DIR || '').trim();
+    return sessionDir ? new SessionStore(sessionDir) : null;
+  }
+
+  /**
+   * Read the metadata of the saved session
+   * @returns {object|null} Metadata, or null when no usable session was restored
+   */
+  load() {
+    const metadataPath = path.join(this.sessionDir, METADATA_FILE);
+    if (!fs.existsSync(metadataPath)) {
+      return null;
+    }
+
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+      if (!metadata || metadata.version !== SESSION_FORMAT_VERSION) {
+        core.warning(`Ignoring saved session with unsupported version ${metadata && metadata.version}`);
+        return null;
+      }
+      return metadata;
+    } catch (error) {
+      core.warning(`Ignoring unreadable saved session: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Copy the saved state into the config home
+   * @param {string} executorName Executor that is about to run
+   * @param {string} configHome Config home the agent runs with
+   * @param {Array<string>} statePaths Paths holding conversation state, relative to the config home
+   * @returns {boolean} True when a session of the same executor was restored
+   */
+  restore(executorName, configHome, statePaths) {
+    const metadata = this.load();
+    if (!metadata) {
+      return false;
+    }
+    if (metadata.executor !== executorName) {
+      core.info(`Saved session belongs to ${metadata.executor}, starting a new ${executorName} session`);
+      return false;
+    }
+
+    const stateDir = path.join(this.sessionDir, STATE_DIR);
+    let restored = false;
+    for (const statePath of statePaths) {
+      const source = path.join(stateDir, statePath);
+      if (!fs.existsSync(source)) {
+        continue;
+      }
+      const target = path.join(configHome, statePath);
+      // Replace whatever an earlier attempt of this run left behind
+      fs.rmSync(target, { recursive: true, force: true });
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.cpSync(source, target, { recursive: true });
+      restored = true;
+    }
+
+    if (restored) {
+      core.info(`Resuming ${executorName} session saved at ${metadata.savedAt}`);
+    }
+    return restored;
+  }
+
+  /**
+   * Copy the conversation state out of the config home, replacing the saved session
+   * @param {string} executorName Executor that ran
+   * @param {string} configHome Config home the agent ran with
+   * @param {Array<string>} statePaths Paths holding conversation state, relative to the config home
+   * @returns {boolean} True when any state was saved
+   */
+  save(executorName, configHome, statePaths) {
+    const existing = statePaths.filter(statePath => fs.existsSync(path.join(configHome, statePath)));
+    if (existing.length === 0) {
+      return false;
+    }
+
+    fs.rmSync(this.sessionDir, { recursive: true, force: true });
+    const stateDir = path.join(this.sessionDir, STATE_DIR);
+    fs.mkdirSync(stateDir, { recursive: true, mode: 0o700 });
+
+    for (const statePath of existing) {
+      const target = path.join(stateDir, statePath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.cpSync(path.join(configHome, statePath), target, { recursive: true });
+    }
+
+    fs.writeFileSync(path.join(this.sessionDir, METADATA_FILE), JSON.stringify({
+      version: SESSION_FORMAT_VERSION,
+      executor: executorName,
+      savedAt: new Date().toISOString(),
+      runId: process.env.GITHUB_RUN_ID || null
+    }, null, 2), { mode: 0o600 });
+
+    core.info(`Saved ${executorName} session state to ${this.sessionDir}`);
+    return true;
+  }
+
+  /**
+   * Remove the session directory (after the cache step has saved it)
+   */
+  remove() {
+    fs.rmSync(this.sessionDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  SessionStore,
+  getSessionDir,
+  getSessionCacheKey,
+  SESSION_FORMAT_VERSION
+};
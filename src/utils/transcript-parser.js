@@ -0,0 +1,178 @@
+const { OutputCleaner } = require('./output-cleaner');
+const { toLines } = require('./bounded-output');
+
+// Maximum lines collected for a single tool parameter block
+const MAX_PARAM_LINES = 500;
+
+/**
+ * Extracts a structured tool-call transcript from raw agent CLI output
+ * Each entry has the shape { name, server, arguments, durationMs, status }
+ * where status is 'success', 'error' or 'incomplete' (no completion seen, e.g. after a timeout)
+ */
+class TranscriptParser {
+  constructor() {
+    this.outputCleaner = new OutputCleaner();
+  }
+
+  /**
+   * Create an empty transcript entry
+   * @param {string} name Tool name as exposed by the MCP server
+   * @param {string|null} server MCP server name
+   * @returns {object} Transcript entry
+   */
+  createEntry(name, server) {
+    return {
+      name,
+      server,
+      arguments: null,
+      durationMs: null,
+      status: 'incomplete'
+    };
+  }
+
+  /**
+   * Split an mcp__<server>__<tool> name into its parts
+   * @param {string} name Tool name
+   * @returns {{name: string, server: string|null}} Tool and server names
+   */
+  splitQualifiedName(name) {
+    const match = name.match(/^mcp__(.+?)__(.+)$/);
+    return match ? { name: match[2], server: match[1] } : { name, server: null };
+  }
+
+  /**
+   * Interpret a tool parameter block
+   * Amazon Q prints {"name": ..., "arguments": {...}}; only the arguments are kept
+   * @param {string} text Collected parameter text
+   * @returns {object|string|null} Parsed arguments, or the raw text when it is not JSON
+   */
+  parseArguments(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === 'object' && 'arguments' in parsed && 'name' in parsed) {
+        return parsed.arguments;
+      }
+      return parsed;
+    } catch (e) {
+      return trimmed;
+    }
+  }
+
+  /**
+   * Parse Amazon Q / Kiro CLI chat output
+   *
+   *   🛠️  Using tool: list_monitored_services (trusted) from mcp server applicationsignals
+   *    ⋮
+   *    ● Running list_monitored_services with the param:
+   *    ⋮  { "arguments": {}, "name": "list_monitored_services" }
+   *    ⋮
+   *    ● Completed in 1.234s
+   *
+   * @param {string|Iterable<string>} output Raw CLI output or its lines
+   * @returns {Array<object>} Tool calls in invocation order
+   */
+  parseAmazonQOutput(output) {
+    const calls = [];
+    let current = null;
+    let paramLines = null;
+
+    const finishParams = () => {
+      if (current && paramLines) {
+        current.arguments = this.parseArguments(paramLines.join('\n'));
+      }
+      paramLines = null;
+    };
+
+    for (const rawLine of toLines(output)) {
+      const line = this.outputCleaner.removeAnsiCodes(rawLine.replace(/\r$/, ''));
+      // Drop the "⋮" gutter Amazon Q prints in front of tool details
+      const content = rawLine.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').replace(/^\s*⋮ ?/, '');
+
+      const usingTool = line.match(/Using tool:\s*(\S+)(?:.*?from mcp server\s+(\S+))?/);
+      if (usingTool) {
+        finishParams();
+        const { name, server } = this.splitQualifiedName(usingTool[1]);
+        current = this.createEntry(name, usingTool[2] || server);
+        calls.push(current);
+        continue;
+      }
+
+      const running = line.match(/^●\s*Running\s+(\S+?)\s+with the param/);
+      if (running) {
+        finishParams();
+        const { name, server } = this.splitQualifiedName(running[1]);
+        if (!current || current.name !== name || current.status !== 'incomplete' || current.arguments !== null) {
+          current = this.createEntry(name, server);
+          calls.push(current);
+        }
+        paramLines = [];
+        continue;
+      }
+
+      const finished = line.match(/^●\s*(?:(Completed) in|(?:Execution )?failed (?:after|in))\s*([\d.]+)s/i);
+      if (finished) {
+        finishParams();
+        if (current && current.status === 'incomplete') {
+          current.status = finished[1] ? 'success' : 'error';
+          current.durationMs = Math.round(parseFloat(finished[2]) * 1000);
+        }
+        continue;
+      }
+
+      if (paramLines && paramLines.length < MAX_PARAM_LINES) {
+        paramLines.push(content);
+      }
+    }
+
+    finishParams();
+    return calls;
+  }
+
+  /**
+   * Parse Claude Code stream-json output
+   * Tool calls come from assistant tool_use blocks and are matched to their
+   * tool_result by id; the stream carries no per-tool timings
+   * @param {string|Iterable<string>} output Raw stream-json output or its lines
+   * @returns {Array<object>} Tool calls in invocation order
+   */
+  parseClaudeStreamJson(output) {
+    const calls = [];
+    const byId = new Map();
+
+    for (const line of toLines(output)) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('{')) {
+        continue;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(trimmed);
+      } catch (e) {
+        continue;
+      }
+
+      const content = event.message && Array.isArray(event.message.content) ? event.message.content : [];
+      for (const block of content) {
+        if (event.type === 'assistant' && block.type === 'tool_use') {
+          const { name, server } = this.splitQualifiedName(block.name);
+          const entry = this.createEntry(name, server);
+          entry.arguments = block.input || {};
+          calls.push(entry);
+          byId.set(block.id, entry);
+        } else if (event.type === 'user' && block.type === 'tool_result' && byId.has(block.tool_use_id)) {
+          byId.get(block.tool_use_id).status = block.is_error ? 'error' : 'success';
+        }
+      }
+    }
+
+    return calls;
+  }
+}
+
+module.exports = { TranscriptParser };
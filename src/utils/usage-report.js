@@ -0,0 +1,271 @@
+const core = require('@actions/core');
+const { toLines } = require('./bounded-output');
+
+/**
+ * Default prices in USD per million tokens (public on-demand list prices)
+ * Keys are matched against model ids, the longest matching key wins, so
+ * "claude-sonnet-4" covers both "claude-sonnet-4-20250514" and Bedrock's
+ * "us.anthropic.claude-sonnet-4-20250514-v1:0"
+ */
+const DEFAULT_TOKEN_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'nova-pro': { input: 0.8, output: 3.2 },
+  'nova-lite': { input: 0.06, output: 0.24 }
+};
+
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+/**
+ * Create an empty usage record
+ * Usage is reported per model as { model, requests, inputTokens, outputTokens,
+ * cacheReadTokens, cacheWriteTokens, totalTokens }
+ * @param {string|null} model Model id
+ * @returns {object} Usage record
+ */
+function createUsageRecord(model) {
+  return {
+    model: model || null,
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    totalTokens: 0
+  };
+}
+
+/**
+ * Combine usage records (e.g. from several attempts) per model
+ * @param {Array<object>} records Usage records
+ * @returns {Array<object>} One record per model
+ */
+function mergeUsage(records) {
+  const byModel = new Map();
+
+  for (const record of records || []) {
+    if (!record) {
+      continue;
+    }
+    const key = record.model || null;
+    if (!byModel.has(key)) {
+      byModel.set(key, createUsageRecord(key));
+    }
+    const merged = byModel.get(key);
+    merged.requests += record.requests || 0;
+    for (const field of TOKEN_FIELDS) {
+      merged[field] += record[field] || 0;
+    }
+    merged.totalTokens = TOKEN_FIELDS.reduce((sum, field) => sum + merged[field], 0);
+  }
+
+  return [...byModel.values()];
+}
+
+/**
+ * Parse the token_prices input and merge it over the defaults
+ * @param {string} value JSON object of model id -> { input, output, cacheRead, cacheWrite } (USD per million tokens)
+ * @returns {object} Price table
+ */
+function parsePriceTable(value) {
+  if (!value || !value.trim()) {
+    return { ...DEFAULT_TOKEN_PRICES };
+  }
+
+  try {
+    const custom = JSON.parse(value);
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+      throw new Error('expected an object keyed by model id');
+    }
+    return { ...DEFAULT_TOKEN_PRICES, ...custom };
+  } catch (error) {
+    core.warning(`Invalid token_prices, using default prices: ${error.message}`);
+    return { ...DEFAULT_TOKEN_PRICES };
+  }
+}
+
+/**
+ * Find the price entry for a model id
+ * @param {string|null} model Model id
+ * @param {object} prices Price table
+ * @returns {object|null} Price entry
+ */
+function findPrice(model, prices) {
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+
+  const id = model.toLowerCase();
+  const key = Object.keys(prices)
+    .filter(k => id.includes(k.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Summarize usage and estimate its cost
+ * @param {Array<object>} records Usage records
+ * @param {object} prices Price table
+ * @returns {object|null} Totals, estimatedCostUsd (null when no model could be priced),
+ *   unpricedModels and per-model records; null when no usage was reported
+ */
+function summarizeUsage(records, prices) {
+  const models = mergeUsage(records);
+  if (models.length === 0) {
+    return null;
+  }
+
+  const summary = createUsageRecord(null);
+  delete summary.model;
+  let estimatedCostUsd = null;
+  const unpricedModels = [];
+
+  for (const record of models) {
+    summary.requests += record.requests;
+    for (const field of TOKEN_FIELDS) {
+      summary[field] += record[field];
+    }
+
+    const price = findPrice(record.model, prices);
+    if (!price) {
+      unpricedModels.push(record.model || 'unknown');
+      continue;
+    }
+    const cost = (
+      record.inputTokens * (price.input || 0) +
+      record.outputTokens * (price.output || 0) +
+      record.cacheReadTokens * (price.cacheRead !== undefined ? price.cacheRead : price.input || 0) +
+      record.cacheWriteTokens * (price.cacheWrite !== undefined ? price.cacheWrite : price.input || 0)
+    ) / 1e6;
+    estimatedCostUsd = (estimatedCostUsd || 0) + cost;
+  }
+  summary.totalTokens = TOKEN_FIELDS.reduce((sum, field) => sum + summary[field], 0);
+
+  return {
+    ...summary,
+    estimatedCostUsd: estimatedCostUsd === null ? null : Math.round(estimatedCostUsd * 10000) / 10000,
+    unpricedModels,
+    models
+  };
+}
+
+/**
+ * Extract per-model usage from Claude Code stream-json output
+ * Requests are counted as distinct assistant message ids; token counts come
+ * from the final result event's modelUsage when present (it includes
+ * sub-agents), otherwise from the assistant messages seen so far
+ * @param {string|Iterable<string>} output Raw stream-json output or its lines
+ * @returns {Array<object>|null} Usage records, or null when the output has none
+ */
+function parseClaudeStreamUsage(output) {
+  const messages = new Map();
+  let modelUsage = null;
+
+  for (const line of toLines(output)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) {
+      continue;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch (e) {
+      continue;
+    }
+
+    if (event.type === 'assistant' && event.message && event.message.id && event.message.usage) {
+      messages.set(event.message.id, { model: event.message.model, usage: event.message.usage });
+    } else if (event.type === 'result' && event.modelUsage && typeof event.modelUsage === 'object') {
+      modelUsage = event.modelUsage;
+    }
+  }
+
+  const byModel = new Map();
+  const recordFor = model => {
+    if (!byModel.has(model)) {
+      byModel.set(model, createUsageRecord(model));
+    }
+    return byModel.get(model);
+  };
+
+  for (const { model, usage } of messages.values()) {
+    const record = recordFor(model || null);
+    record.requests += 1;
+    if (!modelUsage) {
+      record.inputTokens += usage.input_tokens || 0;
+      record.outputTokens += usage.output_tokens || 0;
+      record.cacheReadTokens += usage.cache_read_input_tokens || 0;
+      record.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+    }
+  }
+
+  if (modelUsage) {
+    for (const [model, usage] of Object.entries(modelUsage)) {
+      const record = recordFor(model);
+      record.inputTokens = usage.inputTokens || 0;
+      record.outputTokens = usage.outputTokens || 0;
+      record.cacheReadTokens = usage.cacheReadInputTokens || 0;
+      record.cacheWriteTokens = usage.cacheCreationInputTokens || 0;
+    }
+  }
+
+  const records = mergeUsage([...byModel.values()]);
+  return records.length > 0 ? records : null;
+}
+
+/**
+ * Format a token count compactly (e.g. 45200 -> "45.2k")
+ * @param {number} count Token count
+ * @returns {string} Formatted count
+ */
+function formatTokens(count) {
+  if (count >= 1e6) {
+    return `${(count / 1e6).toFixed(1)}M`;
+  }
+  if (count >= 1e3) {
+    return `${(count / 1e3).toFixed(1)}k`;
+  }
+  return String(count);
+}
+
+/**
+ * Render the usage summary as a one-line footer for the result comment
+ * @param {object|null} summary Summary from summarizeUsage
+ * @returns {string} Markdown footer or an empty string
+ */
+function formatUsageFooter(summary) {
+  if (!summary) {
+    return '';
+  }
+
+  const parts = [
+    `${summary.requests} ${summary.requests === 1 ? 'request' : 'requests'}`,
+    `${formatTokens(summary.inputTokens + summary.cacheReadTokens + summary.cacheWriteTokens)} input / ${formatTokens(summary.outputTokens)} output tokens`
+  ];
+  if (summary.estimatedCostUsd !== null && summary.estimatedCostUsd !== undefined) {
+    const partial = summary.unpricedModels && summary.unpricedModels.length > 0 ? ' (excluding unpriced models)' : '';
+    parts.push(`~$${summary.estimatedCostUsd.toFixed(2)} estimated${partial}`);
+  }
+
+  return `<sub>📊 Usage: ${parts.join(' · ')}</sub>`;
+}
+
+module.exports = {
+  DEFAULT_TOKEN_PRICES,
+  createUsageRecord,
+  mergeUsage,
+  parsePriceTable,
+  findPrice,
+  summarizeUsage,
+  parseClaudeStreamUsage,
+  formatUsageFooter
+};
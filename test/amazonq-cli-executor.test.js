@@ -1,4 +1,5 @@
-const { AmazonQCLIExecutor } = require('../src/executors/amazonq-cli-executor');
+const { AmazonQCLIExecutor, AMAZONQ_BUILTIN_TOOLS } = require('../src/executors/amazonq-cli-executor');
+const path = require('path');
 
 describe('AmazonQCLIExecutor', () => {
   let executor;
@@ -20,13 +21,83 @@ describe('AmazonQCLIExecutor', () => {
 
       expect(args).toContain('chat');
       expect(args).toContain('--no-interactive');
-      expect(args).toContain('--trust-all-tools');
+      expect(args).not.toContain('--trust-all-tools');
     });
 
     test('returns array with three arguments', () => {
       const args = executor.getCommandArgs();
       expect(args).toHaveLength(3);
     });
+
+    test('trusts only the built-in read and edit tools before MCP setup', () => {
+      expect(executor.getCommandArgs()[2]).toBe(`--trust-tools=${AMAZONQ_BUILTIN_TOOLS.join(',')}`);
+    });
+  });
+
+  describe('tool allowlist', () => {
+    const mcpConfig = {
+      mcpServers: {
+        applicationsignals: { autoApprove: ['mcp__applicationsignals__audit_services'] },
+        'awslabs.cloudwatch-mcp-server': { autoApprove: ['mcp__awslabs_cloudwatch-mcp-server__get_metric_data'] },
+        github: { autoApprove: ['mcp__github__push_files'], disabled: true }
+      }
+    };
+    let originalEnv;
+
+    beforeEach(() => {
+      originalEnv = { ...process.env };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+    });
+
+    test('trusts the auto-approved tools of enabled servers in @server/tool format', () => {
+      executor.applyToolPolicy(mcpConfig);
+
+      expect(executor.trustedTools).toEqual([
+        'fs_read',
+        '@applicationsignals/audit_services',
+        '@awslabs.cloudwatch-mcp-server/get_metric_data'
+      ]);
+      expect(executor.allowedTools).toContain('mcp__awslabs_cloudwatch-mcp-server__get_metric_data');
+    });
+
+    test('applies the allowed_tools and disallowed_tools inputs', () => {
+      process.env.ALLOWED_TOOLS = 'fs_write, execute_bash, mcp__applicationsignals__list_monitored_services';
+      process.env.DISALLOWED_TOOLS = 'execute_bash\nmcp__awslabs_cloudwatch-mcp-server__*';
+      executor = new AmazonQCLIExecutor();
+
+      executor.applyToolPolicy(mcpConfig);
+
+      expect(executor.trustedTools).toEqual([
+        'fs_read',
+        '@applicationsignals/audit_services',
+        'fs_write',
+        '@applicationsignals/list_monitored_services'
+      ]);
+    });
+
+    test('reports transcript calls outside the allowlist as blocked', () => {
+      executor.applyToolPolicy(mcpConfig);
+      executor.transcript = [
+        { name: 'fs_read', server: null },
+        { name: 'fs_write', server: null },
+        { name: 'audit_services', server: 'applicationsignals' },
+        { name: 'execute_bash', server: null },
+        { name: 'execute_bash', server: null },
+        { name: 'push_files', server: 'github' }
+      ];
+
+      expect(executor.parseBlockedTools('')).toEqual(['fs_write', 'execute_bash', 'mcp__github__push_files']);
+    });
+  });
+
+  describe('session resume', () => {
+    test('resumes the conversation kept in the Amazon Q data directory', () => {
+      expect(executor.getSessionStatePaths()).toEqual([path.join('.local', 'share', 'amazon-q')]);
+      expect(executor.getResumeArgs()).toEqual(['--resume']);
+    });
   });
 
   describe('getEnvironmentVariables', () => {
@@ -73,6 +144,13 @@ Result text`;
       expect(output).toContain('🎯 **Application observability for AWS Assistant Result**');
       expect(output).toContain('Result text');
       expect(output).not.toContain('Tool output');
+      expect(executor.getFilterMethod()).toBe('result_marker');
+    });
+
+    test('reports the fallback filter method when the result marker is missing', () => {
+      executor.parseOutput('Using tool\n● Completed in 1s\nResult text');
+
+      expect(executor.getFilterMethod()).toBe('tool_completion');
     });
 
     test('removes ANSI codes', () => {
@@ -107,4 +185,14 @@ Result text`;
     // Note: Comprehensive setupConfiguration tests are in amazonq-cli-setup.test.js
     // which has proper mocking for fs operations
   });
+
+  describe('parseTranscript', () => {
+    test('extracts tool calls from the raw output', () => {
+      const output = '🛠️  Using tool: audit_services from mcp server applicationsignals\n ● Completed in 3.5s\n🎯 **Application observability for AWS Assistant Result**';
+
+      expect(executor.parseTranscript(output)).toEqual([
+        { name: 'audit_services', server: 'applicationsignals', arguments: null, durationMs: 3500, status: 'success' }
+      ]);
+    });
+  });
 });
@@ -70,6 +70,22 @@ describe('AmazonQCLIExecutor setupConfiguration', () => {
     expect(() => JSON.parse(configJson)).not.toThrow();
   });
 
+  test('writes to the per-run config home when AWSAPM_HOME is set', async () => {
+    process.env.AWSAPM_HOME = '/runner/_temp/awsapm-home-abc123';
+    process.env.GITHUB_TOKEN = 'ghs_secret';
+
+    try {
+      await executor.setupConfiguration();
+    } finally {
+      delete process.env.AWSAPM_HOME;
+    }
+
+    const [configPath, configJson, options] = writeFileSyncSpy.mock.calls[0];
+    expect(configPath).toBe(path.join('/runner/_temp/awsapm-home-abc123', '.aws', 'amazonq', 'mcp.json'));
+    expect(configJson).not.toContain('ghs_secret');
+    expect(options).toEqual({ mode: 0o600 });
+  });
+
   test('includes GitHub MCP server in configuration when token available', async () => {
     process.env.GITHUB_TOKEN = 'test-token';
 
@@ -0,0 +1,149 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+const {
+  CREDENTIAL_SOURCE,
+  detectCredentialSource,
+  resolveAWSCredentials
+} = require('../src/config/aws-credentials');
+
+describe('aws-credentials', () => {
+  let tempDir;
+  let baseEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-credentials-test-'));
+    // No credentials file, so only the variables of each test count
+    baseEnv = { AWS_SHARED_CREDENTIALS_FILE: path.join(tempDir, 'credentials') };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('detectCredentialSource', () => {
+    test('prefers static keys from the environment', () => {
+      expect(detectCredentialSource({
+        ...baseEnv,
+        AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        AWS_PROFILE: 'ci'
+      })).toBe(CREDENTIAL_SOURCE.ENVIRONMENT);
+    });
+
+    test('detects a named profile or a shared credentials file', () => {
+      expect(detectCredentialSource({ ...baseEnv, AWS_PROFILE: 'ci' })).toBe(CREDENTIAL_SOURCE.PROFILE);
+
+      fs.writeFileSync(baseEnv.AWS_SHARED_CREDENTIALS_FILE, '[default]\n');
+      expect(detectCredentialSource(baseEnv)).toBe(CREDENTIAL_SOURCE.PROFILE);
+    });
+
+    test('detects a web identity token file with a role', () => {
+      expect(detectCredentialSource({
+        ...baseEnv,
+        AWS_WEB_IDENTITY_TOKEN_FILE: '/var/run/secrets/token',
+        AWS_ROLE_ARN: 'arn:aws:iam::123456789012:role/ci'
+      })).toBe(CREDENTIAL_SOURCE.WEB_IDENTITY);
+    });
+
+    test('detects ECS task and EKS Pod Identity credentials', () => {
+      expect(detectCredentialSource({ ...baseEnv, AWS_CONTAINER_CREDENTIALS_RELATIVE_URI: '/v2/credentials/abc' }))
+        .toBe(CREDENTIAL_SOURCE.CONTAINER);
+      expect(detectCredentialSource({ ...baseEnv, AWS_CONTAINER_CREDENTIALS_FULL_URI: 'http://169.254.170.23/v1/credentials' }))
+        .toBe(CREDENTIAL_SOURCE.CONTAINER);
+    });
+
+    test('returns null when nothing is configured', () => {
+      expect(detectCredentialSource({ ...baseEnv, AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE' })).toBeNull();
+    });
+  });
+
+  describe('resolveAWSCredentials', () => {
+    const identity = { Account: '123456789012', Arn: 'arn:aws:sts::123456789012:assumed-role/ci/run', UserId: 'AROA:run' };
+    let send;
+    let createClient;
+
+    beforeEach(() => {
+      send = jest.fn().mockResolvedValue(identity);
+      createClient = jest.fn(() => ({ send, destroy: jest.fn() }));
+    });
+
+    test('validates the credentials with GetCallerIdentity and logs the identity', async () => {
+      const env = { ...baseEnv, AWS_PROFILE: 'ci', AWS_REGION: 'eu-west-1' };
+
+      const resolved = await resolveAWSCredentials({ env, createClient });
+
+      expect(resolved).toEqual({ source: 'profile', validated: true, account: '123456789012', arn: identity.Arn });
+      expect(createClient).toHaveBeenCalledWith({ region: 'eu-west-1' });
+      expect(send).toHaveBeenCalledWith(expect.any(GetCallerIdentityCommand));
+      expect(core.info).toHaveBeenCalledWith(`AWS credentials from shared config profile: ${identity.Arn} (account 123456789012)`);
+    });
+
+    test('uses the configured STS endpoint', async () => {
+      const env = { ...baseEnv, AWS_PROFILE: 'ci', STS_ENDPOINT: 'https://sts.vpce.example.com' };
+
+      await resolveAWSCredentials({ env, createClient });
+
+      expect(createClient).toHaveBeenCalledWith({ region: 'us-east-1', endpoint: 'https://sts.vpce.example.com' });
+    });
+
+    test('finds an EC2 instance role through STS when nothing else is configured', async () => {
+      const resolved = await resolveAWSCredentials({ env: baseEnv, createClient });
+
+      expect(resolved.source).toBe(CREDENTIAL_SOURCE.INSTANCE_METADATA);
+    });
+
+    test('returns null when no source resolves credentials', async () => {
+      send.mockRejectedValue(Object.assign(new Error('Could not load credentials from any providers'), { name: 'CredentialsProviderError' }));
+
+      expect(await resolveAWSCredentials({ env: baseEnv, createClient })).toBeNull();
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('skips the metadata service when it is disabled', async () => {
+      const env = { ...baseEnv, AWS_EC2_METADATA_DISABLED: 'true' };
+
+      expect(await resolveAWSCredentials({ env, createClient })).toBeNull();
+      expect(createClient).not.toHaveBeenCalled();
+    });
+
+    test('treats credentials STS rejects as missing', async () => {
+      send.mockRejectedValue(Object.assign(new Error('The security token included in the request is expired'), {
+        name: 'ExpiredTokenException',
+        $metadata: { httpStatusCode: 403 }
+      }));
+      const env = { ...baseEnv, AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE', AWS_SECRET_ACCESS_KEY: 'secret' };
+
+      expect(await resolveAWSCredentials({ env, createClient })).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('were rejected by STS'));
+    });
+
+    test('keeps the detected source when STS cannot be reached', async () => {
+      send.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND sts.amazonaws.com'), { code: 'ENOTFOUND' }));
+      const env = { ...baseEnv, AWS_PROFILE: 'ci' };
+
+      const resolved = await resolveAWSCredentials({ env, createClient });
+
+      expect(resolved).toEqual({ source: 'profile', validated: false, account: null, arn: null });
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Could not validate AWS credentials'));
+    });
+
+    test('gives up on a hanging STS call', async () => {
+      send.mockReturnValue(new Promise(() => {}));
+      const env = { ...baseEnv, AWS_PROFILE: 'ci' };
+
+      const resolved = await resolveAWSCredentials({ env, createClient, timeoutMs: 10 });
+
+      expect(resolved.validated).toBe(false);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('timed out'));
+    });
+  });
+});
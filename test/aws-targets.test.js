@@ -0,0 +1,229 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  setSecret: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const {
+  parseAWSTargets,
+  getTargetServerName,
+  getTargetProfile,
+  hasOwnCredentials,
+  getTargetSessionSeconds,
+  writeTargetCredentials,
+  readTargetProfiles,
+  describeAWSTargets
+} = require('../src/config/aws-targets');
+
+const ROLE_ARN = 'arn:aws:iam::111111111111:role/awsapm-readonly';
+
+describe('aws-targets', () => {
+  describe('parseAWSTargets', () => {
+    test('returns no targets for an empty input', () => {
+      expect(parseAWSTargets('')).toEqual([]);
+      expect(parseAWSTargets('  \n')).toEqual([]);
+    });
+
+    test('parses a YAML list', () => {
+      const targets = parseAWSTargets(`
+- alias: prod-us
+  region: us-east-1
+  role_arn: ${ROLE_ARN}
+- alias: staging
+  region: eu-west-1
+  profile: staging
+- alias: dev
+  region: us-west-2
+`);
+
+      expect(targets).toEqual([
+        { alias: 'prod-us', region: 'us-east-1', roleArn: ROLE_ARN, profile: null },
+        { alias: 'staging', region: 'eu-west-1', roleArn: null, profile: 'staging' },
+        { alias: 'dev', region: 'us-west-2', roleArn: null, profile: null }
+      ]);
+    });
+
+    test('parses a JSON list', () => {
+      expect(parseAWSTargets('[{"alias": "prod", "region": "ap-southeast-2"}]'))
+        .toEqual([{ alias: 'prod', region: 'ap-southeast-2', roleArn: null, profile: null }]);
+    });
+
+    test('rejects input that is not a list', () => {
+      expect(() => parseAWSTargets('alias: prod')).toThrow('Invalid aws_targets: expected a list');
+      expect(() => parseAWSTargets('[unclosed')).toThrow('Invalid aws_targets:');
+    });
+
+    test('lists every problem', () => {
+      let message = '';
+      try {
+        parseAWSTargets(`
+- alias: prod us
+  region: useast1
+- alias: eu
+  region: eu-west-1
+  role_arn: not-an-arn
+  profile: eu
+  account: "222222222222"
+`);
+      } catch (error) {
+        message = error.message;
+      }
+
+      expect(message).toContain('"prod us".alias is required');
+      expect(message).toContain('"prod us".region must be an AWS region');
+      expect(message).toContain('"eu".role_arn must be an IAM role ARN');
+      expect(message).toContain('"eu" sets both role_arn and profile');
+      expect(message).toContain('"eu".account is not supported');
+    });
+
+    test('rejects duplicate aliases', () => {
+      expect(() => parseAWSTargets('[{alias: prod, region: us-east-1}, {alias: prod, region: eu-west-1}]'))
+        .toThrow('alias "prod" is used more than once');
+    });
+  });
+
+  describe('target names', () => {
+    test('names the server after the alias and tells which targets bring their own credentials', () => {
+      const [roleTarget, profileTarget, plainTarget] = parseAWSTargets(
+        `[{alias: prod, region: us-east-1, role_arn: "${ROLE_ARN}"}, {alias: eu, region: eu-west-1, profile: eu-ops}, {alias: dev, region: us-west-2}]`
+      );
+
+      expect(getTargetServerName(roleTarget)).toBe('applicationsignals-prod');
+      expect(getTargetProfile(roleTarget)).toBe('awsapm-prod');
+      expect(hasOwnCredentials(roleTarget)).toBe(true);
+      expect(hasOwnCredentials(profileTarget)).toBe(true);
+      expect(hasOwnCredentials(plainTarget)).toBe(false);
+    });
+  });
+
+  describe('target credentials', () => {
+    let tempDir;
+    let clients;
+    const targets = parseAWSTargets(
+      `[{alias: prod, region: us-east-1, role_arn: "${ROLE_ARN}"}, {alias: eu, region: eu-west-1, profile: eu-ops}, {alias: dev, region: us-west-2}]`
+    );
+    const roleCredentials = {
+      Credentials: {
+        AccessKeyId: 'ASIAPRODROLE00000000',
+        SecretAccessKey: 'prod-secret',
+        SessionToken: 'prod-session-token',
+        Expiration: new Date('2026-10-19T13:00:00Z')
+      }
+    };
+
+    const createClient = (config) => {
+      const client = {
+        config: {
+          ...config,
+          credentials: jest.fn().mockResolvedValue({ accessKeyId: 'AKIAEUPROFILE0000000', secretAccessKey: 'eu-secret' })
+        },
+        send: jest.fn().mockResolvedValue(roleCredentials),
+        destroy: jest.fn()
+      };
+      clients.push(client);
+      return client;
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      clients = [];
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-targets-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('sizes role sessions to the investigation timeout', () => {
+      expect(getTargetSessionSeconds(30)).toBe(45 * 60);
+      expect(getTargetSessionSeconds(180)).toBe(195 * 60);
+      expect(getTargetSessionSeconds(1000)).toBe(12 * 60 * 60);
+      expect(getTargetSessionSeconds(0)).toBe(12 * 60 * 60);
+      expect(getTargetSessionSeconds(0.5)).toBe(15 * 60 + 30);
+    });
+
+    test('assumes roles and resolves profiles into a private credentials file', async () => {
+      const credentialsPath = await writeTargetCredentials(targets, tempDir, { timeoutMinutes: 120, env: {}, createClient });
+
+      expect(credentialsPath).toBe(path.join(tempDir, 'awsapm-aws-target-credentials'));
+      expect(fs.statSync(credentialsPath).mode & 0o777).toBe(0o600);
+      expect(fs.readFileSync(credentialsPath, 'utf8')).toBe([
+        '[awsapm-prod]',
+        'aws_access_key_id = ASIAPRODROLE00000000',
+        'aws_secret_access_key = prod-secret',
+        'aws_session_token = prod-session-token',
+        '',
+        '[awsapm-eu]',
+        'aws_access_key_id = AKIAEUPROFILE0000000',
+        'aws_secret_access_key = eu-secret',
+        ''
+      ].join('\n'));
+      expect(readTargetProfiles(credentialsPath)).toEqual(['awsapm-prod', 'awsapm-eu']);
+      expect(clients).toHaveLength(2);
+      expect(clients[0].send.mock.calls[0][0].input).toEqual({ RoleArn: ROLE_ARN, RoleSessionName: 'awsapm-prod', DurationSeconds: 135 * 60 });
+      expect(clients[1].config).toMatchObject({ region: 'eu-west-1', profile: 'eu-ops' });
+      expect(clients.every(client => client.destroy.mock.calls.length === 1)).toBe(true);
+      expect(core.setSecret).toHaveBeenCalledWith('prod-secret');
+      expect(core.setSecret).toHaveBeenCalledWith('prod-session-token');
+      expect(core.setSecret).toHaveBeenCalledWith('eu-secret');
+    });
+
+    test('falls back to a one-hour session when the role does not allow a longer one', async () => {
+      const limited = (config) => {
+        const client = createClient(config);
+        client.send
+          .mockRejectedValueOnce(new Error('The requested DurationSeconds exceeds the MaxSessionDuration set for this role.'))
+          .mockResolvedValueOnce(roleCredentials);
+        return client;
+      };
+
+      const credentialsPath = await writeTargetCredentials(targets.slice(0, 1), tempDir, { timeoutMinutes: 120, env: {}, createClient: limited });
+
+      expect(clients[0].send.mock.calls.map(([command]) => command.input.DurationSeconds)).toEqual([135 * 60, 60 * 60]);
+      expect(readTargetProfiles(credentialsPath)).toEqual(['awsapm-prod']);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining(`AWS environment prod: role ${ROLE_ARN} does not allow 135-minute sessions`));
+    });
+
+    test('uses the STS endpoint', async () => {
+      await writeTargetCredentials(targets.slice(0, 1), tempDir, { env: { STS_ENDPOINT: 'https://sts.vpce.example.com' }, createClient });
+
+      expect(clients[0].config).toMatchObject({ region: 'us-east-1', endpoint: 'https://sts.vpce.example.com' });
+    });
+
+    test('leaves out a target whose role cannot be assumed', async () => {
+      const failing = (config) => {
+        const client = createClient(config);
+        client.send.mockRejectedValue(new Error('User is not authorized to perform: sts:AssumeRole'));
+        return client;
+      };
+
+      const credentialsPath = await writeTargetCredentials(targets, tempDir, { env: {}, createClient: failing });
+
+      expect(readTargetProfiles(credentialsPath)).toEqual(['awsapm-eu']);
+      expect(clients[0].send).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith(`AWS environment prod: could not get credentials from role ${ROLE_ARN} (User is not authorized to perform: sts:AssumeRole) - its Application Signals MCP server is disabled`);
+    });
+
+    test('writes nothing when no target has credentials of its own', async () => {
+      expect(await writeTargetCredentials(targets.slice(2), tempDir, { env: {}, createClient })).toBeNull();
+      expect(clients).toHaveLength(0);
+      expect(readTargetProfiles(null)).toEqual([]);
+      expect(readTargetProfiles(path.join(tempDir, 'missing'))).toEqual([]);
+    });
+  });
+
+  describe('describeAWSTargets', () => {
+    test('maps each environment to its server', () => {
+      const targets = parseAWSTargets(`[{alias: prod, region: us-east-1, role_arn: "${ROLE_ARN}"}, {alias: eu, region: eu-west-1, profile: eu-ops}]`);
+
+      expect(describeAWSTargets(targets)).toBe([
+        '- prod: server "applicationsignals-prod" (tools mcp__applicationsignals-prod__*) - account 111111111111, region us-east-1',
+        '- eu: server "applicationsignals-eu" (tools mcp__applicationsignals-eu__*) - profile eu-ops, region eu-west-1'
+      ].join('\n'));
+    });
+  });
+});
@@ -1,5 +1,6 @@
-const { BaseCLIExecutor } = require('../src/executors/base-cli-executor');
+const { BaseCLIExecutor, InvestigationTimeoutError, CLIExecutionError, BudgetExceededError } = require('../src/executors/base-cli-executor');
 const { EventEmitter } = require('events');
+const path = require('path');
 
 // Mock child_process - must use factory function
 jest.mock('child_process', () => ({
@@ -8,6 +9,13 @@ jest.mock('child_process', () => ({
 
 const { spawn: mockSpawn } = require('child_process');
 
+// Mock the MCP tool check so no test starts an MCP server
+jest.mock('../src/config/mcp-tool-check', () => ({
+  checkBuiltInServerTools: jest.fn().mockResolvedValue()
+}));
+
+const { checkBuiltInServerTools: mockCheckBuiltInServerTools } = require('../src/config/mcp-tool-check');
+
 // Mock @actions/core
 jest.mock('@actions/core', () => ({
   debug: jest.fn(),
@@ -62,6 +70,63 @@ describe('BaseCLIExecutor', () => {
     });
   });
 
+  describe('checkGitHubServer', () => {
+    const manager = (token, transport) => ({
+      hasGitHubToken: () => token,
+      getGitHubTransport: () => transport
+    });
+
+    test('warns when the GitHub token is missing', () => {
+      executor.checkGitHubServer(manager(false, 'docker'));
+
+      expect(executor.warnings).toEqual(['GitHub token not available - PR creation will not work']);
+    });
+
+    test('warns when the GitHub MCP server has no transport', () => {
+      executor.checkGitHubServer(manager(true, ''));
+
+      expect(executor.warnings[0]).toContain('GitHub MCP server not available on this runner');
+    });
+
+    test('stays quiet when the server can run', () => {
+      executor.checkGitHubServer(manager(true, 'remote'));
+
+      expect(executor.warnings).toEqual([]);
+    });
+  });
+
+  describe('checkMCPTools', () => {
+    const mcpConfig = { mcpServers: {} };
+
+    afterEach(() => {
+      delete process.env.CHECK_MCP_TOOLS;
+    });
+
+    test('checks only servers off their pinned version by default', async () => {
+      delete process.env.CHECK_MCP_TOOLS;
+
+      await executor.checkMCPTools(mcpConfig);
+
+      expect(mockCheckBuiltInServerTools).toHaveBeenCalledWith(mcpConfig, expect.objectContaining({ changedOnly: true }));
+    });
+
+    test('checks every built-in server when enabled', async () => {
+      process.env.CHECK_MCP_TOOLS = 'true';
+
+      await executor.checkMCPTools(mcpConfig);
+
+      expect(mockCheckBuiltInServerTools).toHaveBeenCalledWith(mcpConfig, expect.objectContaining({ changedOnly: false }));
+    });
+
+    test('skips the check when disabled', async () => {
+      process.env.CHECK_MCP_TOOLS = 'false';
+
+      await executor.checkMCPTools(mcpConfig);
+
+      expect(mockCheckBuiltInServerTools).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getEnvironmentVariables', () => {
     test('returns process environment by default', () => {
       const env = executor.getEnvironmentVariables();
@@ -86,6 +151,21 @@ describe('BaseCLIExecutor', () => {
       );
     });
 
+    test('starts the process in its own process group', () => {
+      const mockProcess = new EventEmitter();
+      mockSpawn.mockReturnValue(mockProcess);
+
+      executor.spawnCLIProcess('cmd', [], {}, '/path');
+
+      expect(mockSpawn).toHaveBeenCalledWith(
+        'cmd',
+        [],
+        expect.objectContaining({
+          detached: true
+        })
+      );
+    });
+
     test('sets correct working directory', () => {
       const mockProcess = new EventEmitter();
       mockSpawn.mockReturnValue(mockProcess);
@@ -119,6 +199,44 @@ describe('BaseCLIExecutor', () => {
   });
 
   describe('captureOutput', () => {
+    test('spills the full stdout to rawOutputPath', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-test-'));
+      executor.rawOutputPath = path.join(dir, 'raw.log');
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+
+      const outputPromise = executor.captureOutput(mockProcess);
+      mockProcess.stdout.emit('data', Buffer.from('line one\n'));
+      mockProcess.stdout.emit('data', Buffer.from('line two\n'));
+      mockProcess.emit('close', 0);
+
+      try {
+        const { output, outputLogPath } = await outputPromise;
+        expect(output).toBe('line one\nline two\n');
+        expect(outputLogPath).toBe(executor.rawOutputPath);
+        expect(fs.readFileSync(executor.rawOutputPath, 'utf8')).toBe('line one\nline two\n');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('decodes multi-byte characters split across chunks', async () => {
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+      const bytes = Buffer.from('🎯 Result');
+
+      const outputPromise = executor.captureOutput(mockProcess);
+      mockProcess.stdout.emit('data', bytes.subarray(0, 2));
+      mockProcess.stdout.emit('data', bytes.subarray(2));
+      mockProcess.emit('close', 0);
+
+      expect((await outputPromise).output).toBe('🎯 Result');
+    });
+
     test('captures stdout data', (done) => {
       const mockProcess = new EventEmitter();
       mockProcess.stdout = new EventEmitter();
@@ -164,8 +282,9 @@ describe('BaseCLIExecutor', () => {
       mockProcess.stderr.emit('data', Buffer.from('stderr content'));
       mockProcess.emit('close', 0);
 
-      outputPromise.then(({ output }) => {
+      outputPromise.then(({ output, stderr }) => {
         expect(output).toBe('stdout content');
+        expect(stderr).toBe('stderr content');
         done();
       });
     });
@@ -251,6 +370,27 @@ describe('BaseCLIExecutor', () => {
         done();
       });
     });
+
+    test('passes stdout chunks to output listeners', async () => {
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+      const listener = jest.fn();
+      const failingListener = jest.fn(() => {
+        throw new Error('listener bug');
+      });
+      executor.addOutputListener(failingListener);
+      executor.addOutputListener(listener);
+
+      const outputPromise = executor.captureOutput(mockProcess);
+      mockProcess.stdout.emit('data', Buffer.from('chunk 1'));
+      mockProcess.stdout.emit('data', Buffer.from('chunk 2'));
+      mockProcess.emit('close', 0);
+
+      const { output } = await outputPromise;
+      expect(output).toBe('chunk 1chunk 2');
+      expect(listener.mock.calls).toEqual([['chunk 1'], ['chunk 2']]);
+    });
   });
 
   describe('abstract methods with concrete implementation', () => {
@@ -301,6 +441,12 @@ describe('BaseCLIExecutor', () => {
     });
   });
 
+  describe('getPromptDeliveryMode', () => {
+    test('streams the prompt to stdin by default', () => {
+      expect(executor.getPromptDeliveryMode()).toBe('stdin');
+    });
+  });
+
   describe('testCLIAvailable', () => {
     test('returns true when CLI command exists', async () => {
       // Mock execSync in the module being tested
@@ -336,67 +482,401 @@ describe('BaseCLIExecutor', () => {
 
       executor.writePromptToFile('test content', '/tmp/test.txt');
 
-      expect(writeFileSyncSpy).toHaveBeenCalledWith('/tmp/test.txt', 'test content');
+      expect(writeFileSyncSpy).toHaveBeenCalledWith('/tmp/test.txt', 'test content', { mode: 0o600 });
       writeFileSyncSpy.mockRestore();
     });
   });
 
-  describe('startPromptStreaming', () => {
+  describe('createRunDir', () => {
     const fs = require('fs');
-    const { spawn } = require('child_process');
+    const os = require('os');
+
+    test('creates a unique directory per run under the temp dir', () => {
+      executor.tempDir = os.tmpdir();
+
+      const first = executor.createRunDir();
+      const second = executor.createRunDir();
+
+      try {
+        expect(first).not.toBe(second);
+        expect(path.basename(first)).toMatch(/^awsapm-test-command-/);
+        expect(path.dirname(first)).toBe(os.tmpdir());
+        expect(executor.runDir).toBe(second);
+      } finally {
+        fs.rmSync(first, { recursive: true, force: true });
+        fs.rmSync(second, { recursive: true, force: true });
+      }
+    });
+  });
 
-    test('spawns cat process with correct arguments', () => {
-      const mockCatProcess = new EventEmitter();
-      const mockStdout = new EventEmitter();
-      mockStdout.pipe = jest.fn();
-      mockCatProcess.stdout = mockStdout;
+  describe('streamPrompt', () => {
+    const { Writable } = require('stream');
+
+    test('writes the whole prompt and waits for drain under backpressure', async () => {
+      const chunks = [];
+      const slowStream = new Writable({
+        highWaterMark: 16,
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          setImmediate(callback);
+        }
+      });
+      const prompt = 'x'.repeat(200 * 1024);
 
-      mockSpawn.mockReturnValue(mockCatProcess);
-      jest.spyOn(fs, 'createWriteStream').mockReturnValue(new EventEmitter());
+      await expect(executor.streamPrompt(prompt, slowStream)).resolves.toBe(true);
 
-      executor.startPromptStreaming('/tmp/prompt.txt', '/tmp/pipe');
+      expect(Buffer.concat(chunks).toString()).toBe(prompt);
+      expect(slowStream.writableFinished).toBe(true);
+    });
 
-      expect(mockSpawn).toHaveBeenCalledWith(
-        'cat',
-        ['/tmp/prompt.txt'],
-        expect.objectContaining({
-          stdio: ['ignore', 'pipe', 'inherit']
-        })
-      );
+    test('logs instead of throwing when the reader goes away', async () => {
+      const brokenStream = new Writable({
+        write(chunk, encoding, callback) {
+          const error = new Error('write EPIPE');
+          error.code = 'EPIPE';
+          callback(error);
+        }
+      });
+
+      await expect(executor.streamPrompt('prompt', brokenStream)).resolves.toBe(false);
+      expect(core.warning).toHaveBeenCalledWith('Failed to stream prompt to test-command: write EPIPE');
     });
+  });
 
-    test('creates write stream for pipe', () => {
-      const mockCatProcess = new EventEmitter();
-      const mockStdout = new EventEmitter();
-      mockStdout.pipe = jest.fn();
-      mockCatProcess.stdout = mockStdout;
+  describe('execute prompt delivery', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const { PassThrough } = require('stream');
+    let tempDir;
 
-      mockSpawn.mockReturnValue(mockCatProcess);
-      const mockWriteStream = new EventEmitter();
-      jest.spyOn(fs, 'createWriteStream').mockReturnValue(mockWriteStream);
+    const createMockProcess = () => {
+      const mockProcess = new EventEmitter();
+      mockProcess.stdout = new EventEmitter();
+      mockProcess.stderr = new EventEmitter();
+      mockProcess.stdin = new PassThrough();
+      mockProcess.pid = undefined;
+      return mockProcess;
+    };
 
-      executor.startPromptStreaming('/tmp/prompt.txt', '/tmp/pipe');
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'base-executor-test-'));
+      executor.tempDir = tempDir;
+      executor.testCLIAvailable = jest.fn().mockResolvedValue(true);
+    });
 
-      expect(fs.createWriteStream).toHaveBeenCalledWith('/tmp/pipe');
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
     });
 
-    test('handles cat process error', () => {
-      const mockCatProcess = new EventEmitter();
-      const mockStdout = new EventEmitter();
-      mockStdout.pipe = jest.fn();
-      mockCatProcess.stdout = mockStdout;
+    test('streams the prompt to stdin without spawning helper processes', async () => {
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      let received = '';
+      mockProcess.stdin.on('data', chunk => { received += chunk; });
+      mockProcess.stdin.on('end', () => {
+        mockProcess.stdout.emit('data', Buffer.from('result'));
+        mockProcess.emit('close', 0);
+      });
+
+      await expect(executor.execute('Investigate the latency')).resolves.toMatchObject({
+        status: 'success',
+        markdown: 'result',
+        exitCode: 0
+      });
+
+      expect(received).toBe('Investigate the latency');
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+      expect(mockSpawn).toHaveBeenCalledWith('test-command', ['arg1', 'arg2'], expect.any(Object));
+    });
+
+    test('reports tool calls outside the allowlist in the result', async () => {
+      executor.allowedTools = ['fs_read'];
+      executor.parseTranscript = () => [
+        { name: 'fs_read', server: null },
+        { name: 'execute_bash', server: null }
+      ];
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => {
+        mockProcess.stdout.emit('data', Buffer.from('result'));
+        mockProcess.emit('close', 0);
+      });
+
+      const result = await executor.execute('prompt');
+
+      expect(result.blockedTools).toEqual(['execute_bash']);
+      expect(result.warnings).toContain('Blocked tools that are not on the allowlist: execute_bash - add them to allowed_tools to trust them');
+    });
+
+    test('reports no blocked tools when the executor does not restrict tools', async () => {
+      executor.parseTranscript = () => [{ name: 'execute_bash', server: null }];
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => mockProcess.emit('close', 0));
+
+      const result = await executor.execute('prompt');
+
+      expect(result.blockedTools).toEqual([]);
+    });
+
+    test('points HOME at the per-run config home', async () => {
+      process.env.AWSAPM_HOME = path.join(tempDir, 'awsapm-home-x');
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => mockProcess.emit('close', 0));
+
+      try {
+        await executor.execute('prompt');
+      } finally {
+        delete process.env.AWSAPM_HOME;
+      }
+
+      const { env } = mockSpawn.mock.calls[0][2];
+      expect(env.HOME).toBe(path.join(tempDir, 'awsapm-home-x'));
+      expect(env.AWS_CONFIG_FILE).toBe(process.env.AWS_CONFIG_FILE || path.join(os.homedir(), '.aws', 'config'));
+    });
+
+    test('removes the run directory after the CLI exits, even on failure', async () => {
+      executor.getPromptDeliveryMode = () => 'file';
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      let promptFileContent = null;
+      setImmediate(() => {
+        promptFileContent = fs.readFileSync(executor.promptFile, 'utf8');
+        mockProcess.emit('close', 3);
+      });
+
+      const error = await executor.execute('Prompt on disk').catch(e => e);
+
+      expect(error.message).toBe('test-command CLI execution failed: test-command CLI exited with code 3');
+      expect(error.result).toMatchObject({ status: 'failed', phase: 'agent_run', exitCode: 3 });
+
+      expect(promptFileContent).toBe('Prompt on disk');
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+
+    test('resumes a saved session and saves it again after a successful run', async () => {
+      const { SessionStore } = require('../src/utils/session-store');
+      const home = path.join(tempDir, 'home');
+      const stateFile = path.join(home, '.test', 'history.json');
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, 'previous turns');
+      const store = new SessionStore(path.join(os.tmpdir(), `base-session-${process.pid}`));
+      store.save('test', home, ['.test']);
+      fs.rmSync(path.dirname(stateFile), { recursive: true });
+
+      executor.executorName = 'test';
+      executor.sessionStore = store;
+      executor.getConfigHome = () => home;
+      executor.getSessionStatePaths = () => ['.test'];
+      executor.getResumeArgs = () => ['--resume'];
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => {
+        fs.appendFileSync(stateFile, ', new turn');
+        mockProcess.stdout.emit('data', Buffer.from('result'));
+        mockProcess.emit('close', 0);
+      });
+
+      try {
+        await executor.execute('follow-up');
+      } finally {
+        fs.rmSync(home, { recursive: true, force: true });
+      }
+
+      expect(mockSpawn).toHaveBeenCalledWith('test-command', ['arg1', 'arg2', '--resume'], expect.any(Object));
+      expect(executor.sessionResumed).toBe(true);
+      expect(executor.sessionSaved).toBe(true);
+      expect(fs.readFileSync(path.join(store.sessionDir, 'state', '.test', 'history.json'), 'utf8')).toBe('previous turns, new turn');
+      store.remove();
+    });
+
+    test('keeps the saved session when the CLI fails', async () => {
+      executor.sessionStore = { restore: jest.fn().mockReturnValue(false), save: jest.fn() };
+      executor.getSessionStatePaths = () => ['.test'];
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => mockProcess.emit('close', 1));
+
+      await expect(executor.execute('prompt')).rejects.toThrow('exited with code 1');
+
+      expect(executor.sessionStore.save).not.toHaveBeenCalled();
+    });
+
+    test('stops the CLI and keeps the partial result when a budget is exceeded', async () => {
+      const { InvestigationBudget } = require('../src/utils/investigation-budget');
+      executor.budget = new InvestigationBudget({ max_tool_calls: 1 });
+      const terminateSpy = jest.spyOn(executor, 'terminateProcesses').mockImplementation(() => {});
+      const mockProcess = createMockProcess();
+      mockSpawn.mockReturnValue(mockProcess);
+      mockProcess.stdin.on('finish', () => {
+        mockProcess.stdout.emit('data', Buffer.from('Using tool: list_monitored_services\nFound 3 services\n'));
+        mockProcess.stdout.emit('data', Buffer.from('Using tool: audit_services\n'));
+        mockProcess.emit('close', 143);
+      });
+
+      const error = await executor.execute('prompt').catch(e => e);
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(error.budget).toBe('max_tool_calls');
+      expect(error.partialResult).toContain('Found 3 services');
+      expect(terminateSpy).toHaveBeenCalledWith([mockProcess]);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('exceeding the max_tool_calls budget of 1'));
+    });
+  });
 
-      mockSpawn.mockReturnValue(mockCatProcess);
-      const mockWriteStream = new EventEmitter();
-      mockWriteStream.destroy = jest.fn();
-      jest.spyOn(fs, 'createWriteStream').mockReturnValue(mockWriteStream);
+  describe('investigation timeout', () => {
+    const originalTimeout = process.env.INVESTIGATION_TIMEOUT;
 
-      const { catProcess, pipeWriteStream } = executor.startPromptStreaming('/tmp/prompt.txt', '/tmp/pipe');
+    afterEach(() => {
+      if (originalTimeout === undefined) {
+        delete process.env.INVESTIGATION_TIMEOUT;
+      } else {
+        process.env.INVESTIGATION_TIMEOUT = originalTimeout;
+      }
+      jest.useRealTimers();
+    });
+
+    test('defaults to 30 minutes', () => {
+      delete process.env.INVESTIGATION_TIMEOUT;
+      const timedExecutor = new TestCLIExecutor();
+
+      expect(timedExecutor.timeoutMinutes).toBe(30);
+      expect(timedExecutor.getTimeoutMs()).toBe(30 * 60 * 1000);
+    });
+
+    test('reads timeout from INVESTIGATION_TIMEOUT', () => {
+      process.env.INVESTIGATION_TIMEOUT = '5';
+      const timedExecutor = new TestCLIExecutor();
+
+      expect(timedExecutor.getTimeoutMs()).toBe(5 * 60 * 1000);
+    });
+
+    test('only gives a retried attempt the time left before the deadline', () => {
+      process.env.INVESTIGATION_TIMEOUT = '30';
+      const timedExecutor = new TestCLIExecutor();
+      timedExecutor.deadline = Date.now() + 5 * 60 * 1000;
+
+      expect(timedExecutor.getTimeoutMs()).toBeLessThanOrEqual(5 * 60 * 1000);
+      expect(timedExecutor.getTimeoutMs()).toBeGreaterThan(4 * 60 * 1000);
+
+      timedExecutor.deadline = Date.now() - 1000;
+      expect(timedExecutor.getTimeoutMs()).toBe(1);
+    });
+
+    test('falls back to default and warns on invalid value', () => {
+      process.env.INVESTIGATION_TIMEOUT = 'soon';
+      const timedExecutor = new TestCLIExecutor();
+
+      expect(timedExecutor.timeoutMinutes).toBe(30);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid investigation_timeout'));
+    });
+
+    test('does not start a timer when timeout is 0', () => {
+      process.env.INVESTIGATION_TIMEOUT = '0';
+      const timedExecutor = new TestCLIExecutor();
+
+      expect(timedExecutor.startTimeout([])).toBeNull();
+    });
+
+    test('marks executor as timed out and terminates processes when timer fires', () => {
+      jest.useFakeTimers();
+      process.env.INVESTIGATION_TIMEOUT = '1';
+      const timedExecutor = new TestCLIExecutor();
+      const terminateSpy = jest.spyOn(timedExecutor, 'terminateProcesses').mockImplementation(() => {});
+      const proc = { pid: 100 };
+
+      timedExecutor.startTimeout([proc]);
+      jest.advanceTimersByTime(60 * 1000);
+
+      expect(timedExecutor.timedOut).toBe(true);
+      expect(terminateSpy).toHaveBeenCalledWith([proc]);
+    });
+
+    const runningProcess = (pid) => Object.assign(new EventEmitter(), { pid, exitCode: null, signalCode: null });
+
+    test('sends SIGTERM then SIGKILL after the grace period', () => {
+      jest.useFakeTimers();
+      const killSpy = jest.spyOn(executor, 'killProcessTree').mockImplementation(() => {});
+      const proc = runningProcess(100);
+
+      const killTimer = executor.terminateProcesses([proc]);
+      expect(killSpy).toHaveBeenCalledWith(proc, 'SIGTERM');
+      expect(killSpy).not.toHaveBeenCalledWith(proc, 'SIGKILL');
+      expect(killTimer.hasRef()).toBe(false);
+
+      jest.advanceTimersByTime(10000);
+      expect(killSpy).toHaveBeenCalledWith(proc, 'SIGKILL');
+    });
+
+    test('clears the SIGKILL timer once every process has exited', () => {
+      jest.useFakeTimers();
+      const killSpy = jest.spyOn(executor, 'killProcessTree').mockImplementation(() => {});
+      const first = runningProcess(100);
+      const second = runningProcess(101);
+      const exited = Object.assign(runningProcess(102), { exitCode: 0 });
+
+      executor.terminateProcesses([first, second, exited]);
+      expect(killSpy).not.toHaveBeenCalledWith(exited, 'SIGTERM');
+      first.emit('exit', null, 'SIGTERM');
+      expect(jest.getTimerCount()).toBe(1);
+      second.emit('exit', null, 'SIGTERM');
+      expect(jest.getTimerCount()).toBe(0);
+
+      jest.advanceTimersByTime(10000);
+      expect(killSpy).not.toHaveBeenCalledWith(expect.anything(), 'SIGKILL');
+    });
+
+    test('signals the whole process group', () => {
+      const processKillSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      const proc = { pid: 4321, kill: jest.fn() };
+
+      executor.killProcessTree(proc, 'SIGTERM');
+
+      expect(processKillSpy).toHaveBeenCalledWith(-4321, 'SIGTERM');
+      expect(proc.kill).not.toHaveBeenCalled();
+      processKillSpy.mockRestore();
+    });
+
+    test('falls back to killing the single process when no process group exists', () => {
+      const processKillSpy = jest.spyOn(process, 'kill').mockImplementation(() => {
+        throw new Error('ESRCH');
+      });
+      const proc = { pid: 4321, kill: jest.fn() };
+
+      executor.killProcessTree(proc, 'SIGKILL');
+
+      expect(proc.kill).toHaveBeenCalledWith('SIGKILL');
+      processKillSpy.mockRestore();
+    });
+
+    test('ignores processes without a pid', () => {
+      expect(() => executor.killProcessTree(null, 'SIGTERM')).not.toThrow();
+      expect(() => executor.killProcessTree({}, 'SIGTERM')).not.toThrow();
+    });
+
+    test('CLIExecutionError keeps the exit code and the end of stderr', () => {
+      const error = new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: `${'x'.repeat(5000)}ThrottlingException` });
+
+      expect(error.name).toBe('CLIExecutionError');
+      expect(error.exitCode).toBe(1);
+      expect(error.stderr).toHaveLength(4000);
+      expect(error.stderr.endsWith('ThrottlingException')).toBe(true);
+    });
+
+    test('InvestigationTimeoutError carries the partial result', () => {
+      const error = new InvestigationTimeoutError(15, 'partial findings');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('Investigation timed out after 15 minutes');
+      expect(error.timeoutMinutes).toBe(15);
+      expect(error.partialResult).toBe('partial findings');
+    });
 
-      catProcess.emit('error', new Error('Cat error'));
+    test('execution results carry the investigation timeout', () => {
+      executor.timeoutMinutes = 15;
 
-      expect(core.error).toHaveBeenCalledWith(expect.stringContaining('Error reading prompt file'));
-      expect(mockWriteStream.destroy).toHaveBeenCalled();
+      expect(executor.createResult('timed_out').timeoutMinutes).toBe(15);
     });
   });
 
@@ -0,0 +1,366 @@
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  exec: jest.fn((cmd, opts, callback) => setImmediate(() => callback(null, { stdout: '', stderr: '' })))
+}));
+
+const mockSend = jest.fn();
+jest.mock('@aws-sdk/client-bedrock-runtime', () => ({
+  BedrockRuntimeClient: jest.fn().mockImplementation(() => ({ send: mockSend })),
+  ConverseCommand: jest.fn().mockImplementation((input) => ({ input }))
+}));
+
+const mockMCPClient = {
+  connect: jest.fn(),
+  listTools: jest.fn(),
+  callTool: jest.fn(),
+  close: jest.fn()
+};
+jest.mock('@modelcontextprotocol/sdk/client/index.js', () => ({
+  Client: jest.fn().mockImplementation(() => mockMCPClient)
+}));
+jest.mock('@modelcontextprotocol/sdk/client/stdio.js', () => ({
+  StdioClientTransport: jest.fn().mockImplementation((params) => ({ params }))
+}));
+
+const { BedrockAgentExecutor, DEFAULT_MODEL_ID } = require('../src/executors/bedrock-agent-executor');
+const { InvestigationTimeoutError, BudgetExceededError } = require('../src/executors/base-cli-executor');
+const { BedrockRuntimeClient, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const core = require('@actions/core');
+
+const RESULT_TEXT = '🎯 **Application observability for AWS Assistant Result**\n## Root Cause\nHigh latency in checkout';
+
+function toolUseResponse(name, input) {
+  return {
+    stopReason: 'tool_use',
+    usage: { inputTokens: 100, outputTokens: 20, totalTokens: 120 },
+    output: { message: { role: 'assistant', content: [{ text: 'Checking services' }, { toolUse: { toolUseId: 't1', name, input } }] } }
+  };
+}
+
+function finalResponse(text) {
+  return {
+    stopReason: 'end_turn',
+    usage: { inputTokens: 200, outputTokens: 50, totalTokens: 250 },
+    output: { message: { role: 'assistant', content: [{ text }] } }
+  };
+}
+
+describe('BedrockAgentExecutor', () => {
+  let executor;
+  let originalEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    process.env.AWS_ACCESS_KEY_ID = 'AKIATEST';
+    process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.ENABLE_CLOUDWATCH_MCP;
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    mockMCPClient.listTools.mockResolvedValue({
+      tools: [
+        { name: 'audit_services', description: 'Audit services', inputSchema: { type: 'object', properties: {} } },
+        { name: 'not_approved', description: 'Hidden', inputSchema: { type: 'object' } }
+      ]
+    });
+    mockMCPClient.callTool.mockResolvedValue({ content: [{ type: 'text', text: 'service healthy' }] });
+
+    executor = new BedrockAgentExecutor();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  describe('configuration', () => {
+    test('uses defaults', () => {
+      expect(executor.modelId).toBe(DEFAULT_MODEL_ID);
+      expect(executor.maxTurns).toBe(30);
+      expect(executor.temperature).toBe(0.2);
+      expect(executor.endpoint).toBeUndefined();
+    });
+
+    test('reads model, max turns, temperature and endpoint inputs', () => {
+      process.env.BEDROCK_MODEL_ID = 'custom-model';
+      process.env.BEDROCK_MAX_TURNS = '5';
+      process.env.BEDROCK_TEMPERATURE = '0';
+      process.env.BEDROCK_ENDPOINT_URL = 'http://localhost:8080';
+
+      const configured = new BedrockAgentExecutor();
+
+      expect(configured.modelId).toBe('custom-model');
+      expect(configured.maxTurns).toBe(5);
+      expect(configured.temperature).toBe(0);
+      configured.createBedrockClient();
+      expect(BedrockRuntimeClient).toHaveBeenCalledWith(expect.objectContaining({ endpoint: 'http://localhost:8080' }));
+    });
+
+    test('warns on invalid numeric inputs', () => {
+      process.env.BEDROCK_MAX_TURNS = 'many';
+
+      const configured = new BedrockAgentExecutor();
+
+      expect(configured.maxTurns).toBe(30);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid bedrock_max_turns'));
+    });
+  });
+
+  describe('toBedrockToolName', () => {
+    test('replaces invalid characters', () => {
+      expect(executor.toBedrockToolName('mcp__awslabs.cloudwatch__get_metric_data')).toBe('mcp__awslabs_cloudwatch__get_metric_data');
+    });
+
+    test('truncates to 64 characters and keeps names unique', () => {
+      const longName = 'mcp__awslabs_cloudwatch-mcp-server__get_logs_insight_query_results';
+      const first = executor.toBedrockToolName(longName);
+      executor.tools.set(first, {});
+      const second = executor.toBedrockToolName(longName);
+
+      expect(first).toHaveLength(64);
+      expect(second).toHaveLength(64);
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('connectMCPServers', () => {
+    test('registers only auto-approved tools', async () => {
+      const specs = await executor.connectMCPServers({
+        mcpServers: {
+          applicationsignals: {
+            command: 'uvx',
+            args: ['server'],
+            env: { MCP_RUN_FROM: 'awsapm-gh' },
+            autoApprove: ['mcp__applicationsignals__audit_services']
+          }
+        }
+      });
+
+      expect(specs).toHaveLength(1);
+      expect(specs[0].toolSpec.name).toBe('mcp__applicationsignals__audit_services');
+      expect(StdioClientTransport).toHaveBeenCalledWith(expect.objectContaining({
+        command: 'uvx',
+        args: ['server'],
+        env: expect.objectContaining({ MCP_RUN_FROM: 'awsapm-gh', AWS_ACCESS_KEY_ID: 'AKIATEST' })
+      }));
+    });
+
+    test('skips disabled servers', async () => {
+      const specs = await executor.connectMCPServers({ mcpServers: { github: { command: 'docker', disabled: true } } });
+
+      expect(specs).toEqual([]);
+      expect(StdioClientTransport).not.toHaveBeenCalled();
+    });
+
+    test('warns and continues when a server fails to start', async () => {
+      mockMCPClient.connect.mockRejectedValueOnce(new Error('spawn failed'));
+
+      const specs = await executor.connectMCPServers({ mcpServers: { broken: { command: 'nope' } } });
+
+      expect(specs).toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith('Failed to start MCP server broken: spawn failed');
+    });
+
+    test('skips a server whose tools cannot be listed and connects the others', async () => {
+      mockMCPClient.listTools.mockRejectedValueOnce(new Error('MCP error -32001: Request timed out'));
+
+      const specs = await executor.connectMCPServers({
+        mcpServers: {
+          broken: { command: 'uvx', args: ['broken'], autoApprove: ['mcp__broken__audit_services'] },
+          applicationsignals: { command: 'uvx', args: ['server'], autoApprove: ['mcp__applicationsignals__audit_services'] }
+        }
+      });
+
+      expect(specs.map(spec => spec.toolSpec.name)).toEqual(['mcp__applicationsignals__audit_services']);
+      expect(core.warning).toHaveBeenCalledWith('Failed to start MCP server broken: MCP error -32001: Request timed out');
+    });
+  });
+
+  describe('execute', () => {
+    test('runs tool-use loop and returns cleaned final answer', async () => {
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', { service: 'checkout' }))
+        .mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      const result = await executor.execute('Investigate latency');
+
+      expect(result.status).toBe('success');
+      expect(result.filterMethod).toBe('result_marker');
+      expect(result.markdown).toBe('🎯 **Application observability for AWS Assistant Result**\n\n## Root Cause\n\nHigh latency in checkout');
+      expect(mockMCPClient.callTool).toHaveBeenCalledWith(
+        { name: 'audit_services', arguments: { service: 'checkout' } },
+        undefined,
+        expect.objectContaining({ timeout: expect.any(Number) })
+      );
+
+      const secondRequest = ConverseCommand.mock.calls[1][0];
+      const toolResultMessage = secondRequest.messages[2];
+      expect(toolResultMessage.content[0].toolResult).toEqual({
+        toolUseId: 't1',
+        content: [{ text: 'service healthy' }],
+        status: 'success'
+      });
+    });
+
+    test('records exact token usage and per-tool timings', async () => {
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}))
+        .mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      expect(executor.usage).toEqual({ requests: 2, inputTokens: 300, outputTokens: 70, totalTokens: 370 });
+      expect(executor.getUsage()).toEqual([{
+        model: DEFAULT_MODEL_ID,
+        requests: 2,
+        inputTokens: 300,
+        outputTokens: 70,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        totalTokens: 370
+      }]);
+      expect(executor.toolCalls).toEqual([
+        expect.objectContaining({
+          name: 'mcp__applicationsignals__audit_services',
+          server: 'applicationsignals',
+          status: 'success',
+          durationMs: expect.any(Number)
+        })
+      ]);
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('300 input tokens'));
+    });
+
+    test('reports tool calls as a transcript with plain tool names', async () => {
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', { service: 'checkout' }))
+        .mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      expect(executor.getTranscript()).toEqual([{
+        name: 'audit_services',
+        server: 'applicationsignals',
+        arguments: { service: 'checkout' },
+        durationMs: expect.any(Number),
+        status: 'success'
+      }]);
+    });
+
+    test('sends model id and inference config', async () => {
+      mockSend.mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      expect(ConverseCommand).toHaveBeenCalledWith(expect.objectContaining({
+        modelId: DEFAULT_MODEL_ID,
+        inferenceConfig: expect.objectContaining({ temperature: 0.2 })
+      }));
+    });
+
+    test('reports tool errors back to the model', async () => {
+      mockMCPClient.callTool.mockRejectedValueOnce(new Error('AccessDenied'));
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}))
+        .mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      const toolResult = ConverseCommand.mock.calls[1][0].messages[2].content[0].toolResult;
+      expect(toolResult.status).toBe('error');
+      expect(toolResult.content[0].text).toContain('AccessDenied');
+      expect(executor.toolCalls[0].status).toBe('error');
+    });
+
+    test('rejects unknown tools requested by the model', async () => {
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__not_approved', {}))
+        .mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      expect(mockMCPClient.callTool).not.toHaveBeenCalled();
+      const toolResult = ConverseCommand.mock.calls[1][0].messages[2].content[0].toolResult;
+      expect(toolResult.content[0].text).toContain('is not available');
+    });
+
+    test('stops after max turns', async () => {
+      process.env.BEDROCK_MAX_TURNS = '2';
+      executor = new BedrockAgentExecutor();
+      mockSend.mockResolvedValue(toolUseResponse('mcp__applicationsignals__audit_services', {}));
+
+      const result = await executor.execute('Investigate');
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('maximum of 2 turns'));
+      expect(result).toMatchObject({ status: 'success', markdown: 'Checking services', filterMethod: 'final_message' });
+      expect(result.warnings).toEqual([expect.stringContaining('maximum of 2 turns')]);
+    });
+
+    test('closes MCP clients after completion', async () => {
+      mockSend.mockResolvedValueOnce(finalResponse(RESULT_TEXT));
+
+      await executor.execute('Investigate');
+
+      expect(mockMCPClient.close).toHaveBeenCalled();
+    });
+
+    test('wraps Bedrock errors', async () => {
+      mockSend.mockRejectedValueOnce(new Error('ThrottlingException'));
+
+      await expect(executor.execute('Investigate')).rejects.toThrow('Bedrock agent execution failed: ThrottlingException');
+      expect(mockMCPClient.close).toHaveBeenCalled();
+    });
+
+    test('throws InvestigationTimeoutError with partial result when timeout elapses', async () => {
+      process.env.INVESTIGATION_TIMEOUT = '0.0005';
+      executor = new BedrockAgentExecutor();
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}))
+        .mockImplementationOnce((command, { abortSignal }) => new Promise((resolve, reject) => {
+          abortSignal.addEventListener('abort', () => reject(new Error('Request aborted')));
+        }));
+
+      const error = await executor.execute('Investigate').catch(e => e);
+
+      expect(error).toBeInstanceOf(InvestigationTimeoutError);
+      expect(error.partialResult).toBe('Checking services');
+    });
+
+    test('stops before the tool call that exceeds max_tool_calls', async () => {
+      process.env.MAX_TOOL_CALLS = '1';
+      executor = new BedrockAgentExecutor();
+      mockSend
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}))
+        .mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}));
+
+      const error = await executor.execute('Investigate').catch(e => e);
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(error.budget).toBe('max_tool_calls');
+      expect(error.partialResult).toBe('Checking services');
+      expect(mockMCPClient.callTool).toHaveBeenCalledTimes(1);
+      expect(mockMCPClient.close).toHaveBeenCalled();
+    });
+
+    test('stops when the Converse usage exceeds max_tokens', async () => {
+      process.env.MAX_TOKENS = '100';
+      executor = new BedrockAgentExecutor();
+      mockSend.mockResolvedValueOnce(toolUseResponse('mcp__applicationsignals__audit_services', {}));
+
+      const error = await executor.execute('Investigate').catch(e => e);
+
+      expect(error).toBeInstanceOf(BudgetExceededError);
+      expect(error.budget).toBe('max_tokens');
+      expect(error.used).toBe(120);
+      expect(mockMCPClient.callTool).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BoundedOutputBuffer, readLines } = require('../src/utils/bounded-output');
+const { RESULT_MARKER } = require('../src/utils/output-cleaner');
+
+describe('BoundedOutputBuffer', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bounded-output-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('returns everything while the output fits in the tail', () => {
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 100 });
+    buffer.append('first\n');
+    buffer.append('second\n');
+
+    expect(buffer.toString()).toBe('first\nsecond\n');
+    expect(buffer.totalChars).toBe(13);
+  });
+
+  test('keeps only the most recent output in memory', () => {
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 10 });
+    buffer.append('0123456789');
+    buffer.append('abcdef');
+
+    expect(buffer.toString()).toBe('6789abcdef');
+    expect(buffer.tailChars).toBe(10);
+  });
+
+  test('spills the full stream to the log file', () => {
+    const logPath = path.join(tempDir, 'raw.log');
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 4, logPath });
+    buffer.append('large tool output\n');
+    buffer.append('end');
+    buffer.close();
+
+    expect(fs.readFileSync(logPath, 'utf8')).toBe('large tool output\nend');
+    expect(buffer.toString()).toBe('\nend');
+  });
+
+  test('keeps the result region from the start of the marker line', () => {
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 20 });
+    buffer.append('tool noise\n' + RESULT_MARKER + '\nRoot cause: throttling\n');
+    buffer.append('x'.repeat(30));
+
+    expect(buffer.toString()).toBe(`${RESULT_MARKER}\nRoot cause: throttling\n${'x'.repeat(30)}`);
+  });
+
+  test('finds a marker split across chunks', () => {
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 20 });
+    const text = `noise\n${RESULT_MARKER}\nanswer\n`;
+    buffer.append(text.slice(0, 15));
+    buffer.append(text.slice(15));
+    buffer.append('y'.repeat(30));
+
+    expect(buffer.toString()).toBe(`${RESULT_MARKER}\nanswer\n${'y'.repeat(30)}`);
+  });
+
+  test('marks output omitted between a capped region and the tail', () => {
+    const buffer = new BoundedOutputBuffer({ maxTailChars: 5, maxRegionChars: RESULT_MARKER.length + 3 });
+    buffer.append(`${RESULT_MARKER}\nab`);
+    buffer.append('c'.repeat(20));
+    buffer.append('tail!');
+
+    expect(buffer.toString()).toBe(`${RESULT_MARKER}\nab\n[... 20 characters omitted ...]\ntail!`);
+  });
+});
+
+describe('readLines', () => {
+  test('reads a file line by line across chunk boundaries', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'read-lines-test-'));
+    const filePath = path.join(dir, 'raw.log');
+    const longLine = '🎯'.repeat(40000);
+    fs.writeFileSync(filePath, `first\n${longLine}\nlast`);
+
+    try {
+      expect([...readLines(filePath)]).toEqual(['first', longLine, 'last']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  exec: jest.fn(),
+  spawn: jest.fn()
+}));
+
+const { ClaudeCLIExecutor, CLAUDE_BUILTIN_TOOLS } = require('../src/executors/claude-cli-executor');
+const core = require('@actions/core');
+const { exec } = require('child_process');
+
+describe('ClaudeCLIExecutor', () => {
+  let executor;
+  let originalEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    executor = new ClaudeCLIExecutor();
+
+    exec.mockImplementation((cmd, opts, callback) => {
+      if (typeof opts === 'function') {
+        callback = opts;
+      }
+      setImmediate(() => callback(null, { stdout: 'success', stderr: '' }));
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  describe('getCommandName', () => {
+    test('returns claude', () => {
+      expect(executor.getCommandName()).toBe('claude');
+    });
+  });
+
+  describe('session resume', () => {
+    test('continues the latest session stored under ~/.claude/projects', () => {
+      expect(executor.getSessionStatePaths()).toEqual([path.join('.claude', 'projects')]);
+      expect(executor.getResumeArgs()).toEqual(['--continue']);
+    });
+  });
+
+  describe('getCommandArgs', () => {
+    test('runs in print mode with stream-json output', () => {
+      const args = executor.getCommandArgs();
+
+      expect(args).toContain('-p');
+      expect(args).toEqual(expect.arrayContaining(['--output-format', 'stream-json', '--verbose']));
+    });
+
+    test('omits --mcp-config before configuration is set up', () => {
+      expect(executor.getCommandArgs()).not.toContain('--mcp-config');
+    });
+
+    test('passes MCP config path and allowed tools', () => {
+      executor.mcpConfigPath = '/tmp/claude-mcp-config.json';
+      executor.allowedTools = ['Read', 'mcp__github__get_file'];
+
+      const args = executor.getCommandArgs();
+
+      expect(args).toEqual(expect.arrayContaining(['--mcp-config', '/tmp/claude-mcp-config.json', '--strict-mcp-config']));
+      const allowedIndex = args.indexOf('--allowedTools');
+      expect(args[allowedIndex + 1]).toBe('Read,mcp__github__get_file');
+    });
+
+    test('does not trust all tools', () => {
+      expect(executor.getCommandArgs()).not.toContain('--dangerously-skip-permissions');
+    });
+  });
+
+  describe('getEnvironmentVariables', () => {
+    test('maps GitHub token for MCP servers', () => {
+      process.env.GITHUB_TOKEN = 'test-token';
+
+      const env = executor.getEnvironmentVariables();
+
+      expect(env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe('test-token');
+    });
+
+    test('uses Bedrock when no Anthropic API key is set', () => {
+      delete process.env.ANTHROPIC_API_KEY;
+
+      expect(executor.getEnvironmentVariables().CLAUDE_CODE_USE_BEDROCK).toBe('1');
+    });
+
+    test('uses Anthropic API key when provided', () => {
+      process.env.ANTHROPIC_API_KEY = 'sk-test';
+
+      const env = executor.getEnvironmentVariables();
+
+      expect(env.ANTHROPIC_API_KEY).toBe('sk-test');
+      expect(env.CLAUDE_CODE_USE_BEDROCK).toBeUndefined();
+    });
+  });
+
+  describe('buildClaudeMCPConfig', () => {
+    test('converts servers to stdio entries without auto-approve fields', () => {
+      const config = executor.buildClaudeMCPConfig({
+        mcpServers: {
+          applicationsignals: {
+            command: 'uvx',
+            args: ['awslabs.cloudwatch-applicationsignals-mcp-server@latest'],
+            env: { MCP_RUN_FROM: 'awsapm-gh' },
+            transportType: 'stdio',
+            autoApprove: ['mcp__applicationsignals__audit_services'],
+            disabled: false
+          }
+        }
+      });
+
+      expect(config.mcpServers.applicationsignals).toEqual({
+        type: 'stdio',
+        command: 'uvx',
+        args: ['awslabs.cloudwatch-applicationsignals-mcp-server@latest'],
+        env: { MCP_RUN_FROM: 'awsapm-gh' }
+      });
+    });
+
+    test('skips disabled servers', () => {
+      const config = executor.buildClaudeMCPConfig({
+        mcpServers: { github: { command: 'docker', disabled: true } }
+      });
+
+      expect(config.mcpServers.github).toBeUndefined();
+    });
+  });
+
+  describe('buildAllowedTools', () => {
+    test('combines built-in tools with auto-approve lists', () => {
+      const tools = executor.buildAllowedTools({
+        mcpServers: {
+          applicationsignals: { autoApprove: ['mcp__applicationsignals__audit_services'] },
+          github: { autoApprove: ['mcp__github__get_file'] }
+        }
+      });
+
+      expect(tools).toEqual(expect.arrayContaining(CLAUDE_BUILTIN_TOOLS));
+      expect(tools).not.toContain('Edit');
+      expect(tools).not.toContain('MultiEdit');
+      expect(tools).not.toContain('Write');
+      expect(tools).toContain('mcp__applicationsignals__audit_services');
+      expect(tools).toContain('mcp__github__get_file');
+    });
+
+    test('ignores tools from disabled servers', () => {
+      const tools = executor.buildAllowedTools({
+        mcpServers: { github: { autoApprove: ['mcp__github__push_files'], disabled: true } }
+      });
+
+      expect(tools).not.toContain('mcp__github__push_files');
+    });
+
+    test('applies the allowed_tools and disallowed_tools inputs', () => {
+      process.env.ALLOWED_TOOLS = 'Bash(git diff:*),Edit,Write,mcp__runbooks__search';
+      process.env.DISALLOWED_TOOLS = 'Write, mcp__github__*';
+      executor = new ClaudeCLIExecutor();
+
+      const tools = executor.buildAllowedTools({
+        mcpServers: { github: { autoApprove: ['mcp__github__get_file'] } }
+      });
+
+      expect(tools).toContain('Bash(git diff:*)');
+      expect(tools).toContain('Edit');
+      expect(tools).toContain('mcp__runbooks__search');
+      expect(tools).not.toContain('Write');
+      expect(tools).not.toContain('mcp__github__get_file');
+      expect(executor.allowedTools).not.toContain('Write');
+    });
+  });
+
+  describe('setupConfiguration', () => {
+    let writeFileSyncSpy;
+
+    beforeEach(() => {
+      writeFileSyncSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+      executor.runDir = '/mock/temp/awsapm-claude-abc123';
+    });
+
+    test('writes Claude MCP config to the run directory and returns it for cleanup', async () => {
+      process.env.GITHUB_TOKEN = 'test-token';
+
+      const result = await executor.setupConfiguration();
+
+      const configPath = path.join('/mock/temp/awsapm-claude-abc123', 'claude-mcp-config.json');
+      expect(result).toBe(configPath);
+      expect(writeFileSyncSpy.mock.calls[0][0]).toBe(configPath);
+      expect(writeFileSyncSpy.mock.calls[0][2]).toEqual({ mode: 0o600 });
+      const config = JSON.parse(writeFileSyncSpy.mock.calls[0][1]);
+      expect(config.mcpServers.github.type).toBe('stdio');
+      expect(executor.mcpConfigPath).toBe(configPath);
+      expect(executor.allowedTools).toContain('mcp__github__create_pull_request');
+    });
+
+    test('warns when GitHub token is not available', async () => {
+      delete process.env.GITHUB_TOKEN;
+
+      await executor.setupConfiguration();
+
+      expect(core.warning).toHaveBeenCalledWith('GitHub token not available - PR creation will not work');
+    });
+
+    test('returns null when uvx is unavailable', async () => {
+      exec.mockImplementation((cmd, opts, callback) => {
+        setImmediate(() => callback(new Error('not found')));
+      });
+
+      const result = await executor.setupConfiguration();
+
+      expect(result).toBeNull();
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+
+    test('handles errors gracefully and warns', async () => {
+      writeFileSyncSpy.mockImplementation(() => {
+        throw new Error('Write failed');
+      });
+
+      const result = await executor.setupConfiguration();
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Failed to setup Claude Code MCP configuration'));
+    });
+  });
+
+  describe('parseOutput', () => {
+    const streamOutput = [
+      JSON.stringify({ type: 'system', subtype: 'init', session_id: 'abc' }),
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Let me check the services.' }] } }),
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'tool_use', name: 'mcp__applicationsignals__audit_services', input: {} }] } }),
+      JSON.stringify({
+        type: 'result',
+        subtype: 'success',
+        result: 'Thinking out loud\n🎯 **Application observability for AWS Assistant Result**\n## Root Cause\nThe checkout service is throttled.'
+      })
+    ].join('\n');
+
+    test('uses the result event and trims to the result marker', () => {
+      const output = executor.parseOutput(streamOutput);
+
+      expect(output.startsWith('🎯 **Application observability for AWS Assistant Result**')).toBe(true);
+      expect(output).toContain('## Root Cause\n\nThe checkout service is throttled.');
+      expect(output).not.toContain('Thinking out loud');
+      expect(output).not.toContain('mcp__applicationsignals__audit_services');
+    });
+
+    test('falls back to assistant text when no result event exists', () => {
+      const output = executor.parseOutput([
+        JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'First part' }] } }),
+        'not json',
+        JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Second part' }] } })
+      ].join('\n'));
+
+      expect(output).toBe('First part\n\nSecond part');
+    });
+
+    test('preserves markdown blockquotes', () => {
+      const output = executor.parseOutput(JSON.stringify({ type: 'result', result: '> quoted line\n> second line' }));
+
+      expect(output).toBe('> quoted line\n> second line');
+    });
+
+    test('reports the result event as a reliable filter method without the result marker', () => {
+      executor.parseOutput(JSON.stringify({ type: 'result', result: 'Answer without marker' }));
+      expect(executor.getFilterMethod()).toBe('result_event');
+
+      executor.parseOutput(streamOutput);
+      expect(executor.getFilterMethod()).toBe('result_marker');
+
+      executor.parseOutput(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Partial' }] } }));
+      expect(executor.getFilterMethod()).toBe('none');
+    });
+
+    test('returns empty string for output without events', () => {
+      expect(executor.parseOutput('plain error text')).toBe('');
+    });
+  });
+
+  describe('onOutputData', () => {
+    let writeSpy;
+
+    beforeEach(() => {
+      writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    test('logs assistant text and tool usage', () => {
+      executor.onOutputData(JSON.stringify({
+        type: 'assistant',
+        message: { content: [{ type: 'text', text: 'Checking' }, { type: 'tool_use', name: 'mcp__github__get_file' }] }
+      }) + '\n');
+
+      expect(writeSpy).toHaveBeenCalledWith('Checking\n');
+      expect(writeSpy).toHaveBeenCalledWith('● Using tool: mcp__github__get_file\n');
+    });
+
+    test('buffers partial lines across chunks', () => {
+      const line = JSON.stringify({ type: 'result', duration_ms: 2500, num_turns: 3 });
+
+      executor.onOutputData(line.slice(0, 10));
+      expect(writeSpy).not.toHaveBeenCalled();
+
+      executor.onOutputData(line.slice(10) + '\n');
+      expect(writeSpy).toHaveBeenCalledWith('● Completed in 2.5s (3 turns)\n');
+    });
+
+    test('passes through non-JSON lines', () => {
+      executor.onOutputData('Error: something broke\n');
+
+      expect(writeSpy).toHaveBeenCalledWith('Error: something broke\n');
+    });
+  });
+
+  describe('parseTranscript', () => {
+    test('extracts tool calls from stream-json events', () => {
+      const output = [
+        JSON.stringify({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'mcp__cloudwatch__describe_alarms', input: {} }] } }),
+        JSON.stringify({ type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1' }] } })
+      ].join('\n');
+
+      expect(executor.parseTranscript(output)).toEqual([
+        { name: 'describe_alarms', server: 'cloudwatch', arguments: {}, durationMs: null, status: 'success' }
+      ]);
+    });
+  });
+
+  describe('parseBlockedTools', () => {
+    test('reads the permission denials of the result event', () => {
+      const output = [
+        JSON.stringify({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'ls' } }] } }),
+        JSON.stringify({
+          type: 'result',
+          result: 'done',
+          permission_denials: [
+            { tool_name: 'Bash', tool_use_id: 't1', tool_input: { command: 'ls' } },
+            { tool_name: 'Bash', tool_use_id: 't2', tool_input: { command: 'pwd' } },
+            { tool_name: 'mcp__github__push_files', tool_use_id: 't3', tool_input: {} }
+          ]
+        })
+      ].join('\n');
+
+      expect(executor.parseBlockedTools(output)).toEqual(['Bash', 'mcp__github__push_files']);
+    });
+
+    test('returns no tools when nothing was denied', () => {
+      expect(executor.parseBlockedTools(JSON.stringify({ type: 'result', result: 'done' }))).toEqual([]);
+    });
+  });
+
+  describe('parseUsage', () => {
+    test('counts requests per message and uses the result event token totals', () => {
+      const assistant = (id, usage) => JSON.stringify({
+        type: 'assistant',
+        message: { id, model: 'claude-sonnet-4-20250514', usage, content: [{ type: 'text', text: 'x' }] }
+      });
+      const output = [
+        assistant('msg_1', { input_tokens: 10, output_tokens: 5 }),
+        assistant('msg_1', { input_tokens: 10, output_tokens: 8 }),
+        assistant('msg_2', { input_tokens: 20, output_tokens: 4 }),
+        JSON.stringify({
+          type: 'result',
+          result: 'done',
+          modelUsage: { 'claude-sonnet-4-20250514': { inputTokens: 35, outputTokens: 14, cacheReadInputTokens: 1000, cacheCreationInputTokens: 200 } }
+        })
+      ].join('\n');
+
+      expect(executor.parseUsage(output)).toEqual([{
+        model: 'claude-sonnet-4-20250514',
+        requests: 2,
+        inputTokens: 35,
+        outputTokens: 14,
+        cacheReadTokens: 1000,
+        cacheWriteTokens: 200,
+        totalTokens: 1249
+      }]);
+    });
+
+    test('falls back to assistant message usage when the run was cut short', () => {
+      const output = JSON.stringify({
+        type: 'assistant',
+        message: { id: 'msg_1', model: 'claude-sonnet-4-20250514', usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 7 } }
+      });
+
+      expect(executor.parseUsage(output)).toEqual([
+        expect.objectContaining({ requests: 1, inputTokens: 10, outputTokens: 5, cacheReadTokens: 7, totalTokens: 22 })
+      ]);
+    });
+
+    test('returns null without usage events', () => {
+      expect(executor.parseUsage('plain text')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const fs = require('fs');
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  exec: jest.fn(),
+  spawn: jest.fn()
+}));
+
+const { CommandTemplateExecutor } = require('../src/executors/command-template-executor');
+const core = require('@actions/core');
+const { exec } = require('child_process');
+
+describe('CommandTemplateExecutor', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    process.env.AGENT_COMMAND = 'my-agent';
+    delete process.env.AGENT_ARGS;
+    delete process.env.AGENT_PROMPT_MODE;
+    delete process.env.AGENT_MCP_CONFIG_PATH;
+    delete process.env.AGENT_MCP_CONFIG_FORMAT;
+    delete process.env.AGENT_OUTPUT_PATTERN;
+
+    exec.mockImplementation((cmd, opts, callback) => {
+      if (typeof opts === 'function') {
+        callback = opts;
+      }
+      setImmediate(() => callback(null, { stdout: 'success', stderr: '' }));
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    test('requires agent_command', () => {
+      delete process.env.AGENT_COMMAND;
+      expect(() => new CommandTemplateExecutor()).toThrow('agent_command is required');
+    });
+
+    test('rejects an unknown prompt mode', () => {
+      process.env.AGENT_PROMPT_MODE = 'socket';
+      expect(() => new CommandTemplateExecutor()).toThrow('Invalid agent_prompt_mode "socket"');
+    });
+
+    test('rejects an unknown MCP config format', () => {
+      process.env.AGENT_MCP_CONFIG_FORMAT = 'yaml';
+      expect(() => new CommandTemplateExecutor()).toThrow('Invalid agent_mcp_config_format "yaml"');
+    });
+
+    test('rejects an invalid output pattern', () => {
+      process.env.AGENT_OUTPUT_PATTERN = '(unclosed';
+      expect(() => new CommandTemplateExecutor()).toThrow('Invalid agent_output_pattern');
+    });
+
+    test('defaults to stdin prompt delivery', () => {
+      const executor = new CommandTemplateExecutor();
+      expect(executor.getCommandName()).toBe('my-agent');
+      expect(executor.getPromptDeliveryMode()).toBe('stdin');
+    });
+  });
+
+  describe('getCommandArgs', () => {
+    test('splits arguments and honours quotes', () => {
+      process.env.AGENT_ARGS = 'run --name "two words" \'single quoted\' --empty ""';
+      const executor = new CommandTemplateExecutor();
+
+      expect(executor.getCommandArgs()).toEqual(['run', '--name', 'two words', 'single quoted', '--empty', '']);
+    });
+
+    test('substitutes placeholders', () => {
+      process.env.AGENT_ARGS = '--prompt {prompt_file} --mcp={mcp_config} --cwd {workspace} {unknown}';
+      const executor = new CommandTemplateExecutor();
+      executor.promptFile = '/tmp/run/my-agent-prompt.txt';
+      executor.mcpConfigPath = '/tmp/run/mcp.json';
+      executor.targetRepoDir = '/workspace/repo';
+
+      expect(executor.getCommandArgs()).toEqual([
+        '--prompt', '/tmp/run/my-agent-prompt.txt',
+        '--mcp=/tmp/run/mcp.json',
+        '--cwd', '/workspace/repo',
+        '{unknown}'
+      ]);
+    });
+
+    test('throws on an unterminated quote', () => {
+      process.env.AGENT_ARGS = 'run "oops';
+      const executor = new CommandTemplateExecutor();
+
+      expect(() => executor.getCommandArgs()).toThrow('Unterminated quote in agent_args');
+    });
+
+    test('returns no arguments for an empty template', () => {
+      expect(new CommandTemplateExecutor().getCommandArgs()).toEqual([]);
+    });
+  });
+
+  describe('getEnvironmentVariables', () => {
+    test('exposes the GitHub token under the MCP server name', () => {
+      process.env.GITHUB_TOKEN = 'ghs_test';
+      const env = new CommandTemplateExecutor().getEnvironmentVariables();
+
+      expect(env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe('ghs_test');
+    });
+  });
+
+  describe('formatMCPConfig', () => {
+    const mcpConfig = {
+      mcpServers: {
+        applicationsignals: {
+          command: 'uvx',
+          args: ['awslabs.cloudwatch-appsignals-mcp-server@latest'],
+          env: { AWS_REGION: 'us-east-1' },
+          transportType: 'stdio',
+          autoApprove: ['mcp__applicationsignals__list_monitored_services'],
+          disabled: false
+        },
+        off: { command: 'off', args: [], disabled: true }
+      }
+    };
+
+    test('keeps the Amazon Q format unchanged', () => {
+      process.env.AGENT_MCP_CONFIG_FORMAT = 'amazonq';
+      expect(new CommandTemplateExecutor().formatMCPConfig(mcpConfig)).toBe(mcpConfig);
+    });
+
+    test('writes plain entries for mcp-json and skips disabled servers', () => {
+      const formatted = new CommandTemplateExecutor().formatMCPConfig(mcpConfig);
+
+      expect(formatted.mcpServers).toEqual({
+        applicationsignals: {
+          command: 'uvx',
+          args: ['awslabs.cloudwatch-appsignals-mcp-server@latest'],
+          env: { AWS_REGION: 'us-east-1' }
+        }
+      });
+    });
+
+    test('adds the stdio type for the claude format', () => {
+      process.env.AGENT_MCP_CONFIG_FORMAT = 'claude';
+      const formatted = new CommandTemplateExecutor().formatMCPConfig(mcpConfig);
+
+      expect(formatted.mcpServers.applicationsignals.type).toBe('stdio');
+    });
+  });
+
+  describe('setupConfiguration', () => {
+    let writeFileSyncSpy;
+
+    beforeEach(() => {
+      writeFileSyncSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    });
+
+    test('skips MCP configuration when no path is configured', async () => {
+      const executor = new CommandTemplateExecutor();
+
+      expect(await executor.setupConfiguration()).toBeNull();
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+
+    test('resolves relative paths against the run directory', async () => {
+      process.env.AGENT_MCP_CONFIG_PATH = 'agent/mcp.json';
+      const executor = new CommandTemplateExecutor();
+      executor.runDir = '/mock/temp/awsapm-my-agent-abc123';
+
+      const result = await executor.setupConfiguration();
+
+      expect(result).toBe('/mock/temp/awsapm-my-agent-abc123/agent/mcp.json');
+      expect(executor.mcpConfigPath).toBe('/mock/temp/awsapm-my-agent-abc123/agent/mcp.json');
+      expect(writeFileSyncSpy).toHaveBeenCalledWith('/mock/temp/awsapm-my-agent-abc123/agent/mcp.json', expect.any(String), { mode: 0o600 });
+    });
+
+    test('renders placeholders in the config path', async () => {
+      process.env.AGENT_MCP_CONFIG_PATH = '{home}/.my-agent/mcp.json';
+      const executor = new CommandTemplateExecutor();
+      jest.spyOn(require('os'), 'homedir').mockReturnValue('/home/runner');
+
+      expect(await executor.setupConfiguration()).toBe('/home/runner/.my-agent/mcp.json');
+    });
+
+    test('warns and continues without MCP tools when writing fails', async () => {
+      process.env.AGENT_MCP_CONFIG_PATH = '/mock/mcp.json';
+      writeFileSyncSpy.mockImplementation(() => {
+        throw new Error('read-only file system');
+      });
+      const executor = new CommandTemplateExecutor();
+
+      expect(await executor.setupConfiguration()).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to setup my-agent MCP configuration: read-only file system');
+    });
+  });
+
+  describe('parseOutput', () => {
+    test('uses the first capture group of the output pattern', () => {
+      process.env.AGENT_OUTPUT_PATTERN = '<answer>(.*)</answer>';
+      const executor = new CommandTemplateExecutor();
+
+      const result = executor.parseOutput('thinking...\n<answer>## Root cause\nLine two</answer>\ndone');
+
+      expect(result).toBe('## Root cause\n\nLine two');
+      expect(executor.getFilterMethod()).toBe('output_pattern');
+    });
+
+    test('uses the whole match when the pattern has no groups', () => {
+      process.env.AGENT_OUTPUT_PATTERN = '## Summary.*';
+      const executor = new CommandTemplateExecutor();
+
+      expect(executor.parseOutput('noise\n## Summary\nAll good')).toBe('## Summary\n\nAll good');
+    });
+
+    test('falls back to the full output when the pattern does not match', () => {
+      process.env.AGENT_OUTPUT_PATTERN = '<answer>(.*)</answer>';
+      const executor = new CommandTemplateExecutor();
+
+      expect(executor.parseOutput('plain result')).toBe('plain result');
+      expect(core.warning).toHaveBeenCalledWith('agent_output_pattern did not match the CLI output, using the full output');
+      expect(executor.warnings).toEqual(['agent_output_pattern did not match the CLI output, using the full output']);
+      expect(executor.getFilterMethod()).toBe('none');
+    });
+
+    test('strips ANSI codes', () => {
+      const executor = new CommandTemplateExecutor();
+
+      expect(executor.parseOutput('\x1b[32mgreen\x1b[0m')).toBe('green');
+    });
+  });
+});
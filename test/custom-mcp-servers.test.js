@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseMCPServers, mergeMCPServers, qualifyToolName } = require('../src/config/custom-mcp-servers');
+
+describe('custom-mcp-servers', () => {
+  describe('parseMCPServers', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-servers-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('returns no servers for an empty input', () => {
+      expect(parseMCPServers('')).toEqual({});
+      expect(parseMCPServers('  \n')).toEqual({});
+    });
+
+    test('parses inline JSON wrapped in mcpServers', () => {
+      const servers = parseMCPServers('{"mcpServers": {"runbooks": {"command": "runbook-mcp", "env": {"PORT": 8080, "DEBUG": false}}}}');
+
+      expect(servers).toEqual({ runbooks: { command: 'runbook-mcp', env: { PORT: '8080', DEBUG: 'false' } } });
+    });
+
+    test('parses inline YAML and qualifies bare auto-approved tools', () => {
+      const servers = parseMCPServers([
+        'awslabs.cost-explorer-mcp-server:',
+        '  command: uvx',
+        '  args: ["awslabs.cost-explorer-mcp-server@latest"]',
+        '  autoApprove: [get_cost_and_usage, mcp__custom__tool]'
+      ].join('\n'));
+
+      expect(servers['awslabs.cost-explorer-mcp-server'].autoApprove).toEqual([
+        'mcp__awslabs_cost-explorer-mcp-server__get_cost_and_usage',
+        'mcp__custom__tool'
+      ]);
+    });
+
+    test('reads a YAML file relative to the workspace', () => {
+      fs.mkdirSync(path.join(tempDir, '.github'));
+      fs.writeFileSync(path.join(tempDir, '.github', 'mcp.yml'), 'runbooks:\n  command: runbook-mcp\n');
+
+      expect(parseMCPServers('.github/mcp.yml', [], tempDir)).toEqual({ runbooks: { command: 'runbook-mcp' } });
+    });
+
+    test('fails for a missing file', () => {
+      expect(() => parseMCPServers('missing.json', [], tempDir)).toThrow('mcp_servers file not found: missing.json');
+    });
+
+    test('fails for unparseable input', () => {
+      expect(() => parseMCPServers('{"runbooks": ')).toThrow(/^Invalid mcp_servers: /);
+    });
+
+    test('fails for input that is not a map', () => {
+      expect(() => parseMCPServers('- runbooks')).toThrow('expected a map of server names to server entries');
+    });
+
+    test('lists every schema problem', () => {
+      const input = JSON.stringify({
+        'bad name': { command: 'x' },
+        runbooks: { args: [1], env: ['A=1'], autoApprove: 'all', disabled: 'yes', url: 'http://x' }
+      });
+
+      expect(() => parseMCPServers(input)).toThrow(
+        'Invalid mcp_servers: server name "bad name" may only contain letters, digits, ".", "_" and "-"; ' +
+        '"runbooks.url" is not supported (use command, args, env, autoApprove, disabled); ' +
+        '"runbooks.command" is required; ' +
+        '"runbooks.args" must be a list of strings; ' +
+        '"runbooks.autoApprove" must be a list of strings; ' +
+        '"runbooks.env" must map variable names to strings; ' +
+        '"runbooks.disabled" must be true or false'
+      );
+    });
+
+    test('does not require a command for built-in overrides or disabled servers', () => {
+      expect(parseMCPServers('{"github": {"disabled": true}, "runbooks": {"disabled": true}}', ['github'])).toEqual({
+        github: { disabled: true },
+        runbooks: { disabled: true }
+      });
+      expect(parseMCPServers('{"github": {"env": {"GITHUB_HOST": "https://ghe.example.com"}}}', ['github'])).toEqual({
+        github: { env: { GITHUB_HOST: 'https://ghe.example.com' } }
+      });
+    });
+  });
+
+  describe('mergeMCPServers', () => {
+    const builtIn = { command: 'uvx', args: ['server@latest'], env: { A: '1' }, autoApprove: ['mcp__s__t'], transportType: 'stdio', disabled: false };
+
+    test('keeps the built-in servers without user entries', () => {
+      expect(mergeMCPServers({ s: builtIn }, { s: builtIn }, {})).toEqual({ s: builtIn });
+    });
+
+    test('overrides built-in fields and merges env', () => {
+      const merged = mergeMCPServers({ s: builtIn }, { s: builtIn }, { s: { args: ['server@1.0.0'], env: { B: '2' } } });
+
+      expect(merged.s).toEqual({ ...builtIn, args: ['server@1.0.0'], env: { A: '1', B: '2' } });
+    });
+
+    test('disables a server', () => {
+      expect(mergeMCPServers({ s: builtIn }, { s: builtIn }, { s: { disabled: true } }).s.disabled).toBe(true);
+    });
+  });
+
+  describe('qualifyToolName', () => {
+    test('normalizes the server name', () => {
+      expect(qualifyToolName('awslabs.cloudtrail-mcp-server', 'lookup_events')).toBe('mcp__awslabs_cloudtrail-mcp-server__lookup_events');
+    });
+  });
+});
@@ -17,6 +17,7 @@ jest.mock('@actions/core', () => ({
 
 // Mock @actions/github
 jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn(),
   context: {
     repo: { owner: 'test-owner', repo: 'test-repo' },
     payload: { repository: { name: 'test-repo' } }
@@ -26,12 +27,25 @@ jest.mock('@actions/github', () => ({
 // Mock AmazonQCLIExecutor
 jest.mock('../src/executors/amazonq-cli-executor', () => ({
   AmazonQCLIExecutor: jest.fn().mockImplementation(() => ({
-    execute: jest.fn().mockResolvedValue('Test analysis result')
+    getTranscript: jest.fn().mockReturnValue([]),
+    getUsage: jest.fn().mockReturnValue(null),
+    execute: jest.fn().mockResolvedValue({ status: 'success', markdown: 'Test analysis result', warnings: [] })
   }))
 }));
 
+// Mock ReplayExecutor
+jest.mock('../src/executors/replay-executor', () => ({
+  ReplayExecutor: jest.fn()
+}));
+
 const core = require('@actions/core');
+const github = require('@actions/github');
 const { AmazonQCLIExecutor } = require('../src/executors/amazonq-cli-executor');
+const { ReplayExecutor } = require('../src/executors/replay-executor');
+const { InvestigationTimeoutError, CLIExecutionError, BudgetExceededError } = require('../src/executors/base-cli-executor');
+const { EXECUTION_STATUS, createExecutionResult } = require('../src/utils/execution-result');
+
+const successResult = (markdown, fields = {}) => createExecutionResult({ status: EXECUTION_STATUS.SUCCESS, markdown, ...fields });
 
 describe('execute', () => {
   let originalEnv;
@@ -64,6 +78,68 @@ describe('execute', () => {
   });
 
   describe('successful execution', () => {
+    test('writes the tool-call transcript next to the response', async () => {
+      const transcript = [{ name: 'audit_services', server: 'applicationsignals', arguments: {}, durationMs: 1200, status: 'success' }];
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue(transcript),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockResolvedValue(successResult('Test analysis result'))
+      }));
+
+      await run();
+
+      const transcriptFile = path.join(tempDir, 'awsapm-output', 'awsapm-transcript-12345.json');
+      expect(JSON.parse(fs.readFileSync(transcriptFile, 'utf8'))).toEqual(transcript);
+      expect(core.setOutput).toHaveBeenCalledWith('transcript_file', transcriptFile);
+    });
+
+    test('spills the raw output of each attempt to the output directory', async () => {
+      let executorInstance;
+      AmazonQCLIExecutor.mockImplementation(() => {
+        executorInstance = {
+          getTranscript: jest.fn().mockReturnValue([]),
+          getUsage: jest.fn().mockReturnValue(null),
+          execute: jest.fn().mockImplementation(async () => {
+            fs.writeFileSync(executorInstance.rawOutputPath, 'raw output');
+            return successResult('Test analysis result', { rawOutputPath: executorInstance.rawOutputPath });
+          })
+        };
+        return executorInstance;
+      });
+
+      await run();
+
+      const rawOutputFile = path.join(tempDir, 'awsapm-output', 'awsapm-raw-output-12345-1.log');
+      expect(executorInstance.rawOutputPath).toBe(rawOutputFile);
+      expect(core.setOutput).toHaveBeenCalledWith('raw_output_file', rawOutputFile);
+    });
+
+    test('passes the record file to the executor relative to the workspace', async () => {
+      process.env.AWSAPM_RECORD_FILE = 'recordings/run.jsonl';
+      process.env.GITHUB_WORKSPACE = tempDir;
+
+      await run();
+
+      const mockExecutor = AmazonQCLIExecutor.mock.results[0].value;
+      expect(mockExecutor.recordPath).toBe(path.join(tempDir, 'recordings', 'run.jsonl'));
+    });
+
+    test('publishes token usage and the estimated cost', async () => {
+      process.env.TOKEN_PRICES = '{"test-model": {"input": 1, "output": 10}}';
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue([{ model: 'test-model', requests: 2, inputTokens: 1000000, outputTokens: 100000 }]),
+        execute: jest.fn().mockResolvedValue(successResult('Test analysis result'))
+      }));
+
+      await run();
+
+      const usage = JSON.parse(core.setOutput.mock.calls.find(c => c[0] === 'usage')[1]);
+      expect(usage).toMatchObject({ requests: 2, totalTokens: 1100000, estimatedCostUsd: 2 });
+      expect(core.setOutput).toHaveBeenCalledWith('total_tokens', '1100000');
+      expect(core.setOutput).toHaveBeenCalledWith('estimated_cost_usd', '2');
+    });
+
     test('reads prompt file', async () => {
       await run();
 
@@ -86,6 +162,24 @@ describe('execute', () => {
       expect(mockExecutor.execute).toHaveBeenCalled();
     });
 
+    test('logs the auto-detected executor', async () => {
+      process.env.AGENT_CLI = 'auto';
+      process.env.PATH = tempDir;
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('Auto-detected agent CLI: amazonq');
+      expect(AmazonQCLIExecutor).toHaveBeenCalled();
+    });
+
+    test('uses executor selected by AGENT_CLI', async () => {
+      process.env.AGENT_CLI = 'amazonq';
+
+      await run();
+
+      expect(AmazonQCLIExecutor).toHaveBeenCalled();
+    });
+
     test('saves response to file with unique run ID', async () => {
       await run();
 
@@ -106,6 +200,267 @@ describe('execute', () => {
 
       expect(core.setOutput).toHaveBeenCalledWith('conclusion', 'success');
     });
+
+    test('sets timed_out to false', async () => {
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('timed_out', 'false');
+    });
+
+    test('sets an empty budget_exceeded output', async () => {
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('budget_exceeded', '');
+    });
+
+    test('writes the execution result and sets the status output', async () => {
+      await run();
+
+      const resultFile = path.join(tempDir, 'awsapm-output', 'awsapm-result-12345.json');
+      expect(JSON.parse(fs.readFileSync(resultFile, 'utf8'))).toMatchObject({ status: 'success', markdown: 'Test analysis result' });
+      expect(core.setOutput).toHaveBeenCalledWith('result_file', resultFile);
+      expect(core.setOutput).toHaveBeenCalledWith('status', 'success');
+    });
+
+    test('writes a placeholder when the agent produced no answer', async () => {
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockResolvedValue(createExecutionResult({ status: EXECUTION_STATUS.EMPTY }))
+      }));
+
+      await run();
+
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toBe('Investigation completed, but no output was generated.');
+      expect(core.setOutput).toHaveBeenCalledWith('status', 'empty');
+    });
+
+    test('reports whether the agent session was resumed and saved', async () => {
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('session_resumed', 'false');
+      expect(core.setOutput).toHaveBeenCalledWith('session_saved', 'false');
+    });
+  });
+
+  describe('investigation timeout', () => {
+    test('saves partial result and sets timed_out output', async () => {
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new InvestigationTimeoutError(10, 'Partial findings'))
+      }));
+
+      await run();
+
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toBe('Partial findings');
+      expect(core.setOutput).toHaveBeenCalledWith('timed_out', 'true');
+      expect(core.setOutput).toHaveBeenCalledWith('conclusion', 'success');
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('timed out after 10 minutes'));
+    });
+
+    test('writes placeholder when nothing was captured before the timeout', async () => {
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new InvestigationTimeoutError(10, ''))
+      }));
+
+      await run();
+
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toContain('No investigation output was captured');
+    });
+  });
+
+  describe('investigation budgets', () => {
+    test('saves partial result and names the exceeded budget', async () => {
+      const exceeded = { budget: 'max_log_queries', limit: 3, used: 4 };
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new BudgetExceededError(exceeded, 'Partial findings'))
+      }));
+
+      await run();
+
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toBe('Partial findings');
+      expect(core.setOutput).toHaveBeenCalledWith('budget_exceeded', 'max_log_queries');
+      expect(core.setOutput).toHaveBeenCalledWith('timed_out', 'false');
+      expect(core.setOutput).toHaveBeenCalledWith('conclusion', 'success');
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('exceeding the max_log_queries budget of 3'));
+    });
+  });
+
+  describe('progress updates', () => {
+    let updateComment;
+
+    beforeEach(() => {
+      updateComment = jest.fn().mockResolvedValue({});
+      github.getOctokit.mockReturnValue({ rest: { issues: { updateComment } } });
+      process.env.AWSAPM_COMMENT_ID = '987';
+      process.env.GITHUB_TOKEN = 'ghs_test';
+    });
+
+    test('feeds executor output to the progress reporter', async () => {
+      const addOutputListener = jest.fn();
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        addOutputListener,
+        execute: jest.fn().mockResolvedValue(successResult('Test analysis result'))
+      }));
+
+      await run();
+
+      expect(github.getOctokit).toHaveBeenCalledWith('ghs_test');
+      expect(addOutputListener).toHaveBeenCalledWith(expect.any(Function));
+    });
+
+    test('is disabled when progress_update_interval is 0', async () => {
+      process.env.PROGRESS_UPDATE_INTERVAL = '0';
+      const addOutputListener = jest.fn();
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        addOutputListener,
+        execute: jest.fn().mockResolvedValue(successResult('Test analysis result'))
+      }));
+
+      await run();
+
+      expect(addOutputListener).not.toHaveBeenCalled();
+    });
+
+    test('is disabled without a tracking comment', async () => {
+      delete process.env.AWSAPM_COMMENT_ID;
+
+      await run();
+
+      expect(github.getOctokit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retries', () => {
+    test('retries transient failures and records every attempt', async () => {
+      process.env.RETRY_BASE_DELAY = '0';
+      const throttled = new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: 'ThrottlingException' });
+      AmazonQCLIExecutor
+        .mockImplementationOnce(() => ({
+          getTranscript: jest.fn().mockReturnValue([]),
+          getUsage: jest.fn().mockReturnValue(null),
+          execute: jest.fn().mockRejectedValue(throttled)
+        }))
+        .mockImplementationOnce(() => ({
+          getTranscript: jest.fn().mockReturnValue([]),
+          getUsage: jest.fn().mockReturnValue(null),
+          execute: jest.fn().mockResolvedValue(successResult('Recovered result'))
+        }));
+
+      await run();
+
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toBe('Recovered result');
+      const attemptsCall = core.setOutput.mock.calls.find(c => c[0] === 'attempts');
+      expect(JSON.parse(attemptsCall[1]).map(a => a.outcome)).toEqual(['failure', 'success']);
+    });
+
+    test('gives every attempt the same investigation deadline', async () => {
+      process.env.RETRY_BASE_DELAY = '0';
+      process.env.INVESTIGATION_TIMEOUT = '10';
+      const throttled = new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: 'ThrottlingException' });
+      const executors = [];
+      AmazonQCLIExecutor.mockImplementation(() => {
+        const executor = {
+          getTranscript: jest.fn().mockReturnValue([]),
+          getUsage: jest.fn().mockReturnValue(null),
+          execute: jest.fn(executors.length === 0 ? () => Promise.reject(throttled) : () => Promise.resolve(successResult('Recovered result')))
+        };
+        executors.push(executor);
+        return executor;
+      });
+      const before = Date.now();
+
+      await run();
+
+      expect(executors).toHaveLength(2);
+      expect(executors[0].deadline).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+      expect(executors[1].deadline).toBe(executors[0].deadline);
+    });
+
+    test('gives every attempt the same investigation budget', async () => {
+      process.env.RETRY_BASE_DELAY = '0';
+      process.env.MAX_TOKENS = '1000';
+      const throttled = new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: 'ThrottlingException' });
+      const executors = [];
+      AmazonQCLIExecutor.mockImplementation(() => {
+        const executor = {
+          getTranscript: jest.fn().mockReturnValue([]),
+          getUsage: jest.fn().mockReturnValue(null),
+          execute: jest.fn(() => {
+            executor.budget.recordTokens(400);
+            return executors.length === 1 ? Promise.reject(throttled) : Promise.resolve(successResult('Recovered result'));
+          })
+        };
+        executors.push(executor);
+        return executor;
+      });
+
+      await run();
+
+      expect(executors).toHaveLength(2);
+      expect(executors[1].budget).toBe(executors[0].budget);
+      expect(executors[1].budget.counts.tokens).toBe(800);
+    });
+
+    test('does not retry a transient failure after the agent called tools', async () => {
+      process.env.RETRY_BASE_DELAY = '0';
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([{ name: 'create_branch', server: 'github' }]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: 'ThrottlingException' }))
+      }));
+
+      await run();
+
+      expect(AmazonQCLIExecutor).toHaveBeenCalledTimes(1);
+      const attemptsCall = core.setOutput.mock.calls.find(c => c[0] === 'attempts');
+      expect(JSON.parse(attemptsCall[1])).toEqual([expect.objectContaining({ category: 'permanent', reason: 'after_tool_calls' })]);
+    });
+
+    test('does not retry a replayed run', async () => {
+      process.env.AGENT_CLI = 'replay';
+      process.env.MAX_RETRIES = '3';
+      process.env.RETRY_BASE_DELAY = '0';
+      ReplayExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new CLIExecutionError('replay CLI exited with code 1', { exitCode: 1, stderr: 'ThrottlingException' }))
+      }));
+
+      await run();
+
+      expect(ReplayExecutor).toHaveBeenCalledTimes(1);
+      const attemptsCall = core.setOutput.mock.calls.find(c => c[0] === 'attempts');
+      expect(JSON.parse(attemptsCall[1])).toEqual([expect.objectContaining({ category: 'transient', reason: 'throttling' })]);
+    });
+
+    test('does not retry permanent failures', async () => {
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, stderr: 'AccessDeniedException' }))
+      }));
+
+      await run();
+
+      expect(AmazonQCLIExecutor).toHaveBeenCalledTimes(1);
+      const attemptsCall = core.setOutput.mock.calls.find(c => c[0] === 'attempts');
+      expect(JSON.parse(attemptsCall[1])).toEqual([expect.objectContaining({ outcome: 'failure', category: 'permanent', reason: 'access_denied' })]);
+    });
   });
 
   describe('AWS credentials', () => {
@@ -125,6 +480,16 @@ describe('execute', () => {
   });
 
   describe('error handling', () => {
+    test('writes error to output for unknown AGENT_CLI', async () => {
+      process.env.AGENT_CLI = 'unknown-cli';
+
+      await run();
+
+      expect(AmazonQCLIExecutor).not.toHaveBeenCalled();
+      const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
+      expect(fs.readFileSync(responseFile, 'utf8')).toContain('Unknown agent_cli "unknown-cli"');
+    });
+
     test('handles missing prompt file', async () => {
       process.env.INPUT_PROMPT_FILE = '/nonexistent/file.txt';
 
@@ -136,6 +501,8 @@ describe('execute', () => {
 
     test('handles executor failure', async () => {
       AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
         execute: jest.fn().mockRejectedValue(new Error('CLI execution failed'))
       }));
 
@@ -146,6 +513,8 @@ describe('execute', () => {
 
     test('writes error message to output on failure', async () => {
       AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
         execute: jest.fn().mockRejectedValue(new Error('Test error'))
       }));
 
@@ -154,12 +523,14 @@ describe('execute', () => {
       const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
       const content = fs.readFileSync(responseFile, 'utf8');
 
-      expect(content).toContain('❌ **Amazon Q Investigation Failed**');
+      expect(content).toContain('❌ **Amazon Q Developer CLI Investigation Failed**');
       expect(content).toContain('Test error');
     });
 
     test('sets conclusion to success even when executor fails (graceful degradation)', async () => {
       AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
         execute: jest.fn().mockRejectedValue(new Error('Test error'))
       }));
 
@@ -171,10 +542,38 @@ describe('execute', () => {
       // Verify the response file contains the error message for the user
       const responseFile = path.join(tempDir, 'awsapm-output', 'awsapm-response-12345.txt');
       const content = fs.readFileSync(responseFile, 'utf8');
-      expect(content).toContain('❌ **Amazon Q Investigation Failed**');
+      expect(content).toContain('❌ **Amazon Q Developer CLI Investigation Failed**');
       expect(content).toContain('Test error');
     });
 
+    test('keeps the execution result carried by the error', async () => {
+      const result = createExecutionResult({ status: EXECUTION_STATUS.FAILED, exitCode: 1, stderrTail: 'AccessDeniedException', error: 'q CLI exited with code 1' });
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new CLIExecutionError('q CLI exited with code 1', { exitCode: 1, result }))
+      }));
+
+      await run();
+
+      const resultFile = path.join(tempDir, 'awsapm-output', 'awsapm-result-12345.json');
+      expect(JSON.parse(fs.readFileSync(resultFile, 'utf8'))).toEqual(result);
+      expect(core.setOutput).toHaveBeenCalledWith('status', 'failed');
+    });
+
+    test('builds a failed execution result for errors without one', async () => {
+      AmazonQCLIExecutor.mockImplementation(() => ({
+        getTranscript: jest.fn().mockReturnValue([]),
+        getUsage: jest.fn().mockReturnValue(null),
+        execute: jest.fn().mockRejectedValue(new Error('Test error'))
+      }));
+
+      await run();
+
+      const resultFile = path.join(tempDir, 'awsapm-output', 'awsapm-result-12345.json');
+      expect(JSON.parse(fs.readFileSync(resultFile, 'utf8'))).toMatchObject({ status: 'failed', error: 'Test error' });
+    });
+
     test('sets error_message output on failure', async () => {
       process.env.INPUT_PROMPT_FILE = '/nonexistent/file.txt';
 
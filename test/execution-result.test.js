@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EXECUTION_STATUS,
+  createExecutionResult,
+  getCompletedStatus,
+  readExecutionResult
+} = require('../src/utils/execution-result');
+
+describe('execution-result', () => {
+  describe('createExecutionResult', () => {
+    test('fills in defaults', () => {
+      expect(createExecutionResult({ status: EXECUTION_STATUS.SUCCESS, markdown: 'Answer' })).toEqual({
+        status: 'success',
+        markdown: 'Answer',
+        rawOutputPath: null,
+        exitCode: null,
+        stderrTail: '',
+        durationMs: 0,
+        filterMethod: null,
+        warnings: [],
+        error: null,
+        budget: null,
+        phase: null,
+        blockedTools: [],
+        timeoutMinutes: null
+      });
+    });
+
+    test('copies the warnings list', () => {
+      const warnings = ['first'];
+      const result = createExecutionResult({ status: EXECUTION_STATUS.SUCCESS, warnings });
+      warnings.push('second');
+
+      expect(result.warnings).toEqual(['first']);
+    });
+  });
+
+  describe('getCompletedStatus', () => {
+    test('reports an answer located by the result marker as success', () => {
+      expect(getCompletedStatus('Answer', 'result_marker')).toBe('success');
+      expect(getCompletedStatus('Answer', 'result_event')).toBe('success');
+      expect(getCompletedStatus('Answer', null)).toBe('success');
+    });
+
+    test('reports an answer located by a fallback as missing the result marker', () => {
+      expect(getCompletedStatus('Answer', 'cursor_control')).toBe('no_result_marker');
+      expect(getCompletedStatus('Answer', 'tool_completion')).toBe('no_result_marker');
+      expect(getCompletedStatus('Answer', 'none')).toBe('no_result_marker');
+    });
+
+    test('reports a blank answer as empty', () => {
+      expect(getCompletedStatus('', 'result_marker')).toBe('empty');
+      expect(getCompletedStatus('  \n', 'none')).toBe('empty');
+    });
+  });
+
+  describe('readExecutionResult', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execution-result-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('reads a result written as JSON', () => {
+      const filePath = path.join(tempDir, 'result.json');
+      const result = createExecutionResult({ status: EXECUTION_STATUS.TIMED_OUT, markdown: 'Partial' });
+      fs.writeFileSync(filePath, JSON.stringify(result));
+
+      expect(readExecutionResult(filePath)).toEqual(result);
+    });
+
+    test('returns null for missing, malformed or unknown results', () => {
+      const filePath = path.join(tempDir, 'result.json');
+
+      expect(readExecutionResult(undefined)).toBeNull();
+      expect(readExecutionResult(filePath)).toBeNull();
+      fs.writeFileSync(filePath, 'not json');
+      expect(readExecutionResult(filePath)).toBeNull();
+      fs.writeFileSync(filePath, JSON.stringify({ status: 'unknown' }));
+      expect(readExecutionResult(filePath)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_EXECUTOR,
+  normalizeExecutorName,
+  registerExecutor,
+  getExecutorNames,
+  isKnownExecutor,
+  isCommandOnPath,
+  detectExecutor,
+  resolveExecutorName,
+  getExecutorDisplayName,
+  createExecutor
+} = require('../src/executors/executor-registry');
+const { AmazonQCLIExecutor } = require('../src/executors/amazonq-cli-executor');
+const { ClaudeCLIExecutor } = require('../src/executors/claude-cli-executor');
+const { KiroCLIExecutor } = require('../src/executors/kiro-cli-executor');
+const { BedrockAgentExecutor } = require('../src/executors/bedrock-agent-executor');
+
+describe('executor registry', () => {
+  describe('normalizeExecutorName', () => {
+    test('defaults to amazonq when empty', () => {
+      expect(DEFAULT_EXECUTOR).toBe('amazonq');
+      expect(normalizeExecutorName('')).toBe('amazonq');
+      expect(normalizeExecutorName(undefined)).toBe('amazonq');
+    });
+
+    test('trims and lowercases names', () => {
+      expect(normalizeExecutorName('  AmazonQ ')).toBe('amazonq');
+    });
+  });
+
+  describe('isKnownExecutor', () => {
+    test('recognizes amazonq', () => {
+      expect(isKnownExecutor('amazonq')).toBe(true);
+    });
+
+    test('treats empty name as default executor', () => {
+      expect(isKnownExecutor('')).toBe(true);
+    });
+
+    test('recognizes claude, kiro and auto', () => {
+      expect(isKnownExecutor('claude')).toBe(true);
+      expect(isKnownExecutor('kiro')).toBe(true);
+      expect(isKnownExecutor('auto')).toBe(true);
+    });
+
+    test('rejects unknown names', () => {
+      expect(isKnownExecutor('not-a-cli')).toBe(false);
+      expect(isKnownExecutor('toString')).toBe(false);
+    });
+  });
+
+  describe('getExecutorDisplayName', () => {
+    test('returns display name for registered executor', () => {
+      expect(getExecutorDisplayName('amazonq')).toBe('Amazon Q Developer CLI');
+    });
+
+    test('returns name for unknown executor', () => {
+      expect(getExecutorDisplayName('other')).toBe('other');
+    });
+  });
+
+  describe('createExecutor', () => {
+    test('creates Amazon Q executor by default', () => {
+      expect(createExecutor()).toBeInstanceOf(AmazonQCLIExecutor);
+    });
+
+    test('creates Kiro executor', () => {
+      expect(createExecutor('kiro')).toBeInstanceOf(KiroCLIExecutor);
+    });
+
+    test('creates Bedrock agent executor', () => {
+      expect(createExecutor('bedrock')).toBeInstanceOf(BedrockAgentExecutor);
+    });
+
+    test('creates Claude Code executor', () => {
+      expect(createExecutor('claude')).toBeInstanceOf(ClaudeCLIExecutor);
+    });
+
+    test('throws for unknown executor with supported values', () => {
+      expect(() => createExecutor('not-a-cli')).toThrow('Unknown agent_cli "not-a-cli". Supported values: amazonq, kiro, claude, bedrock, command, replay, auto');
+    });
+  });
+
+  describe('registerExecutor', () => {
+    test('registers and creates a custom executor', () => {
+      class CustomExecutor {}
+      registerExecutor('Custom', { displayName: 'Custom CLI', load: () => CustomExecutor });
+
+      expect(getExecutorNames()).toContain('custom');
+      expect(getExecutorDisplayName('custom')).toBe('Custom CLI');
+      expect(createExecutor('custom')).toBeInstanceOf(CustomExecutor);
+    });
+
+    test('requires a load function', () => {
+      expect(() => registerExecutor('broken', {})).toThrow('must provide a load() function');
+    });
+  });
+
+  describe('auto-detection', () => {
+    let binDir;
+    let originalPath;
+
+    beforeEach(() => {
+      originalPath = process.env.PATH;
+      binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-bin-'));
+      process.env.PATH = binDir;
+    });
+
+    afterEach(() => {
+      process.env.PATH = originalPath;
+      fs.rmSync(binDir, { recursive: true, force: true });
+    });
+
+    function addBinary(name) {
+      const file = path.join(binDir, name);
+      fs.writeFileSync(file, '#!/bin/sh\n');
+      fs.chmodSync(file, 0o755);
+    }
+
+    test('finds executables on PATH', () => {
+      addBinary('q');
+
+      expect(isCommandOnPath('q')).toBe(true);
+      expect(isCommandOnPath('kiro-cli')).toBe(false);
+    });
+
+    test('ignores non-executable files', () => {
+      fs.writeFileSync(path.join(binDir, 'kiro-cli'), '');
+      fs.chmodSync(path.join(binDir, 'kiro-cli'), 0o644);
+
+      expect(isCommandOnPath('kiro-cli')).toBe(false);
+    });
+
+    test('prefers kiro-cli when both binaries are present', () => {
+      addBinary('q');
+      addBinary('kiro-cli');
+
+      expect(detectExecutor()).toBe('kiro');
+    });
+
+    test('picks amazonq when only q is present', () => {
+      addBinary('q');
+
+      expect(resolveExecutorName('auto')).toBe('amazonq');
+      expect(getExecutorDisplayName('auto')).toBe('Amazon Q Developer CLI');
+    });
+
+    test('falls back to default executor when no binary is found', () => {
+      expect(detectExecutor()).toBe(DEFAULT_EXECUTOR);
+    });
+
+    test('creates the detected executor', () => {
+      addBinary('kiro-cli');
+
+      expect(createExecutor('auto')).toBeInstanceOf(KiroCLIExecutor);
+    });
+
+    test('leaves explicit names unchanged', () => {
+      expect(resolveExecutorName('Claude')).toBe('claude');
+    });
+  });
+});
@@ -0,0 +1,313 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const core = require('@actions/core');
+const {
+  RELEASE_CHECKSUMS,
+  findOnPath,
+  getReleaseAssetName,
+  checkDocker,
+  downloadBinary,
+  checkBinary,
+  checkRemote,
+  parseGitHubMCPTransport,
+  resolveGitHubMCPTransport
+} = require('../src/config/github-mcp-transport');
+
+describe('github-mcp-transport', () => {
+  let tempDir;
+  let originalPath;
+
+  const ok = (command) => jest.fn().mockResolvedValue(command ? { ok: true, command } : { ok: true });
+  const fail = (reason) => jest.fn().mockResolvedValue({ ok: false, reason });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-mcp-transport-test-'));
+    originalPath = process.env.PATH;
+  });
+
+  afterEach(() => {
+    process.env.PATH = originalPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('findOnPath', () => {
+    test('finds executables only', () => {
+      fs.writeFileSync(path.join(tempDir, 'github-mcp-server'), '#!/bin/sh\n', { mode: 0o755 });
+      fs.writeFileSync(path.join(tempDir, 'notes'), 'text', { mode: 0o644 });
+
+      expect(findOnPath('github-mcp-server', { PATH: tempDir })).toBe(path.join(tempDir, 'github-mcp-server'));
+      expect(findOnPath('notes', { PATH: tempDir })).toBeNull();
+      expect(findOnPath('missing', { PATH: '' })).toBeNull();
+    });
+  });
+
+  describe('parseGitHubMCPTransport', () => {
+    test('accepts the supported transports in any case', () => {
+      expect(parseGitHubMCPTransport(undefined)).toBe('auto');
+      expect(parseGitHubMCPTransport(' Binary ')).toBe('binary');
+      expect(() => parseGitHubMCPTransport('podman')).toThrow('Unknown github_mcp_transport "podman"');
+    });
+  });
+
+  describe('resolveGitHubMCPTransport', () => {
+    test('uses Docker when it works', async () => {
+      const checks = { docker: ok(), binary: ok('/bin/github-mcp-server'), remote: ok() };
+
+      const result = await resolveGitHubMCPTransport({ installDir: tempDir, checks });
+
+      expect(result).toEqual({ transport: 'docker', command: null });
+      expect(checks.binary).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('GitHub MCP server transport: Docker image');
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the binary and logs why', async () => {
+      const checks = { docker: fail('the Docker daemon is not reachable (permission denied)'), binary: ok('/run-home/bin/github-mcp-server'), remote: ok() };
+
+      const result = await resolveGitHubMCPTransport({ binaryVersion: 'v0.13.0', installDir: tempDir, checks });
+
+      expect(result).toEqual({ transport: 'binary', command: '/run-home/bin/github-mcp-server' });
+      expect(checks.binary).toHaveBeenCalledWith(expect.objectContaining({ binaryVersion: 'v0.13.0', installDir: tempDir }));
+      expect(core.warning).toHaveBeenCalledWith('GitHub MCP server: cannot use the Docker image (the Docker daemon is not reachable (permission denied)) - falling back to the github-mcp-server binary');
+      expect(core.info).toHaveBeenCalledWith('GitHub MCP server transport: github-mcp-server binary (/run-home/bin/github-mcp-server)');
+    });
+
+    test('falls back to the remote endpoint last', async () => {
+      const checks = { docker: fail('docker is not installed'), binary: fail('download failed'), remote: ok() };
+
+      const result = await resolveGitHubMCPTransport({ remoteUrl: 'https://api.githubcopilot.com/mcp/', installDir: tempDir, checks });
+
+      expect(result).toEqual({ transport: 'remote', command: null });
+      expect(core.warning).toHaveBeenCalledTimes(2);
+      expect(core.info).toHaveBeenCalledWith('GitHub MCP server transport: remote endpoint (https://api.githubcopilot.com/mcp/)');
+    });
+
+    test('warns with every reason when no transport works', async () => {
+      const checks = { docker: fail('docker is not installed'), binary: fail('download failed'), remote: fail('github_mcp_remote_url is empty') };
+
+      const result = await resolveGitHubMCPTransport({ installDir: tempDir, checks });
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenLastCalledWith(expect.stringContaining(
+        'GitHub MCP server disabled - no usable transport (docker: docker is not installed; binary: download failed; remote: github_mcp_remote_url is empty)'
+      ));
+    });
+
+    test('tries only a named transport', async () => {
+      const checks = { docker: ok(), binary: fail('download failed'), remote: ok() };
+
+      const result = await resolveGitHubMCPTransport({ preference: 'Binary', installDir: tempDir, checks });
+
+      expect(result).toBeNull();
+      expect(checks.docker).not.toHaveBeenCalled();
+      expect(checks.remote).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown transport', async () => {
+      await expect(resolveGitHubMCPTransport({ preference: 'podman', installDir: tempDir }))
+        .rejects.toThrow('Unknown github_mcp_transport "podman". Supported values: auto, docker, binary, remote');
+    });
+
+    test('passes the token to the checks', async () => {
+      const checks = { docker: fail('docker is not installed'), binary: fail('no checksum'), remote: ok() };
+
+      await resolveGitHubMCPTransport({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token', installDir: tempDir, checks });
+
+      expect(checks.remote).toHaveBeenCalledWith(expect.objectContaining({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token' }));
+    });
+
+    test('uses github-mcp-server from PATH without downloading', async () => {
+      fs.writeFileSync(path.join(tempDir, 'github-mcp-server'), '#!/bin/sh\n', { mode: 0o755 });
+      process.env.PATH = tempDir;
+
+      expect(await resolveGitHubMCPTransport({ preference: 'binary', installDir: path.join(tempDir, 'bin') }))
+        .toEqual({ transport: 'binary', command: path.join(tempDir, 'github-mcp-server') });
+    });
+  });
+
+  describe('RELEASE_CHECKSUMS', () => {
+    test('pins a digest for every supported asset of a pinned release', () => {
+      const assets = ['linux', 'darwin'].flatMap(platform => ['x64', 'arm64'].map(arch => getReleaseAssetName(platform, arch)));
+
+      for (const [version, checksums] of Object.entries(RELEASE_CHECKSUMS)) {
+        expect([version, Object.keys(checksums).sort()]).toEqual([version, [...assets].sort()]);
+        for (const digest of Object.values(checksums)) {
+          expect(digest).toMatch(/^[0-9a-f]{64}$/);
+        }
+      }
+    });
+
+    test('names no asset for an unsupported platform', () => {
+      expect(() => getReleaseAssetName('win32', 'x64')).toThrow('no release binary for win32/x64');
+    });
+  });
+
+  describe('downloadBinary', () => {
+    let originalFetch;
+    let archive;
+    let digest;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      const sourceDir = path.join(tempDir, 'release');
+      fs.mkdirSync(sourceDir);
+      fs.writeFileSync(path.join(sourceDir, 'github-mcp-server'), '#!/bin/sh\necho github-mcp-server\n');
+      childProcess.execFileSync('tar', ['-czf', path.join(tempDir, 'release.tar.gz'), '-C', sourceDir, 'github-mcp-server']);
+      archive = fs.readFileSync(path.join(tempDir, 'release.tar.gz'));
+      digest = crypto.createHash('sha256').update(archive).digest('hex');
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, arrayBuffer: async () => archive });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('installs a release whose archive matches the configured SHA-256', async () => {
+      const installDir = path.join(tempDir, 'bin');
+
+      const binary = await downloadBinary('v0.14.0', installDir, { sha256: digest.toUpperCase() });
+
+      expect(binary).toBe(path.join(installDir, 'github-mcp-server'));
+      expect(fs.statSync(binary).mode & 0o777).toBe(0o755);
+      expect(fs.readdirSync(installDir)).toEqual(['github-mcp-server']);
+      expect(global.fetch).toHaveBeenCalledWith(
+        `https://github.com/github/github-mcp-server/releases/download/v0.14.0/${getReleaseAssetName()}`,
+        expect.any(Object)
+      );
+    });
+
+    test('uses the pinned checksum of the release', async () => {
+      const checksums = { 'v0.13.0': { [getReleaseAssetName()]: digest } };
+
+      expect(await downloadBinary('v0.13.0', path.join(tempDir, 'bin'), { checksums })).toBe(path.join(tempDir, 'bin', 'github-mcp-server'));
+    });
+
+    test('refuses a release without a checksum before downloading it', async () => {
+      await expect(downloadBinary('v0.14.0', path.join(tempDir, 'bin'), { checksums: {} }))
+        .rejects.toThrow(`no SHA-256 is pinned for ${getReleaseAssetName()} of v0.14.0 - set github_mcp_binary_sha256 to download it`);
+      await expect(downloadBinary('v0.14.0', path.join(tempDir, 'bin'), { sha256: 'abc123' }))
+        .rejects.toThrow('github_mcp_binary_sha256 is not a SHA-256 hex digest');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('does not extract an archive that does not match', async () => {
+      await expect(downloadBinary('v0.14.0', path.join(tempDir, 'bin'), { sha256: 'a'.repeat(64) }))
+        .rejects.toThrow(`has SHA-256 ${digest}, expected ${'a'.repeat(64)}`);
+      expect(fs.existsSync(path.join(tempDir, 'bin'))).toBe(false);
+    });
+
+    test('reports HTTP and network failures', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      await expect(downloadBinary('v0.14.0', tempDir, { sha256: digest })).rejects.toThrow('failed with HTTP 404');
+
+      global.fetch.mockRejectedValueOnce(Object.assign(new Error('fetch failed'), { cause: new Error('getaddrinfo ENOTFOUND github.com') }));
+      await expect(downloadBinary('v0.14.0', tempDir, { sha256: digest })).rejects.toThrow('failed: getaddrinfo ENOTFOUND github.com');
+    });
+  });
+
+  describe('checkDocker', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockExecFile = (error, stderr = '') => jest.spyOn(childProcess, 'execFile')
+      .mockImplementation((file, args, options, callback) => callback(error, { stdout: '24.0.7\n', stderr }));
+
+    test('accepts a daemon that answers', async () => {
+      const execFile = mockExecFile(null);
+
+      expect(await checkDocker()).toEqual({ ok: true });
+      expect(execFile).toHaveBeenCalledWith('docker', ['info', '--format', '{{.ServerVersion}}'], { timeout: 15000 }, expect.any(Function));
+    });
+
+    test('tells a missing client from an unreachable daemon', async () => {
+      mockExecFile(Object.assign(new Error('spawn docker ENOENT'), { code: 'ENOENT' }));
+      expect(await checkDocker()).toEqual({ ok: false, reason: 'docker is not installed' });
+
+      mockExecFile(Object.assign(new Error('Command failed'), {
+        code: 1,
+        stderr: 'Cannot connect to the Docker daemon at unix:///var/run/docker.sock. Is the docker daemon running?\n'
+      }));
+      expect(await checkDocker()).toEqual({
+        ok: false,
+        reason: 'the Docker daemon is not reachable (Cannot connect to the Docker daemon at unix:///var/run/docker.sock. Is the docker daemon running?)'
+      });
+    });
+  });
+
+  describe('checkBinary', () => {
+    test('reports why the binary cannot be downloaded', async () => {
+      process.env.PATH = '';
+
+      const result = await checkBinary({ binaryVersion: 'v0.14.0', installDir: path.join(tempDir, 'bin') });
+
+      expect(result).toEqual({
+        ok: false,
+        reason: `github-mcp-server is not on PATH and could not be downloaded: no SHA-256 is pinned for ${getReleaseAssetName()} of v0.14.0 - set github_mcp_binary_sha256 to download it`
+      });
+    });
+  });
+
+  describe('checkRemote', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, body: null });
+      fs.writeFileSync(path.join(tempDir, 'npx'), '#!/bin/sh\n', { mode: 0o755 });
+      process.env.PATH = tempDir;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('accepts an endpoint that initializes with the token', async () => {
+      expect(await checkRemote({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token' })).toEqual({ ok: true });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://mcp.example.com/');
+      expect(request.method).toBe('POST');
+      expect(request.headers.Authorization).toBe('Bearer ghs_token');
+      expect(JSON.parse(request.body)).toMatchObject({ jsonrpc: '2.0', method: 'initialize' });
+    });
+
+    test('rejects a missing URL or npx without probing', async () => {
+      expect(await checkRemote({ remoteUrl: '' })).toEqual({ ok: false, reason: 'github_mcp_remote_url is empty' });
+      process.env.PATH = '';
+      expect(await checkRemote({ remoteUrl: 'https://mcp.example.com/' })).toEqual({ ok: false, reason: 'npx is not on PATH' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unreachable or unauthorized endpoint', async () => {
+      global.fetch.mockRejectedValueOnce(Object.assign(new Error('fetch failed'), { cause: new Error('getaddrinfo ENOTFOUND mcp.example.com') }));
+      expect(await checkRemote({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token' }))
+        .toEqual({ ok: false, reason: 'https://mcp.example.com/ is not reachable (getaddrinfo ENOTFOUND mcp.example.com)' });
+
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 401, body: null });
+      expect(await checkRemote({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token' }))
+        .toEqual({ ok: false, reason: 'https://mcp.example.com/ rejected the GitHub token with HTTP 401' });
+
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404, body: null });
+      expect(await checkRemote({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token' }))
+        .toEqual({ ok: false, reason: 'https://mcp.example.com/ answered HTTP 404' });
+    });
+
+    test('falls back past an unauthorized endpoint in auto mode', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 403, body: null });
+      const checks = { docker: fail('docker is not installed'), binary: fail('no checksum'), remote: checkRemote };
+
+      expect(await resolveGitHubMCPTransport({ remoteUrl: 'https://mcp.example.com/', token: 'ghs_token', installDir: tempDir, checks })).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('remote: https://mcp.example.com/ rejected the GitHub token with HTTP 403'));
+    });
+  });
+});
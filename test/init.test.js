@@ -13,6 +13,7 @@ jest.mock('@actions/core', () => ({
   warning: jest.fn(),
   setOutput: jest.fn(),
   setFailed: jest.fn(),
+  setSecret: jest.fn(),
 }));
 
 // Mock @actions/github with mutable context
@@ -81,6 +82,21 @@ jest.mock('@actions/github', () => ({
   getOctokit: jest.fn(() => mockOctokit)
 }));
 
+// Mock STS so credential resolution never leaves the test
+const mockSTSSend = jest.fn();
+jest.mock('@aws-sdk/client-sts', () => ({
+  STSClient: jest.fn(() => ({ send: mockSTSSend, destroy: jest.fn() })),
+  GetCallerIdentityCommand: jest.fn(),
+  AssumeRoleCommand: jest.fn()
+}));
+
+// Mock the GitHub MCP transport choice so no test runs docker or downloads the binary
+const mockResolveGitHubMCPTransport = jest.fn();
+jest.mock('../src/config/github-mcp-transport', () => ({
+  ...jest.requireActual('../src/config/github-mcp-transport'),
+  resolveGitHubMCPTransport: (...args) => mockResolveGitHubMCPTransport(...args)
+}));
+
 const core = require('@actions/core');
 
 describe('init', () => {
@@ -91,6 +107,8 @@ describe('init', () => {
     originalEnv = { ...process.env };
     jest.clearAllMocks();
     mockExit.mockClear();
+    mockSTSSend.mockResolvedValue({ Account: '123456789012', Arn: 'arn:aws:sts::123456789012:assumed-role/ci/run' });
+    mockResolveGitHubMCPTransport.mockResolvedValue({ transport: 'docker', command: null });
 
     // Create temp directory
     tempDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'init-test-'));
@@ -175,7 +193,114 @@ describe('init', () => {
     });
   });
 
+  describe('AWS credentials', () => {
+    test('publishes the validated credential source', async () => {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIAEXAMPLEEXAMPLE12';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secret-key-value';
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('aws_credential_source', 'environment');
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('arn:aws:sts::123456789012:assumed-role/ci/run'));
+    });
+
+    test('warns and continues when there are no AWS credentials', async () => {
+      delete process.env.AWS_ACCESS_KEY_ID;
+      delete process.env.AWS_PROFILE;
+      delete process.env.AWS_WEB_IDENTITY_TOKEN_FILE;
+      delete process.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+      delete process.env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+      process.env.AWS_SHARED_CREDENTIALS_FILE = path.join(tempDir, 'missing-credentials');
+      process.env.AWS_EC2_METADATA_DISABLED = 'true';
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('aws_credential_source', '');
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('No AWS credentials found'));
+      expect(core.setOutput).toHaveBeenCalledWith('prompt_file', expect.any(String));
+    });
+
+    test('writes the session credentials of aws_targets roles', async () => {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIAEXAMPLEEXAMPLE12';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secret-key-value';
+      process.env.AWS_TARGETS = '[{alias: prod, region: us-east-1, role_arn: "arn:aws:iam::111111111111:role/awsapm"}]';
+      process.env.INVESTIGATION_TIMEOUT = '90';
+      mockSTSSend
+        .mockResolvedValueOnce({ Account: '123456789012', Arn: 'arn:aws:sts::123456789012:assumed-role/ci/run' })
+        .mockResolvedValueOnce({
+          Credentials: {
+            AccessKeyId: 'ASIAPRODROLE00000000',
+            SecretAccessKey: 'prod-secret',
+            SessionToken: 'prod-session-token',
+            Expiration: new Date('2026-10-19T13:00:00Z')
+          }
+        });
+
+      await run();
+
+      const credentialsFile = core.setOutput.mock.calls.find(c => c[0] === 'aws_target_credentials_file')[1];
+      const credentials = fs.readFileSync(credentialsFile, 'utf8');
+      expect(credentials).toContain('[awsapm-prod]');
+      expect(credentials).toContain('aws_session_token = prod-session-token');
+      expect(credentials).not.toContain('secret-key-value');
+      expect(require('@aws-sdk/client-sts').AssumeRoleCommand).toHaveBeenCalledWith(expect.objectContaining({ DurationSeconds: 105 * 60 }));
+      expect(core.setSecret).toHaveBeenCalledWith('prod-secret');
+      expect(core.info).toHaveBeenCalledWith('AWS environments from aws_targets: prod');
+    });
+
+    test('fails before any work on an invalid aws_targets input', async () => {
+      process.env.AWS_TARGETS = '[{alias: prod}]';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid aws_targets'));
+      expect(mockSTSSend).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GitHub MCP transport', () => {
+    test('publishes the chosen transport and binary', async () => {
+      process.env.GITHUB_MCP_TRANSPORT = 'auto';
+      process.env.GITHUB_MCP_BINARY_VERSION = 'v0.13.0';
+      process.env.GITHUB_MCP_BINARY_SHA256 = 'a'.repeat(64);
+      mockResolveGitHubMCPTransport.mockResolvedValue({ transport: 'binary', command: '/run-home/bin/github-mcp-server' });
+
+      await run();
+
+      expect(mockResolveGitHubMCPTransport).toHaveBeenCalledWith(expect.objectContaining({
+        preference: 'auto',
+        binaryVersion: 'v0.13.0',
+        binarySha256: 'a'.repeat(64),
+        token: expect.any(String),
+        installDir: expect.stringMatching(/bin$/)
+      }));
+      expect(core.setOutput).toHaveBeenCalledWith('github_mcp_transport', 'binary');
+      expect(core.setOutput).toHaveBeenCalledWith('github_mcp_command', '/run-home/bin/github-mcp-server');
+    });
+
+    test('publishes an empty transport when none works', async () => {
+      mockResolveGitHubMCPTransport.mockResolvedValue(null);
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('github_mcp_transport', '');
+      expect(core.setOutput).toHaveBeenCalledWith('prompt_file', expect.any(String));
+    });
+
+    test('does not resolve a transport for a replay', async () => {
+      process.env.AGENT_CLI = 'replay';
+
+      await run();
+
+      expect(mockResolveGitHubMCPTransport).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('github_mcp_transport', '');
+      expect(core.setOutput).toHaveBeenCalledWith('prompt_file', expect.any(String));
+    });
+  });
+
   describe('prompt creation', () => {
+    const getPromptFile = () => core.setOutput.mock.calls.find(c => c[0] === 'prompt_file')[1];
+
     test('creates prompt directory', async () => {
       await run();
 
@@ -183,10 +308,47 @@ describe('init', () => {
       expect(fs.existsSync(promptDir)).toBe(true);
     });
 
+    test('creates an isolated config home under RUNNER_TEMP', async () => {
+      await run();
+
+      const configHome = core.setOutput.mock.calls.find(c => c[0] === 'config_home')[1];
+      expect(path.dirname(configHome)).toBe(tempDir);
+      expect(fs.statSync(configHome).isDirectory()).toBe(true);
+    });
+
+    test('publishes the session directory and cache key of the issue', async () => {
+      process.env.RESUME_SESSION = 'true';
+      fs.mkdirSync(path.join(tempDir, 'awsapm-session'));
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('session_dir', path.join(tempDir, 'awsapm-session'));
+      expect(core.setOutput).toHaveBeenCalledWith('session_key', 'awsapm-session-test-owner-test-repo-1');
+      // A stale session from an earlier job is never resumed
+      expect(fs.existsSync(path.join(tempDir, 'awsapm-session'))).toBe(false);
+    });
+
+    test('skips session resume when resume_session is false', async () => {
+      process.env.RESUME_SESSION = 'false';
+
+      await run();
+
+      expect(core.setOutput).not.toHaveBeenCalledWith('session_key', expect.anything());
+    });
+
+    test('skips session resume unless resume_session is enabled', async () => {
+      delete process.env.RESUME_SESSION;
+
+      await run();
+
+      expect(core.setOutput).not.toHaveBeenCalledWith('session_dir', expect.anything());
+      expect(core.setOutput).not.toHaveBeenCalledWith('session_key', expect.anything());
+    });
+
     test('creates prompt file with user request', async () => {
       await run();
 
-      const promptFile = path.join(tempDir, 'awsapm-prompts', 'awsapm-prompt.txt');
+      const promptFile = getPromptFile();
       expect(fs.existsSync(promptFile)).toBe(true);
 
       const content = fs.readFileSync(promptFile, 'utf8');
@@ -196,7 +358,7 @@ describe('init', () => {
     test('removes bot name from prompt', async () => {
       await run();
 
-      const promptFile = path.join(tempDir, 'awsapm-prompts', 'awsapm-prompt.txt');
+      const promptFile = getPromptFile();
       const content = fs.readFileSync(promptFile, 'utf8');
 
       expect(content).not.toContain('@awsapm');
@@ -209,12 +371,50 @@ Line 2`;
 
       await run();
 
-      const promptFile = path.join(tempDir, 'awsapm-prompts', 'awsapm-prompt.txt');
+      const promptFile = getPromptFile();
       const content = fs.readFileSync(promptFile, 'utf8');
 
       expect(content).toContain('Line 1');
       expect(content).toContain('Line 2');
     });
+
+    test('runs in read-only mode when the request asks for analysis only', async () => {
+      mockContext.payload.comment.body = '@awsapm analysis only: why is checkout slow?';
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('read_only', 'true');
+      expect(core.info).toHaveBeenCalledWith('Read-only mode: enabled by "analysis only" in the request');
+      const content = fs.readFileSync(getPromptFile(), 'utf8');
+      expect(content).toContain('READ-ONLY MODE');
+      expect(content).not.toContain('When to Create Pull Requests');
+    });
+
+    test('runs in read-only mode when the read_only input is set', async () => {
+      process.env.READ_ONLY = 'true';
+
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('read_only', 'true');
+    });
+
+    test('allows pull requests by default', async () => {
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('read_only', 'false');
+      expect(fs.readFileSync(getPromptFile(), 'utf8')).toContain('When to Create Pull Requests');
+    });
+
+    test('uses a unique prompt file per run', async () => {
+      await run();
+      const firstPromptFile = getPromptFile();
+      core.setOutput.mockClear();
+
+      await run();
+
+      expect(getPromptFile()).not.toBe(firstPromptFile);
+      expect(path.dirname(path.dirname(firstPromptFile))).toBe(path.join(tempDir, 'awsapm-prompts'));
+    });
   });
 
   describe('branch creation', () => {
@@ -262,6 +462,20 @@ Line 2`;
       expect(core.setOutput).toHaveBeenCalledWith('awsapm_comment_id', 456);
     });
 
+    test('publishes the comment ID and token before a later step fails', async () => {
+      mockOctokit.rest.issues.createComment.mockResolvedValue({
+        data: { id: 456 }
+      });
+      mockResolveGitHubMCPTransport.mockRejectedValue(new Error('transport check crashed'));
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('transport check crashed'));
+      expect(core.setOutput).toHaveBeenCalledWith('awsapm_comment_id', 456);
+      expect(core.setOutput).toHaveBeenCalledWith('GITHUB_TOKEN', expect.any(String));
+      expect(core.setOutput).not.toHaveBeenCalledWith('prompt_file', expect.any(String));
+    });
+
     test('tracking comment contains processing message', async () => {
       await run();
 
@@ -371,6 +585,43 @@ Line 2`;
       expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('GitHub token'));
     });
 
+    test('fails validation for unknown agent_cli', async () => {
+      process.env.AGENT_CLI = 'not-a-cli';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Unknown agent_cli "not-a-cli"'));
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test('fails validation for unknown github_mcp_transport', async () => {
+      process.env.GITHUB_MCP_TRANSPORT = 'podman';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Unknown github_mcp_transport "podman"'));
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    test('fails validation for invalid mcp_servers', async () => {
+      process.env.MCP_SERVERS = 'runbooks:\n  args: [serve]';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('Invalid mcp_servers: "runbooks.command" is required'));
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    test('accepts a registered agent_cli', async () => {
+      process.env.AGENT_CLI = 'amazonq';
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('contains_trigger', 'true');
+    });
+
     test('handles reaction creation failure gracefully', async () => {
       mockOctokit.rest.reactions.createForIssueComment.mockRejectedValue(new Error('Reaction failed'));
 
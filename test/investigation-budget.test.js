@@ -0,0 +1,158 @@
+const {
+  InvestigationBudget,
+  BudgetExceededError,
+  describeBudgetCount,
+  describeExceededBudget
+} = require('../src/utils/investigation-budget');
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+const core = require('@actions/core');
+
+function assistantEvent(id, content, usage = null) {
+  return JSON.stringify({
+    type: 'assistant',
+    message: { id, model: 'claude-sonnet-4-20250514', content, ...(usage ? { usage } : {}) }
+  }) + '\n';
+}
+
+describe('InvestigationBudget', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('limits', () => {
+    test('reads limits from the environment', () => {
+      process.env.MAX_TOOL_CALLS = '20';
+      process.env.MAX_LOG_QUERIES = '5';
+      process.env.MAX_TOKENS = '';
+
+      const budget = InvestigationBudget.fromEnv();
+
+      expect(budget.limits).toEqual({ max_tool_calls: 20, max_log_queries: 5, max_tokens: 0 });
+      expect(budget.hasLimits()).toBe(true);
+    });
+
+    test('has no limits by default', () => {
+      delete process.env.MAX_TOOL_CALLS;
+      delete process.env.MAX_LOG_QUERIES;
+      delete process.env.MAX_TOKENS;
+
+      expect(InvestigationBudget.fromEnv().hasLimits()).toBe(false);
+    });
+
+    test('ignores and warns about invalid limits', () => {
+      expect(InvestigationBudget.parseLimit('lots', 'max_tokens')).toBe(0);
+      expect(InvestigationBudget.parseLimit('-1', 'max_tokens')).toBe(0);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid max_tokens "lots"'));
+    });
+  });
+
+  describe('stream monitoring', () => {
+    test('counts Amazon Q tool calls and reports the exceeded budget once', () => {
+      const budget = new InvestigationBudget({ max_tool_calls: 2 });
+      const onExceeded = jest.fn();
+      budget.onExceeded = onExceeded;
+
+      budget.handleOutput('🛠️  Using tool: list_monitored_services from mcp server applicationsignals\n');
+      budget.handleOutput(' ● Running list_monitored_services with the param:\n ● Completed in 1.2s\n');
+      budget.handleOutput('🛠️  Using tool: audit_services from mcp server applicationsignals\n');
+      expect(onExceeded).not.toHaveBeenCalled();
+
+      budget.handleOutput('🛠️  Using tool: audit_slos from mcp ');
+      budget.handleOutput('server applicationsignals\n🛠️  Using tool: audit_slos\n');
+
+      expect(budget.counts.toolCalls).toBe(4);
+      expect(onExceeded).toHaveBeenCalledTimes(1);
+      expect(onExceeded).toHaveBeenCalledWith({ budget: 'max_tool_calls', limit: 2, used: 3 });
+    });
+
+    test('counts Logs Insights queries separately', () => {
+      const budget = new InvestigationBudget({ max_log_queries: 1 });
+
+      budget.handleOutput('● Running mcp__awslabs_cloudwatch-mcp-server__execute_log_insights_query\n');
+      budget.handleOutput('● Running mcp__awslabs_cloudwatch-mcp-server__describe_log_groups\n');
+      expect(budget.exceeded).toBeNull();
+
+      budget.handleOutput('● Running mcp__applicationsignals__search_transaction_spans\n');
+
+      expect(budget.counts).toEqual({ toolCalls: 3, logQueries: 2, tokens: 0 });
+      expect(budget.exceeded).toEqual({ budget: 'max_log_queries', limit: 1, used: 2 });
+    });
+
+    test('does not count tool names mentioned in text', () => {
+      const budget = new InvestigationBudget({ max_tool_calls: 1, max_log_queries: 1 });
+
+      budget.handleOutput('Next I will call mcp__awslabs_cloudwatch-mcp-server__execute_log_insights_query on the checkout logs\n');
+      budget.handleOutput('The prompt allows mcp__applicationsignals__audit_services for this\n');
+
+      expect(budget.counts).toEqual({ toolCalls: 0, logQueries: 0, tokens: 0 });
+      expect(budget.exceeded).toBeNull();
+    });
+
+    test('counts Claude stream-json tool calls and tokens once per message', () => {
+      const budget = new InvestigationBudget({ max_tokens: 1000 });
+      const usage = { input_tokens: 300, output_tokens: 50, cache_read_input_tokens: 100 };
+
+      budget.handleOutput(assistantEvent('msg_1', [{ type: 'text', text: 'Looking' }], usage));
+      budget.handleOutput(assistantEvent('msg_1', [{ type: 'tool_use', name: 'mcp__applicationsignals__audit_services' }], usage));
+      expect(budget.counts).toEqual({ toolCalls: 1, logQueries: 0, tokens: 450 });
+
+      budget.handleOutput(assistantEvent('msg_2', [{ type: 'text', text: 'More' }], { input_tokens: 500, output_tokens: 100 }));
+
+      expect(budget.counts.tokens).toBe(1050);
+      expect(budget.exceeded).toEqual({ budget: 'max_tokens', limit: 1000, used: 1050 });
+    });
+
+    test('keeps the counts but drops the stream state for the next attempt', () => {
+      const budget = new InvestigationBudget({ max_tool_calls: 2 });
+      budget.onExceeded = jest.fn();
+      budget.handleOutput('🛠️  Using tool: audit_services from mcp server applicationsignals\n🛠️  Using tool: audit_slos from mcp ');
+
+      budget.startAttempt();
+      const onExceeded = jest.fn();
+      budget.onExceeded = onExceeded;
+      budget.handleOutput('server applicationsignals\n🛠️  Using tool: audit_slos from mcp server applicationsignals\n');
+
+      expect(budget.counts.toolCalls).toBe(2);
+      expect(onExceeded).not.toHaveBeenCalled();
+      budget.handleOutput('🛠️  Using tool: list_slis from mcp server applicationsignals\n');
+      expect(onExceeded).toHaveBeenCalledWith({ budget: 'max_tool_calls', limit: 2, used: 3 });
+    });
+
+    test('ignores unlimited budgets', () => {
+      const budget = new InvestigationBudget();
+
+      budget.recordTokens(1e9);
+      budget.recordToolCall('execute_log_insights_query');
+
+      expect(budget.exceeded).toBeNull();
+    });
+  });
+
+  describe('descriptions', () => {
+    test('describes a count against a budget', () => {
+      expect(describeBudgetCount('max_log_queries', 5)).toBe('5 Logs Insights queries');
+    });
+
+    test('BudgetExceededError names the budget and carries the partial result', () => {
+      const exceeded = { budget: 'max_tool_calls', limit: 20, used: 21 };
+      const error = new BudgetExceededError(exceeded, 'partial findings');
+
+      expect(error.name).toBe('BudgetExceededError');
+      expect(error.message).toBe(`Investigation stopped: ${describeExceededBudget(exceeded)}`);
+      expect(error.message).toBe('Investigation stopped: 21 MCP tool calls used, exceeding the max_tool_calls budget of 20');
+      expect(error.budget).toBe('max_tool_calls');
+      expect(error.partialResult).toBe('partial findings');
+    });
+  });
+});
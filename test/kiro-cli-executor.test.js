@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  exec: jest.fn()
+}));
+
+const { KiroCLIExecutor, KIRO_AGENT_NAME } = require('../src/executors/kiro-cli-executor');
+const { AmazonQCLIExecutor } = require('../src/executors/amazonq-cli-executor');
+const core = require('@actions/core');
+const { exec } = require('child_process');
+
+describe('KiroCLIExecutor', () => {
+  let executor;
+  let originalEnv;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    executor = new KiroCLIExecutor();
+
+    exec.mockImplementation((cmd, opts, callback) => {
+      if (typeof opts === 'function') {
+        callback = opts;
+      }
+      setImmediate(() => callback(null, { stdout: 'success', stderr: '' }));
+    });
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('extends AmazonQCLIExecutor', () => {
+    expect(executor).toBeInstanceOf(AmazonQCLIExecutor);
+  });
+
+  test('uses the kiro-cli binary', () => {
+    expect(executor.getCommandName()).toBe('kiro-cli');
+  });
+
+  test('runs chat non-interactively with the awsapm agent', () => {
+    const args = executor.getCommandArgs();
+
+    expect(args).toEqual(expect.arrayContaining(['chat', '--no-interactive']));
+    expect(args[args.indexOf('--agent') + 1]).toBe(KIRO_AGENT_NAME);
+  });
+
+  test('leaves tool trust to the agent definition', () => {
+    const args = executor.getCommandArgs();
+
+    expect(args).not.toContain('--trust-all-tools');
+    expect(args.some(arg => arg.startsWith('--trust-tools'))).toBe(false);
+  });
+
+  test('keeps SIGV4 authentication from AmazonQCLIExecutor', () => {
+    process.env.GITHUB_TOKEN = 'test-token';
+
+    const env = executor.getEnvironmentVariables();
+
+    expect(env.AMAZON_Q_SIGV4).toBe('1');
+    expect(env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe('test-token');
+  });
+
+  describe('buildAgentConfig', () => {
+    test('allows the trusted tools in @server/tool format', () => {
+      executor.applyToolPolicy({
+        mcpServers: {
+          applicationsignals: { autoApprove: ['mcp__applicationsignals__audit_services'] },
+          'awslabs.cloudwatch-mcp-server': { autoApprove: ['mcp__awslabs_cloudwatch-mcp-server__get_metric_data'] }
+        }
+      });
+
+      expect(executor.buildAgentConfig().allowedTools).toEqual([
+        'fs_read',
+        '@applicationsignals/audit_services',
+        '@awslabs.cloudwatch-mcp-server/get_metric_data'
+      ]);
+    });
+
+    test('skips disabled servers', () => {
+      executor.applyToolPolicy({
+        mcpServers: { github: { autoApprove: ['mcp__github__push_files'], disabled: true } }
+      });
+
+      expect(executor.buildAgentConfig().allowedTools).toEqual(['fs_read']);
+    });
+  });
+
+  describe('setupConfiguration', () => {
+    let writeFileSyncSpy;
+    let mkdirSyncSpy;
+
+    beforeEach(() => {
+      writeFileSyncSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+      mkdirSyncSpy = jest.spyOn(fs, 'mkdirSync').mockImplementation(() => {});
+      jest.spyOn(fs, 'existsSync').mockReturnValue(false);
+      jest.spyOn(os, 'homedir').mockReturnValue('/mock/home');
+    });
+
+    test('creates Kiro settings and agents directories', async () => {
+      await executor.setupConfiguration();
+
+      expect(mkdirSyncSpy).toHaveBeenCalledWith(path.join('/mock/home', '.kiro', 'settings'), { recursive: true });
+      expect(mkdirSyncSpy).toHaveBeenCalledWith(path.join('/mock/home', '.kiro', 'agents'), { recursive: true });
+    });
+
+    test('writes MCP config to ~/.kiro/settings/mcp.json', async () => {
+      process.env.GITHUB_TOKEN = 'test-token';
+
+      await executor.setupConfiguration();
+
+      const call = writeFileSyncSpy.mock.calls.find(c => c[0] === path.join('/mock/home', '.kiro', 'settings', 'mcp.json'));
+      expect(call).toBeDefined();
+      expect(JSON.parse(call[1]).mcpServers.github).toBeDefined();
+    });
+
+    test('writes agent definition referencing mcp.json', async () => {
+      process.env.GITHUB_TOKEN = 'test-token';
+
+      await executor.setupConfiguration();
+
+      const call = writeFileSyncSpy.mock.calls.find(c => c[0] === path.join('/mock/home', '.kiro', 'agents', 'awsapm.json'));
+      const agent = JSON.parse(call[1]);
+      expect(agent.name).toBe('awsapm');
+      expect(agent.includeMcpJson).toBe(true);
+      expect(agent.allowedTools).toContain('@github/get_file_contents');
+    });
+
+    test('returns null when uvx is unavailable', async () => {
+      exec.mockImplementation((cmd, opts, callback) => {
+        setImmediate(() => callback(new Error('not found')));
+      });
+
+      expect(await executor.setupConfiguration()).toBeNull();
+      expect(writeFileSyncSpy).not.toHaveBeenCalled();
+    });
+
+    test('handles errors gracefully and warns', async () => {
+      writeFileSyncSpy.mockImplementation(() => {
+        throw new Error('Write failed');
+      });
+
+      expect(await executor.setupConfiguration()).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Failed to setup Kiro MCP configuration'));
+    });
+  });
+});
@@ -1,4 +1,13 @@
-const { MCPConfigManager } = require('../src/config/mcp-config');
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { MCPConfigManager, DEFAULT_MCP_SERVER_VERSIONS } = require('../src/config/mcp-config');
 
 describe('MCPConfigManager', () => {
   let manager;
@@ -39,7 +48,7 @@ describe('MCPConfigManager', () => {
 
       expect(config.mcpServers['awslabs.cloudwatch-mcp-server']).toBeDefined();
       expect(config.mcpServers['awslabs.cloudwatch-mcp-server'].command).toBe('uvx');
-      expect(config.mcpServers['awslabs.cloudwatch-mcp-server'].args).toContain('awslabs.cloudwatch-mcp-server@latest');
+      expect(config.mcpServers['awslabs.cloudwatch-mcp-server'].args).toContain('awslabs.cloudwatch-mcp-server@0.0.13');
     });
 
     test('excludes CloudWatch server when ENABLE_CLOUDWATCH_MCP is false', () => {
@@ -102,12 +111,14 @@ describe('MCPConfigManager', () => {
       expect(config.mcpServers.github.autoApprove.length).toBeGreaterThan(0);
     });
 
-    test('passes GitHub token to GitHub server env', () => {
+    test('never writes the GitHub token into the server config', () => {
       process.env.GITHUB_TOKEN = 'ghp_test123';
 
       const config = manager.buildMCPConfig();
 
-      expect(config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe('ghp_test123');
+      expect(config.mcpServers.github.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBeUndefined();
+      expect(config.mcpServers.github.args).toContain('GITHUB_PERSONAL_ACCESS_TOKEN');
+      expect(JSON.stringify(config)).not.toContain('ghp_test123');
     });
 
     test('GitHub server includes GITHUB_HOST env var', () => {
@@ -142,6 +153,84 @@ describe('MCPConfigManager', () => {
 
       expect(manager.hasAWSCredentials()).toBe(false);
     });
+
+    test('returns true for credentials from other provider chain sources', () => {
+      delete process.env.AWS_ACCESS_KEY_ID;
+      process.env.AWS_WEB_IDENTITY_TOKEN_FILE = '/var/run/secrets/token';
+      process.env.AWS_ROLE_ARN = 'arn:aws:iam::123456789012:role/ci';
+
+      expect(manager.hasAWSCredentials()).toBe(true);
+    });
+
+    test('uses the credential source resolved by the init step', () => {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIATEST123';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secretkey';
+      process.env.AWSAPM_CREDENTIAL_SOURCE = '';
+      expect(manager.hasAWSCredentials()).toBe(false);
+
+      delete process.env.AWS_ACCESS_KEY_ID;
+      process.env.AWSAPM_CREDENTIAL_SOURCE = 'instance_metadata';
+      expect(manager.hasAWSCredentials()).toBe(true);
+    });
+  });
+
+  describe('mcp_servers input', () => {
+    beforeEach(() => {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIATEST123';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secretkey';
+      process.env.GITHUB_TOKEN = 'ghs_test';
+      delete process.env.ENABLE_CLOUDWATCH_MCP;
+    });
+
+    test('adds user servers next to the built-in ones', () => {
+      process.env.MCP_SERVERS = JSON.stringify({
+        runbooks: { command: 'uvx', args: ['acme.runbook-mcp-server@1.4.0'], autoApprove: ['search_runbooks'] }
+      });
+
+      const config = manager.buildMCPConfig();
+
+      expect(Object.keys(config.mcpServers)).toEqual(['applicationsignals', 'github', 'runbooks']);
+      expect(config.mcpServers.runbooks).toEqual({
+        command: 'uvx',
+        args: ['acme.runbook-mcp-server@1.4.0'],
+        env: {},
+        autoApprove: ['mcp__runbooks__search_runbooks'],
+        transportType: 'stdio',
+        disabled: false
+      });
+    });
+
+    test('overrides and disables built-in servers', () => {
+      process.env.MCP_SERVERS = [
+        'applicationsignals:',
+        '  env:',
+        '    AWS_REGION: eu-west-1',
+        'github:',
+        '  disabled: true'
+      ].join('\n');
+
+      const config = manager.buildMCPConfig();
+
+      expect(config.mcpServers.applicationsignals.command).toBe('uvx');
+      expect(config.mcpServers.applicationsignals.env).toEqual({ MCP_RUN_FROM: 'awsapm-gh', AWS_REGION: 'eu-west-1' });
+      expect(config.mcpServers.applicationsignals.autoApprove).toEqual(manager.getApplicationSignalsToolsList());
+      expect(config.mcpServers.github.disabled).toBe(true);
+    });
+
+    test('enables a built-in server that is off by default when it is listed', () => {
+      process.env.MCP_SERVERS = '{"awslabs.cloudwatch-mcp-server": {}}';
+
+      const config = manager.buildMCPConfig();
+
+      expect(config.mcpServers['awslabs.cloudwatch-mcp-server'].args).toEqual(['awslabs.cloudwatch-mcp-server@0.0.13']);
+      expect(config.mcpServers['awslabs.cloudwatch-mcp-server'].disabled).toBe(false);
+    });
+
+    test('throws for an invalid input', () => {
+      process.env.MCP_SERVERS = '{"runbooks": {"command": "uvx", "args": "serve"}}';
+
+      expect(() => manager.buildMCPConfig()).toThrow('Invalid mcp_servers: "runbooks.args" must be a list of strings');
+    });
   });
 
   describe('hasCloudWatchAccess', () => {
@@ -207,18 +296,252 @@ describe('MCPConfigManager', () => {
       const config = manager.getCloudWatchServerConfig();
 
       expect(config.command).toBe('uvx');
-      expect(config.args).toEqual(['awslabs.cloudwatch-mcp-server@latest']);
+      expect(config.args).toEqual(['awslabs.cloudwatch-mcp-server@0.0.13']);
       expect(config.transportType).toBe('stdio');
       expect(config.env.MCP_RUN_FROM).toBe('awsapm-gh');
     });
 
     test('getGitHubServerConfig returns Docker config', () => {
-      const config = manager.getGitHubServerConfig('test-token');
+      const config = manager.getGitHubServerConfig();
 
       expect(config.command).toBe('docker');
       expect(config.args).toContain('run');
       expect(config.args).toContain('-i');
-      expect(config.env.GITHUB_PERSONAL_ACCESS_TOKEN).toBe('test-token');
+      expect(config.env).toEqual({ GITHUB_HOST: expect.any(String) });
+    });
+  });
+
+  describe('read-only mode', () => {
+    const writeTools = [
+      'mcp__github__create_pull_request',
+      'mcp__github__push_files',
+      'mcp__github__create_or_update_file',
+      'mcp__github__create_branch'
+    ];
+
+    test('auto-approves GitHub write tools by default', () => {
+      delete process.env.READ_ONLY;
+
+      expect(manager.getGitHubToolsList()).toEqual(expect.arrayContaining(writeTools));
+      expect(manager.getGitHubServerConfig().env.GITHUB_READ_ONLY).toBeUndefined();
+    });
+
+    test('exposes only GitHub read tools', () => {
+      process.env.READ_ONLY = 'true';
+
+      const tools = manager.getGitHubToolsList();
+
+      expect(tools).toContain('mcp__github__get_file_contents');
+      for (const tool of writeTools) {
+        expect(tools).not.toContain(tool);
+      }
+    });
+
+    test('starts the GitHub server in read-only mode', () => {
+      process.env.READ_ONLY = 'true';
+
+      const config = manager.getGitHubServerConfig();
+
+      expect(config.env.GITHUB_READ_ONLY).toBe('1');
+      expect(config.args.join(' ')).toContain('-e GITHUB_READ_ONLY');
+    });
+  });
+
+  describe('aws_targets input', () => {
+    let targetCredentialsFile;
+
+    beforeEach(() => {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIATEST123';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secretkey';
+      process.env.AWS_TARGETS = `
+- alias: prod
+  region: us-east-1
+  role_arn: arn:aws:iam::111111111111:role/awsapm
+- alias: staging
+  region: eu-west-1
+  profile: staging
+`;
+      targetCredentialsFile = path.join(os.tmpdir(), `awsapm-target-credentials-${process.pid}`);
+      fs.writeFileSync(targetCredentialsFile, [
+        '[awsapm-prod]',
+        'aws_access_key_id = ASIAPROD',
+        'aws_secret_access_key = prod-secret',
+        'aws_session_token = prod-token',
+        '',
+        '[awsapm-staging]',
+        'aws_access_key_id = AKIASTAGING',
+        'aws_secret_access_key = staging-secret',
+        ''
+      ].join('\n'));
+      process.env.AWSAPM_AWS_TARGET_CREDENTIALS_FILE = targetCredentialsFile;
+    });
+
+    afterEach(() => {
+      fs.rmSync(targetCredentialsFile, { force: true });
+    });
+
+    test('replaces the Application Signals server with one per target', () => {
+      const config = manager.buildMCPConfig();
+
+      expect(config.mcpServers.applicationsignals).toBeUndefined();
+      expect(Object.keys(config.mcpServers)).toEqual(['applicationsignals-prod', 'applicationsignals-staging']);
+      expect(config.mcpServers['applicationsignals-prod'].args).toEqual(['awslabs.cloudwatch-applicationsignals-mcp-server@0.1.21']);
+    });
+
+    test('points each target at its own region and credentials profile', () => {
+      const config = manager.buildMCPConfig();
+
+      expect(config.mcpServers['applicationsignals-prod'].env).toEqual({
+        MCP_RUN_FROM: 'awsapm-gh',
+        AWS_REGION: 'us-east-1',
+        AWS_PROFILE: 'awsapm-prod',
+        AWS_SHARED_CREDENTIALS_FILE: targetCredentialsFile,
+        AWS_ACCESS_KEY_ID: '',
+        AWS_SECRET_ACCESS_KEY: '',
+        AWS_SESSION_TOKEN: '',
+        AWS_ROLE_ARN: '',
+        AWS_WEB_IDENTITY_TOKEN_FILE: ''
+      });
+      expect(config.mcpServers['applicationsignals-staging'].env).toMatchObject({
+        AWS_REGION: 'eu-west-1',
+        AWS_PROFILE: 'awsapm-staging',
+        AWS_SHARED_CREDENTIALS_FILE: targetCredentialsFile
+      });
+    });
+
+    test('writes no keys into the configuration', () => {
+      process.env.AWS_SESSION_TOKEN = 'runner-session-token';
+
+      const serialized = JSON.stringify(manager.buildMCPConfig());
+
+      for (const secret of ['ASIAPROD', 'prod-secret', 'prod-token', 'AKIASTAGING', 'staging-secret', 'AKIATEST123', 'secretkey', 'runner-session-token']) {
+        expect(serialized).not.toContain(secret);
+      }
+    });
+
+    test('blanks the runner credentials a target server would inherit', () => {
+      const env = manager.buildMCPConfig().mcpServers['applicationsignals-prod'].env;
+
+      // Set explicitly, so boto3 cannot pick the inherited runner values over AWS_PROFILE
+      for (const name of ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_ROLE_ARN', 'AWS_WEB_IDENTITY_TOKEN_FILE']) {
+        expect(env[name]).toBe('');
+      }
+    });
+
+    test('leaves out a role or profile target without credentials', () => {
+      fs.writeFileSync(targetCredentialsFile, '[awsapm-staging]\naws_access_key_id = AKIASTAGING\naws_secret_access_key = staging-secret\n');
+      process.env.AWS_TARGETS += '- alias: dev\n  region: us-west-2\n';
+
+      const config = manager.buildMCPConfig();
+
+      expect(Object.keys(config.mcpServers)).toEqual(['applicationsignals-staging', 'applicationsignals-dev']);
+      expect(config.mcpServers['applicationsignals-dev'].env).toEqual({ MCP_RUN_FROM: 'awsapm-gh', AWS_REGION: 'us-west-2' });
+    });
+
+    test('auto-approves the tools under each server name', () => {
+      const tools = manager.buildMCPConfig().mcpServers['applicationsignals-staging'].autoApprove;
+
+      expect(tools).toContain('mcp__applicationsignals-staging__audit_services');
+      expect(tools).toHaveLength(manager.getApplicationSignalsToolsList().length);
+    });
+
+    test('adds no target servers without AWS credentials', () => {
+      process.env.AWSAPM_CREDENTIAL_SOURCE = '';
+
+      expect(manager.buildMCPConfig().mcpServers['applicationsignals-prod']).toBeUndefined();
+    });
+
+    test('throws on an invalid input', () => {
+      process.env.AWS_TARGETS = '[{alias: prod}]';
+
+      expect(() => manager.getAWSTargets()).toThrow('Invalid aws_targets');
+    });
+  });
+
+  describe('GitHub MCP transport', () => {
+    beforeEach(() => {
+      process.env.GITHUB_TOKEN = 'ghp_test';
+    });
+
+    test('runs the Docker image outside the action', () => {
+      delete process.env.AWSAPM_GITHUB_MCP_TRANSPORT;
+
+      expect(manager.getGitHubTransport()).toBe('docker');
+      expect(manager.buildMCPConfig().mcpServers.github.command).toBe('docker');
+    });
+
+    test('runs the binary chosen by the init step', () => {
+      process.env.AWSAPM_GITHUB_MCP_TRANSPORT = 'binary';
+      process.env.AWSAPM_GITHUB_MCP_COMMAND = '/run-home/bin/github-mcp-server';
+      process.env.READ_ONLY = 'true';
+
+      const server = manager.buildMCPConfig().mcpServers.github;
+
+      expect(server.command).toBe('/run-home/bin/github-mcp-server');
+      expect(server.args).toEqual(['stdio']);
+      expect(server.env.GITHUB_READ_ONLY).toBe('1');
+      expect(JSON.stringify(server)).not.toContain('ghp_test');
+    });
+
+    test('reaches the remote endpoint through mcp-remote without writing the token', () => {
+      process.env.AWSAPM_GITHUB_MCP_TRANSPORT = 'remote';
+      process.env.GITHUB_MCP_REMOTE_URL = 'https://mcp.example.com/github/';
+
+      const server = manager.buildMCPConfig().mcpServers.github;
+
+      expect(server.command).toBe('npx');
+      expect(server.args).toEqual([
+        '-y',
+        'mcp-remote@0.14.3',
+        'https://mcp.example.com/github/',
+        '--header',
+        'Authorization:Bearer ${GITHUB_PERSONAL_ACCESS_TOKEN}'
+      ]);
+      expect(JSON.stringify(server)).not.toContain('ghp_test');
+    });
+
+    test('asks the remote endpoint for read tools only in read-only mode', () => {
+      process.env.AWSAPM_GITHUB_MCP_TRANSPORT = 'remote';
+      process.env.READ_ONLY = 'true';
+
+      const args = manager.getGitHubServerConfig().args;
+
+      expect(args).toContain('https://api.githubcopilot.com/mcp/');
+      expect(args.slice(-2)).toEqual(['--header', 'X-MCP-Readonly:true']);
+    });
+
+    test('leaves the GitHub server out when no transport works', () => {
+      process.env.AWSAPM_GITHUB_MCP_TRANSPORT = '';
+
+      expect(manager.buildMCPConfig().mcpServers.github).toBeUndefined();
+    });
+  });
+
+  describe('server versions', () => {
+    test('pins the built-in servers by default', () => {
+      delete process.env.APPLICATIONSIGNALS_MCP_VERSION;
+      delete process.env.GITHUB_MCP_VERSION;
+
+      expect(manager.getApplicationSignalsServerConfig().args)
+        .toEqual([`awslabs.cloudwatch-applicationsignals-mcp-server@${DEFAULT_MCP_SERVER_VERSIONS.applicationsignals}`]);
+      expect(manager.getGitHubServerConfig().args).toContain(`ghcr.io/github/github-mcp-server:${DEFAULT_MCP_SERVER_VERSIONS.github}`);
+    });
+
+    test('uses the version inputs', () => {
+      process.env.APPLICATIONSIGNALS_MCP_VERSION = '0.2.0';
+      process.env.CLOUDWATCH_MCP_VERSION = 'latest';
+      process.env.GITHUB_MCP_VERSION = 'v0.9.0';
+
+      expect(manager.getApplicationSignalsServerConfig().args).toEqual(['awslabs.cloudwatch-applicationsignals-mcp-server@0.2.0']);
+      expect(manager.getCloudWatchServerConfig().args).toEqual(['awslabs.cloudwatch-mcp-server@latest']);
+      expect(manager.getGitHubServerConfig().args).toContain('ghcr.io/github/github-mcp-server:v0.9.0');
+    });
+
+    test('falls back to the pinned version when the input is invalid', () => {
+      process.env.CLOUDWATCH_MCP_VERSION = '1.0; rm -rf /';
+
+      expect(manager.getServerVersion('awslabs.cloudwatch-mcp-server')).toBe(DEFAULT_MCP_SERVER_VERSIONS['awslabs.cloudwatch-mcp-server']);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid cloudwatch_mcp_version'));
     });
   });
 
@@ -0,0 +1,125 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const core = require('@actions/core');
+const { MCPConfigManager } = require('../src/config/mcp-config');
+const {
+  findToolMismatches,
+  warnOnToolMismatches,
+  checkBuiltInServerTools
+} = require('../src/config/mcp-tool-check');
+
+describe('mcp-tool-check', () => {
+  let originalEnv;
+  let manager;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.MCP_SERVERS;
+    delete process.env.CLOUDWATCH_MCP_VERSION;
+    manager = new MCPConfigManager();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  const bareToolNames = (name) => manager.getBuiltInServers()[name].autoApprove
+    .map(tool => tool.split('__').pop());
+
+  describe('findToolMismatches', () => {
+    test('reports approved tools the server lacks and exposed tools nobody approved', () => {
+      const mismatches = findToolMismatches(
+        'awslabs.cloudwatch-mcp-server',
+        ['mcp__awslabs_cloudwatch-mcp-server__get_metric_data', 'mcp__awslabs_cloudwatch-mcp-server__removed_tool'],
+        ['get_metric_data', 'new_tool']
+      );
+
+      expect(mismatches).toEqual({
+        missing: ['mcp__awslabs_cloudwatch-mcp-server__removed_tool'],
+        unapproved: ['mcp__awslabs_cloudwatch-mcp-server__new_tool']
+      });
+    });
+  });
+
+  describe('warnOnToolMismatches', () => {
+    test('logs the match when the server exposes exactly the auto-approved tools', () => {
+      const server = manager.getBuiltInServers()['awslabs.cloudwatch-mcp-server'];
+
+      const mismatches = warnOnToolMismatches('awslabs.cloudwatch-mcp-server', server, bareToolNames('awslabs.cloudwatch-mcp-server'), manager);
+
+      expect(mismatches).toEqual({ missing: [], unapproved: [] });
+      expect(core.warning).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('awslabs.cloudwatch-mcp-server MCP server 0.0.13 exposes all 11 auto-approved tools');
+    });
+
+    test('warns about missing and unapproved tools', () => {
+      const server = manager.getBuiltInServers()['awslabs.cloudwatch-mcp-server'];
+      const exposed = [...bareToolNames('awslabs.cloudwatch-mcp-server').slice(1), 'brand_new_tool'];
+
+      warnOnToolMismatches('awslabs.cloudwatch-mcp-server', server, exposed, manager);
+
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('does not expose auto-approved tools'));
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('mcp__awslabs_cloudwatch-mcp-server__brand_new_tool'));
+    });
+
+    test('skips servers overridden through mcp_servers', () => {
+      const server = { ...manager.getBuiltInServers().applicationsignals, args: ['my-fork@1.0.0'] };
+
+      expect(warnOnToolMismatches('applicationsignals', server, ['anything'], manager)).toBeNull();
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('skips custom servers', () => {
+      const server = { command: 'runbook-mcp', args: [], autoApprove: [] };
+
+      expect(warnOnToolMismatches('runbooks', server, ['search'], manager)).toBeNull();
+    });
+  });
+
+  describe('checkBuiltInServerTools', () => {
+    test('lists the tools of every unchanged built-in server', async () => {
+      const builtIns = manager.getBuiltInServers();
+      const mcpConfig = {
+        mcpServers: {
+          applicationsignals: builtIns.applicationsignals,
+          runbooks: { command: 'runbook-mcp', args: [], autoApprove: [] }
+        }
+      };
+      const listTools = jest.fn().mockResolvedValue(bareToolNames('applicationsignals'));
+
+      await checkBuiltInServerTools(mcpConfig, { cwd: '/tmp/repo', timeoutMs: 1000, listTools });
+
+      expect(listTools).toHaveBeenCalledTimes(1);
+      expect(listTools).toHaveBeenCalledWith(builtIns.applicationsignals, '/tmp/repo', 1000);
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('checks only servers moved off their pinned version when asked to', async () => {
+      const pinned = manager.getBuiltInServers();
+      const listTools = jest.fn().mockResolvedValue([]);
+
+      await checkBuiltInServerTools({ mcpServers: pinned }, { listTools, changedOnly: true });
+      expect(listTools).not.toHaveBeenCalled();
+
+      process.env.CLOUDWATCH_MCP_VERSION = '0.0.14';
+      const builtIns = new MCPConfigManager().getBuiltInServers();
+      await checkBuiltInServerTools({ mcpServers: builtIns }, { listTools, changedOnly: true });
+
+      expect(listTools).toHaveBeenCalledTimes(1);
+      expect(listTools).toHaveBeenCalledWith(builtIns['awslabs.cloudwatch-mcp-server'], expect.any(String), expect.any(Number));
+    });
+
+    test('skips the check of a server that fails to start', async () => {
+      const mcpConfig = { mcpServers: { applicationsignals: manager.getBuiltInServers().applicationsignals } };
+      const listTools = jest.fn().mockRejectedValue(new Error('uvx: command not found'));
+
+      await expect(checkBuiltInServerTools(mcpConfig, { listTools })).resolves.toBeUndefined();
+      expect(core.info).toHaveBeenCalledWith('Skipped the tool check of the applicationsignals MCP server: uvx: command not found');
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+  });
+});
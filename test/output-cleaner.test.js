@@ -90,6 +90,25 @@ Here is the analysis`;
       expect(result).not.toContain('Tool output');
     });
 
+    test('keeps a result marker on the first line even when later lines look like fallbacks', () => {
+      const input = `🎯 **Application observability for AWS Assistant Result**
+## Summary
+● Completed in 2s
+Final line`;
+
+      const result = cleaner.removeToolExecutionBlocks(input);
+      expect(result).toContain('## Summary');
+      expect(cleaner.filterMethod).toBe('result_marker');
+    });
+
+    test('records the fallback filter method', () => {
+      cleaner.removeToolExecutionBlocks('Banner\n�[?25l\nResult');
+      expect(cleaner.filterMethod).toBe('cursor_control');
+
+      cleaner.removeToolExecutionBlocks('Plain output');
+      expect(cleaner.filterMethod).toBe('none');
+    });
+
     test('falls back to cursor control sequence when marker not found', () => {
       const input = `Banner
 UI noise
@@ -332,4 +351,25 @@ Impact: 12% fault rate`;
       expect(result).toBe(cleaner.cleanAmazonQOutput(input));
     });
   });
+  describe('cleanMarkdownOutput', () => {
+    test('trims to result marker and formats markdown', () => {
+      const input = 'Preamble\n🎯 **Application observability for AWS Assistant Result**\n## Summary\nAll good';
+      const result = cleaner.cleanMarkdownOutput(input);
+
+      expect(result).toBe('🎯 **Application observability for AWS Assistant Result**\n\n## Summary\n\nAll good');
+    });
+
+    test('keeps blockquote lines intact', () => {
+      const input = '> first\n> second';
+      expect(cleaner.cleanMarkdownOutput(input)).toBe('> first\n> second');
+    });
+
+    test('returns text unchanged when no marker is present', () => {
+      expect(cleaner.trimToResultMarker('no marker here')).toBe('no marker here');
+    });
+
+    test('handles null input', () => {
+      expect(cleaner.trimToResultMarker(null)).toBe(null);
+    });
+  });
 });
@@ -0,0 +1,189 @@
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  debug: jest.fn(),
+  info: jest.fn()
+}));
+
+const { ProgressReporter, DEFAULT_UPDATE_INTERVAL_SECONDS } = require('../src/utils/progress-reporter');
+const core = require('@actions/core');
+
+describe('ProgressReporter', () => {
+  let updateComment;
+  let reporter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    updateComment = jest.fn().mockResolvedValue({});
+    reporter = new ProgressReporter({ updateComment, intervalSeconds: 30, workflowUrl: 'https://github.com/o/r/actions/runs/1' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('parseInterval', () => {
+    test('defaults when empty', () => {
+      expect(ProgressReporter.parseInterval('')).toBe(DEFAULT_UPDATE_INTERVAL_SECONDS);
+      expect(ProgressReporter.parseInterval(undefined)).toBe(DEFAULT_UPDATE_INTERVAL_SECONDS);
+    });
+
+    test('accepts 0 to disable updates', () => {
+      expect(ProgressReporter.parseInterval('0')).toBe(0);
+    });
+
+    test('warns and falls back on invalid values', () => {
+      expect(ProgressReporter.parseInterval('soon')).toBe(DEFAULT_UPDATE_INTERVAL_SECONDS);
+      expect(core.warning).toHaveBeenCalledWith('Invalid progress_update_interval "soon", using 30 seconds');
+    });
+  });
+
+  describe('handleOutput', () => {
+    test('tracks Amazon Q tool invocations and completions', () => {
+      reporter.handleOutput('🛠️  Using tool: list_monitored_services (trusted) from mcp server applicationsignals\n');
+      reporter.handleOutput(' ● Running list_monitored_services with the param:\n ● Completed in 1.25s\n');
+
+      expect(reporter.steps).toEqual([
+        { server: 'applicationsignals', tool: 'list_monitored_services', status: 'done', durationSeconds: 1.25 }
+      ]);
+    });
+
+    test('detects mcp__ tool names and failed calls', () => {
+      reporter.handleOutput('● Running mcp__applicationsignals__get_service_detail\n● Failed in 0.5s\n');
+
+      expect(reporter.steps).toEqual([
+        { server: 'applicationsignals', tool: 'get_service_detail', status: 'failed', durationSeconds: 0.5 }
+      ]);
+    });
+
+    test('ignores tool names the agent only mentions', () => {
+      reporter.handleOutput('● Running mcp__cloudwatch__describe_alarms\n');
+      reporter.handleOutput('Next I will call mcp__applicationsignals__audit_services for the checkout service\n');
+      reporter.handleOutput('● Completed in 2s\n');
+
+      expect(reporter.steps).toEqual([
+        { server: 'cloudwatch', tool: 'describe_alarms', status: 'done', durationSeconds: 2 }
+      ]);
+    });
+
+    test('buffers lines split across chunks', () => {
+      reporter.handleOutput('● Running mcp__cloudwatch__');
+      expect(reporter.steps).toHaveLength(0);
+
+      reporter.handleOutput('get_metric_data\n');
+      expect(reporter.steps[0]).toMatchObject({ server: 'cloudwatch', tool: 'get_metric_data', status: 'running' });
+    });
+
+    test('ignores ANSI codes', () => {
+      reporter.handleOutput('\x1b[32m● Running mcp__cloudwatch__describe_alarms\x1b[0m\n');
+
+      expect(reporter.steps[0].tool).toBe('describe_alarms');
+    });
+
+    test('tracks Claude Code stream-json tool calls', () => {
+      const toolUse = { type: 'assistant', message: { content: [{ type: 'tool_use', name: 'mcp__github__get_file_contents' }] } };
+      const toolResult = { type: 'user', message: { content: [{ type: 'tool_result', is_error: false }] } };
+      const init = { type: 'system', tools: ['mcp__applicationsignals__list_monitored_services'] };
+
+      reporter.handleOutput(`${JSON.stringify(init)}\n${JSON.stringify(toolUse)}\n${JSON.stringify(toolResult)}\n`);
+
+      expect(reporter.steps).toEqual([
+        { server: 'github', tool: 'get_file_contents', status: 'done', durationSeconds: null }
+      ]);
+    });
+
+    test('completes the oldest running step first', () => {
+      reporter.handleOutput('Using tool: first from mcp server a\nUsing tool: second from mcp server b\n● Completed in 2s\n');
+
+      expect(reporter.steps.map(s => s.status)).toEqual(['done', 'running']);
+    });
+  });
+
+  describe('render', () => {
+    test('shows a placeholder before the first tool call', () => {
+      const body = reporter.render();
+
+      expect(body).toContain('Application observability for AWS Investigation In Progress');
+      expect(body).toContain('Waiting for the first tool call');
+      expect(body).toContain('[View workflow run](https://github.com/o/r/actions/runs/1)');
+    });
+
+    test('renders a checklist with durations and elapsed time', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+      reporter.start();
+      reporter.handleOutput('Using tool: get_slo from mcp server applicationsignals\n● Completed in 1.5s\n');
+      reporter.handleOutput('● Running mcp__cloudwatch__execute_log_insights_query\n');
+      jest.setSystemTime(new Date('2025-01-01T00:03:10Z'));
+
+      const body = reporter.render();
+      reporter.stop();
+
+      expect(body).toContain('⏳ Elapsed: 3 min · 1 of 2 tool calls completed');
+      expect(body).toContain('- [x] `applicationsignals` → `get_slo` (1.5s)');
+      expect(body).toContain('- [ ] `cloudwatch` → `execute_log_insights_query` (running)');
+    });
+
+    test('collapses old steps', () => {
+      for (let i = 0; i < 30; i++) {
+        reporter.handleOutput(`● Running mcp__cloudwatch__tool_${i}\n● Completed in 1s\n`);
+      }
+
+      const body = reporter.render();
+
+      expect(body).toContain('_...5 earlier steps_');
+      expect(body).not.toContain('`tool_4`');
+      expect(body).toContain('`tool_29`');
+    });
+  });
+
+  describe('throttled updates', () => {
+    test('updates the comment at most once per interval', async () => {
+      jest.useFakeTimers();
+      reporter.start();
+
+      reporter.handleOutput('● Running mcp__cloudwatch__describe_alarms\n');
+      reporter.handleOutput('● Completed in 1s\n');
+      expect(updateComment).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(updateComment).toHaveBeenCalledTimes(1);
+      expect(updateComment.mock.calls[0][0]).toContain('`describe_alarms`');
+
+      await reporter.stop();
+    });
+
+    test('skips updates when nothing changed', async () => {
+      jest.useFakeTimers();
+      reporter = new ProgressReporter({ updateComment, intervalSeconds: 10 });
+      reporter.start();
+
+      await jest.advanceTimersByTimeAsync(10000);
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(updateComment).toHaveBeenCalledTimes(1);
+      await reporter.stop();
+    });
+
+    test('stops updating after stop()', async () => {
+      jest.useFakeTimers();
+      reporter.start();
+      await reporter.stop();
+
+      reporter.handleOutput('● Running mcp__cloudwatch__describe_alarms\n');
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(updateComment).not.toHaveBeenCalled();
+    });
+
+    test('warns once when the comment cannot be updated', async () => {
+      updateComment.mockRejectedValue(new Error('Not Found'));
+
+      await reporter.flush();
+      reporter.handleOutput('● Running mcp__cloudwatch__describe_alarms\n');
+      await reporter.flush();
+
+      expect(core.warning).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith('Failed to update progress comment: Not Found');
+    });
+  });
+});
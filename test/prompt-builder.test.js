@@ -138,6 +138,48 @@ Line 3`;
     });
   });
 
+  describe('read-only mode', () => {
+    test('drops the pull request step and renumbers the result step', async () => {
+      const prompt = await createGeneralPrompt(mockContext, mockRepoInfo, 'fix the latency', null, null, { readOnly: true });
+
+      expect(prompt).not.toContain('When to Create Pull Requests');
+      expect(prompt).not.toContain('create_pull_request');
+      expect(prompt).not.toContain('Edit/MultiEdit');
+      expect(prompt).toContain('READ-ONLY MODE');
+      expect(prompt).toContain('5. Deliver Results:');
+    });
+
+    test('keeps the pull request step by default', async () => {
+      const prompt = await createGeneralPrompt(mockContext, mockRepoInfo, 'fix the latency');
+
+      expect(prompt).toContain('5. When to Create Pull Requests:');
+      expect(prompt).toContain('6. Deliver Results:');
+      expect(prompt).not.toContain('READ-ONLY MODE');
+    });
+  });
+
+  describe('AWS environments', () => {
+    test('tells the agent which server covers which environment', async () => {
+      const awsTargets = [
+        { alias: 'prod', region: 'us-east-1', roleArn: 'arn:aws:iam::111111111111:role/awsapm', profile: null },
+        { alias: 'staging', region: 'eu-west-1', roleArn: null, profile: null }
+      ];
+
+      const prompt = await createGeneralPrompt(mockContext, mockRepoInfo, 'why is checkout slow?', null, null, { awsTargets });
+
+      expect(prompt).toContain('[AWS ENVIRONMENTS]');
+      expect(prompt).toContain('- prod: server "applicationsignals-prod" (tools mcp__applicationsignals-prod__*) - account 111111111111, region us-east-1');
+      expect(prompt).toContain('- staging: server "applicationsignals-staging" (tools mcp__applicationsignals-staging__*) - region eu-west-1');
+      expect(prompt).toContain('mcp__applicationsignals-prod__audit_services');
+    });
+
+    test('leaves the section out without aws_targets', async () => {
+      const prompt = await createGeneralPrompt(mockContext, mockRepoInfo, 'why is checkout slow?');
+
+      expect(prompt).not.toContain('[AWS ENVIRONMENTS]');
+    });
+  });
+
   describe('system prompt structure', () => {
     test('has clear sections', async () => {
       const prompt = await createGeneralPrompt(mockContext, mockRepoInfo, 'test');
@@ -0,0 +1,55 @@
+const { findReadOnlyDirective, isReadOnlyRequest, resolveReadOnlyMode } = require('../src/config/read-only-mode');
+
+describe('read-only-mode', () => {
+  describe('isReadOnlyRequest', () => {
+    test.each([
+      'analysis only: why is checkout slow?',
+      'Analyze only, please',
+      'read-only - what changed in the payment service?',
+      'Investigate only',
+      'why is checkout slow? --read-only',
+      '--read-only look at the 5xx errors'
+    ])('recognizes "%s"', (text) => {
+      expect(isReadOnlyRequest(text)).toBe(true);
+    });
+
+    test.each([
+      'fix the sqs issue',
+      'create a PR for the timeout',
+      'why is the error rate up?',
+      'investigate only the payment service',
+      'read-only investigation of the latency spike',
+      'the read-only replica is lagging, fix the failover',
+      'we get no PR notifications, fix the webhook',
+      "look into the errors but don't change the config",
+      'this is not analysis only: please fix it',
+      'handle the --read-only-replica flag'
+    ])('does not match "%s"', (text) => {
+      expect(isReadOnlyRequest(text)).toBe(false);
+    });
+  });
+
+  describe('findReadOnlyDirective', () => {
+    test('returns the directive as written', () => {
+      expect(findReadOnlyDirective('Analysis Only: why is checkout slow?')).toBe('Analysis Only');
+      expect(findReadOnlyDirective('why is checkout slow? --read-only')).toBe('--read-only');
+      expect(findReadOnlyDirective('fix the bug')).toBeNull();
+      expect(findReadOnlyDirective(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveReadOnlyMode', () => {
+    test('is enabled by the read_only input for every request', () => {
+      expect(resolveReadOnlyMode('true', 'fix the bug')).toEqual({ readOnly: true, source: 'input', directive: null });
+    });
+
+    test('is enabled by the request', () => {
+      expect(resolveReadOnlyMode('false', 'analysis only')).toEqual({ readOnly: true, source: 'request', directive: 'analysis only' });
+    });
+
+    test('is disabled otherwise', () => {
+      expect(resolveReadOnlyMode('', 'fix the bug')).toEqual({ readOnly: false, source: null, directive: null });
+      expect(resolveReadOnlyMode(undefined, '')).toEqual({ readOnly: false, source: null, directive: null });
+    });
+  });
+});
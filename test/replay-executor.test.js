@@ -0,0 +1,172 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ReplayExecutor } = require('../src/executors/replay-executor');
+const { BaseCLIExecutor, InvestigationTimeoutError, CLIExecutionError } = require('../src/executors/base-cli-executor');
+const { SessionRecorder, readRecording } = require('../src/utils/session-recording');
+const { createExecutor } = require('../src/executors/executor-registry');
+const { RESULT_MARKER } = require('../src/utils/output-cleaner');
+
+describe('record and replay', () => {
+  let originalEnv;
+  let tempDir;
+  let recordingPath;
+
+  const writeRecording = (chunks, exitCode, { executor = 'amazonq', timedOut = false } = {}) => {
+    const recorder = new SessionRecorder(recordingPath, { executor, command: 'q' });
+    for (const [stream, data] of chunks) {
+      recorder.recordOutput(stream, data);
+    }
+    recorder.finish(exitCode, timedOut);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    recordingPath = path.join(tempDir, 'run.jsonl');
+    process.env.RUNNER_TEMP = tempDir;
+    process.env.GITHUB_WORKSPACE = tempDir;
+    process.env.AWSAPM_REPLAY_FILE = 'run.jsonl';
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = originalEnv;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('SessionRecorder', () => {
+    test('round-trips chunks, exit code and executor', () => {
+      writeRecording([['stdout', 'line one\n'], ['stderr', 'warning\n'], ['stdout', 'line two']], 3);
+
+      expect(readRecording(recordingPath)).toEqual({
+        executor: 'amazonq',
+        command: 'q',
+        events: [
+          { stream: 'stdout', data: 'line one\n', offsetMs: expect.any(Number) },
+          { stream: 'stderr', data: 'warning\n', offsetMs: expect.any(Number) },
+          { stream: 'stdout', data: 'line two', offsetMs: expect.any(Number) }
+        ],
+        exitCode: 3,
+        timedOut: false
+      });
+    });
+
+    test('treats a recording without an exit event as a failure', () => {
+      const recorder = new SessionRecorder(recordingPath, { executor: 'amazonq' });
+      recorder.recordOutput('stdout', 'partial');
+      recorder.close();
+
+      expect(readRecording(recordingPath).exitCode).toBe(1);
+    });
+
+    test('rejects files that are not recordings', () => {
+      fs.writeFileSync(recordingPath, 'plain CLI output\n');
+
+      expect(() => readRecording(recordingPath)).toThrow('is not an awsapm-recording file');
+    });
+  });
+
+  describe('record mode', () => {
+    class EchoExecutor extends BaseCLIExecutor {
+      getCommandName() {
+        return 'echo-cli';
+      }
+    }
+
+    test('saves the live stream and exit code while capturing output', async () => {
+      const executor = new EchoExecutor();
+      executor.executorName = 'amazonq';
+      executor.recordPath = recordingPath;
+      const cliProcess = new EventEmitter();
+      cliProcess.stdout = new EventEmitter();
+      cliProcess.stderr = new EventEmitter();
+
+      const captured = executor.captureOutput(cliProcess);
+      cliProcess.stdout.emit('data', Buffer.from('analysis\n'));
+      cliProcess.stderr.emit('data', Buffer.from('mcp warning\n'));
+      cliProcess.emit('close', 0);
+      await captured;
+
+      const recording = readRecording(recordingPath);
+      expect(recording.executor).toBe('amazonq');
+      expect(recording.command).toBe('echo-cli');
+      expect(recording.events.map(e => [e.stream, e.data])).toEqual([['stdout', 'analysis\n'], ['stderr', 'mcp warning\n']]);
+      expect(recording.exitCode).toBe(0);
+    });
+  });
+
+  describe('ReplayExecutor', () => {
+    test('is selected whenever a replay file is configured', () => {
+      expect(createExecutor('claude')).toBeInstanceOf(ReplayExecutor);
+    });
+
+    test('feeds the recording through the recorded executor\'s parsing', async () => {
+      writeRecording([
+        ['stdout', '🛠️  Using tool: get_slo from mcp server applicationsignals\n ● Completed in 1.5s\n'],
+        ['stdout', `\n${RESULT_MARKER}\n\n## Root cause\nThrottling on checkout`]
+      ], 0);
+
+      const executor = new ReplayExecutor();
+      const result = await executor.execute('prompt');
+
+      expect(result.status).toBe('success');
+      expect(result.markdown).toContain(RESULT_MARKER);
+      expect(result.markdown).toContain('Throttling on checkout');
+      expect(result.markdown).not.toContain('Using tool');
+      expect(executor.getTranscript()).toEqual([
+        expect.objectContaining({ name: 'get_slo', server: 'applicationsignals', status: 'success' })
+      ]);
+    });
+
+    test('reports the tools a recorded Claude run was denied', async () => {
+      writeRecording([
+        ['stdout', `${JSON.stringify({
+          type: 'result',
+          result: `${RESULT_MARKER}\nFindings`,
+          permission_denials: [{ tool_name: 'mcp__github__push_files', tool_use_id: 't1', tool_input: {} }]
+        })}\n`]
+      ], 0, { executor: 'claude' });
+
+      const result = await new ReplayExecutor().execute('prompt');
+
+      expect(result.blockedTools).toEqual(['mcp__github__push_files']);
+    });
+
+    test('fails with the recorded exit code and stderr', async () => {
+      writeRecording([['stderr', 'AccessDeniedException\n']], 2);
+
+      const error = await new ReplayExecutor().execute('prompt').catch(e => e);
+
+      expect(error).toBeInstanceOf(CLIExecutionError);
+      expect(error.exitCode).toBe(2);
+      expect(error.stderr).toContain('AccessDeniedException');
+    });
+
+    test('replays a timed out run as a timeout with the partial result', async () => {
+      writeRecording([['stdout', `${RESULT_MARKER}\nPartial findings`]], 0, { timedOut: true });
+
+      const error = await new ReplayExecutor().execute('prompt').catch(e => e);
+
+      expect(error).toBeInstanceOf(InvestigationTimeoutError);
+      expect(error.partialResult).toContain('Partial findings');
+    });
+
+    test('requires a replay file', async () => {
+      delete process.env.AWSAPM_REPLAY_FILE;
+
+      await expect(new ReplayExecutor().execute('prompt')).rejects.toThrow('replay_file is required');
+    });
+  });
+});
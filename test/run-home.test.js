@@ -0,0 +1,104 @@
+jest.mock('@actions/core', () => ({
+  warning: jest.fn(),
+  info: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { createRunHome, getConfigHome, getRunHomeEnvironment, removeRunHome } = require('../src/utils/run-home');
+const { run: cleanup } = require('../src/cleanup');
+
+describe('per-run config home', () => {
+  let originalEnv;
+  let runnerTemp;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    runnerTemp = fs.mkdtempSync(path.join(os.tmpdir(), 'run-home-test-'));
+    process.env.RUNNER_TEMP = runnerTemp;
+    delete process.env.AWSAPM_HOME;
+    delete process.env.AWS_CONFIG_FILE;
+    delete process.env.UV_CACHE_DIR;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(runnerTemp, { recursive: true, force: true });
+  });
+
+  test('creates a private directory under RUNNER_TEMP', () => {
+    const home = createRunHome();
+
+    expect(path.dirname(home)).toBe(runnerTemp);
+    expect(path.basename(home)).toMatch(/^awsapm-home-/);
+    expect(fs.statSync(home).mode & 0o777).toBe(0o700);
+  });
+
+  test('falls back to the user home outside the action', () => {
+    expect(getConfigHome()).toBe(os.homedir());
+    expect(getRunHomeEnvironment()).toEqual({});
+  });
+
+  test('overrides HOME but keeps shared AWS config and caches in the real home', () => {
+    process.env.AWSAPM_HOME = path.join(runnerTemp, 'awsapm-home-abc');
+    process.env.AWS_SHARED_CREDENTIALS_FILE = '/etc/aws/credentials';
+
+    expect(getConfigHome()).toBe(path.join(runnerTemp, 'awsapm-home-abc'));
+    expect(getRunHomeEnvironment()).toEqual({
+      HOME: path.join(runnerTemp, 'awsapm-home-abc'),
+      AWS_CONFIG_FILE: path.join(os.homedir(), '.aws', 'config'),
+      AWS_SHARED_CREDENTIALS_FILE: '/etc/aws/credentials',
+      UV_CACHE_DIR: path.join(os.homedir(), '.cache', 'uv'),
+      DOCKER_CONFIG: process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker')
+    });
+  });
+
+  test('removes a per-run home with its contents', () => {
+    const home = createRunHome();
+    fs.mkdirSync(path.join(home, '.aws', 'amazonq'), { recursive: true });
+    fs.writeFileSync(path.join(home, '.aws', 'amazonq', 'mcp.json'), '{}');
+
+    expect(removeRunHome(home)).toBe(true);
+    expect(fs.existsSync(home)).toBe(false);
+  });
+
+  test('refuses to remove directories it did not create', () => {
+    const other = fs.mkdtempSync(path.join(runnerTemp, 'other-'));
+
+    expect(removeRunHome(other)).toBe(false);
+    expect(removeRunHome(os.homedir())).toBe(false);
+    expect(fs.existsSync(other)).toBe(true);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Refusing to remove'));
+  });
+
+  describe('cleanup step', () => {
+    test('removes the home passed in AWSAPM_HOME', async () => {
+      const home = createRunHome();
+      process.env.AWSAPM_HOME = home;
+
+      await cleanup();
+
+      expect(fs.existsSync(home)).toBe(false);
+      expect(core.info).toHaveBeenCalledWith(`Removed per-run config home ${home}`);
+    });
+
+    test('removes the session directory passed in AWSAPM_SESSION_DIR', async () => {
+      const sessionDir = path.join(runnerTemp, 'awsapm-session');
+      fs.mkdirSync(path.join(sessionDir, 'state'), { recursive: true });
+      process.env.AWSAPM_SESSION_DIR = sessionDir;
+
+      await cleanup();
+
+      expect(fs.existsSync(sessionDir)).toBe(false);
+    });
+
+    test('does nothing without a config home', async () => {
+      await cleanup();
+
+      expect(core.info).toHaveBeenCalledWith('No per-run config home to clean up');
+    });
+  });
+});
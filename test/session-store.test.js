@@ -0,0 +1,90 @@
+jest.mock('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { SessionStore, getSessionDir, getSessionCacheKey } = require('../src/utils/session-store');
+
+const STATE_PATH = path.join('.local', 'share', 'amazon-q');
+
+describe('SessionStore', () => {
+  let originalEnv;
+  let tempDir;
+  let configHome;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    originalEnv = { ...process.env };
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+    configHome = path.join(tempDir, 'home');
+    fs.mkdirSync(configHome);
+    store = new SessionStore(path.join(tempDir, 'awsapm-session'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeState = (home, content) => {
+    fs.mkdirSync(path.join(home, STATE_PATH), { recursive: true });
+    fs.writeFileSync(path.join(home, STATE_PATH, 'data.sqlite3'), content);
+  };
+
+  test('uses a fixed directory under RUNNER_TEMP and a cache key per issue', () => {
+    process.env.RUNNER_TEMP = '/runner/temp';
+
+    expect(getSessionDir()).toBe(path.join('/runner/temp', 'awsapm-session'));
+    expect(getSessionCacheKey({ owner: 'octo', repo: 'shop' }, 42)).toBe('awsapm-session-octo-shop-42');
+  });
+
+  test('is disabled without AWSAPM_SESSION_DIR', () => {
+    delete process.env.AWSAPM_SESSION_DIR;
+    expect(SessionStore.fromEnv()).toBeNull();
+
+    process.env.AWSAPM_SESSION_DIR = store.sessionDir;
+    expect(SessionStore.fromEnv().sessionDir).toBe(store.sessionDir);
+  });
+
+  test('saves the state and restores it into a new config home', () => {
+    writeState(configHome, 'conversation');
+
+    expect(store.save('amazonq', configHome, [STATE_PATH])).toBe(true);
+    expect(store.load()).toEqual(expect.objectContaining({ version: 1, executor: 'amazonq' }));
+
+    const nextHome = path.join(tempDir, 'next-home');
+    writeState(nextHome, 'left over by a failed attempt');
+
+    expect(store.restore('amazonq', nextHome, [STATE_PATH])).toBe(true);
+    expect(fs.readFileSync(path.join(nextHome, STATE_PATH, 'data.sqlite3'), 'utf8')).toBe('conversation');
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Resuming amazonq session saved at'));
+  });
+
+  test('does not save when the CLI wrote no state', () => {
+    expect(store.save('amazonq', configHome, [STATE_PATH])).toBe(false);
+    expect(fs.existsSync(store.sessionDir)).toBe(false);
+  });
+
+  test('does not restore a session saved by another executor', () => {
+    writeState(configHome, 'conversation');
+    store.save('kiro', configHome, [STATE_PATH]);
+
+    expect(store.restore('amazonq', path.join(tempDir, 'next-home'), [STATE_PATH])).toBe(false);
+    expect(core.info).toHaveBeenCalledWith('Saved session belongs to kiro, starting a new amazonq session');
+  });
+
+  test('ignores missing and unreadable sessions', () => {
+    expect(store.restore('amazonq', configHome, [STATE_PATH])).toBe(false);
+
+    fs.mkdirSync(store.sessionDir);
+    fs.writeFileSync(path.join(store.sessionDir, 'session.json'), 'not json');
+
+    expect(store.load()).toBeNull();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable saved session'));
+  });
+});
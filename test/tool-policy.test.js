@@ -0,0 +1,84 @@
+const { ToolPolicy, parseToolList } = require('../src/config/tool-policy');
+
+describe('tool-policy', () => {
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseToolList', () => {
+    test('splits on commas and newlines but keeps spaces inside rules', () => {
+      expect(parseToolList('fs_read, execute_bash\nBash(git diff:*)\n\n')).toEqual(['fs_read', 'execute_bash', 'Bash(git diff:*)']);
+    });
+
+    test('returns an empty list for a missing input', () => {
+      expect(parseToolList(undefined)).toEqual([]);
+      expect(parseToolList('')).toEqual([]);
+    });
+  });
+
+  describe('fromEnv', () => {
+    test('reads the allowed_tools and disallowed_tools inputs', () => {
+      process.env.ALLOWED_TOOLS = 'execute_bash';
+      process.env.DISALLOWED_TOOLS = 'fs_write,mcp__github__*';
+
+      const policy = ToolPolicy.fromEnv();
+
+      expect(policy.allowed).toEqual(['execute_bash']);
+      expect(policy.disallowed).toEqual(['fs_write', 'mcp__github__*']);
+    });
+  });
+
+  describe('buildAllowlist', () => {
+    const mcpConfig = {
+      mcpServers: {
+        applicationsignals: { autoApprove: ['mcp__applicationsignals__audit_services'] },
+        github: { autoApprove: ['mcp__github__get_file_contents', 'mcp__github__push_files'] },
+        runbooks: { autoApprove: ['mcp__runbooks__search'], disabled: true }
+      }
+    };
+
+    test('combines built-in tools, auto-approved tools of enabled servers and allowed_tools', () => {
+      const policy = new ToolPolicy({ allowed: ['execute_bash', 'fs_read'] });
+
+      expect(policy.buildAllowlist(['fs_read'], mcpConfig)).toEqual([
+        'fs_read',
+        'mcp__applicationsignals__audit_services',
+        'mcp__github__get_file_contents',
+        'mcp__github__push_files',
+        'execute_bash'
+      ]);
+    });
+
+    test('removes disallowed tools and prefix patterns', () => {
+      const policy = new ToolPolicy({ allowed: ['execute_bash'], disallowed: ['execute_bash', 'mcp__github__*'] });
+
+      expect(policy.buildAllowlist(['fs_read'], mcpConfig)).toEqual(['fs_read', 'mcp__applicationsignals__audit_services']);
+    });
+
+    test('works without an MCP configuration', () => {
+      expect(new ToolPolicy().buildAllowlist(['Read', 'Write'])).toEqual(['Read', 'Write']);
+    });
+  });
+
+  describe('findBlockedCalls', () => {
+    test('lists each call outside the allowlist once, qualifying MCP tools', () => {
+      const transcript = [
+        { name: 'fs_read', server: null },
+        { name: 'get_metric_data', server: 'awslabs.cloudwatch-mcp-server' },
+        { name: 'execute_bash', server: null },
+        { name: 'execute_bash', server: null }
+      ];
+
+      expect(new ToolPolicy().findBlockedCalls(transcript, ['fs_read'])).toEqual([
+        'mcp__awslabs_cloudwatch-mcp-server__get_metric_data',
+        'execute_bash'
+      ]);
+    });
+  });
+});
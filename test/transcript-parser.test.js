@@ -0,0 +1,140 @@
+const { TranscriptParser } = require('../src/utils/transcript-parser');
+
+describe('TranscriptParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new TranscriptParser();
+  });
+
+  describe('parseAmazonQOutput', () => {
+    test('extracts tool name, server, arguments, duration and status', () => {
+      const output = `Welcome banner
+🛠️  Using tool: list_monitored_services (trusted) from mcp server applicationsignals
+ ⋮
+ ● Running list_monitored_services with the param:
+ ⋮  {
+ ⋮    "arguments": {
+ ⋮      "time_range": "1h"
+ ⋮    },
+ ⋮    "name": "list_monitored_services"
+ ⋮  }
+ ⋮
+ ● Completed in 1.234s
+
+🛠️  Using tool: execute_log_insights_query from mcp server cloudwatch
+ ⋮
+ ● Running execute_log_insights_query with the param:
+ ⋮  {
+ ⋮    "arguments": { "query": "fields @message | limit 10" },
+ ⋮    "name": "execute_log_insights_query"
+ ⋮  }
+ ● Execution failed after 0.5s:
+AccessDeniedException
+
+🎯 **Application observability for AWS Assistant Result**
+Done`;
+
+      expect(parser.parseAmazonQOutput(output)).toEqual([
+        {
+          name: 'list_monitored_services',
+          server: 'applicationsignals',
+          arguments: { time_range: '1h' },
+          durationMs: 1234,
+          status: 'success'
+        },
+        {
+          name: 'execute_log_insights_query',
+          server: 'cloudwatch',
+          arguments: { query: 'fields @message | limit 10' },
+          durationMs: 500,
+          status: 'error'
+        }
+      ]);
+    });
+
+    test('strips ANSI codes', () => {
+      const output = '\x1b[38;5;13m🛠️  Using tool: get_slo\x1b[0m from mcp server \x1b[1mapplicationsignals\x1b[0m\n' +
+        '\x1b[32m ● Completed in 2s\x1b[0m';
+
+      expect(parser.parseAmazonQOutput(output)).toEqual([
+        expect.objectContaining({ name: 'get_slo', server: 'applicationsignals', durationMs: 2000, status: 'success' })
+      ]);
+    });
+
+    test('marks calls without a completion line as incomplete', () => {
+      const output = '🛠️  Using tool: get_service_detail from mcp server applicationsignals\n ● Running get_service_detail with the param:\n ⋮  {"name": "get_service_detail", "arguments": {"service": "checkout"}}';
+
+      expect(parser.parseAmazonQOutput(output)).toEqual([
+        {
+          name: 'get_service_detail',
+          server: 'applicationsignals',
+          arguments: { service: 'checkout' },
+          durationMs: null,
+          status: 'incomplete'
+        }
+      ]);
+    });
+
+    test('keeps non-JSON parameters as text', () => {
+      const output = '🛠️  Using tool: fs_read\n ● Running fs_read with the param:\n ⋮  path: src/index.js\n ● Completed in 0.01s';
+
+      expect(parser.parseAmazonQOutput(output)[0]).toMatchObject({
+        name: 'fs_read',
+        server: null,
+        arguments: 'path: src/index.js'
+      });
+    });
+
+    test('splits mcp__ qualified names', () => {
+      const output = ' ● Running mcp__github__create_pull_request with the param:\n ⋮  {}\n ● Completed in 1s';
+
+      expect(parser.parseAmazonQOutput(output)).toEqual([
+        { name: 'create_pull_request', server: 'github', arguments: {}, durationMs: 1000, status: 'success' }
+      ]);
+    });
+
+    test('accepts output as an iterable of lines', () => {
+      function* lines() {
+        yield '🛠️  Using tool: get_slo from mcp server applicationsignals';
+        yield ' ● Completed in 1s';
+      }
+
+      expect(parser.parseAmazonQOutput(lines())).toEqual([
+        expect.objectContaining({ name: 'get_slo', server: 'applicationsignals', status: 'success' })
+      ]);
+    });
+
+    test('returns an empty transcript for output without tool calls', () => {
+      expect(parser.parseAmazonQOutput('Just an answer')).toEqual([]);
+      expect(parser.parseAmazonQOutput('')).toEqual([]);
+    });
+  });
+
+  describe('parseClaudeStreamJson', () => {
+    test('matches tool_use blocks with their results', () => {
+      const events = [
+        { type: 'system', subtype: 'init', tools: ['mcp__applicationsignals__get_slo'] },
+        {
+          type: 'assistant',
+          message: {
+            content: [
+              { type: 'text', text: 'Checking SLOs' },
+              { type: 'tool_use', id: 't1', name: 'mcp__applicationsignals__get_slo', input: { slo_id: 'latency' } },
+              { type: 'tool_use', id: 't2', name: 'Read', input: { file_path: 'app.js' } }
+            ]
+          }
+        },
+        { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] } },
+        { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: 't2', is_error: true }] } },
+        { type: 'result', result: 'Done' }
+      ];
+      const output = events.map(e => JSON.stringify(e)).join('\n') + '\nnot json';
+
+      expect(parser.parseClaudeStreamJson(output)).toEqual([
+        { name: 'get_slo', server: 'applicationsignals', arguments: { slo_id: 'latency' }, durationMs: null, status: 'success' },
+        { name: 'Read', server: null, arguments: { file_path: 'app.js' }, durationMs: null, status: 'error' }
+      ]);
+    });
+  });
+});
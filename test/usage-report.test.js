@@ -0,0 +1,102 @@
+jest.mock('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+const core = require('@actions/core');
+const {
+  DEFAULT_TOKEN_PRICES,
+  mergeUsage,
+  parsePriceTable,
+  findPrice,
+  summarizeUsage,
+  formatUsageFooter
+} = require('../src/utils/usage-report');
+
+describe('usage report', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parsePriceTable', () => {
+    test('uses the default prices when empty', () => {
+      expect(parsePriceTable('')).toEqual(DEFAULT_TOKEN_PRICES);
+    });
+
+    test('merges custom prices over the defaults', () => {
+      const prices = parsePriceTable('{"my-model": {"input": 1, "output": 2}, "claude-sonnet-4": {"input": 2.5, "output": 12}}');
+
+      expect(prices['my-model']).toEqual({ input: 1, output: 2 });
+      expect(prices['claude-sonnet-4']).toEqual({ input: 2.5, output: 12 });
+      expect(prices['nova-pro']).toEqual(DEFAULT_TOKEN_PRICES['nova-pro']);
+    });
+
+    test('warns and falls back on invalid JSON', () => {
+      expect(parsePriceTable('[1, 2]')).toEqual(DEFAULT_TOKEN_PRICES);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Invalid token_prices'));
+    });
+  });
+
+  describe('findPrice', () => {
+    test('matches Bedrock and Anthropic model ids by the longest contained key', () => {
+      expect(findPrice('us.anthropic.claude-sonnet-4-20250514-v1:0', DEFAULT_TOKEN_PRICES)).toBe(DEFAULT_TOKEN_PRICES['claude-sonnet-4']);
+      expect(findPrice('claude-opus-4-5-20251101', DEFAULT_TOKEN_PRICES)).toBe(DEFAULT_TOKEN_PRICES['claude-opus-4-5']);
+      expect(findPrice('claude-opus-4-1-20250805', DEFAULT_TOKEN_PRICES)).toBe(DEFAULT_TOKEN_PRICES['claude-opus-4']);
+      expect(findPrice('unknown-model', DEFAULT_TOKEN_PRICES)).toBeNull();
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    test('merges attempts per model and estimates the cost', () => {
+      const records = [
+        { model: 'claude-sonnet-4-20250514', requests: 3, inputTokens: 100000, outputTokens: 10000, cacheReadTokens: 1000000, cacheWriteTokens: 0 },
+        { model: 'claude-sonnet-4-20250514', requests: 1, inputTokens: 100000, outputTokens: 0 }
+      ];
+
+      const summary = summarizeUsage(records, DEFAULT_TOKEN_PRICES);
+
+      expect(summary).toMatchObject({
+        requests: 4,
+        inputTokens: 200000,
+        outputTokens: 10000,
+        cacheReadTokens: 1000000,
+        totalTokens: 1210000,
+        // 0.2M * $3 + 0.01M * $15 + 1M * $0.30
+        estimatedCostUsd: 1.05,
+        unpricedModels: []
+      });
+      expect(summary.models).toHaveLength(1);
+    });
+
+    test('lists models without a price', () => {
+      const summary = summarizeUsage([{ model: 'mystery', requests: 1, inputTokens: 10, outputTokens: 10 }], DEFAULT_TOKEN_PRICES);
+
+      expect(summary.estimatedCostUsd).toBeNull();
+      expect(summary.unpricedModels).toEqual(['mystery']);
+    });
+
+    test('returns null without usage', () => {
+      expect(summarizeUsage([], DEFAULT_TOKEN_PRICES)).toBeNull();
+      expect(mergeUsage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('formatUsageFooter', () => {
+    test('omits the cost when no model could be priced', () => {
+      expect(formatUsageFooter({ requests: 1, inputTokens: 900, outputTokens: 50, cacheReadTokens: 0, cacheWriteTokens: 0, estimatedCostUsd: null }))
+        .toBe('<sub>📊 Usage: 1 request · 900 input / 50 output tokens</sub>');
+    });
+
+    test('flags partial estimates', () => {
+      const footer = formatUsageFooter({
+        requests: 2, inputTokens: 2500000, outputTokens: 1000, cacheReadTokens: 0, cacheWriteTokens: 0,
+        estimatedCostUsd: 7.5, unpricedModels: ['mystery']
+      });
+
+      expect(footer).toBe('<sub>📊 Usage: 2 requests · 2.5M input / 1.0k output tokens · ~$7.50 estimated (excluding unpriced models)</sub>');
+    });
+
+    test('renders nothing without usage', () => {
+      expect(formatUsageFooter(null)).toBe('');
+    });
+  });
+});